@@ -1,10 +1,811 @@
 // Personal Finance Snapshot Tracker - Main Application
-class FinanceTracker {
+
+// Version of the stored/exported data shape. Bump it and append a step to
+// DATA_MIGRATIONS whenever the structure of `this.data` changes.
+const DATA_SCHEMA_VERSION = 10;
+
+// Ordered upgrade steps. Each step receives data at `version - 1` (plus the
+// tracker, for helpers such as generateId) and returns data at `version`.
+// Files without a schemaVersion are treated as version 0.
+const DATA_MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Introduce schemaVersion and normalise snapshot structure',
+        migrate: (data) => {
+            data.snapshots = Array.isArray(data.snapshots) ? data.snapshots : [];
+            data.snapshots.forEach(snapshot => {
+                snapshot.data = snapshot.data || {};
+                ['assets', 'liabilities', 'incomes', 'expenses'].forEach(cat => {
+                    if (!Array.isArray(snapshot.data[cat])) {
+                        snapshot.data[cat] = [];
+                    }
+                });
+            });
+            return data;
+        }
+    },
+    {
+        version: 2,
+        description: 'Give every asset, liability, income and expense a persistent id',
+        migrate: (data, tracker) => tracker.ensureItemIds(data)
+    },
+    {
+        version: 3,
+        description: 'Store categories, liquidity levels and liability terms in a user-editable registry',
+        migrate: (data, tracker) => tracker.ensureCategoryRegistry(data)
+    },
+    {
+        version: 4,
+        description: 'Add a base currency, per-item currency codes and per-snapshot FX rate tables',
+        migrate: (data) => {
+            data.settings = { baseCurrency: DEFAULT_BASE_CURRENCY, ...(data.settings || {}) };
+            const base = data.settings.baseCurrency;
+            data.snapshots.forEach(snapshot => {
+                ['assets', 'liabilities', 'incomes', 'expenses'].forEach(cat => {
+                    snapshot.data[cat].forEach(item => {
+                        item.currency = item.currency || base; // Everything so far was entered in one currency
+                    });
+                });
+                snapshot.fxRates = snapshot.fxRates || { base, rates: {} };
+            });
+            return data;
+        }
+    },
+    {
+        version: 5,
+        description: 'Add a frequency to incomes and expenses (previously always monthly)',
+        migrate: (data) => {
+            data.snapshots.forEach(snapshot => {
+                ['incomes', 'expenses'].forEach(cat => {
+                    snapshot.data[cat].forEach(item => {
+                        item.frequency = item.frequency in ITEM_FREQUENCIES ? item.frequency : 'monthly';
+                    });
+                });
+            });
+            return data;
+        }
+    },
+    {
+        version: 6,
+        description: 'Add a per-snapshot price table for investment holdings',
+        migrate: (data) => {
+            data.snapshots.forEach(snapshot => {
+                snapshot.prices = snapshot.prices || {};
+            });
+            return data;
+        }
+    },
+    {
+        version: 7,
+        description: 'Add an editable as-of date to snapshots, copied from createdAt',
+        migrate: (data, tracker) => {
+            data.snapshots.forEach(snapshot => {
+                snapshot.asOfDate = tracker.getDefaultAsOfDate(snapshot);
+            });
+            return data;
+        }
+    },
+    {
+        version: 8,
+        description: 'Add financial goals linked to asset or liability items and categories',
+        migrate: (data) => {
+            data.goals = Array.isArray(data.goals) ? data.goals : [];
+            return data;
+        }
+    },
+    {
+        version: 9,
+        description: 'Add monthly expense budgets per category and per named expense to snapshots',
+        migrate: (data, tracker) => {
+            data.snapshots.forEach(snapshot => {
+                snapshot.budgets = tracker.getSnapshotBudgets(snapshot);
+            });
+            return data;
+        }
+    },
+    {
+        version: 10,
+        description: 'Add saved what-if scenarios',
+        migrate: (data) => {
+            data.scenarios = Array.isArray(data.scenarios) ? data.scenarios : [];
+            return data;
+        }
+    }
+];
+
+// Optional loan details recorded on liabilities: APR (%), minimum monthly payment
+// (in the item's currency), remaining term in months, and lender
+const LIABILITY_DETAIL_FIELDS = ['apr', 'minPayment', 'remainingMonths', 'lender'];
+
+// Optional holdings representation on assets: ticker/symbol, quantity and total cost
+// basis (in the item's currency). With a price in the snapshot's price table
+// ({ SYMBOL: unit price }), the asset amount is derived as quantity × price.
+const HOLDING_DETAIL_FIELDS = ['symbol', 'quantity', 'costBasis'];
+
+// Roll-forward flags items whose balance hasn't moved for this many periods in a row
+const STALE_ITEM_PERIODS = 3;
+
+// Import report: problems listed in the dialog (the downloadable report has them all)
+const IMPORT_REPORT_MAX_ROWS = 200;
+
+// Asset categories whose balance changes are treated as market/revaluation rather
+// than saving in the net worth attribution (holdings split price and units themselves)
+const REVALUED_ASSET_CATEGORIES = ['investments', 'retirement', 'property', 'vehicles'];
+
+// Steps of the net worth waterfall, in chart order
+const NET_WORTH_ATTRIBUTION_PARTS = [
+    { key: 'savings', label: 'Net savings from cash flow', shortLabel: 'Savings' },
+    { key: 'debtPaydown', label: 'Debt paydown', shortLabel: 'Debt paydown' },
+    { key: 'revaluation', label: 'Market & revaluation', shortLabel: 'Market' },
+    { key: 'added', label: 'New items', shortLabel: 'New items' },
+    { key: 'removed', label: 'Removed items', shortLabel: 'Removed' }
+];
+
+// Ratios offered in the trends view, keyed as returned by calculateRatios();
+// units match formatRatioValue
+const TREND_RATIOS = [
+    { key: 'savings', label: 'Savings Ratio', unit: '%', higherIsBetter: true },
+    { key: 'basicLiquidity', label: 'Basic Liquidity Ratio', unit: 'months', higherIsBetter: true },
+    { key: 'liquidityToNetWorth', label: 'Liquidity to Net Worth', unit: '%', higherIsBetter: true },
+    { key: 'debtToAsset', label: 'Debt to Asset Ratio', unit: '%', higherIsBetter: false },
+    { key: 'solvency', label: 'Solvency Ratio', unit: '%', higherIsBetter: true },
+    { key: 'debtServiceCoverage', label: 'Debt Service Coverage', unit: 'x', higherIsBetter: true },
+    { key: 'debtToIncome', label: 'Debt-to-Income', unit: '%', higherIsBetter: false }
+];
+
+// Debt payoff planner: orderings compared against paying only the minimums. Extra
+// money and the minimums of debts already paid off go to the first open debt in order.
+const DEBT_PAYOFF_STRATEGIES = [
+    { key: 'minimum', label: 'Minimum payments only', color: '#6c757d' },
+    { key: 'avalanche', label: 'Avalanche (highest APR first)', color: '#dc3545' },
+    { key: 'snowball', label: 'Snowball (smallest balance first)', color: '#007bff' },
+    { key: 'custom', label: 'Custom order', color: '#6610f2' }
+];
+
+// Simulations stop after this many months (50 years)
+const DEBT_PAYOFF_MAX_MONTHS = 600;
+
+// Budget lines at or above this share of their budget are flagged as close to it
+const BUDGET_WARNING_THRESHOLD = 0.9;
+
+const BUDGET_STATUSES = {
+    under: 'Under budget',
+    near: 'Close to budget',
+    over: 'Over budget',
+    none: 'No budget'
+};
+
+// What-if scenario overrides; a new loan applies once its amount is above zero
+const DEFAULT_SCENARIO_OVERRIDES = {
+    incomeChange: 0,
+    incomeCategory: 'employment',
+    marketShock: 0,
+    shockCategories: ['investments'],
+    droppedExpenses: [],
+    newLoan: { name: 'New loan', amount: 0, apr: null, minPayment: null, remainingMonths: null, term: 'long-term', proceedsCategory: '' }
+};
+
+// Allocation rule buckets as a share of monthly income. Needs and wants are
+// ceilings, savings is a floor.
+const ALLOCATION_BUCKETS = {
+    needs: { label: 'Needs', limit: 'max' },
+    wants: { label: 'Wants', limit: 'max' },
+    savings: { label: 'Savings', limit: 'min' }
+};
+
+const ALLOCATION_RULE_PRESETS = {
+    '50/30/20': { needs: 50, wants: 30, savings: 20 },
+    '60/20/20': { needs: 60, wants: 20, savings: 20 },
+    '70/20/10': { needs: 70, wants: 20, savings: 10 }
+};
+
+// Bucket for each built-in expense category and for the monthly surplus ('savings');
+// custom categories default to wants
+const DEFAULT_ALLOCATION_MAPPING = {
+    essential: 'needs',
+    variable: 'wants',
+    discretionary: 'wants',
+    other: 'wants',
+    savings: 'savings'
+};
+
+// How often an income or expense occurs, and how many times that is per month.
+// One-off amounts are spread over a year so a single bonus or bill does not
+// swamp one month's figures.
+const ITEM_FREQUENCIES = {
+    weekly: { label: 'Weekly', shortLabel: '/wk', perMonth: 52 / 12 },
+    biweekly: { label: 'Biweekly', shortLabel: '/2wk', perMonth: 26 / 12 },
+    monthly: { label: 'Monthly', shortLabel: '/mo', perMonth: 1 },
+    quarterly: { label: 'Quarterly', shortLabel: '/qtr', perMonth: 1 / 3 },
+    annual: { label: 'Annual', shortLabel: '/yr', perMonth: 1 / 12 },
+    'one-off': { label: 'One-off', shortLabel: 'one-off', perMonth: 1 / 12 }
+};
+
+// Currency used for totals when a file has no settings.baseCurrency
+const DEFAULT_BASE_CURRENCY = 'USD';
+
+// Offered in currency selects; any other ISO 4217 code can be added through the FX table
+const COMMON_CURRENCIES = ['USD', 'EUR', 'GBP', 'SGD', 'MYR', 'JPY', 'CNY', 'HKD', 'AUD', 'CAD', 'CHF', 'INR', 'IDR', 'THB', 'PHP', 'KRW', 'NZD'];
+
+// Built-in registry entries, seeded into data.categories for new and migrated
+// files. Order here is the default display order. 'cash' and 'high' are relied
+// on by the liquidity ratios, so built-in entries can be renamed but not removed.
+const DEFAULT_CATEGORY_REGISTRY = {
+    assets: [
+        { value: 'cash', label: 'Cash Equivalents', color: '#28a745', examples: ['Cash', 'Savings account', 'Checking account', 'Money Market Funds', 'e-Wallets'] },
+        { value: 'investments', label: 'Investments', color: '#ffc107', examples: ['Stocks', 'ETFs / Mutual Funds', 'Bonds', 'Crypto', 'Robo-advisor portfolios'] },
+        { value: 'retirement', label: 'Retirement', color: '#17a2b8', examples: ['CPF / 401k / IRA / EPF', 'Pension accounts'] },
+        { value: 'property', label: 'Property', color: '#6f42c1', examples: ['Home / Real estate', 'Investment property'] },
+        { value: 'vehicles', label: 'Vehicles', color: '#fd7e14', examples: ['Car', 'Motorcycle'] },
+        { value: 'insurance', label: 'Insurance (Cash Value)', shortLabel: 'Insurance', color: '#dc3545', examples: ['Whole life cash value', 'Endowment value'] },
+        { value: 'other', label: 'Other Assets', color: '#6c757d', examples: ['Collectibles', 'Deposits', 'Business equity'] }
+    ],
+    liquidity: [
+        { value: 'high', label: 'High', color: '#28a745', description: 'Easily converted to cash (immediate)' },
+        { value: 'medium', label: 'Medium', color: '#ffc107', description: 'Can be sold but takes time or penalties' },
+        { value: 'low', label: 'Low', color: '#dc3545', description: 'Hard to sell quickly; may take weeks/months/years' }
+    ],
+    liabilities: [
+        { value: 'short-term', label: 'Short-Term', color: '#fd7e14', description: 'Debts that must be paid within a year or require regular, immediate payments.', examples: ['Credit card balances', 'Personal loans (high monthly payments)', 'Overdrafts', 'PayLater or BNPL installments', 'Outstanding bills (utilities, medical)'] },
+        { value: 'medium-term', label: 'Medium-Term', color: '#ffc107', description: 'Debts with a 1–5 year repayment horizon or predictable monthly payments.', examples: ['Student loans (under 5 years repayment)', 'Personal loans with fixed terms (2-5 years)', 'Small business loans (up to 5 years)'] },
+        { value: 'long-term', label: 'Long-Term', color: '#dc3545', description: 'Debts repaid over more than 5 years and usually tied to long-term assets.', examples: ['Car loans', 'Mortgage / housing loan', 'Long-term business loan (>5 years)', 'Education loan (>5 years remaining)', 'Property investment loan', 'Life insurance policy loans'] }
+    ],
+    incomes: [
+        { value: 'employment', label: 'Employment Income', shortLabel: 'Employment', color: '#28a745', description: 'Regular income from your job or profession.', examples: ['Salary', 'Bonuses', 'Allowances', 'Overtime pay'] },
+        { value: 'business', label: 'Business / Self-Employment Income', shortLabel: 'Business', color: '#007bff', description: 'Earnings from self-employment, side businesses, or freelance work.', examples: ['Freelance projects', 'Side gigs', 'Business profit share', 'Consulting fees'] },
+        { value: 'passive', label: 'Passive Income', shortLabel: 'Passive', color: '#17a2b8', description: 'Money earned with little effort (investments, rentals, etc.).', examples: ['Rental income', 'Dividend payments', 'Interest from savings', 'Royalties'] },
+        { value: 'other', label: 'Other Income', shortLabel: 'Other', color: '#6c757d', description: 'One-time payments, gifts, or miscellaneous earnings.', examples: ['Allowance from parents', 'Tax refunds', 'Insurance payouts'] }
+    ],
+    expenses: [
+        { value: 'essential', label: 'Essential / Fixed', shortLabel: 'Essential/Fixed', color: '#dc3545', description: 'Expenses that are required to maintain basic living standards.', examples: ['Rent/Mortgage', 'Utilities (electricity, water, gas)', 'Insurance (health, home, car)', 'Groceries', 'Transportation (bus, train, car maintenance)'] },
+        { value: 'variable', label: 'Variable / Living', shortLabel: 'Variable/Living', color: '#fd7e14', description: 'Everyday expenses that can fluctuate.', examples: ['Food delivery/ Dining out', 'Streaming services', 'Mobile phone bill', 'Clothing', 'Household supplies'] },
+        { value: 'discretionary', label: 'Discretionary / Lifestyle', shortLabel: 'Discretionary', color: '#ffc107', description: 'Optional expenses for leisure and lifestyle choices.', examples: ['Entertainment (movies, concerts)', 'Travel/Holidays', 'Hobbies', 'Gym membership', 'Luxury purchases'] },
+        { value: 'other', label: 'Other Expenses', shortLabel: 'Other', color: '#6c757d', description: 'Miscellaneous or uncommon expenses.', examples: ['Medical expenses', 'Gifts', 'Repair costs', 'Donations', 'Unexpected bills'] }
+    ]
+};
+
+// Item section and field that each registry group describes
+const CATEGORY_REGISTRY_FIELDS = {
+    assets: { section: 'assets', field: 'category' },
+    liquidity: { section: 'assets', field: 'liquidity' },
+    liabilities: { section: 'liabilities', field: 'term' },
+    incomes: { section: 'incomes', field: 'category' },
+    expenses: { section: 'expenses', field: 'category' }
+};
+
+// Fallback palette for entries found in data but missing from the registry
+const CATEGORY_COLOR_PALETTE = ['#007bff', '#20c997', '#e83e8c', '#6610f2', '#fd7e14', '#17a2b8', '#28a745', '#ffc107'];
+
+// CSV import: item fields a column can map to, the sections that use them and the
+// header names they are guessed from. Mappings are remembered per file layout.
+const CSV_IMPORT_MAPPINGS_KEY = 'csv_import_mappings';
+
+const CSV_IMPORT_FIELDS = {
+    name: { label: 'Name', sections: ['assets', 'liabilities', 'incomes', 'expenses'], required: true, pattern: /name|description|account|payee|item|memo/i },
+    amount: { label: 'Amount', sections: ['assets', 'liabilities', 'incomes', 'expenses'], required: true, pattern: /amount|balance|value|total/i },
+    category: { label: 'Category', sections: ['assets', 'incomes', 'expenses'], pattern: /category|type|class/i },
+    liquidity: { label: 'Liquidity', sections: ['assets'], pattern: /liquidity/i },
+    term: { label: 'Term', sections: ['liabilities'], pattern: /term/i },
+    frequency: { label: 'Frequency', sections: ['incomes', 'expenses'], pattern: /frequency|interval|period/i },
+    currency: { label: 'Currency', sections: ['assets', 'liabilities', 'incomes', 'expenses'], pattern: /currency|ccy/i }
+};
+
+// Fields matched against registry entries (or frequencies) instead of taken as text
+const CSV_CATEGORICAL_FIELDS = ['category', 'liquidity', 'term', 'frequency'];
+
+const CSV_PREVIEW_ROWS = 10;
+
+// Statement import (OFX/QFX/QIF): where each kind of account lands in a snapshot.
+// Credits on liability accounts are treated as payments from another account.
+const STATEMENT_ACCOUNT_KINDS = {
+    bank: { label: 'Bank account', section: 'assets', category: 'cash', liquidity: 'high' },
+    cash: { label: 'Cash', section: 'assets', category: 'cash', liquidity: 'high' },
+    investment: { label: 'Investment account', section: 'assets', category: 'investments', liquidity: 'medium' },
+    otherAsset: { label: 'Other asset', section: 'assets', category: 'other', liquidity: 'low' },
+    creditCard: { label: 'Credit card', section: 'liabilities', term: 'short-term' },
+    creditLine: { label: 'Credit line', section: 'liabilities', term: 'short-term' },
+    otherLiability: { label: 'Other liability', section: 'liabilities', term: 'medium-term' }
+};
+
+// QIF "!Type:" and account "T" values (lower-cased) mapped to account kinds
+const QIF_ACCOUNT_TYPES = {
+    bank: 'bank',
+    cash: 'cash',
+    ccard: 'creditCard',
+    invst: 'investment',
+    port: 'investment',
+    mutual: 'investment',
+    '401(k)/403(b)': 'investment',
+    'oth a': 'otherAsset',
+    'oth l': 'otherLiability'
+};
+
+// OFX has no transfer categories, so equal and opposite amounts in two accounts of the
+// same file posted this many days apart or less are taken to be one transfer
+const STATEMENT_TRANSFER_MATCH_DAYS = 4;
+
+// Show the storage warning once usage crosses this fraction of the quota
+const STORAGE_WARNING_THRESHOLD = 0.8;
+
+// Maximum number of undo steps kept in memory
+const MAX_HISTORY_ENTRIES = 50;
+
+// Storage Backends
+// Both backends expose the same async interface: load() resolves to the raw
+// stored data (or null when nothing is stored), save(data) persists a detached
+// copy of the data and estimate() resolves to { usage, quota } in bytes.
+
+// Legacy backend: the whole dataset as one JSON blob in localStorage
+class LocalStorageBackend {
+    constructor(key = 'financeData') {
+        this.name = 'localStorage';
+        this.key = key;
+        this.quota = 5 * 1024 * 1024; // Typical per-origin browser limit
+    }
+
+    async load() {
+        const savedData = localStorage.getItem(this.key);
+        return savedData ? JSON.parse(savedData) : null;
+    }
+
+    async save(data) {
+        localStorage.setItem(this.key, JSON.stringify(data));
+    }
+
+    async estimate() {
+        // localStorage stores UTF-16, so each character takes two bytes
+        const stored = localStorage.getItem(this.key) || '';
+        return { usage: stored.length * 2, quota: this.quota };
+    }
+}
+
+// IndexedDB backend: root fields in a single meta record, one record per snapshot
+class IndexedDBBackend {
+    constructor(dbName = 'financeTracker') {
+        this.name = 'indexedDB';
+        this.dbName = dbName;
+        this.db = null;
+        this.savedSnapshots = new Map(); // snapshot id -> JSON last written, to skip unchanged records
+    }
+
+    static isSupported() {
+        return typeof indexedDB !== 'undefined';
+    }
+
+    open() {
+        if (this.db) return Promise.resolve(this.db);
+
+        return new Promise((resolve, reject) => {
+            const request = indexedDB.open(this.dbName, 1);
+            request.onupgradeneeded = () => {
+                const db = request.result;
+                if (!db.objectStoreNames.contains('meta')) {
+                    db.createObjectStore('meta');
+                }
+                if (!db.objectStoreNames.contains('snapshots')) {
+                    db.createObjectStore('snapshots', { keyPath: 'id' });
+                }
+            };
+            request.onsuccess = () => {
+                this.db = request.result;
+                resolve(this.db);
+            };
+            request.onerror = () => reject(request.error);
+            request.onblocked = () => reject(new Error('IndexedDB is blocked by another open tab'));
+        });
+    }
+
+    async load() {
+        const db = await this.open();
+
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(['meta', 'snapshots'], 'readonly');
+            const metaRequest = tx.objectStore('meta').get('root');
+            const snapshotsRequest = tx.objectStore('snapshots').getAll();
+
+            tx.oncomplete = () => {
+                const meta = metaRequest.result;
+                if (!meta) {
+                    resolve(null);
+                    return;
+                }
+
+                // Restore the original snapshot order
+                const byId = new Map(snapshotsRequest.result.map(s => [s.id, s]));
+                const { snapshotOrder = [], ...root } = meta;
+                const snapshots = snapshotOrder.map(id => byId.get(id)).filter(Boolean);
+
+                this.savedSnapshots = new Map(snapshots.map(s => [s.id, JSON.stringify(s)]));
+                resolve({ ...root, snapshots });
+            };
+            tx.onerror = () => reject(tx.error);
+        });
+    }
+
+    async save(data) {
+        const db = await this.open();
+        const { snapshots = [], ...root } = data;
+        const written = new Map();
+
+        return new Promise((resolve, reject) => {
+            const tx = db.transaction(['meta', 'snapshots'], 'readwrite');
+            const snapshotStore = tx.objectStore('snapshots');
+
+            tx.objectStore('meta').put({ ...root, snapshotOrder: snapshots.map(s => s.id) }, 'root');
+
+            // Only rewrite snapshots that actually changed since the last save
+            snapshots.forEach(snapshot => {
+                const json = JSON.stringify(snapshot);
+                written.set(snapshot.id, json);
+                if (this.savedSnapshots.get(snapshot.id) !== json) {
+                    snapshotStore.put(snapshot);
+                }
+            });
+
+            this.savedSnapshots.forEach((json, id) => {
+                if (!written.has(id)) {
+                    snapshotStore.delete(id);
+                }
+            });
+
+            tx.oncomplete = () => {
+                this.savedSnapshots = written;
+                resolve();
+            };
+            // Quota errors surface as a transaction abort
+            tx.onabort = () => reject(tx.error || new Error('IndexedDB transaction aborted'));
+            tx.onerror = () => reject(tx.error);
+        });
+    }
+
+    async estimate() {
+        if (navigator.storage && navigator.storage.estimate) {
+            const { usage = 0, quota = 0 } = await navigator.storage.estimate();
+            return { usage, quota };
+        }
+        return { usage: 0, quota: 0 };
+    }
+}
+
+// Display Formatting
+// One formatter instance is shared by the whole app (tables, summary, ratios,
+// chart tooltips and the AI context) so numbers and dates look the same
+// everywhere. Preferences are per browser and kept in localStorage.
+const DISPLAY_PREFERENCES_KEY = 'display_preferences';
+
+const DEFAULT_DISPLAY_PREFERENCES = {
+    locale: 'en-US', // '' follows the browser language
+    currencyDisplay: 'symbol', // 'symbol', 'narrowSymbol' or 'code'
+    currencySymbols: {}, // Optional custom symbols per currency code, e.g. { SGD: 'S$' }
+    decimals: 2,
+    dateFormat: 'medium' // 'medium', 'long', 'dmy', 'mdy' or 'iso'
+};
+
+// Locales offered in the display settings; any BCP 47 tag stored by hand also works
+const DISPLAY_LOCALES = {
+    '': 'Browser default',
+    'en-US': 'English (United States)',
+    'en-GB': 'English (United Kingdom)',
+    'en-SG': 'English (Singapore)',
+    'en-AU': 'English (Australia)',
+    'en-IN': 'English (India)',
+    'ms-MY': 'Malay (Malaysia)',
+    'zh-CN': 'Chinese (Simplified)',
+    'ja-JP': 'Japanese',
+    'de-DE': 'German',
+    'fr-FR': 'French',
+    'es-ES': 'Spanish'
+};
+
+class DisplayFormatter {
+    constructor(preferences = {}) {
+        this.setPreferences(preferences);
+    }
+
+    setPreferences(preferences = {}) {
+        this.preferences = {
+            ...DEFAULT_DISPLAY_PREFERENCES,
+            ...preferences,
+            currencySymbols: { ...(preferences.currencySymbols || {}) }
+        };
+        const decimals = parseInt(this.preferences.decimals);
+        this.preferences.decimals = Number.isInteger(decimals) ? Math.min(Math.max(decimals, 0), 4) : 2;
+        this.numberFormats = new Map(); // Intl formatters are costly to build, so cache them
+    }
+
+    getLocale() {
+        const locale = this.preferences.locale || (typeof navigator !== 'undefined' && navigator.language) || 'en-US';
+        try {
+            return Intl.NumberFormat.supportedLocalesOf([locale]).length > 0 ? locale : 'en-US';
+        } catch (e) {
+            return 'en-US'; // Malformed tags throw
+        }
+    }
+
+    getNumberFormat(key, options) {
+        if (!this.numberFormats.has(key)) {
+            this.numberFormats.set(key, new Intl.NumberFormat(this.getLocale(), options));
+        }
+        return this.numberFormats.get(key);
+    }
+
+    // forceCode ignores symbol preferences, for output where "$" would be ambiguous
+    formatCurrency(amount, currency, forceCode = false) {
+        const { decimals, currencyDisplay, currencySymbols } = this.preferences;
+        const value = Number(amount) || 0;
+        const customSymbol = forceCode ? null : currencySymbols[currency];
+
+        try {
+            const display = forceCode || customSymbol ? 'code' : currencyDisplay;
+            const format = this.getNumberFormat(`currency:${currency}:${display}`, {
+                style: 'currency',
+                currency,
+                currencyDisplay: display,
+                minimumFractionDigits: decimals,
+                maximumFractionDigits: decimals
+            });
+            if (!customSymbol) {
+                return format.format(value);
+            }
+            return format.formatToParts(value)
+                .map(part => part.type === 'currency' ? customSymbol : part.value)
+                .join('')
+                .replace(`${customSymbol} `, customSymbol); // "S$ 1.00" reads better as "S$1.00"
+        } catch (e) {
+            // Unknown currency codes make Intl throw; fall back to a plain code prefix
+            return `${currency} ${this.formatNumber(value)}`;
+        }
+    }
+
+    formatNumber(value, decimals = this.preferences.decimals) {
+        return this.getNumberFormat(`number:${decimals}`, {
+            minimumFractionDigits: decimals,
+            maximumFractionDigits: decimals
+        }).format(Number(value) || 0);
+    }
+
+    formatPercent(value, decimals = 1) {
+        return `${this.formatNumber(value, decimals)}%`;
+    }
+
+    // Date-only strings ("2026-10-31") are read as local dates so they don't shift a day
+    parseDate(isoString) {
+        const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(isoString || '');
+        return match ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])) : new Date(isoString);
+    }
+
+    formatMonth(isoString) {
+        const date = this.parseDate(isoString);
+        if (isNaN(date.getTime())) {
+            return 'Invalid date';
+        }
+        return date.toLocaleDateString(this.getLocale(), { year: 'numeric', month: 'long' });
+    }
+
+    formatDate(isoString, includeTime = true) {
+        const date = this.parseDate(isoString);
+        if (isNaN(date.getTime())) {
+            return 'Invalid date';
+        }
+
+        const locale = this.getLocale();
+        const pad = n => String(n).padStart(2, '0');
+        const time = includeTime
+            ? ' ' + date.toLocaleTimeString(locale, { hour: '2-digit', minute: '2-digit' })
+            : '';
+
+        switch (this.preferences.dateFormat) {
+            case 'iso':
+                return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}${time}`;
+            case 'dmy':
+                return `${pad(date.getDate())}/${pad(date.getMonth() + 1)}/${date.getFullYear()}${time}`;
+            case 'mdy':
+                return `${pad(date.getMonth() + 1)}/${pad(date.getDate())}/${date.getFullYear()}${time}`;
+            case 'long':
+                return date.toLocaleDateString(locale, { year: 'numeric', month: 'long', day: 'numeric' }) + time;
+            default:
+                return date.toLocaleDateString(locale, {
+                    year: 'numeric',
+                    month: 'short',
+                    day: 'numeric',
+                    ...(includeTime ? { hour: '2-digit', minute: '2-digit' } : {})
+                });
+        }
+    }
+}
+
+// Spreadsheet Export
+// Minimal XLSX writer so workbooks can be built in the browser without a library:
+// each sheet is SpreadsheetML with inline strings, packed into an uncompressed
+// (stored) ZIP. Header rows are bold; numbers stay numeric so they can be totalled.
+const CRC32_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    }
+    return c >>> 0;
+});
+
+class XlsxWorkbook {
     constructor() {
-        this.data = {
-            snapshots: []
+        this.sheets = [];
+    }
+
+    // rows: arrays of strings/numbers; the first row is the header
+    addSheet(name, rows) {
+        // Excel sheet names: at most 31 characters, none of : \ / ? * [ ]
+        this.sheets.push({ name: name.replace(/[:\\/?*[\]]/g, ' ').slice(0, 31), rows });
+        return this;
+    }
+
+    toBlob() {
+        const sheetFiles = this.sheets.map((sheet, index) => ({
+            path: `xl/worksheets/sheet${index + 1}.xml`,
+            content: this.renderSheet(sheet.rows)
+        }));
+
+        const files = [
+            {
+                path: '[Content_Types].xml',
+                content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                    '<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types">' +
+                    '<Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/>' +
+                    '<Default Extension="xml" ContentType="application/xml"/>' +
+                    '<Override PartName="/xl/workbook.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.sheet.main+xml"/>' +
+                    '<Override PartName="/xl/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.styles+xml"/>' +
+                    sheetFiles.map(file => `<Override PartName="/${file.path}" ContentType="application/vnd.openxmlformats-officedocument.spreadsheetml.worksheet+xml"/>`).join('') +
+                    '</Types>'
+            },
+            {
+                path: '_rels/.rels',
+                content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                    '<Relationship Id="rId1" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/officeDocument" Target="xl/workbook.xml"/>' +
+                    '</Relationships>'
+            },
+            {
+                path: 'xl/workbook.xml',
+                content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                    '<workbook xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main" xmlns:r="http://schemas.openxmlformats.org/officeDocument/2006/relationships"><sheets>' +
+                    this.sheets.map((sheet, index) => `<sheet name="${this.escapeXml(sheet.name)}" sheetId="${index + 1}" r:id="rId${index + 1}"/>`).join('') +
+                    '</sheets></workbook>'
+            },
+            {
+                path: 'xl/_rels/workbook.xml.rels',
+                content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                    '<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships">' +
+                    sheetFiles.map((file, index) => `<Relationship Id="rId${index + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/worksheet" Target="worksheets/sheet${index + 1}.xml"/>`).join('') +
+                    `<Relationship Id="rId${sheetFiles.length + 1}" Type="http://schemas.openxmlformats.org/officeDocument/2006/relationships/styles" Target="styles.xml"/>` +
+                    '</Relationships>'
+            },
+            {
+                path: 'xl/styles.xml',
+                content: '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+                    '<styleSheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main">' +
+                    '<fonts count="2"><font><sz val="11"/><name val="Calibri"/></font><font><b/><sz val="11"/><name val="Calibri"/></font></fonts>' +
+                    '<fills count="2"><fill><patternFill patternType="none"/></fill><fill><patternFill patternType="gray125"/></fill></fills>' +
+                    '<borders count="1"><border><left/><right/><top/><bottom/><diagonal/></border></borders>' +
+                    '<cellStyleXfs count="1"><xf numFmtId="0" fontId="0" fillId="0" borderId="0"/></cellStyleXfs>' +
+                    '<cellXfs count="2"><xf numFmtId="0" fontId="0" fillId="0" borderId="0" xfId="0"/><xf numFmtId="0" fontId="1" fillId="0" borderId="0" xfId="0" applyFont="1"/></cellXfs>' +
+                    '</styleSheet>'
+            },
+            ...sheetFiles
+        ];
+
+        return new Blob([this.zip(files)], { type: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet' });
+    }
+
+    renderSheet(rows) {
+        const columnName = index => {
+            let name = '';
+            for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+                name = String.fromCharCode(65 + ((n - 1) % 26)) + name;
+            }
+            return name;
         };
+
+        const body = rows.map((row, rowIndex) => {
+            const style = rowIndex === 0 ? ' s="1"' : '';
+            const cells = row.map((value, columnIndex) => {
+                const ref = `${columnName(columnIndex)}${rowIndex + 1}`;
+                if (value === null || value === undefined || value === '') return '';
+                if (typeof value === 'number' && Number.isFinite(value)) {
+                    return `<c r="${ref}"${style}><v>${value}</v></c>`;
+                }
+                return `<c r="${ref}" t="inlineStr"${style}><is><t xml:space="preserve">${this.escapeXml(String(value))}</t></is></c>`;
+            }).join('');
+            return `<row r="${rowIndex + 1}">${cells}</row>`;
+        }).join('');
+
+        return '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>' +
+            `<worksheet xmlns="http://schemas.openxmlformats.org/spreadsheetml/2006/main"><sheetData>${body}</sheetData></worksheet>`;
+    }
+
+    escapeXml(text) {
+        return text
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '');
+    }
+
+    // Stored (uncompressed) ZIP archive: local headers, data, central directory, end record
+    zip(files) {
+        const encoder = new TextEncoder();
+        const localParts = [];
+        const centralParts = [];
+        let offset = 0;
+
+        files.forEach(file => {
+            const name = encoder.encode(file.path);
+            const data = encoder.encode(file.content);
+            let crc = 0xFFFFFFFF;
+            data.forEach(byte => {
+                crc = CRC32_TABLE[(crc ^ byte) & 0xFF] ^ (crc >>> 8);
+            });
+            crc = (crc ^ 0xFFFFFFFF) >>> 0;
+
+            const local = new DataView(new ArrayBuffer(30));
+            local.setUint32(0, 0x04034B50, true);
+            local.setUint16(4, 20, true); // Version needed
+            local.setUint16(8, 0, true); // Stored
+            local.setUint16(12, 0x21, true); // 1980-01-01
+            local.setUint32(14, crc, true);
+            local.setUint32(18, data.length, true);
+            local.setUint32(22, data.length, true);
+            local.setUint16(26, name.length, true);
+            localParts.push(new Uint8Array(local.buffer), name, data);
+
+            const central = new DataView(new ArrayBuffer(46));
+            central.setUint32(0, 0x02014B50, true);
+            central.setUint16(4, 20, true); // Version made by
+            central.setUint16(6, 20, true); // Version needed
+            central.setUint16(14, 0x21, true);
+            central.setUint32(16, crc, true);
+            central.setUint32(20, data.length, true);
+            central.setUint32(24, data.length, true);
+            central.setUint16(28, name.length, true);
+            central.setUint32(42, offset, true);
+            centralParts.push(new Uint8Array(central.buffer), name);
+
+            offset += 30 + name.length + data.length;
+        });
+
+        const centralSize = centralParts.reduce((sum, part) => sum + part.length, 0);
+        const end = new DataView(new ArrayBuffer(22));
+        end.setUint32(0, 0x06054B50, true);
+        end.setUint16(8, files.length, true);
+        end.setUint16(10, files.length, true);
+        end.setUint32(12, centralSize, true);
+        end.setUint32(16, offset, true);
+
+        const parts = [...localParts, ...centralParts, new Uint8Array(end.buffer)];
+        const output = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+        let position = 0;
+        parts.forEach(part => {
+            output.set(part, position);
+            position += part.length;
+        });
+        return output;
+    }
+}
+
+class FinanceTracker {
+    constructor() {
+        this.data = this.createEmptyData();
         this.currentSnapshotId = null;
+        this.storageLocked = false; // Set when stored data is from a newer schema version
+        this.storage = null; // Active storage backend, chosen in loadData()
+        this.saveQueue = Promise.resolve(); // Serialises asynchronous writes
+        this.lastQuotaCheck = 0;
+        this.formatter = new DisplayFormatter(this.loadDisplayPreferences()); // Shared number/date formatting
+
+        // Undo/redo history - in-memory copies of this.data taken before each mutation
+        this.undoStack = [];
+        this.redoStack = [];
+        this.historySuspended = false; // Set while a bulk operation records a single entry
+        this.historyActions = []; // Undo/Redo buttons on open toasts, hidden once stale
         this.editingItems = new Map(); // Track editing state for each category
 
         // New sorting state
@@ -18,6 +819,41 @@ class FinanceTracker {
         // Chart creation state
         this.chartCreationInProgress = false;
 
+        // Trends view: snapshots left out of the charts and the ratio being plotted
+        this.trendsExcluded = new Set();
+        this.trendsRatio = 'savings';
+
+        // Debt payoff planner: extra monthly payment (null = the snapshot's surplus) and
+        // the liability ids of the custom ordering
+        this.payoffExtra = null;
+        this.payoffCustomOrder = [];
+
+        // Goal open in the goal dialog (null = adding a new one)
+        this.editingGoalId = null;
+
+        // Budgets being edited: { categories: { value: amount }, items: [{ name, amount }] }
+        this.budgetDraft = null;
+
+        // What-if scenario layered on the current snapshot: { id (saved scenario or null), name, overrides }.
+        // Never written into the snapshot; null when scenario mode is off
+        this.scenario = null;
+
+        // Snapshot comparison: { beforeId, afterId } while the compare dialog is in use
+        this.compareSelection = null;
+
+        // CSV import wizard state while its dialog is open
+        this.csvImportDraft = null;
+
+        // OFX/QFX/QIF statement being imported: { fileName, format, accounts, flows, months, ... }
+        this.statementImportDraft = null;
+
+        // JSON import under review or awaiting a replace or merge decision:
+        // { fileName, raw, issues, fixes, stage: 'review'|'apply', data, mode, plan }
+        this.importDraft = null;
+
+        // Snapshot the net worth waterfall explains the current one against (null = previous by date)
+        this.attributionBaseId = null;
+
         // Edit mode state tracking
         this.editModeStates = {
             assets: false,
@@ -35,13 +871,15 @@ class FinanceTracker {
                     name: '',
                     amount: '',
                     category: '',
-                    liquidity: ''
+                    liquidity: '',
+                    gain: ''
                 },
                 columnWidths: {
-                    name: '28%',
-                    amount: '22%',
-                    category: '28%',
-                    liquidity: '22%'
+                    name: '24%',
+                    amount: '20%',
+                    category: '20%',
+                    liquidity: '16%',
+                    gain: '20%'
                 }
             },
             liabilities: {
@@ -50,13 +888,15 @@ class FinanceTracker {
                 filters: {
                     name: '',
                     amount: '',
-                    term: ''
+                    term: '',
+                    apr: ''
                 },
                 columnWidths: {
-                    name: '28%',
-                    amount: '22%',
-                    term: '25%',
-                    actions: '25%'
+                    name: '25%',
+                    amount: '20%',
+                    term: '20%',
+                    apr: '25%',
+                    actions: '10%'
                 }
             },
             incomes: {
@@ -65,13 +905,15 @@ class FinanceTracker {
                 filters: {
                     name: '',
                     amount: '',
+                    monthly: '',
                     category: ''
                 },
                 columnWidths: {
                     name: '25%',
                     amount: '20%',
-                    category: '30%',
-                    actions: '25%'
+                    monthly: '15%',
+                    category: '20%',
+                    actions: '20%'
                 }
             },
             expenses: {
@@ -80,53 +922,318 @@ class FinanceTracker {
                 filters: {
                     name: '',
                     amount: '',
+                    monthly: '',
                     category: ''
                 },
                 columnWidths: {
-                    name: '30%',
+                    name: '25%',
                     amount: '20%',
-                    category: '25%',
-                    actions: '25%'
+                    monthly: '15%',
+                    category: '20%',
+                    actions: '20%'
                 }
             }
         };
         
-        this.init();
+        this.init().catch(error => {
+            console.error('Error initialising app:', error);
+            this.showMessage('Failed to start the app: ' + error.message, 'error');
+        });
     }
 
-    init() {
-        this.loadData();
+    async init() {
+        await this.loadData();
         this.checkShowWelcomeScreen();
         this.bindEventListeners();
+        this.populateFrequencySelects();
         this.ensureAtLeastOneSnapshot(); // Only call if there are snapshots already
         this.updateUI();
         this.initChatbot(); // Initialize AI chatbot
+        this.checkStorageQuota(true);
     }
 
     // Data Management
-    loadData() {
-        const savedData = localStorage.getItem('financeData');
+    async loadData() {
+        this.storage = await this.createStorageBackend();
+
+        let savedData = null;
+        try {
+            savedData = await this.storage.load();
+        } catch (e) {
+            console.error('Error reading saved data:', e);
+        }
+
+        // One-off move of the legacy localStorage blob into IndexedDB
+        if (!savedData && this.storage.name === 'indexedDB') {
+            savedData = await this.migrateFromLocalStorage();
+        }
+
         if (savedData) {
             try {
-                this.data = JSON.parse(savedData);
+                const fromVersion = this.getSchemaVersion(savedData);
+                this.data = this.migrateData(savedData);
+
+                // Persist the upgraded shape so migrations only run once
+                if (fromVersion < DATA_SCHEMA_VERSION) {
+                    this.saveData();
+                }
             } catch (e) {
-                console.error('Error parsing saved data:', e);
-                this.data = { snapshots: [] };
+                console.error('Error loading saved data:', e);
+                this.data = this.createEmptyData();
+
+                // Never overwrite data written by a newer version of the app
+                if (e.name === 'SchemaVersionError') {
+                    this.storageLocked = true;
+                    this.showMessage(e.message, 'error');
+                }
             }
         }
     }
 
     saveData() {
-        localStorage.setItem('financeData', JSON.stringify(this.data));
+        if (this.storageLocked) {
+            console.warn('Saved data comes from a newer app version - not overwriting it');
+            return;
+        }
+        this.data.schemaVersion = DATA_SCHEMA_VERSION;
+
+        // Detach a copy now so later in-memory edits can't leak into this write
+        const data = JSON.parse(JSON.stringify(this.data));
+        const storage = this.storage || new LocalStorageBackend();
+
+        this.saveQueue = this.saveQueue
+            .then(() => storage.save(data))
+            .then(() => this.checkStorageQuota())
+            .catch(error => this.handleSaveError(error));
+        return this.saveQueue;
+    }
+
+    // Storage Backend Management
+    async createStorageBackend() {
+        if (IndexedDBBackend.isSupported()) {
+            const backend = new IndexedDBBackend();
+            try {
+                await backend.open();
+                return backend;
+            } catch (e) {
+                // Private browsing modes may refuse IndexedDB - fall back quietly
+                console.warn('IndexedDB unavailable, falling back to localStorage:', e);
+            }
+        }
+        return new LocalStorageBackend();
+    }
+
+    async migrateFromLocalStorage() {
+        const legacy = new LocalStorageBackend();
+        let legacyData = null;
+        try {
+            legacyData = await legacy.load();
+        } catch (e) {
+            console.error('Error parsing legacy localStorage data:', e);
+            return null;
+        }
+        if (!legacyData) return null;
+
+        try {
+            await this.storage.save(legacyData);
+            localStorage.removeItem(legacy.key);
+            console.log('Moved saved data from localStorage to IndexedDB');
+        } catch (e) {
+            // Keep the legacy copy so nothing is lost; retry on the next load
+            console.error('Error moving data to IndexedDB:', e);
+        }
+        return legacyData;
+    }
+
+    isQuotaExceededError(error) {
+        return !!error && (
+            error.name === 'QuotaExceededError' ||
+            error.name === 'NS_ERROR_DOM_QUOTA_REACHED' ||
+            error.code === 22
+        );
+    }
+
+    handleSaveError(error) {
+        console.error('Error saving data:', error);
+        if (this.isQuotaExceededError(error)) {
+            this.showStorageWarning('Browser storage is full. Your latest changes were not saved - export your data and delete old snapshots to free up space.');
+            this.showMessage('Storage full - changes could not be saved. Export your data to keep it safe.', 'error');
+        } else {
+            this.showMessage('Failed to save data: ' + error.message, 'error');
+        }
+    }
+
+    // Warn before storage runs out; estimates are cheap but not free, so throttle them
+    async checkStorageQuota(force = false) {
+        const now = Date.now();
+        if (!this.storage || (!force && now - this.lastQuotaCheck < 30000)) return;
+        this.lastQuotaCheck = now;
+
+        try {
+            const { usage, quota } = await this.storage.estimate();
+            if (!quota) return;
+
+            const ratio = usage / quota;
+            if (ratio >= STORAGE_WARNING_THRESHOLD) {
+                const percent = Math.round(ratio * 100);
+                this.showStorageWarning(`Browser storage is ${percent}% full. Export your data and delete snapshots you no longer need before it runs out.`);
+            } else {
+                this.hideStorageWarning();
+            }
+        } catch (e) {
+            console.warn('Could not estimate storage usage:', e);
+        }
+    }
+
+    showStorageWarning(text) {
+        const warning = document.getElementById('storageWarning');
+        if (!warning) return;
+        warning.querySelector('p').textContent = '⚠️ ' + text;
+        warning.style.display = 'block';
+    }
+
+    hideStorageWarning() {
+        const warning = document.getElementById('storageWarning');
+        if (warning) {
+            warning.style.display = 'none';
+        }
+    }
+
+    createEmptyData() {
+        return {
+            schemaVersion: DATA_SCHEMA_VERSION,
+            settings: { baseCurrency: DEFAULT_BASE_CURRENCY },
+            categories: this.createDefaultCategoryRegistry(),
+            goals: [],
+            scenarios: [],
+            snapshots: []
+        };
+    }
+
+    // Schema Versioning & Migrations
+    getSchemaVersion(data) {
+        const version = data && data.schemaVersion;
+        return Number.isInteger(version) && version >= 0 ? version : 0;
+    }
+
+    // Reject payloads written by a newer app version with a clear message
+    assertSupportedSchemaVersion(data) {
+        const version = this.getSchemaVersion(data);
+        if (version > DATA_SCHEMA_VERSION) {
+            const error = new Error(
+                `This data was saved by a newer version of the app (schema v${version}, ` +
+                `this app supports up to v${DATA_SCHEMA_VERSION}). Please update the app to load it.`
+            );
+            error.name = 'SchemaVersionError';
+            throw error;
+        }
+    }
+
+    // Upgrade a stored or imported payload step by step to the current schema
+    migrateData(data) {
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            throw new Error('Invalid data structure');
+        }
+
+        this.assertSupportedSchemaVersion(data);
+
+        const fromVersion = this.getSchemaVersion(data);
+        let migrated = data;
+        DATA_MIGRATIONS
+            .filter(step => step.version > fromVersion)
+            .forEach(step => {
+                migrated = step.migrate(migrated, this);
+                migrated.schemaVersion = step.version;
+            });
+
+        migrated.schemaVersion = DATA_SCHEMA_VERSION;
+        return migrated;
+    }
+
+    // Backfill missing item ids and replace duplicates within a snapshot section.
+    // The same id may appear in different snapshots - that is how an item is
+    // followed from one period to the next.
+    ensureItemIds(data) {
+        (data.snapshots || []).forEach(snapshot => {
+            ['assets', 'liabilities', 'incomes', 'expenses'].forEach(cat => {
+                const seen = new Set();
+                (snapshot.data[cat] || []).forEach(item => {
+                    if (!item.id || typeof item.id !== 'string' || seen.has(item.id)) {
+                        item.id = this.generateId();
+                    }
+                    seen.add(item.id);
+                });
+            });
+        });
+        return data;
+    }
+
+    createDefaultCategoryRegistry() {
+        const registry = {};
+        Object.entries(DEFAULT_CATEGORY_REGISTRY).forEach(([group, entries]) => {
+            registry[group] = entries.map(entry => ({
+                description: '',
+                examples: [],
+                ...JSON.parse(JSON.stringify(entry)),
+                builtIn: true
+            }));
+        });
+        return registry;
+    }
+
+    // Make sure data.categories has every group and built-in entry, and that
+    // any value used by an item (e.g. from an older or hand-edited file) is
+    // registered so it shows up in selects, filters and charts.
+    ensureCategoryRegistry(data) {
+        const defaults = this.createDefaultCategoryRegistry();
+        const registry = data.categories && typeof data.categories === 'object' ? data.categories : {};
+
+        Object.keys(defaults).forEach(group => {
+            if (!Array.isArray(registry[group])) {
+                registry[group] = defaults[group];
+                return;
+            }
+            registry[group] = registry[group].filter(entry => entry && typeof entry.value === 'string' && entry.value);
+            defaults[group].forEach(builtIn => {
+                if (!registry[group].some(entry => entry.value === builtIn.value)) {
+                    registry[group].push(builtIn);
+                }
+            });
+        });
+
+        (data.snapshots || []).forEach(snapshot => {
+            Object.entries(CATEGORY_REGISTRY_FIELDS).forEach(([group, { section, field }]) => {
+                (snapshot.data[section] || []).forEach(item => {
+                    const value = item[field];
+                    if (!value || registry[group].some(entry => entry.value === value)) return;
+                    registry[group].push({
+                        value,
+                        label: value,
+                        color: CATEGORY_COLOR_PALETTE[registry[group].length % CATEGORY_COLOR_PALETTE.length],
+                        description: '',
+                        examples: [],
+                        builtIn: false
+                    });
+                });
+            });
+        });
+
+        data.categories = registry;
+        return data;
     }
 
     clearData() {
-        this.data = { snapshots: [] };
+        this.data = this.createEmptyData();
         this.currentSnapshotId = null;
         this.searchTerm = '';
+        this.storageLocked = false; // An explicit clear may replace newer-version data
+        this.undoStack = []; // Cleared data should not be recoverable from memory
+        this.redoStack = [];
+        this.refreshHistoryActions();
         this.saveData();
 
         // Update UI without auto-creating snapshots
+        this.populateCategorySelects(); // Custom categories were cleared with the data
         this.updateSnapshotList();
         this.updateSnapshotNotification(); // Show notification when all data is cleared
         this.updateSummary();
@@ -185,42 +1292,392 @@ class FinanceTracker {
         }
     }
 
-    // Utility Functions
-    generateId() {
-        return Date.now().toString(36) + Math.random().toString(36).substr(2);
+    // Undo/Redo History
+    captureHistoryState() {
+        return {
+            data: JSON.stringify(this.data),
+            currentSnapshotId: this.currentSnapshotId
+        };
     }
 
-    formatCurrency(amount) {
-        return new Intl.NumberFormat('en-US', {
-            style: 'currency',
-            currency: 'USD'
-        }).format(amount);
+    // Record the state before a mutation; pass a previously captured state for bulk operations
+    recordHistory(label, state = null) {
+        if (this.historySuspended) return;
+
+        this.undoStack.push({ label, ...(state || this.captureHistoryState()) });
+        if (this.undoStack.length > MAX_HISTORY_ENTRIES) {
+            this.undoStack.shift();
+        }
+        this.redoStack = [];
+        this.refreshHistoryActions();
     }
 
-    validateNumber(value) {
-        const num = parseFloat(value);
-        return !isNaN(num) && num >= 0 ? num : 0;
+    restoreHistoryState(state) {
+        this.data = JSON.parse(state.data);
+        this.currentSnapshotId = this.data.snapshots.some(s => s.id === state.currentSnapshotId)
+            ? state.currentSnapshotId
+            : (this.data.snapshots[0]?.id || null);
+        this.editingItems.clear();
+        this.saveData();
+        this.updateUI();
+        this.updateChatbotSnapshotInfo();
+        this.refreshHistoryActions();
     }
 
-    formatDate(isoString) {
-        try {
-            const date = new Date(isoString);
-            return date.toLocaleDateString('en-US', {
-                year: 'numeric',
-                month: 'short',
-                day: 'numeric',
-                hour: '2-digit',
-                minute: '2-digit'
-            });
-        } catch (e) {
-            return 'Invalid date';
+    undo() {
+        const entry = this.undoStack.pop();
+        if (!entry) {
+            this.showMessage('Nothing to undo', 'info');
+            return;
         }
+
+        this.redoStack.push({ label: entry.label, ...this.captureHistoryState() });
+        this.restoreHistoryState(entry);
+        this.showMessage(`Undone: ${entry.label}`, 'info', this.createHistoryAction('Redo', 'redoStack', () => this.redo()));
     }
 
-    // Check if user has an active snapshot
-    hasActiveSnapshot() {
-        return this.currentSnapshotId !== null && 
-               this.data.snapshots.length > 0 && 
+    redo() {
+        const entry = this.redoStack.pop();
+        if (!entry) {
+            this.showMessage('Nothing to redo', 'info');
+            return;
+        }
+
+        this.undoStack.push({ label: entry.label, ...this.captureHistoryState() });
+        this.restoreHistoryState(entry);
+        this.showMessage(`Redone: ${entry.label}`, 'info', this.createHistoryAction('Undo', 'undoStack', () => this.undo()));
+    }
+
+    // Success toast with an inline Undo action for reversible changes
+    showUndoableMessage(text) {
+        this.showMessage(text, 'success', this.createHistoryAction('Undo', 'undoStack', () => this.undo()));
+    }
+
+    // Toast action tied to the entry currently on top of `stackName`; it only runs (and
+    // is only shown) while that entry is still the next one to undo or redo
+    createHistoryAction(label, stackName, run) {
+        const stack = this[stackName];
+        const entry = stack[stack.length - 1];
+        const isCurrent = () => {
+            const current = this[stackName];
+            return Boolean(entry) && current[current.length - 1] === entry;
+        };
+        return { label, onClick: () => { if (isCurrent()) run(); }, isAvailable: isCurrent };
+    }
+
+    refreshHistoryActions() {
+        this.historyActions = this.historyActions.filter(({ button }) => button.isConnected);
+        this.historyActions.forEach(({ button, isAvailable }) => {
+            button.style.display = isAvailable() ? '' : 'none';
+        });
+    }
+
+    // Ctrl+Z / Ctrl+Shift+Z (Cmd on macOS); Ctrl+Y also redoes
+    handleHistoryShortcut(e) {
+        if (!(e.ctrlKey || e.metaKey) || e.altKey) return;
+
+        // Leave native text undo alone while typing in a field
+        const target = e.target;
+        if (target && (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName))) {
+            return;
+        }
+
+        const key = e.key.toLowerCase();
+        if (key === 'z' && !e.shiftKey) {
+            e.preventDefault();
+            this.undo();
+        } else if ((key === 'z' && e.shiftKey) || key === 'y') {
+            e.preventDefault();
+            this.redo();
+        }
+    }
+
+    // Utility Functions
+    generateId() {
+        return Date.now().toString(36) + Math.random().toString(36).substr(2);
+    }
+
+    formatCurrency(amount, currency = this.getBaseCurrency()) {
+        return this.formatter.formatCurrency(amount, currency);
+    }
+
+    validateNumber(value) {
+        const num = parseFloat(value);
+        return !isNaN(num) && num >= 0 ? num : 0;
+    }
+
+    // Optional numeric fields: blank or invalid input means "not recorded" rather than 0
+    parseOptionalNumber(value) {
+        if (value === null || value === undefined || value === '') return null;
+        const num = parseFloat(value);
+        return !isNaN(num) && num >= 0 ? num : null;
+    }
+
+    formatDate(isoString, includeTime = true) {
+        return this.formatter.formatDate(isoString, includeTime);
+    }
+
+    // Currency & FX Conversion
+    // Each item keeps its own currency; totals, ratios and charts convert into the
+    // base currency using the snapshot's fxRates table ({ base, rates }), where
+    // rates[CODE] is how many units of `base` one unit of CODE is worth.
+    getBaseCurrency() {
+        return (this.data.settings && this.data.settings.baseCurrency) || DEFAULT_BASE_CURRENCY;
+    }
+
+    getItemCurrency(item) {
+        return item.currency || this.getBaseCurrency();
+    }
+
+    // Upper-cased three-letter code, or null when the input is not a plausible ISO code
+    normalizeCurrencyCode(code) {
+        const normalized = String(code || '').trim().toUpperCase();
+        return /^[A-Z]{3}$/.test(normalized) ? normalized : null;
+    }
+
+    // Units of base currency per unit of `currency` in this snapshot, or null if unknown.
+    // Tables stored against an older base currency are cross-converted.
+    getFxRate(snapshot, currency) {
+        const base = this.getBaseCurrency();
+        if (currency === base) return 1;
+
+        const table = snapshot && snapshot.fxRates;
+        if (!table || !table.rates) return null;
+
+        const toTableBase = code => {
+            if (code === table.base) return 1;
+            const rate = table.rates[code];
+            return typeof rate === 'number' && rate > 0 ? rate : null;
+        };
+        const from = toTableBase(currency);
+        const to = toTableBase(base);
+        return from && to ? from / to : null;
+    }
+
+    // Item amount in base currency, or null when the snapshot has no rate for it
+    getBaseAmount(item, snapshot) {
+        const rate = this.getFxRate(snapshot, this.getItemCurrency(item));
+        return rate === null ? null : item.amount * rate;
+    }
+
+    // Sum in base currency; items without a rate are left out (see getMissingFxCurrencies)
+    sumBaseAmounts(items, snapshot) {
+        return items.reduce((sum, item) => sum + (this.getBaseAmount(item, snapshot) || 0), 0);
+    }
+
+    // Monthly equivalent in base currency; assets and liabilities have no frequency
+    getMonthlyAmount(item, snapshot) {
+        const baseAmount = this.getBaseAmount(item, snapshot);
+        if (baseAmount === null) return null;
+        const frequency = ITEM_FREQUENCIES[item.frequency];
+        return frequency ? baseAmount * frequency.perMonth : baseAmount;
+    }
+
+    sumMonthlyAmounts(items, snapshot) {
+        return items.reduce((sum, item) => sum + (this.getMonthlyAmount(item, snapshot) || 0), 0);
+    }
+
+    renderFrequencyOptions(selectedValue = 'monthly') {
+        return Object.entries(ITEM_FREQUENCIES).map(([value, { label }]) =>
+            `<option value="${value}" ${value === selectedValue ? 'selected' : ''}>${label}</option>`
+        ).join('');
+    }
+
+    // Currencies used by items in this snapshot
+    getSnapshotCurrencies(snapshot) {
+        const codes = new Set();
+        if (!snapshot) return [];
+        ['assets', 'liabilities', 'incomes', 'expenses'].forEach(cat => {
+            snapshot.data[cat].forEach(item => codes.add(this.getItemCurrency(item)));
+        });
+        return Array.from(codes).sort();
+    }
+
+    // Copy of the latest snapshot's rates, used to seed new snapshots
+    getLatestFxRates() {
+        const latest = [...this.data.snapshots]
+            .sort((a, b) => this.compareSnapshotsByDate(b, a))
+            .find(snapshot => snapshot.fxRates);
+        return latest
+            ? JSON.parse(JSON.stringify(latest.fxRates))
+            : { base: this.getBaseCurrency(), rates: {} };
+    }
+
+    getMissingFxCurrencies(snapshot) {
+        return this.getSnapshotCurrencies(snapshot).filter(code => this.getFxRate(snapshot, code) === null);
+    }
+
+    // Holdings & Prices
+    isHolding(item) {
+        return Boolean(item.symbol) && typeof item.quantity === 'number';
+    }
+
+    normalizeSymbol(value) {
+        const symbol = String(value || '').trim().toUpperCase();
+        return /^[A-Z0-9][A-Z0-9.:^_-]{0,19}$/.test(symbol) ? symbol : null;
+    }
+
+    getHoldingPrice(snapshot, symbol) {
+        const price = snapshot && snapshot.prices ? snapshot.prices[symbol] : undefined;
+        return typeof price === 'number' && price >= 0 ? price : null;
+    }
+
+    // Derive holding amounts from the price table. A holding whose symbol has no price
+    // yet seeds one from its entered amount, so the first entry needs no separate step.
+    syncHoldingAmounts(snapshot, items = snapshot.data.assets) {
+        items.filter(item => this.isHolding(item)).forEach(item => {
+            const price = this.getHoldingPrice(snapshot, item.symbol);
+            if (price !== null) {
+                item.amount = Math.round(item.quantity * price * 100) / 100;
+            } else if (item.amount > 0 && item.quantity > 0) {
+                snapshot.prices = snapshot.prices || {};
+                snapshot.prices[item.symbol] = item.amount / item.quantity;
+            }
+        });
+    }
+
+    // Unrealised gain/loss in the item's currency and in base currency, or null
+    // for assets that aren't holdings or have no cost basis
+    getUnrealisedGain(item, snapshot) {
+        if (!this.isHolding(item) || typeof item.costBasis !== 'number') return null;
+        const amount = item.amount - item.costBasis;
+        const rate = this.getFxRate(snapshot, this.getItemCurrency(item));
+        return {
+            amount,
+            baseAmount: rate === null ? null : amount * rate,
+            percent: item.costBasis > 0 ? (amount / item.costBasis) * 100 : null
+        };
+    }
+
+    formatUnrealisedGain(item, snapshot) {
+        const gain = this.getUnrealisedGain(item, snapshot);
+        if (!gain) return '<span class="base-amount">—</span>';
+
+        const sign = gain.amount > 0 ? '+' : '';
+        const percent = gain.percent === null ? '' : ` (${sign}${this.formatter.formatPercent(gain.percent)})`;
+        const className = gain.amount > 0 ? 'positive' : gain.amount < 0 ? 'negative' : '';
+        return `<span class="gain-value ${className}">${sign}${this.escapeHtml(this.formatCurrency(gain.amount, this.getItemCurrency(item)))}${this.escapeHtml(percent)}</span>`;
+    }
+
+    // "12.5 × VWRA @ $105.20" under the amount of a holding
+    describeHolding(item, snapshot) {
+        const price = this.getHoldingPrice(snapshot, item.symbol);
+        const priceText = price === null ? 'no price' : `@ ${this.formatCurrency(price, this.getItemCurrency(item))}`;
+        return `${this.formatter.formatNumber(item.quantity, this.getQuantityDecimals(item.quantity))} × ${item.symbol} ${priceText}`;
+    }
+
+    // Show fractional units as entered (up to 6 places) rather than the currency decimals
+    getQuantityDecimals(quantity) {
+        const fraction = String(quantity).split('.')[1] || '';
+        return Math.min(fraction.length, 6);
+    }
+
+    // Symbols held in this snapshot, with the currency their price is quoted in
+    getHoldingSymbols(snapshot) {
+        const symbols = {};
+        if (!snapshot) return symbols;
+        snapshot.data.assets.filter(item => this.isHolding(item)).forEach(item => {
+            symbols[item.symbol] = symbols[item.symbol] || this.getItemCurrency(item);
+        });
+        return symbols;
+    }
+
+    // Copy of the latest snapshot's prices, used to seed new snapshots
+    getLatestPrices() {
+        const latest = [...this.data.snapshots]
+            .sort((a, b) => this.compareSnapshotsByDate(b, a))
+            .find(snapshot => snapshot.prices && Object.keys(snapshot.prices).length > 0);
+        return latest ? { ...latest.prices } : {};
+    }
+
+    // Copy of the latest snapshot's budgets, so budgets carry forward into new snapshots
+    getLatestBudgets() {
+        const latest = [...this.data.snapshots]
+            .sort((a, b) => this.compareSnapshotsByDate(b, a))
+            .map(snapshot => this.getSnapshotBudgets(snapshot))
+            .find(budgets => Object.keys(budgets.categories).length > 0 || Object.keys(budgets.items).length > 0);
+        return latest ? JSON.parse(JSON.stringify(latest)) : { categories: {}, items: {} };
+    }
+
+    // Original amount, plus the converted value underneath for foreign-currency rows
+    formatItemAmount(item, snapshot) {
+        const currency = this.getItemCurrency(item);
+        const original = this.formatCurrency(item.amount, currency);
+        if (currency === this.getBaseCurrency()) {
+            return this.escapeHtml(original);
+        }
+
+        const baseAmount = this.getBaseAmount(item, snapshot);
+        const converted = baseAmount === null ? 'no FX rate' : `≈ ${this.formatCurrency(baseAmount)}`;
+        return `${this.escapeHtml(original)}<span class="base-amount">${this.escapeHtml(converted)}</span>`;
+    }
+
+    // Original amount with its frequency, for the income and expense tables
+    formatRecurringAmount(item, snapshot) {
+        const frequency = ITEM_FREQUENCIES[item.frequency] || ITEM_FREQUENCIES.monthly;
+        return `${this.formatItemAmount(item, snapshot)}<span class="frequency-label">${frequency.label}</span>`;
+    }
+
+    formatMonthlyAmount(item, snapshot) {
+        const monthly = this.getMonthlyAmount(item, snapshot);
+        return monthly === null ? '<span class="base-amount">no FX rate</span>' : this.escapeHtml(this.formatCurrency(monthly));
+    }
+
+    // Codes offered in currency selects: base, common, and anything already in use
+    getCurrencyOptions() {
+        const codes = new Set([this.getBaseCurrency(), ...COMMON_CURRENCIES]);
+        this.data.snapshots.forEach(snapshot => {
+            this.getSnapshotCurrencies(snapshot).forEach(code => codes.add(code));
+            Object.keys((snapshot.fxRates && snapshot.fxRates.rates) || {}).forEach(code => codes.add(code));
+        });
+        return Array.from(codes);
+    }
+
+    renderCurrencyOptions(selectedValue = this.getBaseCurrency()) {
+        const options = this.getCurrencyOptions();
+        if (selectedValue && !options.includes(selectedValue)) {
+            options.push(selectedValue);
+        }
+        return options.map(code =>
+            `<option value="${this.escapeHtml(code)}" ${code === selectedValue ? 'selected' : ''}>${this.escapeHtml(code)}</option>`
+        ).join('');
+    }
+
+    // Refresh the add-item currency selects; the base currency is the form reset default
+    populateCurrencySelects() {
+        ['assetCurrency', 'liabilityCurrency', 'incomeCurrency', 'expenseCurrency'].forEach(selectId => {
+            const select = document.getElementById(selectId);
+            if (!select) return;
+            const currentValue = select.value;
+            select.innerHTML = this.renderCurrencyOptions();
+            if (currentValue && this.getCurrencyOptions().includes(currentValue)) {
+                select.value = currentValue;
+            }
+        });
+    }
+
+    updateAssetAmountRequirement() {
+        const amountInput = document.getElementById('assetAmount');
+        const symbol = this.normalizeSymbol(document.getElementById('assetSymbol').value);
+        const hasQuantity = document.getElementById('assetQuantity').value !== '';
+        const priced = Boolean(symbol) && hasQuantity && this.getHoldingPrice(this.getCurrentSnapshot(), symbol) !== null;
+
+        amountInput.required = !priced;
+        amountInput.placeholder = priced ? 'Amount (quantity × price)' : 'Amount';
+    }
+
+    // Frequencies are fixed, so the form selects only need filling once
+    populateFrequencySelects() {
+        ['incomeFrequency', 'expenseFrequency'].forEach(selectId => {
+            const select = document.getElementById(selectId);
+            if (select) select.innerHTML = this.renderFrequencyOptions();
+        });
+    }
+
+    // Check if user has an active snapshot
+    hasActiveSnapshot() {
+        return this.currentSnapshotId !== null && 
+               this.data.snapshots.length > 0 && 
                this.data.snapshots.some(s => s.id === this.currentSnapshotId);
     }
 
@@ -280,91 +1737,123 @@ class FinanceTracker {
         });
     }
 
+    // Category Registry
+    // Categories, liquidity levels and liability terms live in this.data.categories
+    // so households can add their own buckets. Each group is an ordered array of
+    // { value, label, shortLabel, color, description, examples, builtIn } entries.
+    getCategoryRegistry() {
+        if (!this.data.categories) {
+            this.data.categories = this.createDefaultCategoryRegistry();
+        }
+        return this.data.categories;
+    }
+
+    getCategoryEntries(group) {
+        return this.getCategoryRegistry()[group] || [];
+    }
+
+    getCategoryEntry(group, value) {
+        return this.getCategoryEntries(group).find(entry => entry.value === value) || null;
+    }
+
+    getCategoryLabel(group, value) {
+        const entry = this.getCategoryEntry(group, value);
+        return entry ? entry.label : value;
+    }
+
+    // Shorter label used in chart legends where space is tight
+    getCategoryShortLabel(group, value) {
+        const entry = this.getCategoryEntry(group, value);
+        return entry ? (entry.shortLabel || entry.label) : value;
+    }
+
+    getCategoryColor(group, value) {
+        const entry = this.getCategoryEntry(group, value);
+        return entry && entry.color ? entry.color : '#6c757d';
+    }
+
+    // Registry group holding the allowed values for a table column
+    getRegistryGroupForColumn(category, column) {
+        const match = Object.entries(CATEGORY_REGISTRY_FIELDS)
+            .find(([, { section, field }]) => section === category && field === column);
+        return match ? match[0] : null;
+    }
+
+    // <option> markup for a registry group, keeping unknown saved values selectable
+    renderCategoryOptions(group, selectedValue = '', placeholder = '') {
+        const entries = this.getCategoryEntries(group);
+        let html = placeholder ? `<option value="">${this.escapeHtml(placeholder)}</option>` : '';
+
+        entries.forEach(entry => {
+            html += `<option value="${this.escapeHtml(entry.value)}" ${entry.value === selectedValue ? 'selected' : ''}>${this.escapeHtml(entry.label)}</option>`;
+        });
+
+        if (selectedValue && !entries.some(entry => entry.value === selectedValue)) {
+            html += `<option value="${this.escapeHtml(selectedValue)}" selected>${this.escapeHtml(selectedValue)}</option>`;
+        }
+        return html;
+    }
+
+    // Refresh the add-item form selects from the registry, preserving the current choice
+    populateCategorySelects() {
+        const selects = {
+            assetCategory: ['assets', 'Select Category'],
+            assetLiquidity: ['liquidity', 'Select Liquidity'],
+            liabilityTerm: ['liabilities', 'Select Term'],
+            incomeCategory: ['incomes', 'Select Category'],
+            expenseCategory: ['expenses', 'Select Category']
+        };
+
+        Object.entries(selects).forEach(([selectId, [group, placeholder]]) => {
+            const select = document.getElementById(selectId);
+            if (!select) return;
+            const currentValue = select.value;
+            select.innerHTML = this.renderCategoryOptions(group, '', placeholder);
+            if (this.getCategoryEntry(group, currentValue)) {
+                select.value = currentValue;
+            }
+        });
+    }
+
+    // Shared markup for the examples/description panels below each form
+    renderCategoryGuide(group, value, descriptionClass = 'category-description') {
+        const entry = this.getCategoryEntry(group, value);
+        if (!entry) return '';
+
+        let html = '';
+        if (entry.description) {
+            html += `<p class="${descriptionClass}">${this.escapeHtml(entry.label)}: ${this.escapeHtml(entry.description)}</p>`;
+        }
+
+        if (entry.examples && entry.examples.length > 0) {
+            html += '<h5>Examples:</h5>';
+            html += '<ul class="examples-list">';
+            entry.examples.forEach(example => {
+                html += `<li>${this.escapeHtml(example)}</li>`;
+            });
+            html += '</ul>';
+        }
+        return html;
+    }
+
     // Asset Category Examples & Liquidity Guide
     getAssetCategoryExamples(category) {
-        const examples = {
-            'cash': [
-                'Cash',
-                'Savings account',
-                'Checking account',
-                'Money Market Funds',
-                'e-Wallets'
-            ],
-            'investments': [
-                'Stocks',
-                'ETFs / Mutual Funds',
-                'Bonds',
-                'Crypto',
-                'Robo-advisor portfolios'
-            ],
-            'retirement': [
-                'CPF / 401k / IRA / EPF',
-                'Pension accounts'
-            ],
-            'property': [
-                'Home / Real estate',
-                'Investment property'
-            ],
-            'vehicles': [
-                'Car',
-                'Motorcycle'
-            ],
-            'insurance': [
-                'Whole life cash value',
-                'Endowment value'
-            ],
-            'other': [
-                'Collectibles',
-                'Deposits',
-                'Business equity'
-            ]
-        };
-        return examples[category] || [];
+        const entry = this.getCategoryEntry('assets', category);
+        return entry ? entry.examples || [] : [];
     }
 
     getLiquidityDisplayName(liquidityValue) {
-        const displayNames = {
-            'high': 'High',
-            'medium': 'Medium',
-            'low': 'Low'
-        };
-        return displayNames[liquidityValue] || liquidityValue;
+        return this.getCategoryLabel('liquidity', liquidityValue);
     }
 
     // Liability Term Examples & Guide
     getLiabilityTermExamples(term) {
-        const examples = {
-            'short-term': [
-                'Credit card balances',
-                'Personal loans (high monthly payments)',
-                'Overdrafts',
-                'PayLater or BNPL installments',
-                'Outstanding bills (utilities, medical)'
-            ],
-            'medium-term': [
-                'Student loans (under 5 years repayment)',
-                'Personal loans with fixed terms (2-5 years)',
-                'Small business loans (up to 5 years)'
-            ],
-            'long-term': [
-                'Car loans',
-                'Mortgage / housing loan',
-                'Long-term business loan (>5 years)',
-                'Education loan (>5 years remaining)',
-                'Property investment loan',
-                'Life insurance policy loans'
-            ]
-        };
-        return examples[term] || [];
+        const entry = this.getCategoryEntry('liabilities', term);
+        return entry ? entry.examples || [] : [];
     }
 
     getLiabilityTermDisplayName(termValue) {
-        const displayNames = {
-            'short-term': 'Short-Term',
-            'medium-term': 'Medium-Term',
-            'long-term': 'Long-Term'
-        };
-        return displayNames[termValue] || termValue;
+        return this.getCategoryLabel('liabilities', termValue);
     }
 
     updateLiabilityTermExamples() {
@@ -377,24 +1866,7 @@ class FinanceTracker {
             return;
         }
 
-        const examples = this.getLiabilityTermExamples(selectedTerm);
-
-        // Term descriptions
-        const descriptions = {
-            'short-term': 'Short-Term: Debts that must be paid within a year or require regular, immediate payments.',
-            'medium-term': 'Medium-Term: Debts with a 1–5 year repayment horizon or predictable monthly payments.',
-            'long-term': 'Long-Term: Debts repaid over more than 5 years and usually tied to long-term assets.'
-        };
-
-        let html = `<p class="term-description">${descriptions[selectedTerm]}</p>`;
-
-        html += '<ul class="examples-list">';
-        examples.forEach(example => {
-            html += `<li>${example}</li>`;
-        });
-        html += '</ul>';
-
-        examplesContainer.innerHTML = html;
+        examplesContainer.innerHTML = this.renderCategoryGuide('liabilities', selectedTerm, 'term-description');
     }
 
     updateAssetCategoryExamples() {
@@ -410,22 +1882,24 @@ class FinanceTracker {
         const examples = this.getAssetCategoryExamples(selectedCategory);
         const categoryClass = `category-${selectedCategory}`;
         
-        let html = `<div class="${categoryClass}">`;
+        let html = `<div class="${this.escapeHtml(categoryClass)}">`;
         
         // Add category examples
-        html += '<h5>Category Examples:</h5>';
-        html += '<ul class="examples-list">';
-        examples.forEach(example => {
-            html += `<li>${example}</li>`;
-        });
-        html += '</ul>';
+        if (examples.length > 0) {
+            html += '<h5>Category Examples:</h5>';
+            html += '<ul class="examples-list">';
+            examples.forEach(example => {
+                html += `<li>${this.escapeHtml(example)}</li>`;
+            });
+            html += '</ul>';
+        }
         
         // Add liquidity guide
         html += '<h5>Liquidity Guide:</h5>';
         html += '<ul class="examples-list">';
-        html += '<li><strong>High:</strong> Easily converted to cash (immediate)</li>';
-        html += '<li><strong>Medium:</strong> Can be sold but takes time or penalties</li>';
-        html += '<li><strong>Low:</strong> Hard to sell quickly; may take weeks/months/years</li>';
+        this.getCategoryEntries('liquidity').forEach(level => {
+            html += `<li><strong>${this.escapeHtml(level.label)}:</strong> ${this.escapeHtml(level.description || '')}</li>`;
+        });
         html += '</ul>';
         
         html += '</div>';
@@ -435,42 +1909,12 @@ class FinanceTracker {
 
     // Income Category Examples & Guide
     getIncomeCategoryExamples(category) {
-        const examples = {
-            'employment': [
-                'Salary',
-                'Bonuses',
-                'Allowances',
-                'Overtime pay'
-            ],
-            'business': [
-                'Freelance projects',
-                'Side gigs',
-                'Business profit share',
-                'Consulting fees'
-            ],
-            'passive': [
-                'Rental income',
-                'Dividend payments',
-                'Interest from savings',
-                'Royalties'
-            ],
-            'other': [
-                'Allowance from parents',
-                'Tax refunds',
-                'Insurance payouts'
-            ]
-        };
-        return examples[category] || [];
+        const entry = this.getCategoryEntry('incomes', category);
+        return entry ? entry.examples || [] : [];
     }
 
     getIncomeCategoryDisplayName(categoryValue) {
-        const displayNames = {
-            'employment': 'Employment Income',
-            'business': 'Business / Self-Employment Income',
-            'passive': 'Passive Income',
-            'other': 'Other Income'
-        };
-        return displayNames[categoryValue] || categoryValue;
+        return this.getCategoryLabel('incomes', categoryValue);
     }
 
     // Update income category examples based on selected category
@@ -484,73 +1928,17 @@ class FinanceTracker {
             return;
         }
 
-        const examples = this.getIncomeCategoryExamples(selectedCategory);
-
-        // Category descriptions
-        const descriptions = {
-            'employment': 'Employment Income: Regular income from your job or profession.',
-            'business': 'Business Income: Earnings from self-employment, side businesses, or freelance work.',
-            'passive': 'Passive Income: Money earned with little effort (investments, rentals, etc.).',
-            'other': 'Other Income: One-time payments, gifts, or miscellaneous earnings.'
-        };
-
-        let html = `<p class="category-description">${descriptions[selectedCategory]}</p>`;
-
-        if (examples.length > 0) {
-            html += '<h5>Examples:</h5>';
-            html += '<ul class="examples-list">';
-            examples.forEach(example => {
-                html += `<li>${example}</li>`;
-            });
-            html += '</ul>';
-        }
-
-        examplesContainer.innerHTML = html;
+        examplesContainer.innerHTML = this.renderCategoryGuide('incomes', selectedCategory);
     }
 
     // Expense Category Examples & Guide
     getExpenseCategoryExamples(category) {
-        const examples = {
-            'essential': [
-                'Rent/Mortgage',
-                'Utilities (electricity, water, gas)',
-                'Insurance (health, home, car)',
-                'Groceries',
-                'Transportation (bus, train, car maintenance)'
-            ],
-            'variable': [
-                'Food delivery/ Dining out',
-                'Streaming services',
-                'Mobile phone bill',
-                'Clothing',
-                'Household supplies'
-            ],
-            'discretionary': [
-                'Entertainment (movies, concerts)',
-                'Travel/Holidays',
-                'Hobbies',
-                'Gym membership',
-                'Luxury purchases'
-            ],
-            'other': [
-                'Medical expenses',
-                'Gifts',
-                'Repair costs',
-                'Donations',
-                'Unexpected bills'
-            ]
-        };
-        return examples[category] || [];
+        const entry = this.getCategoryEntry('expenses', category);
+        return entry ? entry.examples || [] : [];
     }
 
     getExpenseCategoryDisplayName(categoryValue) {
-        const displayNames = {
-            'essential': 'Essential / Fixed',
-            'variable': 'Variable / Living',
-            'discretionary': 'Discretionary / Lifestyle',
-            'other': 'Other Expenses'
-        };
-        return displayNames[categoryValue] || categoryValue;
+        return this.getCategoryLabel('expenses', categoryValue);
     }
 
     // Update expense category examples based on selected category
@@ -564,2708 +1952,8150 @@ class FinanceTracker {
             return;
         }
 
-        const examples = this.getExpenseCategoryExamples(selectedCategory);
+        examplesContainer.innerHTML = this.renderCategoryGuide('expenses', selectedCategory);
+    }
 
-        // Category descriptions
-        const descriptions = {
-            'essential': 'Essential / Fixed: Expenses that are required to maintain basic living standards.',
-            'variable': 'Variable / Living: Everyday expenses that can fluctuate.',
-            'discretionary': 'Discretionary / Lifestyle: Optional expenses for leisure and lifestyle choices.',
-            'other': 'Other Expenses: Miscellaneous or uncommon expenses.'
-        };
+    getCategoryDisplayName(categoryValue) {
+        return this.getCategoryLabel('assets', categoryValue);
+    }
 
-        let html = `<p class="category-description">${descriptions[selectedCategory]}</p>`;
+    // Category Manager Modal
+    openCategoryManager(group = 'assets') {
+        // Edit a working copy so Cancel leaves the registry untouched
+        this.categoryDraft = JSON.parse(JSON.stringify(this.getCategoryRegistry()));
+        this.categoryManagerGroup = group;
+        document.getElementById('categoryGroupSelect').value = group;
+        this.renderCategoryManager();
+        this.openModal('categoryManagerModal');
+    }
 
-        if (examples.length > 0) {
-            html += '<h5>Examples:</h5>';
-            html += '<ul class="examples-list">';
-            examples.forEach(example => {
-                html += `<li>${example}</li>`;
-            });
-            html += '</ul>';
-        }
+    renderCategoryManager() {
+        const list = document.getElementById('categoryManagerList');
+        if (!list) return;
 
-        examplesContainer.innerHTML = html;
-    }
+        const group = this.categoryManagerGroup;
+        const entries = this.categoryDraft[group] || [];
+        const usage = this.getCategoryUsageCounts(group);
 
-    getCategoryDisplayName(categoryValue) {
-        const displayNames = {
-            'cash': 'Cash Equivalents',
-            'investments': 'Investments',
-            'retirement': 'Retirement',
-            'property': 'Property',
-            'vehicles': 'Vehicles',
-            'insurance': 'Insurance (Cash Value)',
-            'other': 'Other Assets'
-        };
-        return displayNames[categoryValue] || categoryValue;
+        list.innerHTML = entries.map((entry, index) => {
+            const used = usage[entry.value] || 0;
+            const canRemove = !entry.builtIn && used === 0;
+            const removeTitle = entry.builtIn ? 'Built-in entries can be renamed but not removed'
+                : used > 0 ? `Used by ${used} item(s) - reassign them first` : 'Remove';
+
+            return `
+                <div class="category-manager-row" data-index="${index}">
+                    <input type="color" class="category-color-input" value="${this.escapeHtml(entry.color || '#6c757d')}" data-field="color" title="Chart color">
+                    <input type="text" class="settings-input category-label-input" value="${this.escapeHtml(entry.label)}" data-field="label" maxlength="60">
+                    <span class="category-usage" title="Items using this entry across all snapshots">${used}</span>
+                    <button type="button" class="btn btn-secondary btn-small" data-action="up" ${index === 0 ? 'disabled' : ''} title="Move up">↑</button>
+                    <button type="button" class="btn btn-secondary btn-small" data-action="down" ${index === entries.length - 1 ? 'disabled' : ''} title="Move down">↓</button>
+                    <button type="button" class="btn btn-danger btn-small" data-action="remove" ${canRemove ? '' : 'disabled'} title="${removeTitle}">✕</button>
+                </div>
+            `;
+        }).join('');
     }
 
-    // Snapshot Management
-    createSnapshot() {
-        const label = prompt('Enter a name for this snapshot:', `Snapshot ${this.data.snapshots.length + 1}`);
-        if (!label) return;
+    // How many items in all snapshots use each value of a registry group
+    getCategoryUsageCounts(group) {
+        const { section, field } = CATEGORY_REGISTRY_FIELDS[group];
+        const counts = {};
 
-        const snapshot = {
-            id: this.generateId(),
-            label: label.trim(),
-            createdAt: new Date().toISOString(),
-            data: {
-                assets: [],
-                liabilities: [],
-                incomes: [],
-                expenses: []
-            }
-        };
+        this.data.snapshots.forEach(snapshot => {
+            (snapshot.data[section] || []).forEach(item => {
+                if (item[field]) {
+                    counts[item[field]] = (counts[item[field]] || 0) + 1;
+                }
+            });
+        });
+        return counts;
+    }
 
-        this.data.snapshots.push(snapshot);
-        this.currentSnapshotId = snapshot.id;
-        this.saveData();
-        this.updateUI();
-        this.showMessage('Snapshot created successfully', 'success');
+    handleCategoryManagerAction(action, index) {
+        const entries = this.categoryDraft[this.categoryManagerGroup];
+        if (action === 'up' && index > 0) {
+            [entries[index - 1], entries[index]] = [entries[index], entries[index - 1]];
+        } else if (action === 'down' && index < entries.length - 1) {
+            [entries[index + 1], entries[index]] = [entries[index], entries[index + 1]];
+        } else if (action === 'remove') {
+            entries.splice(index, 1);
+        }
+        this.renderCategoryManager();
     }
 
-    deleteSnapshot() {
-        if (!this.currentSnapshotId) {
-            this.showMessage('No snapshot selected', 'error');
+    addCategoryDraftEntry() {
+        const labelInput = document.getElementById('newCategoryLabel');
+        const colorInput = document.getElementById('newCategoryColor');
+        const label = labelInput.value.trim();
+        if (!label) {
+            this.showMessage('Enter a name for the new entry', 'error');
             return;
         }
 
-        if (this.data.snapshots.length <= 1) {
-            if (confirm('This is the only snapshot. Delete it and start fresh?')) {
-                this.data.snapshots = [];
-                this.currentSnapshotId = null;
-                this.saveData();
-                this.updateUI();
-                this.showMessage('Snapshot deleted', 'success');
-            }
+        const entries = this.categoryDraft[this.categoryManagerGroup];
+        if (entries.some(entry => entry.label.toLowerCase() === label.toLowerCase())) {
+            this.showMessage(`"${label}" already exists`, 'error');
             return;
         }
 
-        const snapshot = this.getCurrentSnapshot();
-        if (confirm(`Are you sure you want to delete "${snapshot.label}"?`)) {
-            this.data.snapshots = this.data.snapshots.filter(s => s.id !== this.currentSnapshotId);
-            this.currentSnapshotId = this.data.snapshots[0].id;
-            this.saveData();
-            this.updateUI();
-            this.showMessage('Snapshot deleted successfully', 'success');
+        // Stable value derived from the label; renames later only change the label
+        const base = label.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'custom';
+        let value = base;
+        let suffix = 2;
+        while (entries.some(entry => entry.value === value)) {
+            value = `${base}-${suffix++}`;
         }
+
+        entries.push({
+            value,
+            label,
+            color: colorInput.value,
+            description: '',
+            examples: [],
+            builtIn: false
+        });
+
+        labelInput.value = '';
+        this.renderCategoryManager();
     }
 
-    duplicateSnapshot() {
-        if (!this.currentSnapshotId) {
-            this.showMessage('No snapshot selected', 'error');
-            return;
+    saveCategoryManager() {
+        for (const group of Object.keys(this.categoryDraft)) {
+            if (this.categoryDraft[group].some(entry => !entry.label.trim())) {
+                this.showMessage('Category names cannot be empty', 'error');
+                return;
+            }
         }
 
-        const currentSnapshot = this.getCurrentSnapshot();
-        const newSnapshot = {
-            id: this.generateId(),
-            label: `${currentSnapshot.label} (Copy)`,
-            createdAt: new Date().toISOString(),
-            data: JSON.parse(JSON.stringify(currentSnapshot.data))
-        };
-
-        this.data.snapshots.push(newSnapshot);
-        this.currentSnapshotId = newSnapshot.id;
+        this.recordHistory('Edit categories');
+        this.data.categories = this.categoryDraft;
+        this.categoryDraft = null;
         this.saveData();
+        this.closeModal('categoryManagerModal');
+        this.populateCategorySelects();
         this.updateUI();
-        this.showMessage('Snapshot duplicated successfully', 'success');
+        this.showUndoableMessage('Categories updated');
     }
 
-    // New method to rename snapshot
-    renameSnapshot(newLabel) {
-        if (!this.currentSnapshotId) {
-            this.showMessage('No snapshot selected', 'error');
+    bindCategoryManagerListeners() {
+        const openBtn = document.getElementById('manageCategoriesBtn');
+        if (!openBtn) return;
+
+        openBtn.addEventListener('click', () => this.openCategoryManager());
+
+        document.getElementById('categoryGroupSelect').addEventListener('change', (e) => {
+            this.categoryManagerGroup = e.target.value;
+            this.renderCategoryManager();
+        });
+
+        const list = document.getElementById('categoryManagerList');
+        list.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action]');
+            if (!button) return;
+            const index = parseInt(button.closest('.category-manager-row').dataset.index);
+            this.handleCategoryManagerAction(button.dataset.action, index);
+        });
+
+        // Keep the draft in sync as names and colors are edited
+        list.addEventListener('input', (e) => {
+            const row = e.target.closest('.category-manager-row');
+            if (!row || !e.target.dataset.field) return;
+            const entry = this.categoryDraft[this.categoryManagerGroup][parseInt(row.dataset.index)];
+            entry[e.target.dataset.field] = e.target.dataset.field === 'label' ? e.target.value.trim() : e.target.value;
+            if (e.target.dataset.field === 'label') {
+                delete entry.shortLabel; // A renamed entry shows its new name everywhere
+            }
+        });
+
+        document.getElementById('addCategoryBtn').addEventListener('click', () => this.addCategoryDraftEntry());
+        document.getElementById('newCategoryLabel').addEventListener('keydown', (e) => {
+            if (e.key === 'Enter') {
+                e.preventDefault();
+                this.addCategoryDraftEntry();
+            }
+        });
+        document.getElementById('saveCategoriesBtn').addEventListener('click', () => this.saveCategoryManager());
+    }
+
+    // FX Rates Modal
+    openFxRatesManager() {
+        const snapshot = this.getCurrentSnapshot();
+        if (!snapshot) {
+            this.showMessage('Please create or select a snapshot first', 'error');
             return;
         }
 
+        // Draft rates are always expressed against the draft base currency
+        const baseCurrency = this.getBaseCurrency();
+        const table = snapshot.fxRates || { rates: {} };
+        const codes = new Set([...this.getSnapshotCurrencies(snapshot), ...Object.keys(table.rates || {})]);
+        if (table.base) codes.add(table.base);
+        codes.delete(baseCurrency);
+
+        const rates = {};
+        Array.from(codes).sort().forEach(code => {
+            const rate = this.getFxRate(snapshot, code);
+            rates[code] = rate === null ? '' : this.roundFxRate(rate);
+        });
+
+        this.fxDraft = { baseCurrency, rates };
+        this.renderFxRatesManager();
+        this.openModal('fxRatesModal');
+    }
+
+    roundFxRate(rate) {
+        return parseFloat(rate.toPrecision(8));
+    }
+
+    renderFxRatesManager() {
         const snapshot = this.getCurrentSnapshot();
-        if (!snapshot) return;
+        const { baseCurrency, rates } = this.fxDraft;
+        const used = this.getSnapshotCurrencies(snapshot);
 
-        const trimmedLabel = newLabel.trim();
-        if (!trimmedLabel) {
-            this.showMessage('Snapshot name cannot be empty', 'error');
+        document.getElementById('fxSnapshotLabel').textContent = snapshot ? snapshot.label : '';
+        document.getElementById('fxBaseCurrency').innerHTML = this.renderCurrencyOptions(baseCurrency);
+
+        const list = document.getElementById('fxRatesList');
+        const codes = Object.keys(rates);
+        if (codes.length === 0) {
+            list.innerHTML = `<p class="examples-placeholder">All items are in ${this.escapeHtml(baseCurrency)}. Add a currency to record its rate.</p>`;
             return;
         }
 
-        snapshot.label = trimmedLabel;
-        this.saveData();
-        this.updateUI();
-        this.showMessage('Snapshot renamed successfully', 'success');
+        list.innerHTML = codes.map(code => {
+            const inUse = used.includes(code);
+            return `
+                <div class="fx-rate-row" data-code="${this.escapeHtml(code)}">
+                    <span class="fx-rate-label">1 ${this.escapeHtml(code)} =</span>
+                    <input type="number" class="settings-input fx-rate-input" value="${rates[code]}" step="any" min="0" placeholder="Rate">
+                    <span class="fx-rate-label">${this.escapeHtml(baseCurrency)}</span>
+                    <button type="button" class="btn btn-danger btn-small" data-action="remove" ${inUse ? 'disabled title="Used by items in this snapshot"' : 'title="Remove"'}>✕</button>
+                </div>
+            `;
+        }).join('');
     }
 
-    switchSnapshot(snapshotId) {
-        this.currentSnapshotId = snapshotId;
-        this.updateUI();
-        this.updateChatbotSnapshotInfo(); // Update chatbot context when snapshot changes
-    }
+    // Re-express the draft against a new base currency, using its own rate when known
+    rebaseFxDraft(newBase) {
+        const { baseCurrency: oldBase, rates } = this.fxDraft;
+        if (newBase === oldBase) return;
 
-    getCurrentSnapshot() {
-        return this.data.snapshots.find(s => s.id === this.currentSnapshotId);
-    }
+        const pivot = parseFloat(rates[newBase]);
+        const rebased = {};
+        Object.keys(rates).forEach(code => {
+            if (code === newBase) return;
+            const rate = parseFloat(rates[code]);
+            rebased[code] = pivot > 0 && rate > 0 ? this.roundFxRate(rate / pivot) : '';
+        });
+        rebased[oldBase] = pivot > 0 ? this.roundFxRate(1 / pivot) : '';
 
-    ensureAtLeastOneSnapshot() {
-        // Only auto-create if there are already snapshots (not during fresh start)
-        if (this.data.snapshots.length === 0 && this.currentSnapshotId === null) {
-            return; // Don't auto-create on fresh start
-        }
-        
-        if (this.data.snapshots.length === 0) {
-            this.createSnapshot();
-        } else if (!this.currentSnapshotId) {
-            this.currentSnapshotId = this.data.snapshots[0].id;
+        this.fxDraft = { baseCurrency: newBase, rates: rebased };
+        if (!(pivot > 0)) {
+            this.showMessage(`No ${oldBase} → ${newBase} rate was known; enter the rates against ${newBase}`, 'info');
         }
+        this.renderFxRatesManager();
     }
 
-    // CRUD Operations
-    addItem(category, name, amount, assetCategory = null, assetLiquidity = null, liabilityTerm = null, incomeCategory = null, expenseCategory = null) {
-        if (!this.hasActiveSnapshot()) {
-            this.showMessage('Please create or select a snapshot first', 'error');
+    addFxDraftCurrency() {
+        const codeInput = document.getElementById('newFxCurrency');
+        const rateInput = document.getElementById('newFxRate');
+        const code = this.normalizeCurrencyCode(codeInput.value);
+
+        if (!code) {
+            this.showMessage('Enter a three-letter currency code, e.g. SGD', 'error');
+            return;
+        }
+        if (code === this.fxDraft.baseCurrency || code in this.fxDraft.rates) {
+            this.showMessage(`${code} is already in the table`, 'error');
             return;
         }
 
-        const snapshot = this.getCurrentSnapshot();
-        if (!snapshot) return;
+        const rate = parseFloat(rateInput.value);
+        this.fxDraft.rates[code] = rate > 0 ? rate : '';
+        codeInput.value = '';
+        rateInput.value = '';
+        this.renderFxRatesManager();
+    }
 
-        const item = {
-            name: name.trim(),
-            amount: this.validateNumber(amount)
-        };
+    // Accepts JSON ({ base, rates } or { CODE: rate }) or CSV/TSV lines of "CODE,rate"
+    // Returns rates as units of `base` per 1 unit of each code, the direction the snapshot
+    // table uses. The app's CSV (CODE,rate) is already in that direction; FX-service JSON
+    // ({"base":"USD","rates":{"SGD":1.35}} = 1 USD buys 1.35 SGD) is the inverse.
+    parseFxRatesFile(text) {
+        let base = null;
+        let entries = [];
+        let inverted = false;
 
-        // Add category and liquidity for assets
-        if (category === 'assets' && assetCategory) {
-            item.category = assetCategory;
-            item.liquidity = assetLiquidity;
+        try {
+            const parsed = JSON.parse(text);
+            inverted = Boolean(parsed && parsed.rates && typeof parsed.rates === 'object');
+            const rates = inverted ? parsed.rates : parsed;
+            base = this.normalizeCurrencyCode(parsed.base);
+            entries = Object.entries(rates || {});
+        } catch (e) {
+            entries = text.split(/\r?\n/).map(line => line.split(/[,;\t]/).map(cell => cell.trim().replace(/^"|"$/g, '')));
         }
 
-        // Add term for liabilities
-        if (category === 'liabilities' && liabilityTerm) {
-            item.term = liabilityTerm;
-        }
+        const rates = {};
+        entries.forEach(([code, value]) => {
+            const normalized = this.normalizeCurrencyCode(code);
+            const rate = parseFloat(value);
+            if (normalized && rate > 0) { // Header and blank lines fall out here
+                rates[normalized] = inverted ? 1 / rate : rate;
+            }
+        });
+        return { base, rates };
+    }
 
-        // Add category for incomes
-        if (category === 'incomes' && incomeCategory) {
-            item.category = incomeCategory;
-        }
+    importFxRatesFile(file) {
+        const reader = new FileReader();
+        reader.onload = (e) => {
+            const { base, rates } = this.parseFxRatesFile(e.target.result);
+            const draft = this.fxDraft;
+            let factor = 1;
+
+            // Rates quoted against another currency are converted into the draft base
+            if (base && base !== draft.baseCurrency) {
+                if (parseFloat(draft.rates[base]) > 0) {
+                    factor = parseFloat(draft.rates[base]);
+                } else if (rates[draft.baseCurrency] > 0) {
+                    factor = 1 / rates[draft.baseCurrency];
+                } else {
+                    this.showMessage(`Rates in the file are quoted in ${base}; add a ${base} rate first`, 'error');
+                    return;
+                }
+                rates[base] = 1;
+            }
 
-        // Add category for expenses
-        if (category === 'expenses' && expenseCategory) {
-            item.category = expenseCategory;
-        }
+            let count = 0;
+            Object.entries(rates).forEach(([code, rate]) => {
+                if (code === draft.baseCurrency) return;
+                draft.rates[code] = this.roundFxRate(rate * factor);
+                count++;
+            });
 
-        if (!item.name) {
-            this.showMessage('Name cannot be empty', 'error');
-            return;
+            if (count === 0) {
+                this.showMessage('No currency rates found in the file', 'error');
+                return;
+            }
+            this.renderFxRatesManager();
+            this.showMessage(`Loaded ${count} rate(s) - review and save`, 'info');
+        };
+        reader.readAsText(file);
+    }
+
+    saveFxRatesManager() {
+        const snapshot = this.getCurrentSnapshot();
+        if (!snapshot) return;
+
+        const { baseCurrency } = this.fxDraft;
+        const rates = {};
+        for (const [code, value] of Object.entries(this.fxDraft.rates)) {
+            if (value === '' || value === null) continue; // Left blank: amounts stay unconverted
+            const rate = parseFloat(value);
+            if (!(rate > 0)) {
+                this.showMessage(`Rate for ${code} must be a positive number`, 'error');
+                return;
+            }
+            rates[code] = rate;
         }
 
-        snapshot.data[category].push(item);
+        this.recordHistory('Edit FX rates');
+        this.data.settings = { ...(this.data.settings || {}), baseCurrency };
+        snapshot.fxRates = { base: baseCurrency, rates };
+        this.fxDraft = null;
         this.saveData();
+        this.closeModal('fxRatesModal');
         this.updateUI();
-        this.showMessage('Item added successfully', 'success');
+        this.showUndoableMessage('Exchange rates updated');
     }
 
-    updateItem(category, index, name, amount, assetCategory = null, assetLiquidity = null, liabilityTerm = null, incomeCategory = null, expenseCategory = null, silent = false) {
-        if (!this.hasActiveSnapshot()) {
-            this.showMessage('No active snapshot', 'error');
-            return;
-        }
+    bindFxRatesListeners() {
+        const openBtn = document.getElementById('fxRatesBtn');
+        if (!openBtn) return;
 
-        const snapshot = this.getCurrentSnapshot();
-        if (!snapshot) return;
+        openBtn.addEventListener('click', () => this.openFxRatesManager());
+        document.getElementById('fxBaseCurrency').addEventListener('change', (e) => this.rebaseFxDraft(e.target.value));
 
-        const item = snapshot.data[category][index];
-        if (!item) return;
+        const list = document.getElementById('fxRatesList');
+        list.addEventListener('input', (e) => {
+            const row = e.target.closest('.fx-rate-row');
+            if (!row || !e.target.classList.contains('fx-rate-input')) return;
+            this.fxDraft.rates[row.dataset.code] = e.target.value;
+        });
+        list.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action="remove"]');
+            if (!button) return;
+            delete this.fxDraft.rates[button.closest('.fx-rate-row').dataset.code];
+            this.renderFxRatesManager();
+        });
 
-        const newName = name.trim();
-        const newAmount = this.validateNumber(amount);
+        document.getElementById('addFxCurrencyBtn').addEventListener('click', () => this.addFxDraftCurrency());
+        document.getElementById('importFxRatesBtn').addEventListener('click', () => document.getElementById('fxRatesFile').click());
+        document.getElementById('fxRatesFile').addEventListener('change', (e) => {
+            if (e.target.files[0]) {
+                this.importFxRatesFile(e.target.files[0]);
+            }
+            e.target.value = ''; // Allow re-importing the same file
+        });
+        document.getElementById('saveFxRatesBtn').addEventListener('click', () => this.saveFxRatesManager());
+    }
 
-        if (!newName) {
-            this.showMessage('Name cannot be empty', 'error');
+    // Holding Prices Modal
+    openPricesManager() {
+        const snapshot = this.getCurrentSnapshot();
+        if (!snapshot) {
+            this.showMessage('Please create or select a snapshot first', 'error');
             return;
         }
 
-        item.name = newName;
-        item.amount = newAmount;
+        const prices = {};
+        const symbols = new Set([...Object.keys(this.getHoldingSymbols(snapshot)), ...Object.keys(snapshot.prices || {})]);
+        Array.from(symbols).sort().forEach(symbol => {
+            const price = this.getHoldingPrice(snapshot, symbol);
+            prices[symbol] = price === null ? '' : parseFloat(price.toPrecision(10));
+        });
 
-        // Update category and liquidity for assets
-        if (category === 'assets' && assetCategory !== null) {
-            item.category = assetCategory;
-            item.liquidity = assetLiquidity;
-        }
+        this.pricesDraft = prices;
+        this.renderPricesManager();
+        this.openModal('pricesModal');
+    }
 
-        // Update term for liabilities
-        if (category === 'liabilities' && liabilityTerm !== null) {
-            item.term = liabilityTerm;
-        }
+    renderPricesManager() {
+        const snapshot = this.getCurrentSnapshot();
+        const held = this.getHoldingSymbols(snapshot);
 
-        // Update category for incomes
-        if (category === 'incomes' && incomeCategory !== null) {
-            item.category = incomeCategory;
-        }
+        document.getElementById('pricesSnapshotLabel').textContent = snapshot ? snapshot.label : '';
 
-        // Update category for expenses
-        if (category === 'expenses' && expenseCategory !== null) {
-            item.category = expenseCategory;
+        const list = document.getElementById('pricesList');
+        const symbols = Object.keys(this.pricesDraft);
+        if (symbols.length === 0) {
+            list.innerHTML = '<p class="examples-placeholder">No holdings yet. Give an asset a symbol and quantity, or add a price below.</p>';
+            return;
         }
 
-        this.saveData();
-        this.updateUI();
-        if (!silent) {
-            this.showMessage('Item updated successfully', 'success');
-        }
+        list.innerHTML = symbols.map(symbol => {
+            const currency = held[symbol];
+            return `
+                <div class="fx-rate-row" data-symbol="${this.escapeHtml(symbol)}">
+                    <span class="fx-rate-label">1 ${this.escapeHtml(symbol)} =</span>
+                    <input type="number" class="settings-input fx-rate-input" value="${this.pricesDraft[symbol]}" step="any" min="0" placeholder="Price">
+                    <span class="fx-rate-label">${this.escapeHtml(currency || '')}</span>
+                    <button type="button" class="btn btn-danger btn-small" data-action="remove" ${currency ? 'disabled title="Held in this snapshot"' : 'title="Remove"'}>✕</button>
+                </div>
+            `;
+        }).join('');
     }
 
-    deleteItem(category, index) {
-        if (!this.hasActiveSnapshot()) {
-            this.showMessage('No active snapshot', 'error');
+    addPriceDraftSymbol() {
+        const symbolInput = document.getElementById('newPriceSymbol');
+        const priceInput = document.getElementById('newPriceValue');
+        const symbol = this.normalizeSymbol(symbolInput.value);
+
+        if (!symbol) {
+            this.showMessage('Enter a ticker or symbol, e.g. VWRA', 'error');
+            return;
+        }
+        if (symbol in this.pricesDraft) {
+            this.showMessage(`${symbol} is already in the table`, 'error');
             return;
         }
 
+        const price = parseFloat(priceInput.value);
+        this.pricesDraft[symbol] = price >= 0 ? price : '';
+        symbolInput.value = '';
+        priceInput.value = '';
+        this.renderPricesManager();
+    }
+
+    // CSV/TSV lines of "SYMBOL,price"; header and blank lines are skipped
+    parsePricesFile(text) {
+        const prices = {};
+        text.split(/\r?\n/).forEach(line => {
+            const [symbolCell, priceCell] = line.split(/[,;\t]/).map(cell => cell.trim().replace(/^"|"$/g, ''));
+            const symbol = this.normalizeSymbol(symbolCell);
+            const price = parseFloat(priceCell);
+            if (symbol && !isNaN(price) && price >= 0) {
+                prices[symbol] = price;
+            }
+        });
+        return prices;
+    }
+
+    importPricesFile(file) {
+        const reader = new FileReader();
+        reader.onload = (e) => {
+            const prices = this.parsePricesFile(e.target.result);
+            const count = Object.keys(prices).length;
+            if (count === 0) {
+                this.showMessage('No prices found in the file', 'error');
+                return;
+            }
+            Object.assign(this.pricesDraft, prices);
+            this.renderPricesManager();
+            this.showMessage(`Loaded ${count} price(s) - review and save`, 'info');
+        };
+        reader.readAsText(file);
+    }
+
+    savePricesManager() {
         const snapshot = this.getCurrentSnapshot();
         if (!snapshot) return;
 
-        if (confirm('Are you sure you want to delete this item?')) {
-            snapshot.data[category].splice(index, 1);
-            this.saveData();
-            this.updateUI();
-            this.showMessage('Item deleted successfully', 'success');
+        const prices = {};
+        for (const [symbol, value] of Object.entries(this.pricesDraft)) {
+            if (value === '' || value === null) continue; // Left blank: the entered amount is kept
+            const price = parseFloat(value);
+            if (isNaN(price) || price < 0) {
+                this.showMessage(`Price for ${symbol} must be zero or more`, 'error');
+                return;
+            }
+            prices[symbol] = price;
         }
+
+        this.recordHistory('Edit holding prices');
+        snapshot.prices = prices;
+        this.syncHoldingAmounts(snapshot);
+        this.pricesDraft = null;
+        this.saveData();
+        this.closeModal('pricesModal');
+        this.updateUI();
+        this.showUndoableMessage('Prices updated');
     }
 
-    // Summary Calculations
-    calculateSummary() {
-        const snapshot = this.getCurrentSnapshot();
-        if (!snapshot) return {
-            totalAssets: 0,
-            totalLiabilities: 0,
-            netWorth: 0,
-            totalIncome: 0,
-            totalExpenses: 0,
-            savings: 0
-        };
+    bindPricesListeners() {
+        const openBtn = document.getElementById('pricesBtn');
+        if (!openBtn) return;
 
-        const totalAssets = snapshot.data.assets.reduce((sum, item) => sum + item.amount, 0);
-        const totalLiabilities = snapshot.data.liabilities.reduce((sum, item) => sum + item.amount, 0);
-        const totalIncome = snapshot.data.incomes.reduce((sum, item) => sum + item.amount, 0);
-        const totalExpenses = snapshot.data.expenses.reduce((sum, item) => sum + item.amount, 0);
+        openBtn.addEventListener('click', () => this.openPricesManager());
 
-        return {
-            totalAssets,
-            totalLiabilities,
-            netWorth: totalAssets - totalLiabilities,
-            totalIncome,
-            totalExpenses,
-            savings: totalIncome - totalExpenses
-        };
+        const list = document.getElementById('pricesList');
+        list.addEventListener('input', (e) => {
+            const row = e.target.closest('.fx-rate-row');
+            if (!row || !e.target.classList.contains('fx-rate-input')) return;
+            this.pricesDraft[row.dataset.symbol] = e.target.value;
+        });
+        list.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action="remove"]');
+            if (!button) return;
+            delete this.pricesDraft[button.closest('.fx-rate-row').dataset.symbol];
+            this.renderPricesManager();
+        });
+
+        document.getElementById('addPriceBtn').addEventListener('click', () => this.addPriceDraftSymbol());
+        document.getElementById('importPricesBtn').addEventListener('click', () => document.getElementById('pricesFile').click());
+        document.getElementById('pricesFile').addEventListener('change', (e) => {
+            if (e.target.files[0]) {
+                this.importPricesFile(e.target.files[0]);
+            }
+            e.target.value = ''; // Allow re-importing the same file
+        });
+        document.getElementById('savePricesBtn').addEventListener('click', () => this.savePricesManager());
     }
 
-    // Import/Export
-    exportData() {
+    // Display Settings Modal
+    loadDisplayPreferences() {
         try {
-            const dataStr = JSON.stringify(this.data, null, 2);
-            const dataBlob = new Blob([dataStr], { type: 'application/json' });
-            const url = URL.createObjectURL(dataBlob);
+            return JSON.parse(localStorage.getItem(DISPLAY_PREFERENCES_KEY)) || {};
+        } catch (e) {
+            console.warn('Ignoring unreadable display preferences:', e);
+            return {};
+        }
+    }
 
-            const link = document.createElement('a');
-            link.href = url;
-            link.download = `myfinsnap.com-${new Date().toISOString().split('T')[0]}.json`;
-            link.style.display = 'none';
+    openDisplaySettings() {
+        const prefs = this.formatter.preferences;
+        const base = this.getBaseCurrency();
 
-            document.body.appendChild(link);
-            link.click();
-            document.body.removeChild(link);
+        const localeSelect = document.getElementById('displayLocale');
+        localeSelect.innerHTML = Object.entries(DISPLAY_LOCALES).map(([value, label]) =>
+            `<option value="${value}">${this.escapeHtml(label)}</option>`
+        ).join('');
+        if (!(prefs.locale in DISPLAY_LOCALES)) {
+            localeSelect.innerHTML += `<option value="${this.escapeHtml(prefs.locale)}">${this.escapeHtml(prefs.locale)}</option>`;
+        }
+        localeSelect.value = prefs.locale;
 
-            URL.revokeObjectURL(url);
-            this.showMessage('Data exported successfully! Check your downloads folder.', 'success');
-        } catch (error) {
-            console.error('Export error:', error);
-            this.showMessage('Failed to export data: ' + error.message, 'error');
+        document.getElementById('displayCurrencyDisplay').value = prefs.currencyDisplay;
+        document.getElementById('displaySymbolCurrency').textContent = base;
+        document.getElementById('displayCustomSymbol').value = prefs.currencySymbols[base] || '';
+        document.getElementById('displayDecimals').value = String(prefs.decimals);
+        document.getElementById('displayDateFormat').value = prefs.dateFormat;
+
+        this.updateDisplaySettingsPreview();
+        this.openModal('displaySettingsModal');
+    }
+
+    // Preferences as currently entered in the modal
+    readDisplaySettingsForm() {
+        const base = this.getBaseCurrency();
+        const currencySymbols = { ...this.formatter.preferences.currencySymbols };
+        const customSymbol = document.getElementById('displayCustomSymbol').value.trim();
+        if (customSymbol) {
+            currencySymbols[base] = customSymbol;
+        } else {
+            delete currencySymbols[base];
         }
+
+        return {
+            locale: document.getElementById('displayLocale').value,
+            currencyDisplay: document.getElementById('displayCurrencyDisplay').value,
+            currencySymbols,
+            decimals: parseInt(document.getElementById('displayDecimals').value),
+            dateFormat: document.getElementById('displayDateFormat').value
+        };
     }
 
-    importData(file) {
-        const reader = new FileReader();
-        reader.onload = (e) => {
-            try {
-                const importedData = JSON.parse(e.target.result);
-                
-                // Validate structure
-                if (!importedData.snapshots || !Array.isArray(importedData.snapshots)) {
-                    throw new Error('Invalid data structure');
-                }
+    updateDisplaySettingsPreview() {
+        const preview = new DisplayFormatter(this.readDisplaySettingsForm());
+        document.getElementById('displayPreview').textContent =
+            `${preview.formatCurrency(1234567.891, this.getBaseCurrency())} · ${preview.formatPercent(12.34)} · ${preview.formatDate(new Date().toISOString())}`;
+    }
 
-                // Validate each snapshot
-                for (const snapshot of importedData.snapshots) {
-                    if (!snapshot.id || !snapshot.label || !snapshot.data) {
-                        throw new Error('Invalid snapshot structure');
-                    }
-                    if (!snapshot.data.assets || !snapshot.data.liabilities || 
-                        !snapshot.data.incomes || !snapshot.data.expenses) {
-                        throw new Error('Invalid data categories');
-                    }
-                }
+    saveDisplaySettings() {
+        const preferences = this.readDisplaySettingsForm();
+        localStorage.setItem(DISPLAY_PREFERENCES_KEY, JSON.stringify(preferences));
+        this.formatter.setPreferences(preferences);
+        this.closeModal('displaySettingsModal');
+        this.updateUI();
+        this.showMessage('Display settings saved', 'success');
+    }
 
-                // Sanitize amounts to numbers to prevent string concatenation bugs
-                importedData.snapshots.forEach(snap => {
-                    ['assets','liabilities','incomes','expenses'].forEach(cat => {
-                        snap.data[cat] = (snap.data[cat] || []).map(item => {
-                            const sanitized = { ...item };
-                            sanitized.amount = this.validateNumber(item.amount);
-                            return sanitized;
-                        });
-                    });
-                });
+    bindDisplaySettingsListeners() {
+        const openBtn = document.getElementById('displaySettingsBtn');
+        if (!openBtn) return;
 
-                this.data = importedData;
-                this.currentSnapshotId = this.data.snapshots[0]?.id || null;
-                this.searchTerm = ''; // Reset search
-                this.saveData();
-                this.updateUI();
-                this.showMessage('Data imported successfully', 'success');
-                
-            } catch (error) {
-                console.error('Import error:', error);
-                this.showMessage('Error importing data: ' + error.message, 'error');
-            }
-        };
-        reader.readAsText(file);
+        openBtn.addEventListener('click', () => this.openDisplaySettings());
+        ['displayLocale', 'displayCurrencyDisplay', 'displayCustomSymbol', 'displayDecimals', 'displayDateFormat'].forEach(id => {
+            document.getElementById(id).addEventListener('input', () => this.updateDisplaySettingsPreview());
+        });
+        document.getElementById('saveDisplaySettingsBtn').addEventListener('click', () => this.saveDisplaySettings());
     }
 
-    // Upload functionality
-    handleUpload() {
-        const fileInput = document.getElementById('uploadFile');
-        fileInput.click();
+    // Generic Modal Helpers
+    openModal(modalId) {
+        const modal = document.getElementById(modalId);
+        if (modal) {
+            modal.classList.add('active');
+        }
     }
 
-    // Enhanced Table Features: Sorting, Filtering, Resizing
+    closeModal(modalId) {
+        const modal = document.getElementById(modalId);
+        if (modal) {
+            modal.classList.remove('active');
+        }
+    }
 
-    // Sort items by column
-    sortItems(items, column, direction, category) {
-        const sorted = [...items].sort((a, b) => {
-            let aVal, bVal;
-            
-            switch (column) {
-                case 'name':
-                    aVal = a.name.toLowerCase();
-                    bVal = b.name.toLowerCase();
-                    break;
-                case 'amount':
-                    aVal = a.amount;
-                    bVal = b.amount;
-                    break;
-                case 'category':
-                    aVal = a.category ? a.category.toLowerCase() : '';
-                    bVal = b.category ? b.category.toLowerCase() : '';
-                    break;
-                case 'liquidity':
-                    aVal = a.liquidity ? a.liquidity.toLowerCase() : '';
-                    bVal = b.liquidity ? b.liquidity.toLowerCase() : '';
-                    break;
-                case 'term':
-                    aVal = a.term ? a.term.toLowerCase() : '';
-                    bVal = b.term ? b.term.toLowerCase() : '';
-                    break;
-                default:
-                    return 0;
-            }
-            
-            if (aVal < bVal) return direction === 'asc' ? -1 : 1;
-            if (aVal > bVal) return direction === 'asc' ? 1 : -1;
-            return 0;
+    // Close buttons and backdrop clicks for every .app-modal
+    bindModalListeners() {
+        document.querySelectorAll('.app-modal').forEach(modal => {
+            modal.addEventListener('click', (e) => {
+                if (e.target === modal || e.target.closest('[data-close-modal]')) {
+                    this.closeModal(modal.id);
+                }
+            });
         });
-        
-        return sorted;
     }
 
-    // Filter items by search criteria
-    filterItems(items, filters, category) {
-        if (!filters) return items;
+    // Snapshot Dates
+    // Each snapshot has an as-of date ("YYYY-MM-DD") for the period it describes, which
+    // is what sorting, the sidebar, exports and the AI use; createdAt stays as a record
+    // of when it was entered
+    getSnapshotDate(snapshot) {
+        return snapshot.asOfDate || snapshot.createdAt;
+    }
 
-        return items.filter(item => {
-            // Check text filters
-            for (const [column, filterValue] of Object.entries(filters)) {
-                if (!filterValue) continue; // Skip empty filters
+    getSnapshotTime(snapshot) {
+        return this.formatter.parseDate(this.getSnapshotDate(snapshot)).getTime();
+    }
 
-                // Handle select filters separately
-                if (column.endsWith('_select')) {
-                    const selectColumn = column.replace('_select', '');
-                    const selectedValues = filterValue;
-                    if (selectedValues.length > 0) { // Only filter if there are selected values
-                        let itemValue = '';
-                        switch (selectColumn) {
-                            case 'category':
-                                itemValue = item.category || 'not specified';
-                                break;
-                            case 'liquidity':
-                                itemValue = item.liquidity || 'not specified';
-                                break;
-                        }
-                        if (!selectedValues.includes(itemValue)) {
-                            return false;
-                        }
-                    }
-                    continue;
-                }
+    // Newest period first; snapshots for the same date fall back to entry order
+    compareSnapshotsByDate(a, b) {
+        return (this.getSnapshotTime(a) - this.getSnapshotTime(b)) ||
+            (new Date(a.createdAt) - new Date(b.createdAt));
+    }
 
-                // Handle amount column with comparison operators
-                if (column === 'amount' && filterValue.includes(':')) {
-                    const parts = filterValue.split(':');
-                    const operator = parts[0];
-                    const value1 = parseFloat(parts[1]);
-                    const value2 = parts[2] ? parseFloat(parts[2]) : null;
+    getLatestSnapshot() {
+        return [...this.data.snapshots].sort((a, b) => this.compareSnapshotsByDate(b, a))[0] || null;
+    }
 
-                    if (!isNaN(value1)) {
-                        switch (operator) {
-                            case 'greater':
-                                if (!(item.amount > value1)) return false;
-                                break;
-                            case 'less':
-                                if (!(item.amount < value1)) return false;
-                                break;
-                            case 'greater_equal':
-                                if (!(item.amount >= value1)) return false;
-                                break;
-                            case 'less_equal':
-                                if (!(item.amount <= value1)) return false;
-                                break;
-                            case 'equal':
-                                if (item.amount !== value1) return false;
-                                break;
-                            case 'between':
-                                if (!(item.amount >= value1 && item.amount <= value2)) return false;
-                                break;
-                        }
-                    }
-                    continue; // Skip the text-based filtering for amount column
-                }
+    // "YYYY-MM-DD" in local time, as used by <input type="date">
+    toDateInputValue(date = new Date()) {
+        const pad = n => String(n).padStart(2, '0');
+        return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+    }
 
-                // Handle text filters
-                let itemValue = '';
-                switch (column) {
-                    case 'name':
-                        itemValue = item.name.toLowerCase();
-                        break;
-                    case 'amount':
-                        itemValue = this.formatCurrency(item.amount).toLowerCase();
-                        break;
-                    case 'category':
-                        if (category === 'expenses') {
-                            itemValue = item.category ? this.getExpenseCategoryDisplayName(item.category).toLowerCase() : '';
-                        } else if (category === 'incomes') {
-                            itemValue = item.category ? this.getIncomeCategoryDisplayName(item.category).toLowerCase() : '';
-                        } else {
-                            itemValue = item.category ? this.getCategoryDisplayName(item.category).toLowerCase() : '';
-                        }
-                        break;
-                    case 'liquidity':
-                        itemValue = item.liquidity ? this.getLiquidityDisplayName(item.liquidity).toLowerCase() : '';
-                        break;
-                    case 'term':
-                        itemValue = item.term ? this.getLiabilityTermDisplayName(item.term).toLowerCase() : '';
-                        break;
-                }
+    // Rejects impossible days like 2025-02-30, which Date would roll over
+    isValidAsOfDate(value) {
+        if (!/^\d{4}-\d{2}-\d{2}$/.test(value || '')) return false;
+        const date = this.formatter.parseDate(value);
+        return !isNaN(date.getTime()) && this.toDateInputValue(date) === value;
+    }
 
-                if (!itemValue.includes(filterValue.toLowerCase())) {
-                    return false;
-                }
-            }
-            return true;
-        });
+    // Snapshots without a valid as-of date take the day they were created
+    getDefaultAsOfDate(snapshot) {
+        if (this.isValidAsOfDate(snapshot.asOfDate)) return snapshot.asOfDate;
+        const created = new Date(snapshot.createdAt);
+        return this.toDateInputValue(isNaN(created.getTime()) ? new Date() : created);
     }
 
-    // Handle column sorting - 3 state cycle: null -> asc -> desc -> null
-    handleColumnSort(category, column, tableId) {
-        const state = this.tableState[category];
-        
-        if (state.sortColumn === column) {
-            // Cycle through states if same column: asc -> desc -> none
-            if (state.sortDirection === 'asc') {
-                state.sortDirection = 'desc';
-            } else if (state.sortDirection === 'desc') {
-                state.sortDirection = 'none';
-                state.sortColumn = null; // Clear sorting
-            } else {
-                state.sortDirection = 'asc';
-                state.sortColumn = column;
-            }
-        } else {
-            // Set new column and default to ascending
-            state.sortColumn = column;
-            state.sortDirection = 'asc';
+    openSnapshotDateEditor() {
+        const snapshot = this.getCurrentSnapshot();
+        if (!snapshot) {
+            this.showMessage('No snapshot selected', 'error');
+            return;
         }
-        
-        // Update UI for sort indicators
-        this.updateSortIndicators(category, column, state.sortDirection);
-        
-        this.updateTable(category, tableId);
-    }
 
-    // Handle column filtering
-    handleColumnFilter(category, column, value, tableId) {
-        this.tableState[category].filters[column] = value;
-        this.updateTable(category, tableId);
+        document.getElementById('snapshotDateLabel').textContent = snapshot.label;
+        document.getElementById('snapshotAsOfDate').value = this.getDefaultAsOfDate(snapshot);
+        document.getElementById('snapshotCreatedAt').textContent = this.formatDate(snapshot.createdAt);
+        this.openModal('snapshotDateModal');
     }
 
-    // Update amount filter inputs based on operator
-    updateAmountFilterInputs(operator) {
-        const amount1Input = document.getElementById('filterAmount1');
-        const amount2Input = document.getElementById('filterAmount2');
-        const rangeSeparator = document.getElementById('rangeSeparator');
+    setSnapshotDate(asOfDate) {
+        const snapshot = this.getCurrentSnapshot();
+        if (!snapshot) return;
 
-        if (operator === 'between') {
-            amount2Input.style.display = 'inline-block';
-            rangeSeparator.style.display = 'inline';
-            amount2Input.required = true;
-        } else {
-            amount2Input.style.display = 'none';
-            rangeSeparator.style.display = 'none';
-            amount2Input.required = false;
+        if (!this.isValidAsOfDate(asOfDate)) {
+            this.showMessage('Choose a valid date', 'error');
+            return;
         }
-    }
-
-    // Handle column resizing
-    handleColumnResize(category, column, newWidth, tableId) {
-        this.tableState[category].columnWidths[column] = newWidth;
-        
-        // Apply the new width to the table
-        const table = document.getElementById(tableId);
-        if (table) {
-            const headers = table.querySelectorAll('th');
-            headers.forEach((th, index) => {
-                const columnKey = th.getAttribute('data-column');
-                if (columnKey && this.tableState[category].columnWidths[columnKey]) {
-                    th.style.width = this.tableState[category].columnWidths[columnKey];
-                }
-            });
+        if (asOfDate === snapshot.asOfDate) {
+            this.closeModal('snapshotDateModal');
+            return;
         }
-    }
-
-    // Update sort indicators in the table header
-    updateSortIndicators(category, activeColumn, direction) {
-        const tableId = category === 'incomes' ? 'incomeTable' : category + 'Table';
-        const table = document.getElementById(tableId);
-        if (!table) return;
 
-        const headers = table.querySelectorAll('th[data-column]');
-        headers.forEach(th => {
-            const column = th.getAttribute('data-column');
-            th.classList.remove('sort-asc', 'sort-desc', 'sort-none');
+        this.recordHistory(`Change date of "${snapshot.label}"`);
+        snapshot.asOfDate = asOfDate;
+        this.saveData();
+        this.closeModal('snapshotDateModal');
+        this.updateUI();
+        this.showUndoableMessage(`"${snapshot.label}" is now dated ${this.formatDate(asOfDate, false)}`);
+    }
 
-            if (column === activeColumn && direction !== 'none') {
-                th.classList.add(direction === 'asc' ? 'sort-asc' : 'sort-desc');
-            } else if (column === activeColumn && direction === 'none') {
-                th.classList.add('sort-none');
+    // Snapshot Management
+    // Empty snapshot carrying forward the latest FX rates and prices
+    buildSnapshot(label, asOfDate = this.toDateInputValue()) {
+        return {
+            id: this.generateId(),
+            label,
+            createdAt: new Date().toISOString(),
+            asOfDate,
+            fxRates: this.getLatestFxRates(),
+            prices: this.getLatestPrices(),
+            budgets: this.getLatestBudgets(),
+            data: {
+                assets: [],
+                liabilities: [],
+                incomes: [],
+                expenses: []
             }
-        });
+        };
     }
 
-    // Apply column widths to table
-    applyColumnWidths(category, tableId) {
-        const table = document.getElementById(tableId);
-        if (!table) return;
+    createSnapshot() {
+        const label = prompt('Enter a name for this snapshot:', `Snapshot ${this.data.snapshots.length + 1}`);
+        if (!label) return;
 
-        const headers = table.querySelectorAll('th');
-        headers.forEach((th, index) => {
-            const columnKey = th.getAttribute('data-column');
-            if (columnKey && this.tableState[category].columnWidths[columnKey]) {
-                th.style.width = this.tableState[category].columnWidths[columnKey];
-            }
-        });
+        const snapshot = this.buildSnapshot(label.trim());
+
+        this.recordHistory(`Create snapshot "${snapshot.label}"`);
+        this.data.snapshots.push(snapshot);
+        this.currentSnapshotId = snapshot.id;
+        this.saveData();
+        this.updateUI();
+        this.showUndoableMessage('Snapshot created successfully');
     }
 
-    // New UI Update Methods for Enhanced Features
-    updateSnapshotList() {
-        const snapshotListContainer = document.getElementById('snapshotList');
-        const sortedSnapshots = this.getSortedSnapshots();
-        const filteredSnapshots = this.getFilteredSnapshots(sortedSnapshots);
+    deleteSnapshot() {
+        if (!this.currentSnapshotId) {
+            this.showMessage('No snapshot selected', 'error');
+            return;
+        }
 
-        snapshotListContainer.innerHTML = '';
-
-        if (filteredSnapshots.length === 0) {
-            const emptyMessage = document.createElement('div');
-            emptyMessage.className = 'empty-message';
-            emptyMessage.style.cssText = 'text-align: center; padding: 2rem; color: #bdc3c7; font-style: italic;';
-            if (this.searchTerm) {
-                emptyMessage.textContent = 'No snapshots found matching your search';
-            } else {
-                emptyMessage.textContent = 'No snapshots available';
+        if (this.data.snapshots.length <= 1) {
+            if (confirm('This is the only snapshot. Delete it and start fresh?')) {
+                this.recordHistory(`Delete snapshot "${this.getCurrentSnapshot().label}"`);
+                this.data.snapshots = [];
+                this.currentSnapshotId = null;
+                this.saveData();
+                this.updateUI();
+                this.showUndoableMessage('Snapshot deleted');
             }
-            snapshotListContainer.appendChild(emptyMessage);
             return;
         }
 
-        filteredSnapshots.forEach(snapshot => {
-            const snapshotItem = document.createElement('div');
-            snapshotItem.className = `snapshot-list-item ${snapshot.id === this.currentSnapshotId ? 'current' : ''}`;
-            snapshotItem.dataset.snapshotId = snapshot.id;
-            
-            snapshotItem.innerHTML = `
-                <div class="snapshot-item-header">
-                    <div class="snapshot-item-name">${this.escapeHtml(snapshot.label)}</div>
-                    ${snapshot.id === this.currentSnapshotId ? '<div class="snapshot-item-current-badge">Current</div>' : ''}
-                </div>
-                <div class="snapshot-item-date">📅 ${this.formatDate(snapshot.createdAt)}</div>
-            `;
+        const snapshot = this.getCurrentSnapshot();
+        if (confirm(`Are you sure you want to delete "${snapshot.label}"?`)) {
+            this.recordHistory(`Delete snapshot "${snapshot.label}"`);
+            this.data.snapshots = this.data.snapshots.filter(s => s.id !== this.currentSnapshotId);
+            this.currentSnapshotId = this.data.snapshots[0].id;
+            this.saveData();
+            this.updateUI();
+            this.showUndoableMessage('Snapshot deleted successfully');
+        }
+    }
 
-            snapshotItem.addEventListener('click', () => {
-                this.switchSnapshot(snapshot.id);
-            });
+    duplicateSnapshot() {
+        if (!this.currentSnapshotId) {
+            this.showMessage('No snapshot selected', 'error');
+            return;
+        }
 
-            snapshotListContainer.appendChild(snapshotItem);
-        });
-    }
+        const currentSnapshot = this.getCurrentSnapshot();
+        const newSnapshot = {
+            id: this.generateId(),
+            label: `${currentSnapshot.label} (Copy)`,
+            createdAt: new Date().toISOString(),
+            asOfDate: this.toDateInputValue(),
+            fxRates: JSON.parse(JSON.stringify(currentSnapshot.fxRates || { base: this.getBaseCurrency(), rates: {} })),
+            prices: { ...(currentSnapshot.prices || {}) },
+            budgets: JSON.parse(JSON.stringify(this.getSnapshotBudgets(currentSnapshot))),
+            data: JSON.parse(JSON.stringify(currentSnapshot.data))
+        };
 
-    updateSortControls() {
-        const dateBtn = document.getElementById('sortByDate');
-        const nameBtn = document.getElementById('sortByName');
-        const directionBtn = document.getElementById('toggleSortDirection');
+        this.recordHistory(`Duplicate snapshot "${currentSnapshot.label}"`);
+        this.data.snapshots.push(newSnapshot);
+        this.currentSnapshotId = newSnapshot.id;
+        this.saveData();
+        this.updateUI();
+        this.showUndoableMessage('Snapshot duplicated successfully');
+    }
 
-        dateBtn.classList.toggle('active', this.sortBy === 'date');
-        nameBtn.classList.toggle('active', this.sortBy === 'name');
-        
-        // Update direction button text and state
-        if (directionBtn) {
-            directionBtn.textContent = this.sortDirection === 'asc' ? '↑' : '↓';
-            directionBtn.title = this.sortDirection === 'asc' ? 'Ascending' : 'Descending';
-        }
+    // Roll Forward
+    // A new period starts from the latest snapshot: each item is confirmed, changed or
+    // dropped in turn, and items that haven't moved for several periods are flagged
+    // The same item in another snapshot: by id first, then by name
+    matchItem(snapshot, category, item) {
+        const byId = this.findItem(snapshot, category, item.id);
+        if (byId) return byId;
+        const name = item.name.trim().toLowerCase();
+        return (snapshot.data[category] || []).find(other => other.name.trim().toLowerCase() === name) || null;
     }
 
-    updateSearchControls() {
-        const searchInput = document.getElementById('snapshotSearch');
-        const clearBtn = document.getElementById('clearSearchBtn');
-        
-        searchInput.value = this.searchTerm;
-        clearBtn.style.display = this.searchTerm ? 'inline-block' : 'none';
+    // What the user re-enters each period: units for holdings, the amount otherwise
+    getRollForwardValue(item) {
+        return this.isHolding(item) ? item.quantity : item.amount;
     }
 
-    getSortedSnapshots() {
-        const snapshots = [...this.data.snapshots];
-        
-        return snapshots.sort((a, b) => {
-            let comparison = 0;
-            
-            if (this.sortBy === 'date') {
-                comparison = new Date(a.createdAt) - new Date(b.createdAt);
-            } else if (this.sortBy === 'name') {
-                comparison = a.label.localeCompare(b.label);
+    // How many consecutive earlier snapshots hold this item at the same value
+    getUnchangedPeriods(snapshot, category, item) {
+        const time = this.getSnapshotTime(snapshot);
+        const earlier = this.data.snapshots
+            .filter(other => other.id !== snapshot.id && this.getSnapshotTime(other) <= time)
+            .sort((a, b) => this.getSnapshotTime(b) - this.getSnapshotTime(a));
+
+        let periods = 0;
+        for (const previous of earlier) {
+            const match = this.matchItem(previous, category, item);
+            if (!match || this.getRollForwardValue(match) !== this.getRollForwardValue(item) ||
+                this.getItemCurrency(match) !== this.getItemCurrency(item)) {
+                break;
             }
-            
-            return this.sortDirection === 'asc' ? comparison : -comparison;
-        });
+            periods++;
+        }
+        return periods;
     }
 
-    getFilteredSnapshots(sortedSnapshots) {
-        if (!this.searchTerm.trim()) {
-            return sortedSnapshots;
+    openRollForward() {
+        const source = this.getLatestSnapshot();
+        if (!source) {
+            this.showMessage('Create a snapshot first - rolling forward starts from the latest one', 'error');
+            return;
         }
 
-        const searchLower = this.searchTerm.toLowerCase();
-        return sortedSnapshots.filter(snapshot => 
-            snapshot.label.toLowerCase().includes(searchLower) ||
-            this.formatDate(snapshot.createdAt).toLowerCase().includes(searchLower)
-        );
-    }
-
-    changeSort(sortBy) {
-        this.sortBy = sortBy;
-        this.updateSnapshotList();
-        this.updateSortControls();
-    }
+        const steps = [];
+        ['assets', 'liabilities', 'incomes', 'expenses'].forEach(category => {
+            source.data[category].forEach(item => {
+                const value = this.getRollForwardValue(item);
+                steps.push({
+                    category,
+                    itemId: item.id,
+                    previous: value,
+                    value,
+                    action: null, // 'keep', 'change' or 'drop' once reviewed
+                    unchangedPeriods: this.getUnchangedPeriods(source, category, item)
+                });
+            });
+        });
 
-    toggleSortDirection() {
-        this.sortDirection = this.sortDirection === 'asc' ? 'desc' : 'asc';
-        this.updateSnapshotList();
-        this.updateSortControls();
+        const asOfDate = this.toDateInputValue();
+        this.rollForwardDraft = {
+            sourceId: source.id,
+            asOfDate,
+            label: this.formatter.formatMonth(asOfDate),
+            labelEdited: false,
+            stage: 'setup',
+            index: 0,
+            steps
+        };
+        this.renderRollForward();
+        this.openModal('rollForwardModal');
     }
 
-    // Search functionality
-    handleSearch(event) {
-        this.searchTerm = event.target.value;
-        this.updateSnapshotList();
-        this.updateSearchControls();
+    getRollForwardSource() {
+        return this.data.snapshots.find(snapshot => snapshot.id === this.rollForwardDraft.sourceId) || null;
     }
 
-    clearSearch() {
-        this.searchTerm = '';
-        const searchInput = document.getElementById('snapshotSearch');
-        searchInput.value = '';
-        this.updateSnapshotList();
-        this.updateSearchControls();
-        searchInput.focus();
-    }
+    renderRollForward() {
+        const content = document.getElementById('rollForwardContent');
+        const draft = this.rollForwardDraft;
+        const source = this.getRollForwardSource();
+        if (!content || !draft || !source) return;
 
-    // Utility method to escape HTML
-    escapeHtml(text) {
-        const div = document.createElement('div');
-        div.textContent = text;
-        return div.innerHTML;
+        if (draft.stage === 'setup') {
+            content.innerHTML = this.renderRollForwardSetup(source);
+        } else if (draft.stage === 'item') {
+            content.innerHTML = this.renderRollForwardStep(source);
+            const input = document.getElementById('rollForwardValue');
+            if (input) {
+                input.focus();
+                input.select();
+            }
+        } else {
+            content.innerHTML = this.renderRollForwardReview(source);
+        }
     }
 
-    // Renaming functionality - simplified for inline rename in list
-    startRename() {
-        const currentSnapshot = this.getCurrentSnapshot();
-        if (!currentSnapshot) {
-            this.showMessage('No snapshot selected', 'error');
-            return;
-        }
+    renderRollForwardSetup(source) {
+        const draft = this.rollForwardDraft;
+        const staleCount = draft.steps.filter(step => step.unchangedPeriods >= STALE_ITEM_PERIODS).length;
 
-        const newName = prompt('Enter new name for this snapshot:', currentSnapshot.label);
-        if (newName && newName.trim()) {
-            this.renameSnapshot(newName);
-        }
+        return `
+            <div class="settings-section">
+                <p class="settings-help">Starting from <strong>${this.escapeHtml(source.label)}</strong> (${this.escapeHtml(this.formatDate(this.getSnapshotDate(source), false))}). Each of its ${draft.steps.length} item(s) is shown in turn so you can confirm, change or drop it.</p>
+                ${staleCount > 0 ? `<p class="roll-forward-stale">⚠️ ${staleCount} item(s) unchanged for ${STALE_ITEM_PERIODS} or more periods - worth a closer look.</p>` : ''}
+            </div>
+            <div class="settings-section">
+                <label for="rollForwardDate">Period Date</label>
+                <p class="settings-help">The date the new balances are as of.</p>
+                <input type="date" id="rollForwardDate" class="settings-input" value="${this.escapeHtml(draft.asOfDate)}">
+            </div>
+            <div class="settings-section">
+                <label for="rollForwardLabel">Snapshot Name</label>
+                <input type="text" id="rollForwardLabel" class="settings-input" value="${this.escapeHtml(draft.label)}" maxlength="100">
+            </div>
+            <div class="settings-actions">
+                <button type="button" class="btn btn-primary" data-action="start">${draft.steps.length > 0 ? 'Review Items' : 'Create Snapshot'}</button>
+                <button type="button" class="btn btn-secondary" data-close-modal>Cancel</button>
+            </div>
+        `;
     }
 
-    // Legacy method for backward compatibility
-    updateSnapshotSelector() {
-        // This method is kept for backward compatibility but is now deprecated
-        // The new system uses updateSnapshotList()
+    // One item: previous value, a box for the new one, and keep/change/drop actions
+    renderRollForwardStep(source) {
+        const draft = this.rollForwardDraft;
+        const step = draft.steps[draft.index];
+        const item = this.findItem(source, step.category, step.itemId);
+        const holding = this.isHolding(item);
+        const currency = this.getItemCurrency(item);
+        const previous = holding
+            ? `${this.formatter.formatNumber(step.previous, this.getQuantityDecimals(step.previous))} × ${item.symbol}`
+            : this.formatCurrency(step.previous, currency);
+        const frequency = ITEM_FREQUENCIES[item.frequency];
+
+        return `
+            <p class="roll-forward-progress">Item ${draft.index + 1} of ${draft.steps.length} · ${this.escapeHtml(this.formatCategoryName(step.category))}</p>
+            <div class="roll-forward-item">
+                <h4>${this.escapeHtml(item.name)}</h4>
+                <p class="roll-forward-previous">Previous: <strong>${this.escapeHtml(previous)}</strong>${frequency ? ` ${this.escapeHtml(frequency.label.toLowerCase())}` : ''}</p>
+                ${step.unchangedPeriods >= STALE_ITEM_PERIODS ? `<p class="roll-forward-stale">⚠️ Unchanged for ${step.unchangedPeriods} periods</p>` : ''}
+                <label for="rollForwardValue">${holding ? `New quantity of ${this.escapeHtml(item.symbol)}` : `New amount (${this.escapeHtml(currency)})`}</label>
+                <input type="number" id="rollForwardValue" class="settings-input" value="${step.value}" step="any" min="0">
+            </div>
+            <div class="settings-actions">
+                <button type="button" class="btn btn-secondary" data-action="back">← Back</button>
+                <button type="button" class="btn btn-danger" data-action="drop">Drop</button>
+                <button type="button" class="btn btn-secondary" data-action="keep">Keep Previous</button>
+                <button type="button" class="btn btn-primary" data-action="confirm">Confirm</button>
+            </div>
+            <div class="settings-actions">
+                <button type="button" class="btn btn-secondary btn-small" data-action="keep-rest">Keep All Remaining &amp; Review</button>
+            </div>
+        `;
     }
 
-    // Home Page Modal Management
-    checkShowWelcomeScreen() {
-        // Modal is now triggered by help button, don't auto-show
-        this.hideWelcomeScreen();
-    }
+    renderRollForwardReview(source) {
+        const draft = this.rollForwardDraft;
+        const statusLabels = { keep: 'Kept', change: 'Changed', drop: 'Dropped' };
+        const counts = { keep: 0, change: 0, drop: 0 };
 
-    // Show help modal when help button is clicked
-    showHelpModal() {
-        const modal = document.getElementById('homeModal');
-        if (modal) {
-            modal.classList.add('active');
-            // Mark as seen for first-time experience
-            localStorage.setItem('hasSeenWelcome', 'true');
-        }
+        const rows = draft.steps.map((step, index) => {
+            const item = this.findItem(source, step.category, step.itemId);
+            const format = value => this.isHolding(item)
+                ? `${this.formatter.formatNumber(value, this.getQuantityDecimals(value))} × ${item.symbol}`
+                : this.formatCurrency(value, this.getItemCurrency(item));
+            counts[step.action]++;
+            return `
+                <tr>
+                    <td>${this.escapeHtml(item.name)}<span class="base-amount">${this.escapeHtml(this.formatCategoryName(step.category))}</span></td>
+                    <td>${this.escapeHtml(format(step.previous))}</td>
+                    <td>${step.action === 'drop' ? '—' : this.escapeHtml(format(step.value))}</td>
+                    <td><button type="button" class="roll-forward-status ${step.action}" data-action="goto" data-index="${index}" title="Review again">${statusLabels[step.action]}</button></td>
+                </tr>
+            `;
+        }).join('');
+
+        return `
+            <div class="settings-section">
+                <p class="settings-help"><strong>${this.escapeHtml(draft.label)}</strong> as of ${this.escapeHtml(this.formatDate(draft.asOfDate, false))}: ${counts.keep} kept, ${counts.change} changed, ${counts.drop} dropped. Click a status to revisit an item.</p>
+                <table class="items-table roll-forward-table">
+                    <thead>
+                        <tr><th>Item</th><th>Previous</th><th>New</th><th>Status</th></tr>
+                    </thead>
+                    <tbody>${rows}</tbody>
+                </table>
+            </div>
+            <div class="settings-actions">
+                <button type="button" class="btn btn-secondary" data-action="back">← Back</button>
+                <button type="button" class="btn btn-primary" data-action="create">Create Snapshot</button>
+            </div>
+        `;
     }
 
-    showWelcomeScreen() {
-        const modal = document.getElementById('homeModal');
-        if (modal) {
-            modal.classList.add('active');
-            // Add event listener for Get Started button
-            const getStartedBtn = document.getElementById('getStartedBtn');
-            if (getStartedBtn) {
-                getStartedBtn.addEventListener('click', () => this.handleGetStarted());
+    handleRollForwardAction(action, index) {
+        const draft = this.rollForwardDraft;
+        const step = draft.steps[draft.index];
+
+        switch (action) {
+            case 'start': {
+                if (!draft.asOfDate) {
+                    this.showMessage('Choose the period date for the new snapshot', 'error');
+                    return;
+                }
+                if (!draft.label.trim()) {
+                    this.showMessage('Enter a name for the new snapshot', 'error');
+                    return;
+                }
+                if (draft.steps.length === 0) {
+                    this.createRollForwardSnapshot();
+                    return;
+                }
+                draft.stage = 'item';
+                draft.index = 0;
+                break;
+            }
+            case 'confirm': {
+                const value = this.parseOptionalNumber(document.getElementById('rollForwardValue').value);
+                if (value === null) {
+                    this.showMessage('Enter zero or a positive number, or drop the item', 'error');
+                    return;
+                }
+                step.value = value;
+                step.action = value === step.previous ? 'keep' : 'change';
+                this.advanceRollForward();
+                break;
             }
+            case 'keep':
+                step.value = step.previous;
+                step.action = 'keep';
+                this.advanceRollForward();
+                break;
+            case 'drop':
+                step.action = 'drop';
+                this.advanceRollForward();
+                break;
+            case 'keep-rest':
+                draft.steps.slice(draft.index).forEach(remaining => {
+                    if (!remaining.action) {
+                        remaining.value = remaining.previous;
+                        remaining.action = 'keep';
+                    }
+                });
+                draft.stage = 'review';
+                break;
+            case 'back':
+                if (draft.stage === 'review') {
+                    draft.stage = 'item';
+                    draft.index = draft.steps.length - 1;
+                } else if (draft.index > 0) {
+                    draft.index--;
+                } else {
+                    draft.stage = 'setup';
+                }
+                break;
+            case 'goto':
+                draft.stage = 'item';
+                draft.index = index;
+                break;
+            case 'create':
+                this.createRollForwardSnapshot();
+                return;
         }
+        this.renderRollForward();
     }
 
-    hideWelcomeScreen() {
-        const modal = document.getElementById('homeModal');
-        if (modal) {
-            modal.classList.remove('active');
-            // Mark as seen for future visits
-            localStorage.setItem('hasSeenWelcome', 'true');
+    // Next unreviewed item, or the summary once every item has a decision
+    advanceRollForward() {
+        const draft = this.rollForwardDraft;
+        const next = draft.steps.findIndex((step, index) => index > draft.index && !step.action);
+        if (next !== -1) {
+            draft.index = next;
+        } else if (draft.steps.every(step => step.action)) {
+            draft.stage = 'review';
+        } else {
+            draft.index = draft.steps.findIndex(step => !step.action);
         }
     }
 
-    hideHelpModal() {
-        this.hideWelcomeScreen(); // Reusing the same method since it's the same modal // Reusing the same method since it's the same modal
-    }
-
-    handleGetStarted() {
-        this.hideWelcomeScreen();
-        this.showMessage('Welcome to Finance Tracker! Start by creating your first snapshot.', 'success');
-    }
+    createRollForwardSnapshot() {
+        const draft = this.rollForwardDraft;
+        const source = this.getRollForwardSource();
+        if (!source) {
+            this.showMessage('The snapshot being rolled forward no longer exists', 'error');
+            this.closeModal('rollForwardModal');
+            return;
+        }
 
-    updateSummary() {
-        const summary = this.calculateSummary();
+        const data = { assets: [], liabilities: [], incomes: [], expenses: [] };
+        draft.steps.forEach(step => {
+            const item = this.findItem(source, step.category, step.itemId);
+            if (!item || step.action === 'drop') return;
 
-        const totalAssetsEl = document.getElementById('totalAssets');
-        totalAssetsEl.textContent = this.formatCurrency(summary.totalAssets);
-        totalAssetsEl.title = this.formatCurrency(summary.totalAssets);
+            // Items keep their ids so later periods can be matched back to this one
+            const copy = JSON.parse(JSON.stringify(item));
+            if (this.isHolding(copy)) {
+                copy.quantity = step.value;
+            } else {
+                copy.amount = step.value;
+            }
+            data[step.category].push(copy);
+        });
 
-        const totalLiabilitiesEl = document.getElementById('totalLiabilities');
-        totalLiabilitiesEl.textContent = this.formatCurrency(summary.totalLiabilities);
-        totalLiabilitiesEl.title = this.formatCurrency(summary.totalLiabilities);
+        const snapshot = {
+            id: this.generateId(),
+            label: draft.label.trim(),
+            createdAt: new Date().toISOString(),
+            asOfDate: draft.asOfDate,
+            fxRates: JSON.parse(JSON.stringify(source.fxRates || this.getLatestFxRates())),
+            prices: { ...(source.prices || {}) },
+            budgets: JSON.parse(JSON.stringify(this.getSnapshotBudgets(source))),
+            data
+        };
+        this.syncHoldingAmounts(snapshot);
 
-        const netWorthEl = document.getElementById('netWorth');
-        netWorthEl.textContent = this.formatCurrency(summary.netWorth);
-        netWorthEl.title = this.formatCurrency(summary.netWorth);
+        const changed = draft.steps.filter(step => step.action === 'change').length;
+        const dropped = draft.steps.filter(step => step.action === 'drop').length;
 
-        const totalIncomeEl = document.getElementById('totalIncome');
-        totalIncomeEl.textContent = this.formatCurrency(summary.totalIncome);
-        totalIncomeEl.title = this.formatCurrency(summary.totalIncome);
+        this.recordHistory(`Roll forward to "${snapshot.label}"`);
+        this.data.snapshots.push(snapshot);
+        this.currentSnapshotId = snapshot.id;
+        this.rollForwardDraft = null;
+        this.saveData();
+        this.closeModal('rollForwardModal');
+        this.updateUI();
+        this.showUndoableMessage(`Rolled forward to "${snapshot.label}": ${changed} changed, ${dropped} dropped`);
+    }
 
-        const totalExpensesEl = document.getElementById('totalExpenses');
-        totalExpensesEl.textContent = this.formatCurrency(summary.totalExpenses);
-        totalExpensesEl.title = this.formatCurrency(summary.totalExpenses);
+    bindRollForwardListeners() {
+        const openBtn = document.getElementById('rollForwardBtn');
+        if (!openBtn) return;
 
-        const savingsEl = document.getElementById('savings');
-        savingsEl.textContent = this.formatCurrency(summary.savings);
-        savingsEl.title = this.formatCurrency(summary.savings);
+        openBtn.addEventListener('click', () => this.openRollForward());
 
-        // Color coding - update class after title is set
-        netWorthEl.className = 'amount ' + (summary.netWorth >= 0 ? 'positive' : 'negative');
-        savingsEl.className = 'amount ' + (summary.savings >= 0 ? 'positive' : 'negative');
+        const content = document.getElementById('rollForwardContent');
+        content.addEventListener('click', (e) => {
+            const button = e.target.closest('button[data-action]');
+            if (!button || !this.rollForwardDraft) return;
+            this.handleRollForwardAction(button.dataset.action, parseInt(button.dataset.index, 10));
+        });
+        content.addEventListener('input', (e) => {
+            const draft = this.rollForwardDraft;
+            if (!draft) return;
+            if (e.target.id === 'rollForwardDate') {
+                draft.asOfDate = e.target.value;
+                // The suggested name follows the date until the user types their own
+                if (!draft.labelEdited && draft.asOfDate) {
+                    draft.label = this.formatter.formatMonth(draft.asOfDate);
+                    document.getElementById('rollForwardLabel').value = draft.label;
+                }
+            } else if (e.target.id === 'rollForwardLabel') {
+                draft.label = e.target.value;
+                draft.labelEdited = true;
+            }
+        });
+        content.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && e.target.id === 'rollForwardValue') {
+                e.preventDefault();
+                this.handleRollForwardAction('confirm');
+            }
+        });
     }
 
-    // Update snapshot notification visibility
-    updateSnapshotNotification() {
-        const notification = document.getElementById('snapshotNotification');
-        if (notification) {
-            // Show notification when there are no snapshots, hide when there are snapshots
-            notification.style.display = this.data.snapshots.length === 0 ? 'block' : 'none';
+    // New method to rename snapshot
+    renameSnapshot(newLabel) {
+        if (!this.currentSnapshotId) {
+            this.showMessage('No snapshot selected', 'error');
+            return;
         }
-    }
 
-    updateTable(category, tableId) {
-        const tableEl = document.getElementById(tableId);
-        if (!tableEl) {
+        const snapshot = this.getCurrentSnapshot();
+        if (!snapshot) return;
+
+        const trimmedLabel = newLabel.trim();
+        if (!trimmedLabel) {
+            this.showMessage('Snapshot name cannot be empty', 'error');
             return;
         }
-        const table = tableEl.querySelector('tbody');
-        if (!table) {
+
+        this.recordHistory(`Rename snapshot "${snapshot.label}"`);
+        snapshot.label = trimmedLabel;
+        this.saveData();
+        this.updateUI();
+        this.showUndoableMessage('Snapshot renamed successfully');
+    }
+
+    switchSnapshot(snapshotId) {
+        this.currentSnapshotId = snapshotId;
+        this.updateUI();
+        this.updateChatbotSnapshotInfo(); // Update chatbot context when snapshot changes
+    }
+
+    getCurrentSnapshot() {
+        return this.data.snapshots.find(s => s.id === this.currentSnapshotId);
+    }
+
+    ensureAtLeastOneSnapshot() {
+        // Only auto-create if there are already snapshots (not during fresh start)
+        if (this.data.snapshots.length === 0 && this.currentSnapshotId === null) {
+            return; // Don't auto-create on fresh start
+        }
+        
+        if (this.data.snapshots.length === 0) {
+            this.createSnapshot();
+        } else if (!this.currentSnapshotId) {
+            this.currentSnapshotId = this.data.snapshots[0].id;
+        }
+    }
+
+    // CRUD Operations
+    // `details` carries optional per-item fields such as { currency, frequency, apr, symbol }
+    addItem(category, name, amount, assetCategory = null, assetLiquidity = null, liabilityTerm = null, incomeCategory = null, expenseCategory = null, details = {}) {
+        if (!this.hasActiveSnapshot()) {
+            this.showMessage('Please create or select a snapshot first', 'error');
             return;
         }
-        table.innerHTML = '';
 
         const snapshot = this.getCurrentSnapshot();
         if (!snapshot) return;
 
-        let items = [...snapshot.data[category]];
-
-        // Apply filtering
-        if (this.tableState[category]) {
-            items = this.filterItems(items, this.tableState[category].filters, category);
+        const item = {
+            id: this.generateId(),
+            name: name.trim(),
+            amount: this.validateNumber(amount),
+            currency: this.getBaseCurrency()
+        };
+        if (category === 'incomes' || category === 'expenses') {
+            item.frequency = 'monthly';
+        }
+        this.applyItemDetails(item, details);
 
-            // Apply sorting
-            if (this.tableState[category].sortColumn) {
-                items = this.sortItems(
-                    items,
-                    this.tableState[category].sortColumn,
-                    this.tableState[category].sortDirection,
-                    category
-                );
-            }
+        // Add category and liquidity for assets
+        if (category === 'assets' && assetCategory) {
+            item.category = assetCategory;
+            item.liquidity = assetLiquidity;
         }
 
-        const isEditMode = this.editModeStates[category];
+        // Add term for liabilities
+        if (category === 'liabilities' && liabilityTerm) {
+            item.term = liabilityTerm;
+        }
 
-        items.forEach((item, index) => {
-            const row = document.createElement('tr');
+        // Add category for incomes
+        if (category === 'incomes' && incomeCategory) {
+            item.category = incomeCategory;
+        }
 
-            if (isEditMode) {
-                // Edit mode - show input fields and delete button
-                if (category === 'assets') {
-                    row.innerHTML = `
-                        <td>
-                            <input type="text" value="${this.escapeHtml(item.name)}" class="edit-input edit-mode-input" data-field="name">
-                        </td>
-                        <td>
-                            <input type="number" value="${item.amount}" step="0.01" min="0" class="edit-input edit-mode-input" data-field="amount">
-                        </td>
-                        <td>
-                            <select class="edit-input edit-mode-input" data-field="category">
-                                <option value="">Select Category</option>
-                                <option value="cash" ${item.category === 'cash' ? 'selected' : ''}>Cash</option>
-                                <option value="investments" ${item.category === 'investments' ? 'selected' : ''}>Investments</option>
-                                <option value="retirement" ${item.category === 'retirement' ? 'selected' : ''}>Retirement</option>
-                                <option value="property" ${item.category === 'property' ? 'selected' : ''}>Property</option>
-                                <option value="vehicles" ${item.category === 'vehicles' ? 'selected' : ''}>Vehicles</option>
-                                <option value="insurance" ${item.category === 'insurance' ? 'selected' : ''}>Insurance (Cash Value)</option>
-                                <option value="other" ${item.category === 'other' ? 'selected' : ''}>Other Assets</option>
-                            </select>
-                        </td>
-                        <td>
-                            <select class="edit-input edit-mode-input" data-field="liquidity">
-                                <option value="">Select Liquidity</option>
-                                <option value="high" ${item.liquidity === 'high' ? 'selected' : ''}>High</option>
-                                <option value="medium" ${item.liquidity === 'medium' ? 'selected' : ''}>Medium</option>
-                                <option value="low" ${item.liquidity === 'low' ? 'selected' : ''}>Low</option>
-                            </select>
-                        </td>
-                        <td class="edit-actions">
-                            <button class="btn btn-danger btn-small delete-row-btn" data-category="${category}" data-index="${index}" title="Delete this item">✕</button>
-                        </td>
-                    `;
+        // Add category for expenses
+        if (category === 'expenses' && expenseCategory) {
+            item.category = expenseCategory;
+        }
 
-                    // Apply column widths for assets table in edit mode
-                    if (this.tableState[category]) {
-                        const cells = row.querySelectorAll('td');
-                        if (cells[0]) cells[0].style.width = this.tableState[category].columnWidths.name;
-                        if (cells[1]) cells[1].style.width = this.tableState[category].columnWidths.amount;
-                        if (cells[2]) cells[2].style.width = this.tableState[category].columnWidths.category;
-                        if (cells[3]) cells[3].style.width = this.tableState[category].columnWidths.liquidity;
-                        if (cells[4]) cells[4].style.width = '60px'; // Fixed width for delete button column
-                    }
-                } else {
-                    // Handle liabilities with term field
-                    if (category === 'liabilities') {
-                        row.innerHTML = `
-                            <td>
-                                <input type="text" value="${this.escapeHtml(item.name)}" class="edit-input edit-mode-input" data-field="name">
-                            </td>
-                            <td>
-                                <input type="number" value="${item.amount}" step="0.01" min="0" class="edit-input edit-mode-input" data-field="amount">
-                            </td>
-                            <td>
-                                <select class="edit-input edit-mode-input" data-field="term">
-                                    <option value="">Select Term</option>
-                                    <option value="short-term" ${item.term === 'short-term' ? 'selected' : ''}>Short-Term</option>
-                                    <option value="medium-term" ${item.term === 'medium-term' ? 'selected' : ''}>Medium-Term</option>
-                                    <option value="long-term" ${item.term === 'long-term' ? 'selected' : ''}>Long-Term</option>
-                                </select>
-                            </td>
-                            <td class="edit-actions">
-                                <button class="btn btn-danger btn-small delete-row-btn" data-category="${category}" data-index="${index}" title="Delete this item">✕</button>
-                            </td>
-                        `;
+        if (!item.name) {
+            this.showMessage('Name cannot be empty', 'error');
+            return;
+        }
 
-                        // Apply column widths for liabilities table in edit mode
-                        if (this.tableState[category]) {
-                            const cells = row.querySelectorAll('td');
-                            if (cells[0]) cells[0].style.width = this.tableState[category].columnWidths.name;
-                            if (cells[1]) cells[1].style.width = this.tableState[category].columnWidths.amount;
-                            if (cells[2]) cells[2].style.width = this.tableState[category].columnWidths.term;
-                            if (cells[3]) cells[3].style.width = '60px'; // Fixed width for delete button column
-                        }
-                    } else if (category === 'incomes') {
-                        // Handle incomes with category field
-                        row.innerHTML = `
-                            <td>
-                                <input type="text" value="${this.escapeHtml(item.name)}" class="edit-input edit-mode-input" data-field="name">
-                            </td>
-                            <td>
-                                <input type="number" value="${item.amount}" step="0.01" min="0" class="edit-input edit-mode-input" data-field="amount">
-                            </td>
-                            <td>
-                                <select class="edit-input edit-mode-input" data-field="category">
-                                    <option value="">Select Category</option>
-                                    <option value="employment" ${item.category === 'employment' ? 'selected' : ''}>Employment Income</option>
-                                    <option value="business" ${item.category === 'business' ? 'selected' : ''}>Business / Self-Employment Income</option>
-                                    <option value="passive" ${item.category === 'passive' ? 'selected' : ''}>Passive Income</option>
-                                    <option value="other" ${item.category === 'other' ? 'selected' : ''}>Other Income</option>
-                                </select>
-                            </td>
-                            <td class="edit-actions">
-                                <button class="btn btn-danger btn-small delete-row-btn" data-category="${category}" data-index="${index}" title="Delete this item">✕</button>
-                            </td>
-                        `;
+        this.recordHistory(`Add "${item.name}"`);
+        if (category === 'assets') {
+            this.syncHoldingAmounts(snapshot, [item]);
+        }
+        snapshot.data[category].push(item);
+        this.saveData();
+        this.updateUI();
+        this.showUndoableMessage('Item added successfully');
+    }
 
-                        // Apply column widths for incomes table in edit mode
-                        if (this.tableState[category]) {
-                            const cells = row.querySelectorAll('td');
-                            if (cells[0]) cells[0].style.width = this.tableState[category].columnWidths.name;
-                            if (cells[1]) cells[1].style.width = this.tableState[category].columnWidths.amount;
-                            if (cells[2]) cells[2].style.width = this.tableState[category].columnWidths.category;
-                            if (cells[3]) cells[3].style.width = '60px'; // Fixed width for delete button column
-                        }
-                    } else if (category === 'expenses') {
-                        // Expenses with category field
-                        row.innerHTML = `
-                            <td>
-                                <input type="text" value="${this.escapeHtml(item.name)}" class="edit-input edit-mode-input" data-field="name">
-                            </td>
-                            <td>
-                                <input type="number" value="${item.amount}" step="0.01" min="0" class="edit-input edit-mode-input" data-field="amount">
-                            </td>
-                            <td>
-                                <select class="edit-input edit-mode-input" data-field="category">
-                                    <option value="">Select Category</option>
-                                    <option value="essential" ${item.category === 'essential' ? 'selected' : ''}>Essential / Fixed</option>
-                                    <option value="variable" ${item.category === 'variable' ? 'selected' : ''}>Variable / Living</option>
-                                    <option value="discretionary" ${item.category === 'discretionary' ? 'selected' : ''}>Discretionary / Lifestyle</option>
-                                    <option value="other" ${item.category === 'other' ? 'selected' : ''}>Other Expenses</option>
-                                </select>
-                            </td>
-                            <td class="edit-actions">
-                                <button class="btn btn-danger btn-small delete-row-btn" data-category="${category}" data-index="${index}" title="Delete this item">✕</button>
-                            </td>
-                        `;
+    updateItem(category, itemId, name, amount, assetCategory = null, assetLiquidity = null, liabilityTerm = null, incomeCategory = null, expenseCategory = null, silent = false, details = null) {
+        if (!this.hasActiveSnapshot()) {
+            this.showMessage('No active snapshot', 'error');
+            return;
+        }
 
-                        // Apply column widths for expenses table in edit mode
-                        if (this.tableState[category]) {
-                            const cells = row.querySelectorAll('td');
-                            if (cells[0]) cells[0].style.width = this.tableState[category].columnWidths.name;
-                            if (cells[1]) cells[1].style.width = this.tableState[category].columnWidths.amount;
-                            if (cells[2]) cells[2].style.width = this.tableState[category].columnWidths.category;
-                            if (cells[3]) cells[3].style.width = '60px'; // Fixed width for delete button column
-                        }
-                    }
-                }
-                row.classList.add('edit-mode-active');
-            } else {
-                // Normal view mode - no edit/delete buttons visible
-                if (category === 'assets') {
-                    const categoryName = item.category ? this.getCategoryDisplayName(item.category) : 'Not specified';
-                    const liquidityName = item.liquidity ? this.getLiquidityDisplayName(item.liquidity) : 'Not specified';
+        const snapshot = this.getCurrentSnapshot();
+        if (!snapshot) return;
 
-                    row.innerHTML = `
-                        <td>${this.escapeHtml(item.name)}</td>
-                        <td>${this.formatCurrency(item.amount)}</td>
-                        <td>${categoryName}</td>
-                        <td class="liquidity-cell">${liquidityName}</td>
-                    `;
+        const item = this.findItem(snapshot, category, itemId);
+        if (!item) return;
 
-                    // Apply column widths for assets table in view mode
-                    if (this.tableState[category]) {
-                        const cells = row.querySelectorAll('td');
-                        if (cells[0]) cells[0].style.width = this.tableState[category].columnWidths.name;
-                        if (cells[1]) cells[1].style.width = this.tableState[category].columnWidths.amount;
-                        if (cells[2]) cells[2].style.width = this.tableState[category].columnWidths.category;
-                        if (cells[3]) cells[3].style.width = this.tableState[category].columnWidths.liquidity;
-                    }
-                } else {
-                    if (category === 'liabilities') {
-                        const termName = item.term ? this.getLiabilityTermDisplayName(item.term) : 'Not specified';
+        const newName = name.trim();
+        const newAmount = this.validateNumber(amount);
 
-                        row.innerHTML = `
-                            <td>${this.escapeHtml(item.name)}</td>
-                            <td>${this.formatCurrency(item.amount)}</td>
-                            <td>${termName}</td>
-                        `;
+        if (!newName) {
+            this.showMessage('Name cannot be empty', 'error');
+            return;
+        }
 
-                        // Apply column widths for liabilities table in view mode
-                        if (this.tableState[category]) {
-                            const cells = row.querySelectorAll('td');
-                            if (cells[0]) cells[0].style.width = this.tableState[category].columnWidths.name;
-                            if (cells[1]) cells[1].style.width = this.tableState[category].columnWidths.amount;
-                            if (cells[2]) cells[2].style.width = this.tableState[category].columnWidths.term;
-                        }
-                    } else if (category === 'incomes') {
-                        // Handle incomes with category field for display
-                        const categoryName = item.category ? this.getIncomeCategoryDisplayName(item.category) : 'Not specified';
+        this.recordHistory(`Edit "${item.name}"`);
+        item.name = newName;
+        item.amount = newAmount;
 
-                        row.innerHTML = `
-                            <td>${this.escapeHtml(item.name)}</td>
-                            <td>${this.formatCurrency(item.amount)}</td>
-                            <td>${categoryName}</td>
-                        `;
+        // Update category and liquidity for assets
+        if (category === 'assets' && assetCategory !== null) {
+            item.category = assetCategory;
+            item.liquidity = assetLiquidity;
+        }
 
-                        // Apply column widths for incomes table in view mode
-                        if (this.tableState[category]) {
-                            const cells = row.querySelectorAll('td');
-                            if (cells[0]) cells[0].style.width = this.tableState[category].columnWidths.name;
-                            if (cells[1]) cells[1].style.width = this.tableState[category].columnWidths.amount;
-                            if (cells[2]) cells[2].style.width = this.tableState[category].columnWidths.category;
-                        }
-                    } else if (category === 'expenses') {
-                        // Handle expenses with category field for display
-                        const categoryName = item.category ? this.getExpenseCategoryDisplayName(item.category) : 'Not specified';
+        // Update term for liabilities
+        if (category === 'liabilities' && liabilityTerm !== null) {
+            item.term = liabilityTerm;
+        }
 
-                        row.innerHTML = `
-                            <td>${this.escapeHtml(item.name)}</td>
-                            <td>${this.formatCurrency(item.amount)}</td>
-                            <td>${categoryName}</td>
-                        `;
+        // Update category for incomes
+        if (category === 'incomes' && incomeCategory !== null) {
+            item.category = incomeCategory;
+        }
 
-                        // Apply column widths for expenses table in view mode
-                        if (this.tableState[category]) {
-                            const cells = row.querySelectorAll('td');
-                            if (cells[0]) cells[0].style.width = this.tableState[category].columnWidths.name;
-                            if (cells[1]) cells[1].style.width = this.tableState[category].columnWidths.amount;
-                            if (cells[2]) cells[2].style.width = this.tableState[category].columnWidths.category;
-                        }
-                    }
-                }
-            }
+        // Update category for expenses
+        if (category === 'expenses' && expenseCategory !== null) {
+            item.category = expenseCategory;
+        }
 
-            table.appendChild(row);
-        });
-        
-        // Apply column widths to headers
-        this.applyColumnWidths(category, tableId);
-        
-        // Force a DOM reflow to ensure the order is respected
-        if (table.offsetParent !== null) {
-            table.style.display = 'none';
-            table.offsetHeight; // Trigger reflow
-            table.style.display = '';
+        if (details) {
+            this.applyItemDetails(item, details);
+        }
+        if (category === 'assets') {
+            this.syncHoldingAmounts(snapshot, [item]);
         }
-        
 
+        this.saveData();
+        this.updateUI();
+        if (!silent) {
+            this.showUndoableMessage('Item updated successfully');
+        }
     }
 
-    // New method to show empty tables during fresh start
-    updateEmptyTables() {
-        const tables = ['assetsTable', 'liabilitiesTable', 'incomeTable', 'expensesTable'];
-        tables.forEach(tableId => {
-            const tableEl = document.getElementById(tableId);
-            if (!tableEl) {
-                return;
+    deleteItem(category, itemId) {
+        if (!this.hasActiveSnapshot()) {
+            this.showMessage('No active snapshot', 'error');
+            return;
+        }
+
+        const snapshot = this.getCurrentSnapshot();
+        if (!snapshot) return;
+
+        if (confirm('Are you sure you want to delete this item?')) {
+            const index = snapshot.data[category].findIndex(item => item.id === itemId);
+            if (index === -1) return;
+
+            this.recordHistory(`Delete "${snapshot.data[category][index].name}"`);
+            snapshot.data[category].splice(index, 1);
+            this.saveData();
+            this.updateUI();
+            this.showUndoableMessage('Item deleted successfully');
+        }
+    }
+
+    // Copy validated optional fields onto an item; unknown or invalid values are ignored
+    applyItemDetails(item, details = {}) {
+        if (details.currency !== undefined) {
+            const currency = this.normalizeCurrencyCode(details.currency);
+            if (currency) {
+                item.currency = currency;
             }
-            const table = tableEl.querySelector('tbody');
-            if (!table) {
-                return;
+        }
+        if (details.frequency !== undefined && details.frequency in ITEM_FREQUENCIES) {
+            item.frequency = details.frequency;
+        }
+        // Loan details are optional; clearing a field removes it from the item
+        LIABILITY_DETAIL_FIELDS.forEach(field => {
+            if (details[field] === undefined) return;
+            const value = field === 'lender'
+                ? String(details[field] || '').trim() || null
+                : this.parseOptionalNumber(details[field]);
+            if (value === null) {
+                delete item[field];
+            } else {
+                item[field] = field === 'remainingMonths' ? Math.round(value) : value;
+            }
+        });
+        // Clearing the symbol turns a holding back into a plain balance
+        if (details.symbol !== undefined) {
+            const symbol = this.normalizeSymbol(details.symbol);
+            if (symbol) {
+                item.symbol = symbol;
+            } else {
+                HOLDING_DETAIL_FIELDS.forEach(field => delete item[field]);
+            }
+        }
+        ['quantity', 'costBasis'].forEach(field => {
+            if (details[field] === undefined || !item.symbol) return;
+            const value = this.parseOptionalNumber(details[field]);
+            if (value === null) {
+                delete item[field];
+            } else {
+                item[field] = value;
             }
-            table.innerHTML = '';
         });
+        return item;
     }
 
-    updateUI() {
-        // Update snapshot notification based on whether any snapshots exist
-        this.updateSnapshotNotification();
+    // Items are addressed by id so sorted or filtered tables always edit the right row
+    findItem(snapshot, category, itemId) {
+        if (!snapshot || !snapshot.data[category]) return null;
+        return snapshot.data[category].find(item => item.id === itemId) || null;
+    }
 
-        // Update all UI components
-        this.updateSnapshotList();
-        this.updateSortControls();
-        this.updateSearchControls();
-        this.updateSummary();
+    // Summary Calculations
+    // Totals in base currency for the given snapshot (the current one by default)
+    calculateSummary(snapshot = this.getCurrentSnapshot()) {
+        if (!snapshot) return {
+            totalAssets: 0,
+            totalLiabilities: 0,
+            netWorth: 0,
+            totalIncome: 0,
+            totalExpenses: 0,
+            savings: 0
+        };
 
-        // Update charts and financial ratios
-        this.createCharts();
+        const totalAssets = this.sumBaseAmounts(snapshot.data.assets, snapshot);
+        const totalLiabilities = this.sumBaseAmounts(snapshot.data.liabilities, snapshot);
+        const totalIncome = this.sumMonthlyAmounts(snapshot.data.incomes, snapshot);
+        const totalExpenses = this.sumMonthlyAmounts(snapshot.data.expenses, snapshot);
 
-        // Update edit mode buttons
-        this.updateEditModeButtons();
+        return {
+            totalAssets,
+            totalLiabilities,
+            netWorth: totalAssets - totalLiabilities,
+            totalIncome,
+            totalExpenses,
+            savings: totalIncome - totalExpenses
+        };
+    }
 
-        this.updateTable('assets', 'assetsTable');
-        this.updateTable('liabilities', 'liabilitiesTable');
-        this.updateTable('incomes', 'incomeTable');
-        this.updateTable('expenses', 'expensesTable');
+    // Debt Service
+    // Monthly payment in base currency: the recorded minimum, otherwise an amortised
+    // payment from the remaining term (and APR if known), otherwise null (unknown)
+    getLiabilityMonthlyPayment(item, snapshot) {
+        const rate = this.getFxRate(snapshot, this.getItemCurrency(item));
+        if (rate === null) return null;
 
-        // Update main page state based on active snapshot
-        this.updateMainPageState();
+        if (typeof item.minPayment === 'number') {
+            return item.minPayment * rate;
+        }
+        if (item.amount === 0) return 0;
+        if (item.remainingMonths > 0) {
+            const monthlyRate = (item.apr || 0) / 100 / 12;
+            const payment = monthlyRate > 0
+                ? item.amount * monthlyRate / (1 - Math.pow(1 + monthlyRate, -item.remainingMonths))
+                : item.amount / item.remainingMonths;
+            return payment * rate;
+        }
+        return null;
     }
 
-    // Update all edit mode buttons per their current states
-    updateEditModeButtons() {
-        document.querySelectorAll('.edit-mode-btn').forEach(button => {
-            const category = button.dataset.category;
-            this.updateEditModeButton(button, category);
-        });
+    // Interest accrued this month in base currency, or null when no APR is recorded
+    getLiabilityMonthlyInterest(item, snapshot) {
+        if (typeof item.apr !== 'number') return null;
+        const baseAmount = this.getBaseAmount(item, snapshot);
+        return baseAmount === null ? null : baseAmount * item.apr / 100 / 12;
     }
 
-    // Enhanced Event Handlers for Table Features
-    bindTableEventListeners() {
-        // Sort event listeners for all tables
-        this.bindSortEventListeners();
+    calculateDebtService(snapshot = this.getCurrentSnapshot(), summary = this.calculateSummary(snapshot)) {
+        const result = {
+            monthlyPayments: 0,
+            monthlyInterest: 0,
+            coverage: Infinity,
+            debtToIncome: 0,
+            missingPayments: [],
+            missingRates: []
+        };
+        if (!snapshot) return result;
 
-        // Generic table resize handlers for all tables
-        this.bindResizeHandlers();
-    }
+        snapshot.data.liabilities.forEach(liability => {
+            const payment = this.getLiabilityMonthlyPayment(liability, snapshot);
+            if (payment === null) {
+                result.missingPayments.push(liability.name);
+            } else {
+                result.monthlyPayments += payment;
+            }
 
-    bindSortEventListeners() {
-        const tables = ['assetsTable', 'liabilitiesTable', 'incomeTable', 'expensesTable'];
-        tables.forEach(tableId => {
-            const table = document.getElementById(tableId);
-            if (!table) return;
-            const filterIcons = table.querySelectorAll('.filter-icon');
-            filterIcons.forEach(icon => {
-                icon.addEventListener('click', (e) => {
-                    e.stopPropagation();
-                    const header = icon.closest('th');
-                    const column = header.getAttribute('data-column');
-                    const category = tableId.replace('Table', '').replace('income', 'incomes');
-                    this.showFilterDialog(tableId, category, column, header);
-                });
-            });
+            const interest = this.getLiabilityMonthlyInterest(liability, snapshot);
+            if (interest === null) {
+                if (liability.amount > 0) result.missingRates.push(liability.name);
+            } else {
+                result.monthlyInterest += interest;
+            }
         });
+
+        if (result.monthlyPayments > 0) {
+            result.coverage = summary.totalIncome / result.monthlyPayments;
+            result.debtToIncome = summary.totalIncome > 0
+                ? (result.monthlyPayments / summary.totalIncome) * 100
+                : Infinity;
+        }
+        return result;
     }
 
-    // Show filter and sort dialog
-    showFilterDialog(tableId, category, column, header) {
-        // Remove any existing filter dialogs
-        document.querySelectorAll('.filter-dialog').forEach(dialog => dialog.remove());
+    // Short "5.25% APR · $1,200.00/mo · 240 mo left · Lender" line for the liabilities table
+    describeLiabilityDetails(item) {
+        const parts = [];
+        if (typeof item.apr === 'number') parts.push(`${this.formatter.formatNumber(item.apr, 2)}% APR`);
+        if (typeof item.minPayment === 'number') parts.push(`${this.formatCurrency(item.minPayment, this.getItemCurrency(item))}/mo`);
+        if (typeof item.remainingMonths === 'number') parts.push(`${item.remainingMonths} mo left`);
+        if (item.lender) parts.push(item.lender);
+        return parts.join(' · ');
+    }
 
-        const dialog = document.createElement('div');
-        dialog.className = 'filter-dialog';
-        dialog.innerHTML = `
-            <div class="filter-dialog-content">
-                <h4>Sort & Filter: ${header.querySelector('span')?.textContent || column.charAt(0).toUpperCase() + column.slice(1)}</h4>
+    // Import/Export
+    // Whole dataset as JSON, optionally limited to some snapshots
+    exportData(snapshotIds = null) {
+        try {
+            const data = snapshotIds
+                ? { ...this.data, snapshots: this.data.snapshots.filter(snapshot => snapshotIds.includes(snapshot.id)) }
+                : this.data;
+            const dataStr = JSON.stringify(data, null, 2);
+            this.downloadFile(dataStr, `myfinsnap.com-${new Date().toISOString().split('T')[0]}.json`, 'application/json');
+            this.showMessage('Data exported successfully! Check your downloads folder.', 'success');
+        } catch (error) {
+            console.error('Export error:', error);
+            this.showMessage('Failed to export data: ' + error.message, 'error');
+        }
+    }
 
-                <div class="filter-section">
-                    <h5>Sort Order:</h5>
-                    <select class="sort-select" id="sortSelect">
-                        <option value="none">No Sort</option>
-                        <option value="asc">Ascending A-Z ↑</option>
-                        <option value="desc">Descending Z-A ↓</option>
-                    </select>
-                </div>
+    // Export Dialog
+    // The JSON backup plus accountant-friendly CSV and XLSX exports of chosen snapshots.
+    // Amounts are written unformatted, with base-currency (and monthly) columns alongside.
+    openExportDialog() {
+        if (this.data.snapshots.length === 0) {
+            this.showMessage('No snapshots to export', 'info');
+            return;
+        }
 
-                <div class="filter-section">
-                    <h5>Value Filter:</h5>
-                    ${column === 'amount' ? `
-                       <div class="amount-filter-wrapper">
-                            <select class="filter-operator" id="filterOperator" style="margin-right: 0.5rem;">
-                                <option value="greater">Greater than ></option>
-                                <option value="less">Less than <</option>
-                                <option value="greater_equal">Greater or Equal ≥</option>
-                                <option value="less_equal">Less or Equal ≤</option>
-                                <option value="equal">Equals =</option>
-                                <option value="between">Range (between)</option>
-                            </select>
-                            <div class="amount-inputs" id="amountInputs">
-                                <input type="text" class="filter-amount" id="filterAmount1" placeholder="Enter amount..." />
-                                <span class="range-separator" id="rangeSeparator" style="display:none;">to</span>
-                                <input type="text" class="filter-amount" id="filterAmount2" placeholder="Enter amount..." style="display:none;" />
-                            </div>
-                        </div>
-                        <button class="btn btn-small" id="clearFilterBtn" style="margin-top: 0.5rem;">Clear Filter</button>
-                    ` : `
-                        <div class="autocomplete-wrapper">
-                            <input type="text" class="filter-input" id="filterInput" placeholder="Type to filter..." />
-                            <div class="suggestions-dropdown" id="suggestionsDropdown" style="display: none;"></div>
-                        </div>
-                        <button class="btn btn-small" id="clearFilterBtn" style="margin-top: 0.5rem;">Clear Filter</button>
-                    `}
-                </div>
+        const snapshots = [...this.data.snapshots].sort((a, b) => this.compareSnapshotsByDate(b, a));
+        document.getElementById('exportSnapshotList').innerHTML = snapshots.map(snapshot => `
+            <label class="csv-option">
+                <input type="checkbox" value="${this.escapeHtml(snapshot.id)}" checked>
+                ${this.escapeHtml(snapshot.label)} <span class="trend-date">${this.formatDate(this.getSnapshotDate(snapshot), false)}</span>
+            </label>
+        `).join('');
+        this.openModal('exportModal');
+    }
 
-                ${this.getColumnSpecificFilters(category, column)}
+    getSelectedExportSnapshots() {
+        const ids = [...document.querySelectorAll('#exportSnapshotList input:checked')].map(input => input.value);
+        return this.data.snapshots
+            .filter(snapshot => ids.includes(snapshot.id))
+            .sort((a, b) => this.compareSnapshotsByDate(a, b));
+    }
 
-                <div class="filter-actions">
-                    <button class="btn btn-secondary btn-small" id="cancelBtn">Cancel</button>
-                    <button class="btn btn-primary btn-small" id="applyBtn">Apply</button>
-                </div>
-            </div>
-        `;
+    runExport() {
+        const snapshots = this.getSelectedExportSnapshots();
+        if (snapshots.length === 0) {
+            this.showMessage('Select at least one snapshot to export', 'error');
+            return;
+        }
 
-        document.body.appendChild(dialog);
+        const format = document.querySelector('input[name="exportFormat"]:checked').value;
+        const stamp = new Date().toISOString().split('T')[0];
+        try {
+            if (format === 'json') {
+                this.exportData(snapshots.map(snapshot => snapshot.id));
+                this.closeModal('exportModal');
+                return;
+            }
 
-        // Set current filter values
-        const currentSort = this.tableState[category].sortColumn === column ?
-            this.tableState[category].sortDirection : 'none';
-        const currentFilter = this.tableState[category].filters[column] || '';
+            const sections = ['assets', 'liabilities', 'incomes', 'expenses'];
+            if (format === 'csv-sections') {
+                sections.forEach(section => {
+                    this.downloadFile(this.toCsv(this.buildSectionExportRows(section, snapshots)), `myfinsnap.com-${stamp}-${section}.csv`, 'text/csv');
+                });
+            } else if (format === 'csv-long') {
+                this.downloadFile(this.toCsv(this.buildLongExportRows(snapshots)), `myfinsnap.com-${stamp}.csv`, 'text/csv');
+            } else if (format === 'xlsx') {
+                const workbook = new XlsxWorkbook();
+                sections.forEach(section => workbook.addSheet(this.formatCategoryName(section), this.buildSectionExportRows(section, snapshots)));
+                workbook.addSheet('Summary', this.buildSummaryExportRows(snapshots));
+                workbook.addSheet('Ratios', this.buildRatioExportRows(snapshots));
+                this.downloadFile(workbook.toBlob(), `myfinsnap.com-${stamp}.xlsx`);
+            }
 
-        document.getElementById('sortSelect').value = currentSort;
+            this.closeModal('exportModal');
+            this.showMessage(`Exported ${snapshots.length} snapshot${snapshots.length === 1 ? '' : 's'}`, 'success');
+        } catch (error) {
+            console.error('Export error:', error);
+            this.showMessage('Failed to export data: ' + error.message, 'error');
+        }
+    }
 
-        // Handle amount filters differently
-        if (column === 'amount') {
-            // Parse current filter value for amount filters
-            let operator = 'greater', value1 = '', value2 = '';
-            if (currentFilter && currentFilter.includes(':')) {
-                const parts = currentFilter.split(':');
-                operator = parts[0];
-                value1 = parts[1];
-                if (operator === 'between' && parts[2]) {
-                    value2 = parts[2];
+    // Column definitions per section: header text and a getter for (item, snapshot)
+    getExportColumns(section) {
+        const base = this.getBaseCurrency();
+        const round = value => value === null || value === undefined ? '' : Math.round(value * 100) / 100;
+        const columns = [
+            { header: 'Snapshot', value: (item, snapshot) => snapshot.label },
+            { header: 'As Of', value: (item, snapshot) => this.getSnapshotDate(snapshot) },
+            { header: 'Name', value: item => item.name },
+            { header: 'Amount', value: item => item.amount },
+            { header: 'Currency', value: item => this.getItemCurrency(item) },
+            { header: `Amount (${base})`, value: (item, snapshot) => round(this.getBaseAmount(item, snapshot)) }
+        ];
+        const label = (group, value) => value ? this.getCategoryLabel(group, value) : '';
+
+        if (section === 'assets') {
+            columns.push(
+                { header: 'Category', value: item => label('assets', item.category) },
+                { header: 'Liquidity', value: item => label('liquidity', item.liquidity) },
+                { header: 'Symbol', value: item => item.symbol || '' },
+                { header: 'Quantity', value: item => item.quantity ?? '' },
+                { header: 'Cost Basis', value: item => item.costBasis ?? '' }
+            );
+        } else if (section === 'liabilities') {
+            columns.push(
+                { header: 'Term', value: item => label('liabilities', item.term) },
+                { header: 'APR %', value: item => item.apr ?? '' },
+                { header: 'Minimum Payment', value: item => item.minPayment ?? '' },
+                { header: 'Remaining Months', value: item => item.remainingMonths ?? '' },
+                { header: 'Lender', value: item => item.lender || '' }
+            );
+        } else {
+            columns.push(
+                { header: 'Category', value: item => label(section, item.category) },
+                { header: 'Frequency', value: item => (ITEM_FREQUENCIES[item.frequency] || ITEM_FREQUENCIES.monthly).label },
+                { header: `Monthly (${base})`, value: (item, snapshot) => round(this.getMonthlyAmount(item, snapshot)) }
+            );
+        }
+        return columns;
+    }
+
+    buildSectionExportRows(section, snapshots) {
+        const columns = this.getExportColumns(section);
+        const rows = [columns.map(column => column.header)];
+        snapshots.forEach(snapshot => {
+            snapshot.data[section].forEach(item => {
+                rows.push(columns.map(column => column.value(item, snapshot)));
+            });
+        });
+        return rows;
+    }
+
+    // Every section in one table: a Section column plus the union of the section columns
+    buildLongExportRows(snapshots) {
+        const sections = ['assets', 'liabilities', 'incomes', 'expenses'];
+        const headers = [];
+        sections.forEach(section => {
+            this.getExportColumns(section).forEach(column => {
+                if (!headers.includes(column.header)) headers.push(column.header);
+            });
+        });
+
+        const rows = [['Section', ...headers]];
+        sections.forEach(section => {
+            const columns = this.getExportColumns(section);
+            snapshots.forEach(snapshot => {
+                snapshot.data[section].forEach(item => {
+                    rows.push([
+                        this.formatCategoryName(section),
+                        ...headers.map(header => {
+                            const column = columns.find(entry => entry.header === header);
+                            return column ? column.value(item, snapshot) : '';
+                        })
+                    ]);
+                });
+            });
+        });
+        return rows;
+    }
+
+    buildSummaryExportRows(snapshots) {
+        const base = this.getBaseCurrency();
+        const round = value => Math.round(value * 100) / 100;
+        const rows = [['Snapshot', 'As Of', `Total Assets (${base})`, `Total Liabilities (${base})`, `Net Worth (${base})`,
+            `Monthly Income (${base})`, `Monthly Expenses (${base})`, `Monthly Savings (${base})`]];
+        snapshots.forEach(snapshot => {
+            const summary = this.calculateSummary(snapshot);
+            rows.push([
+                snapshot.label,
+                this.getSnapshotDate(snapshot),
+                round(summary.totalAssets),
+                round(summary.totalLiabilities),
+                round(summary.netWorth),
+                round(summary.totalIncome),
+                round(summary.totalExpenses),
+                round(summary.savings)
+            ]);
+        });
+        return rows;
+    }
+
+    // Unbounded ratios (no debt payments recorded) are left blank
+    buildRatioExportRows(snapshots) {
+        const unitSuffix = { '%': ' (%)', months: ' (months)', x: ' (x)' };
+        const rows = [['Snapshot', 'As Of', ...TREND_RATIOS.map(ratio => `${ratio.label}${unitSuffix[ratio.unit] || ''}`)]];
+        snapshots.forEach(snapshot => {
+            const ratios = this.calculateRatios(snapshot);
+            rows.push([
+                snapshot.label,
+                this.getSnapshotDate(snapshot),
+                ...TREND_RATIOS.map(ratio => Number.isFinite(ratios[ratio.key]) ? Math.round(ratios[ratio.key] * 100) / 100 : '')
+            ]);
+        });
+        return rows;
+    }
+
+    // Save text content through a temporary download link
+    downloadFile(content, filename, type) {
+        const blob = content instanceof Blob ? content : new Blob([content], { type });
+        const url = URL.createObjectURL(blob);
+
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = filename;
+        link.style.display = 'none';
+
+        document.body.appendChild(link);
+        link.click();
+        document.body.removeChild(link);
+
+        URL.revokeObjectURL(url);
+    }
+
+    // RFC 4180 CSV: fields with commas, quotes or line breaks are quoted
+    toCsv(rows) {
+        const escape = value => {
+            let text = value === null || value === undefined ? '' : String(value);
+            // Text starting with a formula character would run as a formula in a spreadsheet;
+            // numbers (including negative ones) are left as they are
+            if (typeof value !== 'number' && /^[=+\-@\t\r]/.test(text) && !/^[-+]?\d+(\.\d+)?$/.test(text)) {
+                text = `'${text}`;
+            }
+            return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+        };
+        return rows.map(row => row.map(escape).join(',')).join('\r\n');
+    }
+
+    // Reads a JSON export, reports any problems in it and offers to replace or merge
+    // with the local data. Nothing is written until the dialog is applied.
+    importData(file) {
+        const reader = new FileReader();
+        reader.onload = (e) => {
+            try {
+                let raw;
+                try {
+                    raw = JSON.parse(e.target.result);
+                } catch (error) {
+                    throw new Error(`${file.name} is not valid JSON (${error.message})`);
+                }
+
+                // Files from a newer app version can't be safely interpreted
+                this.assertSupportedSchemaVersion(raw);
+
+                this.importDraft = {
+                    fileName: file.name,
+                    raw,
+                    issues: this.validateImportData(raw),
+                    fixes: {},
+                    stage: 'review',
+                    data: null,
+                    // Merging is the safe default once there is local data to lose
+                    mode: this.data.snapshots.length > 0 ? 'merge' : 'replace',
+                    plan: null
+                };
+                // Clean files skip the report
+                if (this.importDraft.issues.length === 0) {
+                    this.prepareImport();
                 }
+                this.renderImportDialog();
+                this.openModal('importModal');
+            } catch (error) {
+                console.error('Import error:', error);
+                this.showMessage('Error importing data: ' + error.message, 'error');
             }
+        };
+        reader.readAsText(file);
+    }
 
-            const operatorSelect = document.getElementById('filterOperator');
-            const amount1Input = document.getElementById('filterAmount1');
-            const amount2Input = document.getElementById('filterAmount2');
+    // Migrated and sanitised copy of a parsed export; throws on unusable files.
+    // What validateImportData only warns about is repaired here as the report says.
+    normalizeImportedData(importedData) {
+        const sections = ['assets', 'liabilities', 'incomes', 'expenses'];
 
-            operatorSelect.value = operator;
-            amount1Input.value = value1;
-            amount2Input.value = value2;
+        // Validate structure
+        if (!importedData || !importedData.snapshots || !Array.isArray(importedData.snapshots)) {
+            throw new Error('Invalid data structure');
+        }
 
-            // Show/hide second input based on operator
-            this.updateAmountFilterInputs(operator);
+        // Validate each snapshot
+        for (const snapshot of importedData.snapshots) {
+            if (!snapshot || typeof snapshot !== 'object' || !snapshot.data || typeof snapshot.data !== 'object') {
+                throw new Error('Invalid snapshot structure');
+            }
+            if (sections.some(cat => snapshot.data[cat] !== undefined &&
+                (!Array.isArray(snapshot.data[cat]) || snapshot.data[cat].some(item => !item || typeof item !== 'object')))) {
+                throw new Error('Invalid data categories');
+            }
+        }
 
-            // Add event listener for operator change
-            operatorSelect.addEventListener('change', (e) => {
-                this.updateAmountFilterInputs(e.target.value);
+        // Missing ids and names are generated; a duplicate id would make two snapshots one
+        const snapshotIds = new Set();
+        importedData.snapshots.forEach((snapshot, index) => {
+            if (!snapshot.id || typeof snapshot.id !== 'string' || snapshotIds.has(snapshot.id)) {
+                snapshot.id = this.generateId();
+            }
+            snapshotIds.add(snapshot.id);
+            if (typeof snapshot.label !== 'string' || !snapshot.label.trim()) {
+                snapshot.label = `Snapshot ${index + 1}`;
+            }
+            if (isNaN(new Date(snapshot.createdAt).getTime())) {
+                snapshot.createdAt = new Date().toISOString();
+            }
+            sections.forEach(cat => {
+                snapshot.data[cat] = snapshot.data[cat] || [];
             });
-        } else {
-            document.getElementById('filterInput').value = currentFilter;
-            // Initialize autocomplete functionality
-            this.initializeAutocomplete(dialog, tableId, category, column);
-        }
+        });
 
-        // Set up event listeners
-        document.getElementById('cancelBtn').addEventListener('click', () => {
-            dialog.remove();
+        // Upgrade older exports to the current schema
+        importedData = this.migrateData(importedData);
+
+        // Sanitize amounts to numbers to prevent string concatenation bugs
+        importedData.snapshots.forEach(snap => {
+            ['assets','liabilities','incomes','expenses'].forEach(cat => {
+                snap.data[cat] = (snap.data[cat] || []).map(item => {
+                    const sanitized = { ...item };
+                    sanitized.amount = this.validateNumber(item.amount);
+                    if (typeof item.name !== 'string' || !item.name.trim()) {
+                        sanitized.name = 'Unnamed item';
+                    }
+                    if ((cat === 'incomes' || cat === 'expenses') && !(item.frequency in ITEM_FREQUENCIES)) {
+                        sanitized.frequency = 'monthly';
+                    }
+                    return sanitized;
+                });
+            });
+            snap.asOfDate = this.getDefaultAsOfDate(snap);
+            snap.budgets = this.getSnapshotBudgets(snap);
         });
 
-        document.getElementById('applyBtn').addEventListener('click', () => {
-            const sortValue = document.getElementById('sortSelect').value;
-            let filterValue = '';
+        // Files already at the current schema may still be hand-edited
+        this.ensureItemIds(importedData);
+        this.ensureCategoryRegistry(importedData);
+        importedData.goals = (Array.isArray(importedData.goals) ? importedData.goals : [])
+            .filter(goal => !this.getGoalProblem(goal))
+            .map(goal => ({
+                ...goal,
+                id: typeof goal.id === 'string' && goal.id ? goal.id : this.generateId(),
+                targetDate: this.isValidAsOfDate(goal.targetDate) ? goal.targetDate : ''
+            }));
+        importedData.scenarios = (Array.isArray(importedData.scenarios) ? importedData.scenarios : [])
+            .filter(scenario => !this.getScenarioProblem(scenario))
+            .map(scenario => ({
+                ...scenario,
+                id: typeof scenario.id === 'string' && scenario.id ? scenario.id : this.generateId(),
+                overrides: this.createScenarioOverrides(scenario.overrides)
+            }));
+        return importedData;
+    }
+
+    replaceWithImportedData(importedData) {
+        this.recordHistory('Import data');
+        this.data = importedData;
+        this.storageLocked = false; // Imported data replaces whatever was locked
+        this.currentSnapshotId = this.data.snapshots[0]?.id || null;
+        this.searchTerm = ''; // Reset search
+        this.saveData();
+        this.updateUI();
+        this.showUndoableMessage('Data imported successfully');
+    }
 
-            // Handle sort
-            if (sortValue === 'none') {
-                if (this.tableState[category].sortColumn === column) {
-                    this.tableState[category].sortColumn = null;
-                    this.tableState[category].sortDirection = 'asc';
-                }
+    // Import Validation
+    // Before anything is imported the raw file is checked item by item. Structural
+    // problems are errors that stop the import; everything else is a warning that
+    // says how it will be repaired, and amounts, categories and as-of dates can be
+    // corrected in the dialog instead. Paths are JSONPath into the uploaded file.
+    validateImportData(data) {
+        const issues = [];
+        const add = (path, severity, message, fix = null) => issues.push({ path, severity, message, fix });
+
+        if (!data || typeof data !== 'object' || Array.isArray(data)) {
+            add('$', 'error', 'Not a data export: expected a JSON object with a "snapshots" list');
+            return issues;
+        }
+        if (!Array.isArray(data.snapshots)) {
+            add('$.snapshots', 'error', 'Missing the "snapshots" list');
+            return issues;
+        }
+
+        // Fields added by later schema versions are filled in by migrations, not reported
+        const version = this.getSchemaVersion(data);
+        const known = this.getImportCategoryEntries(data);
+        const fieldNames = { assets: 'category', liquidity: 'liquidity level', liabilities: 'term', incomes: 'category', expenses: 'category' };
+        const snapshotIds = new Map();
+
+        data.snapshots.forEach((snapshot, s) => {
+            const path = `$.snapshots[${s}]`;
+            if (!snapshot || typeof snapshot !== 'object' || Array.isArray(snapshot)) {
+                add(path, 'error', 'Snapshot is not an object');
+                return;
+            }
+
+            if (!snapshot.id || typeof snapshot.id !== 'string') {
+                add(`${path}.id`, 'warning', 'Missing snapshot id; a new id will be generated');
+            } else if (snapshotIds.has(snapshot.id)) {
+                add(`${path}.id`, 'warning', `Duplicate snapshot id "${snapshot.id}" (also at ${snapshotIds.get(snapshot.id)}); a new id will be generated`);
             } else {
-                this.tableState[category].sortColumn = column;
-                this.tableState[category].sortDirection = sortValue;
+                snapshotIds.set(snapshot.id, path);
+            }
+            if (typeof snapshot.label !== 'string' || !snapshot.label.trim()) {
+                add(`${path}.label`, 'warning', `Missing name; it will be called "Snapshot ${s + 1}"`);
+            }
+            if (isNaN(new Date(snapshot.createdAt).getTime())) {
+                add(`${path}.createdAt`, 'warning', `Invalid date ${JSON.stringify(snapshot.createdAt ?? null)}; the import time will be used`);
+            }
+            if (version >= 7 && !this.isValidAsOfDate(snapshot.asOfDate)) {
+                add(`${path}.asOfDate`, 'warning', `Invalid as-of date ${JSON.stringify(snapshot.asOfDate ?? null)}; the created date will be used`,
+                    { kind: 'date', snapshot: s, field: 'asOfDate' });
             }
 
-            // Handle filter - different logic for amount vs text filters
-            if (column === 'amount') {
-                const operator = document.getElementById('filterOperator').value;
-                const value1 = document.getElementById('filterAmount1').value.trim();
-                const value2 = document.getElementById('filterAmount2').value.trim();
+            if (!snapshot.data || typeof snapshot.data !== 'object' || Array.isArray(snapshot.data)) {
+                add(`${path}.data`, 'error', 'Missing the snapshot\'s "data" object');
+                return;
+            }
 
-                if (value1) {
-                    filterValue = operator + ':' + value1;
-                    if (operator === 'between' && value2) {
-                        filterValue += ':' + value2;
+            ['assets', 'liabilities', 'incomes', 'expenses'].forEach(section => {
+                const sectionPath = `${path}.data.${section}`;
+                const items = snapshot.data[section];
+                if (items === undefined) {
+                    add(sectionPath, 'warning', `Missing the "${section}" list; it will be empty`);
+                    return;
+                }
+                if (!Array.isArray(items)) {
+                    add(sectionPath, 'error', `"${section}" is not a list`);
+                    return;
+                }
+
+                const itemIds = new Map();
+                items.forEach((item, index) => {
+                    const itemPath = `${sectionPath}[${index}]`;
+                    if (!item || typeof item !== 'object' || Array.isArray(item)) {
+                        add(itemPath, 'error', 'Item is not an object');
+                        return;
+                    }
+
+                    if (!item.id || typeof item.id !== 'string') {
+                        if (version >= 2) add(`${itemPath}.id`, 'warning', 'Missing item id; a new id will be generated');
+                    } else if (itemIds.has(item.id)) {
+                        add(`${itemPath}.id`, 'warning', `Duplicate item id "${item.id}" (also at ${itemIds.get(item.id)}); a new id will be generated`);
+                    } else {
+                        itemIds.set(item.id, itemPath);
+                    }
+                    if (typeof item.name !== 'string' || !item.name.trim()) {
+                        add(`${itemPath}.name`, 'warning', 'Missing name; it will be called "Unnamed item"');
+                    }
+
+                    // Same reading as validateNumber, but strings like "12abc" are reported too
+                    const amountFix = { kind: 'amount', snapshot: s, section, index, field: 'amount' };
+                    const numeric = typeof item.amount === 'number' ||
+                        (typeof item.amount === 'string' && item.amount.trim() !== '' && !isNaN(Number(item.amount)));
+                    if (!numeric) {
+                        add(`${itemPath}.amount`, 'warning', `Amount ${JSON.stringify(item.amount ?? null)} is not a number; it will be imported as ${this.validateNumber(item.amount)}`, amountFix);
+                    } else if (Number(item.amount) < 0) {
+                        add(`${itemPath}.amount`, 'warning', `Negative amount ${item.amount} will be imported as 0; ${section} are entered as positive amounts`, amountFix);
+                    }
+
+                    Object.entries(CATEGORY_REGISTRY_FIELDS)
+                        .filter(([, target]) => target.section === section)
+                        .forEach(([group, { field }]) => {
+                            const value = item[field];
+                            if (!value || known[group].some(entry => entry.value === value)) return;
+                            add(`${itemPath}.${field}`, 'warning', `Unknown ${fieldNames[group]} "${value}"; it will be added as a new entry`,
+                                { kind: 'category', group, snapshot: s, section, index, field });
+                        });
+
+                    if ((section === 'incomes' || section === 'expenses') && version >= 5 && !(item.frequency in ITEM_FREQUENCIES)) {
+                        add(`${itemPath}.frequency`, 'warning', `Unknown frequency ${JSON.stringify(item.frequency ?? null)}; it will be treated as monthly`);
                     }
+                });
+            });
+        });
+
+        if (data.goals !== undefined && !Array.isArray(data.goals)) {
+            add('$.goals', 'warning', '"goals" is not a list; no goals will be imported');
+        } else {
+            (data.goals || []).forEach((goal, g) => {
+                const problem = this.getGoalProblem(goal);
+                if (problem) {
+                    add(`$.goals[${g}]`, 'warning', `${problem}; this goal will be left out`);
+                    return;
+                }
+                if (!goal.id || typeof goal.id !== 'string') {
+                    add(`$.goals[${g}].id`, 'warning', 'Missing goal id; a new id will be generated');
+                }
+                if (goal.targetDate && !this.isValidAsOfDate(goal.targetDate)) {
+                    add(`$.goals[${g}].targetDate`, 'warning', `Invalid target date ${JSON.stringify(goal.targetDate)}; the goal will have none`);
+                }
+            });
+        }
+
+        if (data.scenarios !== undefined && !Array.isArray(data.scenarios)) {
+            add('$.scenarios', 'warning', '"scenarios" is not a list; no scenarios will be imported');
+        } else {
+            (data.scenarios || []).forEach((scenario, index) => {
+                const problem = this.getScenarioProblem(scenario);
+                if (problem) {
+                    add(`$.scenarios[${index}]`, 'warning', `${problem}; this scenario will be left out`);
+                    return;
+                }
+                // Compare each override with what createScenarioOverrides keeps
+                const kept = this.createScenarioOverrides(scenario.overrides);
+                const check = (path, value, keptValue) => {
+                    if (value !== undefined && JSON.stringify(value) !== JSON.stringify(keptValue)) {
+                        add(`$.scenarios[${index}].overrides.${path}`, 'warning', `Invalid value ${JSON.stringify(value)}; ${JSON.stringify(keptValue)} will be used`);
+                    }
+                };
+                Object.keys(kept).filter(key => key !== 'newLoan').forEach(key => check(key, scenario.overrides[key], kept[key]));
+                const loan = scenario.overrides.newLoan;
+                if (loan !== undefined && (!loan || typeof loan !== 'object')) {
+                    check('newLoan', loan, kept.newLoan);
+                } else if (loan) {
+                    Object.keys(kept.newLoan).forEach(key => check(`newLoan.${key}`, loan[key], kept.newLoan[key]));
                 }
+            });
+        }
+
+        return issues;
+    }
+
+    // Built-in registry entries plus those the file defines, per group
+    getImportCategoryEntries(data) {
+        const defaults = this.createDefaultCategoryRegistry();
+        const entries = {};
+        Object.keys(defaults).forEach(group => {
+            const fileEntries = data.categories && Array.isArray(data.categories[group]) ? data.categories[group] : [];
+            entries[group] = [...defaults[group]];
+            fileEntries.forEach(entry => {
+                if (entry && typeof entry.value === 'string' && entry.value &&
+                    !entries[group].some(existing => existing.value === entry.value)) {
+                    entries[group].push(entry);
+                }
+            });
+        });
+        return entries;
+    }
+
+    // Copy of the raw file with the corrections entered in the report applied
+    applyImportFixes(raw, issues, fixes) {
+        const data = JSON.parse(JSON.stringify(raw));
+        issues.forEach((issue, index) => {
+            const value = fixes[index];
+            if (!issue.fix || value === undefined || value === '') return;
+            const { kind, snapshot, section, index: itemIndex, field } = issue.fix;
+            const target = section ? data.snapshots[snapshot].data[section][itemIndex] : data.snapshots[snapshot];
+            target[field] = kind === 'amount' ? parseFloat(value) : value;
+        });
+        return data;
+    }
+
+    // Moves the draft from the report to the replace-or-merge step; throws if the file is unusable
+    prepareImport() {
+        const draft = this.importDraft;
+        draft.data = this.normalizeImportedData(this.applyImportFixes(draft.raw, draft.issues, draft.fixes));
+        draft.plan = this.buildMergePlan(draft.data);
+        draft.stage = 'apply';
+    }
+
+    renderImportReport() {
+        const draft = this.importDraft;
+        const content = document.getElementById('importContent');
+        const errors = draft.issues.filter(issue => issue.severity === 'error').length;
+        const warnings = draft.issues.length - errors;
+        const snapshotCount = Array.isArray(draft.raw?.snapshots) ? draft.raw.snapshots.length : 0;
+        const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+
+        const issueRows = draft.issues.slice(0, IMPORT_REPORT_MAX_ROWS).map((issue, index) => `
+            <tr>
+                <td><code>${this.escapeHtml(issue.path)}</code></td>
+                <td><span class="compare-status import-${issue.severity}">${issue.severity === 'error' ? 'Error' : 'Warning'}</span></td>
+                <td>${this.escapeHtml(issue.message)}</td>
+                <td>${this.renderImportFixInput(issue, index)}</td>
+            </tr>
+        `).join('');
+        const hidden = draft.issues.length - IMPORT_REPORT_MAX_ROWS;
+
+        content.innerHTML = `
+            <div class="settings-section">
+                <p class="settings-help"><strong>${this.escapeHtml(draft.fileName)}</strong>: ${plural(snapshotCount, 'snapshot')} checked, ${plural(errors, 'error')} and ${plural(warnings, 'warning')}. Nothing has been imported yet.</p>
+                <p class="settings-help">${errors > 0
+                    ? 'Errors have to be fixed in the file before it can be imported.'
+                    : 'Warnings say what happens if you continue. Enter a value to correct an amount, category or date instead.'}</p>
+            </div>
+            <div class="settings-section">
+                <label>Problems</label>
+                <div class="table-container">
+                    <table class="items-table compare-table">
+                        <thead><tr><th>Path</th><th>Severity</th><th>Problem</th><th>Fix</th></tr></thead>
+                        <tbody>${issueRows}</tbody>
+                    </table>
+                </div>
+                ${hidden > 0 ? `<p class="settings-help">…and ${plural(hidden, 'more problem')}, listed in the downloaded report.</p>` : ''}
+            </div>
+            <div class="settings-section">
+                <label>Preview</label>
+                <div id="importPreview"></div>
+            </div>
+            <div class="settings-actions">
+                <button type="button" class="btn btn-primary" data-import-action="continue" ${errors > 0 ? 'disabled' : ''}>Continue</button>
+                <button type="button" class="btn btn-secondary" data-import-action="report">Download Report</button>
+                <button type="button" class="btn btn-secondary" data-close-modal>Cancel</button>
+            </div>
+        `;
+        this.renderImportPreview();
+    }
+
+    renderImportFixInput(issue, index) {
+        if (!issue.fix) return '—';
+        const value = this.importDraft.fixes[index] ?? '';
+        if (issue.fix.kind === 'amount') {
+            return `<input type="number" class="settings-input" step="any" min="0" placeholder="0" value="${this.escapeHtml(value)}" data-fix-index="${index}">`;
+        }
+        if (issue.fix.kind === 'date') {
+            return `<input type="date" class="settings-input" value="${this.escapeHtml(value)}" data-fix-index="${index}">`;
+        }
+        const entries = this.getImportCategoryEntries(this.importDraft.raw)[issue.fix.group];
+        return `
+            <select class="settings-select" data-fix-index="${index}">
+                <option value="">Add as new</option>
+                ${entries.map(entry => `<option value="${this.escapeHtml(entry.value)}" ${entry.value === value ? 'selected' : ''}>${this.escapeHtml(entry.label || entry.value)}</option>`).join('')}
+            </select>
+        `;
+    }
+
+    // What would be imported with the current fixes, per snapshot
+    renderImportPreview() {
+        const draft = this.importDraft;
+        const container = document.getElementById('importPreview');
+        if (!draft || !container) return;
+
+        if (draft.issues.some(issue => issue.severity === 'error')) {
+            container.innerHTML = '<p class="settings-help">A preview is shown once the file has no errors.</p>';
+            return;
+        }
+
+        let preview;
+        try {
+            preview = this.normalizeImportedData(this.applyImportFixes(draft.raw, draft.issues, draft.fixes));
+        } catch (error) {
+            container.innerHTML = `<p class="settings-help">${this.escapeHtml(error.message)}</p>`;
+            return;
+        }
+
+        const rows = preview.snapshots.map(snapshot => {
+            const summary = this.calculateSummary(snapshot);
+            return `
+                <tr>
+                    <td>${this.escapeHtml(snapshot.label)}</td>
+                    <td>${this.formatDate(this.getSnapshotDate(snapshot), false)}</td>
+                    ${['assets', 'liabilities', 'incomes', 'expenses'].map(section => `<td>${snapshot.data[section].length}</td>`).join('')}
+                    <td>${this.formatCurrency(summary.netWorth)}</td>
+                </tr>
+            `;
+        }).join('');
+        container.innerHTML = preview.snapshots.length === 0
+            ? '<p class="settings-help">The file has no snapshots.</p>'
+            : `
+                <div class="table-container">
+                    <table class="items-table compare-table">
+                        <thead><tr><th>Snapshot</th><th>As Of</th><th>Assets</th><th>Liabilities</th><th>Incomes</th><th>Expenses</th><th>Net Worth</th></tr></thead>
+                        <tbody>${rows}</tbody>
+                    </table>
+                </div>
+            `;
+    }
+
+    exportImportReport() {
+        const draft = this.importDraft;
+        if (!draft) return;
+        const rows = [['Path', 'Severity', 'Problem'], ...draft.issues.map(issue => [issue.path, issue.severity, issue.message])];
+        const baseName = draft.fileName.replace(/\.[^.]+$/, '');
+        this.downloadFile(this.toCsv(rows), `${baseName}-import-report.csv`, 'text/csv');
+    }
+
+    // Import Dialog
+    // A JSON import either replaces everything or merges snapshot by snapshot. Merging
+    // matches on snapshot id: unknown ids are added, identical ones skipped, and each
+    // conflict keeps the local copy, the imported copy or both.
+    buildMergePlan(importedData) {
+        return importedData.snapshots.map(snapshot => {
+            const local = this.data.snapshots.find(s => s.id === snapshot.id) || null;
+            const status = !local ? 'new'
+                : this.stableStringify(local) === this.stableStringify(snapshot) ? 'identical'
+                : 'conflict';
+            return { snapshot, local, status, resolution: status === 'conflict' ? 'local' : null };
+        });
+    }
+
+    // JSON with object keys sorted, so key order doesn't make snapshots differ
+    stableStringify(value) {
+        if (Array.isArray(value)) return `[${value.map(entry => this.stableStringify(entry)).join(',')}]`;
+        if (value && typeof value === 'object') {
+            return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${this.stableStringify(value[key])}`).join(',')}}`;
+        }
+        return JSON.stringify(value);
+    }
+
+    // "12 items, net worth $4,200.00" for telling conflicting copies apart
+    describeSnapshotForMerge(snapshot) {
+        const count = ['assets', 'liabilities', 'incomes', 'expenses']
+            .reduce((sum, section) => sum + snapshot.data[section].length, 0);
+        return `${count} item${count === 1 ? '' : 's'}, net worth ${this.formatCurrency(this.calculateSummary(snapshot).netWorth)}`;
+    }
+
+    renderImportDialog() {
+        const draft = this.importDraft;
+        const content = document.getElementById('importContent');
+        if (!draft || !content) return;
+        if (draft.stage === 'review') {
+            this.renderImportReport();
+            return;
+        }
+
+        const counts = { new: 0, identical: 0, conflict: 0 };
+        draft.plan.forEach(entry => counts[entry.status]++);
+        const statusLabels = { new: 'New', identical: 'Identical', conflict: 'Conflict' };
+
+        const planRows = draft.plan.map((entry, index) => {
+            let resolution;
+            if (entry.status === 'conflict') {
+                resolution = `
+                    <select class="settings-select" data-merge-index="${index}">
+                        <option value="local" ${entry.resolution === 'local' ? 'selected' : ''}>Keep local</option>
+                        <option value="imported" ${entry.resolution === 'imported' ? 'selected' : ''}>Keep imported</option>
+                        <option value="both" ${entry.resolution === 'both' ? 'selected' : ''}>Keep both</option>
+                    </select>
+                `;
             } else {
-                filterValue = document.getElementById('filterInput').value.trim();
+                resolution = entry.status === 'new' ? 'Add' : 'Skip';
             }
+            const details = entry.status === 'conflict'
+                ? `<span class="base-amount">Local: ${this.escapeHtml(this.describeSnapshotForMerge(entry.local))}</span><span class="base-amount">Imported: ${this.escapeHtml(this.describeSnapshotForMerge(entry.snapshot))}</span>`
+                : `<span class="base-amount">${this.escapeHtml(this.describeSnapshotForMerge(entry.snapshot))}</span>`;
+            return `
+                <tr>
+                    <td>${this.escapeHtml(entry.snapshot.label)}${details}</td>
+                    <td>${this.formatDate(this.getSnapshotDate(entry.snapshot), false)}</td>
+                    <td><span class="compare-status merge-${entry.status}">${statusLabels[entry.status]}</span></td>
+                    <td>${resolution}</td>
+                </tr>
+            `;
+        }).join('');
 
-            this.tableState[category].filters[column] = filterValue;
+        content.innerHTML = `
+            <div class="settings-section">
+                <p class="settings-help"><strong>${this.escapeHtml(draft.fileName)}</strong> contains ${draft.data.snapshots.length} snapshot${draft.data.snapshots.length === 1 ? '' : 's'}; you have ${this.data.snapshots.length}.</p>
+                <label class="csv-option"><input type="radio" name="importMode" value="replace" ${draft.mode === 'replace' ? 'checked' : ''}> Replace all my data with this file</label>
+                <label class="csv-option"><input type="radio" name="importMode" value="merge" ${draft.mode === 'merge' ? 'checked' : ''}> Merge this file into my data</label>
+            </div>
+            ${draft.mode === 'merge' ? `
+                <div class="settings-section">
+                    <p class="settings-help">${counts.new} new, ${counts.identical} identical, ${counts.conflict} in conflict. Snapshots are matched by id; nothing is written until you apply.</p>
+                    <div class="table-container">
+                        <table class="items-table compare-table">
+                            <thead><tr><th>Snapshot</th><th>As Of</th><th>Status</th><th>Action</th></tr></thead>
+                            <tbody>${planRows}</tbody>
+                        </table>
+                    </div>
+                </div>
+            ` : `
+                <p class="settings-help">All ${this.data.snapshots.length} local snapshots and your categories are replaced. You can undo this afterwards.</p>
+            `}
+            <div class="settings-actions">
+                <button type="button" class="btn btn-primary" data-import-action="apply">${draft.mode === 'merge' ? 'Apply Merge' : 'Replace Data'}</button>
+                ${draft.issues.length > 0 ? '<button type="button" class="btn btn-secondary" data-import-action="review">Back to Report</button>' : ''}
+                <button type="button" class="btn btn-secondary" data-close-modal>Cancel</button>
+            </div>
+        `;
+    }
 
-            // Handle select filters for categorical columns
-            if (category === 'assets' && (column === 'category' || column === 'liquidity')) {
-                const checkedOptions = Array.from(dialog.querySelectorAll('.select-option:checked'))
-                    .map(checkbox => checkbox.value);
-                this.tableState[category].filters[column + '_select'] = checkedOptions;
+    applyImport() {
+        const draft = this.importDraft;
+        if (!draft) return;
+
+        this.importDraft = null;
+        this.closeModal('importModal');
+        if (draft.mode === 'merge') {
+            this.mergeImportedData(draft);
+        } else {
+            this.replaceWithImportedData(draft.data);
+        }
+    }
+
+    mergeImportedData(draft) {
+        const result = { added: 0, replaced: 0, both: 0, kept: 0, skipped: 0 };
+        const changes = draft.plan.filter(entry => entry.status === 'new' || (entry.status === 'conflict' && entry.resolution !== 'local'));
+        if (changes.length === 0) {
+            this.showMessage('Nothing to merge: every snapshot is already here or kept local', 'info');
+            return;
+        }
+
+        this.recordHistory(`Merge import "${draft.fileName}"`);
+        draft.plan.forEach(entry => {
+            const snapshot = JSON.parse(JSON.stringify(entry.snapshot));
+            if (entry.status === 'identical') {
+                result.skipped++;
+            } else if (entry.status === 'new') {
+                this.data.snapshots.push(snapshot);
+                result.added++;
+            } else if (entry.resolution === 'imported') {
+                const index = this.data.snapshots.findIndex(s => s.id === entry.local.id);
+                this.data.snapshots[index] = snapshot;
+                result.replaced++;
+            } else if (entry.resolution === 'both') {
+                snapshot.id = this.generateId();
+                snapshot.label = `${snapshot.label} (Imported)`;
+                this.data.snapshots.push(snapshot);
+                result.both++;
+            } else {
+                result.kept++;
             }
+        });
 
-            this.updateSortIndicators(category, column, sortValue);
-            this.updateTable(category, tableId);
-            dialog.remove();
+        this.mergeCategoryRegistry(draft.data.categories);
+        this.ensureCategoryRegistry(this.data);
+        // Goals the local data doesn't have yet come along with the snapshots
+        const goalIds = new Set(this.getGoals().map(goal => goal.id));
+        this.data.goals = [...this.getGoals(), ...draft.data.goals.filter(goal => !goalIds.has(goal.id))];
+        const scenarioIds = new Set(this.getScenarios().map(scenario => scenario.id));
+        this.data.scenarios = [...this.getScenarios(), ...draft.data.scenarios.filter(scenario => !scenarioIds.has(scenario.id))];
+        this.saveData();
+        this.updateUI();
+
+        const parts = [
+            result.added && `${result.added} added`,
+            result.replaced && `${result.replaced} replaced`,
+            result.both && `${result.both} kept both`,
+            result.kept && `${result.kept} kept local`,
+            result.skipped && `${result.skipped} identical`
+        ].filter(Boolean);
+        this.showUndoableMessage(`Merged "${draft.fileName}": ${parts.join(', ')}`);
+    }
+
+    // Custom entries from the imported file are added; local names and colours win
+    mergeCategoryRegistry(importedCategories = {}) {
+        const registry = this.getCategoryRegistry();
+        Object.keys(registry).forEach(group => {
+            (importedCategories[group] || []).forEach(entry => {
+                if (!registry[group].some(local => local.value === entry.value)) {
+                    registry[group].push({ ...entry });
+                }
+            });
         });
+    }
 
-        document.getElementById('clearFilterBtn').addEventListener('click', () => {
-            if (column === 'amount') {
-                // Clear amount filters
-                document.getElementById('filterOperator').value = 'greater';
-                document.getElementById('filterAmount1').value = '';
-                document.getElementById('filterAmount2').value = '';
-                this.updateAmountFilterInputs('greater'); // Reset to default
-            } else {
-                document.getElementById('filterInput').value = '';
+    bindImportDialogListeners() {
+        const content = document.getElementById('importContent');
+        if (!content) return;
+
+        content.addEventListener('change', (e) => {
+            const draft = this.importDraft;
+            if (!draft) return;
+            if (e.target.name === 'importMode') {
+                draft.mode = e.target.value;
+                this.renderImportDialog();
+            } else if (e.target.dataset.mergeIndex !== undefined) {
+                draft.plan[parseInt(e.target.dataset.mergeIndex, 10)].resolution = e.target.value;
+            } else if (e.target.dataset.fixIndex !== undefined) {
+                draft.fixes[parseInt(e.target.dataset.fixIndex, 10)] = e.target.value;
+                this.renderImportPreview();
             }
-            // Also clear any select filters
-            if (category === 'assets' && (column === 'category' || column === 'liquidity')) {
-                dialog.querySelectorAll('.select-option').forEach(checkbox => checkbox.checked = false);
+        });
+        // Fixes are kept as they are typed; re-rendering the report would lose focus
+        content.addEventListener('input', (e) => {
+            if (this.importDraft && e.target.dataset.fixIndex !== undefined) {
+                this.importDraft.fixes[parseInt(e.target.dataset.fixIndex, 10)] = e.target.value;
+            }
+        });
+        content.addEventListener('click', (e) => {
+            const button = e.target.closest('[data-import-action]');
+            if (!button || !this.importDraft) return;
+            const action = button.dataset.importAction;
+            if (action === 'apply') {
+                this.applyImport();
+            } else if (action === 'report') {
+                this.exportImportReport();
+            } else if (action === 'review') {
+                this.importDraft.stage = 'review';
+                this.renderImportDialog();
+            } else if (action === 'continue') {
+                try {
+                    this.prepareImport();
+                    this.renderImportDialog();
+                } catch (error) {
+                    this.showMessage('Error importing data: ' + error.message, 'error');
+                }
             }
         });
+    }
 
-        // Position the dialog below the header like Excel - dynamically update on scroll
-        const updatePosition = () => {
-            const rect = header.getBoundingClientRect();
-            dialog.style.position = 'fixed';
-            dialog.style.left = rect.left + 'px';
-            dialog.style.top = (rect.bottom + 5) + 'px';
-            dialog.style.zIndex = '2000';
-        };
+    // Upload functionality
+    handleUpload() {
+        const fileInput = document.getElementById('uploadFile');
+        fileInput.click();
+    }
 
-        updatePosition(); // Initial position
+    // CSV Import
+    // Bank and brokerage CSV exports are mapped column by column onto one section of a
+    // snapshot. The mapping is remembered per file layout (its header row, or its column
+    // count when there is none), and rows that can't be read are listed, not zeroed.
+    handleUploadedFile(file) {
+        if (/\.(csv|tsv|txt)$/i.test(file.name)) {
+            this.openCsvImport(file);
+        } else if (/\.(ofx|qfx|qif)$/i.test(file.name)) {
+            this.openStatementImport(file);
+        } else {
+            this.importData(file);
+        }
+    }
+
+    openCsvImport(file) {
+        const reader = new FileReader();
+        reader.onload = (e) => {
+            const text = e.target.result;
+            const delimiter = this.detectCsvDelimiter(text);
+            const rows = this.parseCsv(text, delimiter);
+            if (rows.length === 0) {
+                this.showMessage('The file has no rows to import', 'error');
+                return;
+            }
+
+            const current = this.getCurrentSnapshot();
+            this.csvImportDraft = {
+                fileName: file.name,
+                text,
+                delimiter,
+                rows,
+                hasHeader: true,
+                section: 'assets',
+                mapping: {},
+                defaults: {},
+                absoluteAmounts: false,
+                target: current ? current.id : 'new',
+                newLabel: file.name.replace(/\.[^.]+$/, ''),
+                newAsOfDate: this.toDateInputValue(),
+                rememberedLayout: false
+            };
+            this.applyCsvLayout();
+            this.renderCsvImport();
+            this.openModal('csvImportModal');
+        };
+        reader.readAsText(file);
+    }
+
+    // Picks whichever of comma, semicolon or tab splits the first line into the most cells
+    detectCsvDelimiter(text) {
+        const firstLine = text.split(/\r?\n/).find(line => line.trim()) || '';
+        return [',', ';', '\t']
+            .map(delimiter => ({ delimiter, count: firstLine.split(delimiter).length }))
+            .sort((a, b) => b.count - a.count)[0].delimiter;
+    }
+
+    // RFC 4180 parsing: quoted fields may hold delimiters, doubled quotes and line breaks
+    parseCsv(text, delimiter = ',') {
+        const rows = [];
+        let row = [];
+        let field = '';
+        let quoted = false;
+
+        for (let i = 0; i < text.length; i++) {
+            const char = text[i];
+            if (quoted) {
+                if (char === '"' && text[i + 1] === '"') {
+                    field += '"';
+                    i++;
+                } else if (char === '"') {
+                    quoted = false;
+                } else {
+                    field += char;
+                }
+            } else if (char === '"' && field === '') {
+                quoted = true;
+            } else if (char === delimiter) {
+                row.push(field);
+                field = '';
+            } else if (char === '\n' || char === '\r') {
+                if (char === '\r' && text[i + 1] === '\n') i++;
+                row.push(field);
+                rows.push(row);
+                row = [];
+                field = '';
+            } else {
+                field += char;
+            }
+        }
+        row.push(field);
+        rows.push(row);
+
+        // Drop blank lines, including the one after a trailing newline
+        return rows
+            .map(cells => cells.map(cell => cell.trim()))
+            .filter(cells => cells.some(cell => cell !== ''));
+    }
+
+    getCsvColumns(draft = this.csvImportDraft) {
+        const count = Math.max(...draft.rows.map(row => row.length));
+        const header = draft.hasHeader ? draft.rows[0] : [];
+        return Array.from({ length: count }, (_, index) => header[index] || `Column ${index + 1}`);
+    }
+
+    getCsvDataRows(draft = this.csvImportDraft) {
+        return draft.hasHeader ? draft.rows.slice(1) : draft.rows;
+    }
+
+    getCsvLayoutKey(draft = this.csvImportDraft) {
+        return draft.hasHeader
+            ? draft.rows[0].map(cell => cell.toLowerCase()).join('|')
+            : `${this.getCsvColumns(draft).length} columns`;
+    }
+
+    loadCsvImportMappings() {
+        try {
+            return JSON.parse(localStorage.getItem(CSV_IMPORT_MAPPINGS_KEY)) || {};
+        } catch (e) {
+            console.warn('Ignoring unreadable CSV import mappings:', e);
+            return {};
+        }
+    }
+
+    saveCsvImportMapping(draft) {
+        const mappings = this.loadCsvImportMappings();
+        mappings[this.getCsvLayoutKey(draft)] = {
+            hasHeader: draft.hasHeader,
+            section: draft.section,
+            mapping: draft.mapping,
+            defaults: draft.defaults,
+            absoluteAmounts: draft.absoluteAmounts
+        };
+        localStorage.setItem(CSV_IMPORT_MAPPINGS_KEY, JSON.stringify(mappings));
+    }
+
+    // Use the mapping saved for this layout, otherwise guess from the header names
+    applyCsvLayout() {
+        const draft = this.csvImportDraft;
+        const mappings = this.loadCsvImportMappings();
+        const withHeader = mappings[this.getCsvLayoutKey({ ...draft, hasHeader: true })];
+        const withoutHeader = mappings[this.getCsvLayoutKey({ ...draft, hasHeader: false })];
+        const saved = withHeader && withHeader.hasHeader !== false ? withHeader
+            : withoutHeader && withoutHeader.hasHeader === false ? withoutHeader
+            : null;
+
+        if (saved) {
+            Object.assign(draft, {
+                hasHeader: saved.hasHeader !== false,
+                section: saved.section || draft.section,
+                mapping: { ...saved.mapping },
+                defaults: { ...saved.defaults },
+                absoluteAmounts: Boolean(saved.absoluteAmounts),
+                rememberedLayout: true
+            });
+        } else {
+            draft.mapping = this.guessCsvMapping(draft);
+            draft.rememberedLayout = false;
+        }
+        this.ensureCsvDefaults();
+    }
+
+    guessCsvMapping(draft) {
+        const mapping = {};
+        if (!draft.hasHeader) return mapping;
+
+        const used = new Set();
+        Object.entries(CSV_IMPORT_FIELDS).forEach(([field, { pattern }]) => {
+            const index = draft.rows[0].findIndex((cell, i) => !used.has(i) && pattern.test(cell));
+            if (index >= 0) {
+                mapping[field] = index;
+                used.add(index);
+            }
+        });
+        return mapping;
+    }
+
+    getCsvFields(section) {
+        return Object.entries(CSV_IMPORT_FIELDS).filter(([, field]) => field.sections.includes(section));
+    }
+
+    // Options a categorical field accepts, as { value, label } pairs
+    getCsvFieldOptions(field, section) {
+        if (field === 'frequency') {
+            return Object.entries(ITEM_FREQUENCIES).map(([value, { label }]) => ({ value, label }));
+        }
+        const group = field === 'liquidity' ? 'liquidity' : section;
+        return this.getCategoryEntries(group).map(entry => ({ value: entry.value, label: entry.label }));
+    }
+
+    // Every categorical field needs a fallback for unmapped columns and unrecognised values
+    ensureCsvDefaults() {
+        const draft = this.csvImportDraft;
+        this.getCsvFields(draft.section)
+            .filter(([field]) => CSV_CATEGORICAL_FIELDS.includes(field))
+            .forEach(([field]) => {
+                const options = this.getCsvFieldOptions(field, draft.section);
+                if (options.some(option => option.value === draft.defaults[field])) return;
+                const fallback = field === 'frequency'
+                    ? options.find(option => option.value === 'monthly')
+                    : options.find(option => option.value === 'other') || options[0];
+                draft.defaults[field] = fallback ? fallback.value : '';
+            });
+    }
+
+    // Matches a cell against option values and labels, ignoring case and punctuation
+    resolveCsvOption(field, section, cell) {
+        const normalize = text => String(text || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+        const target = normalize(cell);
+        if (!target) return null;
+
+        const entries = field === 'frequency'
+            ? Object.entries(ITEM_FREQUENCIES).map(([value, entry]) => ({ value, ...entry }))
+            : this.getCategoryEntries(field === 'liquidity' ? 'liquidity' : section);
+        const match = entries.find(entry =>
+            [entry.value, entry.label, entry.shortLabel].some(text => text && normalize(text) === target)
+        );
+        return match ? match.value : null;
+    }
+
+    // Accepts "1,234.56", "1.234,56", "$1,234", "S$ 1'234", "(250.00)" and "-250"; NaN otherwise
+    parseCsvAmount(cell) {
+        // Only currency symbols (including prefixed ones like "S$"), separators, a sign and
+        // accounting parentheses may surround the digits; anything else ("1e5", "12abc") is unreadable
+        let text = String(cell || '').replace(/\s/g, '').replace(/[A-Z]{1,2}(?=\p{Sc})/gu, '');
+        if (!/^[\d.,'’+\-()\p{Sc}]*$/u.test(text) || !/\d/.test(text)) return NaN;
+        text = text.replace(/['’\p{Sc}]/gu, '');
+        const negative = /^\(.*\)$/.test(text);
+        text = text.replace(/[()]/g, '');
+
+        const lastComma = text.lastIndexOf(',');
+        const lastDot = text.lastIndexOf('.');
+        if (lastComma > lastDot && (lastDot >= 0 || /,\d{1,2}$/.test(text))) {
+            text = text.replace(/\./g, '').replace(',', '.');
+        } else {
+            text = text.replace(/,/g, '');
+        }
+
+        const value = Number(text);
+        return negative ? -Math.abs(value) : value;
+    }
+
+    // Turns one CSV row into an item, or lists why it can't be imported
+    evaluateCsvRow(row) {
+        const draft = this.csvImportDraft;
+        const cell = field => draft.mapping[field] === undefined || draft.mapping[field] === ''
+            ? null
+            : (row[draft.mapping[field]] || '').trim();
+        const problems = [];
+        const notes = [];
+
+        const name = cell('name') || '';
+        if (!name) problems.push('Name is empty');
+
+        let amount = this.parseCsvAmount(cell('amount'));
+        if (draft.absoluteAmounts) amount = Math.abs(amount);
+        if (isNaN(amount)) {
+            problems.push(`Amount "${cell('amount') || ''}" is not a number`);
+        } else if (this.validateNumber(amount) !== amount) {
+            problems.push(`Amount ${cell('amount')} is negative`);
+        }
+
+        const item = { id: null, name, amount, currency: this.getBaseCurrency() };
+        const currencyCell = cell('currency');
+        if (currencyCell) {
+            const currency = this.normalizeCurrencyCode(currencyCell);
+            if (currency) {
+                item.currency = currency;
+            } else {
+                problems.push(`Currency "${currencyCell}" is not a 3-letter code`);
+            }
+        }
+
+        this.getCsvFields(draft.section)
+            .filter(([field]) => CSV_CATEGORICAL_FIELDS.includes(field))
+            .forEach(([field, { label }]) => {
+                const raw = cell(field);
+                const resolved = raw ? this.resolveCsvOption(field, draft.section, raw) : null;
+                if (raw && !resolved) notes.push(`${label} "${raw}" not recognised`);
+                item[field] = resolved || draft.defaults[field];
+            });
+
+        return { item, problems, notes };
+    }
+
+    renderCsvImport() {
+        const draft = this.csvImportDraft;
+        const content = document.getElementById('csvImportContent');
+        if (!draft || !content) return;
+
+        const columns = this.getCsvColumns();
+        const dataRows = this.getCsvDataRows();
+        const firstRow = draft.hasHeader ? 2 : 1;
+        const results = dataRows.map(row => this.evaluateCsvRow(row));
+        const failing = results
+            .map((result, index) => ({ ...result, rowNumber: index + firstRow }))
+            .filter(result => result.problems.length > 0);
+        const noted = results.filter(result => result.problems.length === 0 && result.notes.length > 0).length;
+        const fields = this.getCsvFields(draft.section);
+        const sections = ['assets', 'liabilities', 'incomes', 'expenses'];
+        const snapshots = [...this.data.snapshots].sort((a, b) => this.compareSnapshotsByDate(b, a));
+        const columnOptions = selected => `<option value="">— Not mapped —</option>` + columns.map((column, index) =>
+            `<option value="${index}" ${String(selected) === String(index) ? 'selected' : ''}>${this.escapeHtml(column)}</option>`
+        ).join('');
+
+        const mappingRows = fields.map(([field, { label, required }]) => {
+            const defaultSelect = CSV_CATEGORICAL_FIELDS.includes(field)
+                ? `<select class="settings-select" data-csv-default="${field}" title="Used when unmapped or not recognised">
+                        ${this.getCsvFieldOptions(field, draft.section).map(option =>
+                            `<option value="${this.escapeHtml(option.value)}" ${option.value === draft.defaults[field] ? 'selected' : ''}>${this.escapeHtml(option.label)}</option>`
+                        ).join('')}
+                   </select>`
+                : '';
+            return `
+                <div class="fx-rate-row csv-mapping-row">
+                    <span class="fx-rate-label">${this.escapeHtml(label)}${required ? ' *' : ''}</span>
+                    <select class="settings-select" data-csv-field="${field}">${columnOptions(draft.mapping[field])}</select>
+                    ${defaultSelect}
+                </div>
+            `;
+        }).join('');
+
+        const previewRows = results.slice(0, CSV_PREVIEW_ROWS).map((result, index) => `
+            <tr class="${result.problems.length ? 'csv-row-error' : ''}">
+                <td>${index + firstRow}</td>
+                <td>${this.escapeHtml(result.item.name)}</td>
+                <td>${isNaN(result.item.amount) ? '—' : this.escapeHtml(this.formatCurrency(result.item.amount, result.item.currency))}</td>
+                <td>${this.escapeHtml(fields
+                    .filter(([field]) => CSV_CATEGORICAL_FIELDS.includes(field))
+                    .map(([field]) => field === 'frequency'
+                        ? ITEM_FREQUENCIES[result.item[field]].label
+                        : this.getCategoryLabel(field === 'liquidity' ? 'liquidity' : draft.section, result.item[field]))
+                    .join(' · '))}</td>
+                <td>${this.escapeHtml([...result.problems, ...result.notes].join('; ')) || 'OK'}</td>
+            </tr>
+        `).join('');
+
+        content.innerHTML = `
+            <div class="settings-section">
+                <p class="settings-help"><strong>${this.escapeHtml(draft.fileName)}</strong>: ${dataRows.length} rows, ${columns.length} columns.${draft.rememberedLayout ? ' Using the mapping saved for this layout.' : ''}</p>
+                <label class="csv-option"><input type="checkbox" data-csv-option="hasHeader" ${draft.hasHeader ? 'checked' : ''}> First row is a header</label>
+                <label class="csv-option"><input type="checkbox" data-csv-option="absoluteAmounts" ${draft.absoluteAmounts ? 'checked' : ''}> Treat negative amounts as positive (e.g. card balances, debits)</label>
+            </div>
+            <div class="settings-section">
+                <label for="csvImportSection">Import into</label>
+                <div class="fx-rate-row">
+                    <select id="csvImportSection" class="settings-select" data-csv-setting="section">
+                        ${sections.map(section => `<option value="${section}" ${section === draft.section ? 'selected' : ''}>${this.formatCategoryName(section)}</option>`).join('')}
+                    </select>
+                    <select class="settings-select" data-csv-setting="target" aria-label="Target snapshot">
+                        ${snapshots.map(snapshot => `<option value="${this.escapeHtml(snapshot.id)}" ${snapshot.id === draft.target ? 'selected' : ''}>${this.escapeHtml(snapshot.label)}</option>`).join('')}
+                        <option value="new" ${draft.target === 'new' ? 'selected' : ''}>New snapshot…</option>
+                    </select>
+                </div>
+                ${draft.target === 'new' ? `
+                    <div class="fx-rate-row">
+                        <input type="text" class="settings-input" data-csv-text="newLabel" value="${this.escapeHtml(draft.newLabel)}" placeholder="Snapshot name">
+                        <input type="date" class="settings-input" data-csv-text="newAsOfDate" value="${this.escapeHtml(draft.newAsOfDate)}" aria-label="As-of date">
+                    </div>
+                ` : ''}
+            </div>
+            <div class="settings-section">
+                <label>Columns</label>
+                <p class="settings-help">Map each field to a column. Category-like values are matched against your category names; the value on the right is used when a column is unmapped or a value isn't recognised.</p>
+                <div class="fx-rates-list">${mappingRows}</div>
+            </div>
+            <div class="settings-section">
+                <label>Preview${dataRows.length > CSV_PREVIEW_ROWS ? ` (first ${CSV_PREVIEW_ROWS} rows)` : ''}</label>
+                <div class="table-container">
+                    <table class="items-table csv-preview-table">
+                        <thead><tr><th>Row</th><th>Name</th><th>Amount</th><th>Classification</th><th>Status</th></tr></thead>
+                        <tbody>${previewRows}</tbody>
+                    </table>
+                </div>
+                <p class="settings-help">${results.length - failing.length} of ${results.length} rows ready to import${noted ? `, ${noted} using a default for an unrecognised value` : ''}.</p>
+                ${failing.length ? `
+                    <div class="csv-import-problems">
+                        <strong>${failing.length} row${failing.length === 1 ? '' : 's'} will be skipped:</strong>
+                        <ul>${failing.map(result => `<li>Row ${result.rowNumber}: ${this.escapeHtml(result.problems.join('; '))}</li>`).join('')}</ul>
+                    </div>
+                ` : ''}
+            </div>
+            <div class="settings-actions">
+                <button type="button" class="btn btn-primary" data-csv-action="import" ${results.length - failing.length === 0 ? 'disabled' : ''}>Import ${results.length - failing.length} Rows</button>
+                <button type="button" class="btn btn-secondary" data-close-modal>Cancel</button>
+            </div>
+        `;
+    }
+
+    importCsvRows() {
+        const draft = this.csvImportDraft;
+        if (!draft) return;
+
+        if (draft.mapping.name === undefined || draft.mapping.name === '' ||
+            draft.mapping.amount === undefined || draft.mapping.amount === '') {
+            this.showMessage('Map both the Name and Amount columns before importing', 'error');
+            return;
+        }
+
+        const results = this.getCsvDataRows().map(row => this.evaluateCsvRow(row));
+        const items = results.filter(result => result.problems.length === 0).map(result => result.item);
+        if (items.length === 0) {
+            this.showMessage('No rows can be imported with this mapping', 'error');
+            return;
+        }
+
+        let snapshot = this.data.snapshots.find(s => s.id === draft.target);
+        if (!snapshot) {
+            if (!draft.newLabel.trim()) {
+                this.showMessage('Enter a name for the new snapshot', 'error');
+                return;
+            }
+            if (!this.isValidAsOfDate(draft.newAsOfDate)) {
+                this.showMessage('Choose a valid date for the new snapshot', 'error');
+                return;
+            }
+        }
+
+        this.recordHistory(`Import CSV "${draft.fileName}"`);
+        if (!snapshot) {
+            snapshot = this.buildSnapshot(draft.newLabel.trim(), draft.newAsOfDate);
+            this.data.snapshots.push(snapshot);
+        }
+
+        items.forEach(item => {
+            item.id = this.generateId();
+            if (draft.section === 'incomes' || draft.section === 'expenses') {
+                item.frequency = item.frequency || 'monthly';
+            }
+            snapshot.data[draft.section].push(item);
+        });
+
+        this.saveCsvImportMapping(draft);
+        this.csvImportDraft = null;
+        this.currentSnapshotId = snapshot.id;
+        this.saveData();
+        this.closeModal('csvImportModal');
+        this.updateUI();
+
+        const skipped = results.length - items.length;
+        const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+        this.showUndoableMessage(`Imported ${plural(items.length, 'item')} into ${this.formatCategoryName(draft.section)} of "${snapshot.label}"${skipped ? `; ${plural(skipped, 'row')} skipped` : ''}`);
+    }
+
+    bindCsvImportListeners() {
+        const content = document.getElementById('csvImportContent');
+        if (!content) return;
+
+        content.addEventListener('change', (e) => {
+            const draft = this.csvImportDraft;
+            if (!draft) return;
+            const { csvField, csvDefault, csvOption, csvSetting } = e.target.dataset;
+
+            if (csvField) {
+                draft.mapping[csvField] = e.target.value === '' ? '' : parseInt(e.target.value, 10);
+            } else if (csvDefault) {
+                draft.defaults[csvDefault] = e.target.value;
+            } else if (csvOption === 'hasHeader') {
+                draft.hasHeader = e.target.checked;
+                this.applyCsvLayout();
+            } else if (csvOption) {
+                draft[csvOption] = e.target.checked;
+            } else if (csvSetting) {
+                draft[csvSetting] = e.target.value;
+                if (csvSetting === 'section') this.ensureCsvDefaults();
+            } else {
+                return;
+            }
+            this.renderCsvImport();
+        });
+
+        // Text fields update the draft without re-rendering, so typing keeps focus
+        content.addEventListener('input', (e) => {
+            const key = e.target.dataset.csvText;
+            if (key && this.csvImportDraft) {
+                this.csvImportDraft[key] = e.target.value;
+            }
+        });
+
+        content.addEventListener('click', (e) => {
+            if (e.target.closest('[data-csv-action="import"]')) {
+                this.importCsvRows();
+            }
+        });
+    }
+
+    // Statement Import
+    // OFX/QFX and QIF bank downloads. Each account's closing balance becomes an asset or
+    // liability, and the transactions are grouped by category (by payee when the file
+    // has none) into income and expense items averaged over the months covered.
+    openStatementImport(file) {
+        const reader = new FileReader();
+        reader.onload = (e) => {
+            try {
+                const format = /\.qif$/i.test(file.name) ? 'QIF' : 'OFX';
+                const accounts = format === 'QIF' ? this.parseQif(e.target.result) : this.parseOfx(e.target.result);
+                if (accounts.length === 0) {
+                    throw new Error('no accounts or transactions found');
+                }
+
+                const period = this.getStatementPeriod(accounts);
+                const balanceDates = accounts.map(account => account.balanceDate).filter(Boolean);
+                const asOf = balanceDates.length ? new Date(Math.max(...balanceDates)) : period ? period.end : new Date();
+                const current = this.getCurrentSnapshot();
+                this.statementImportDraft = {
+                    fileName: file.name,
+                    format,
+                    accounts: accounts.map(account => ({
+                        ...account,
+                        include: account.balance !== null,
+                        as: this.getDefaultStatementTarget(account)
+                    })),
+                    flows: this.summarizeStatementFlows(accounts, period),
+                    period,
+                    target: current ? current.id : 'new',
+                    newLabel: file.name.replace(/\.[^.]+$/, ''),
+                    newAsOfDate: this.toDateInputValue(asOf)
+                };
+                this.renderStatementImport();
+                this.openModal('statementImportModal');
+            } catch (error) {
+                console.error('Statement import error:', error);
+                this.showMessage(`Could not read ${file.name}: ${error.message}`, 'error');
+            }
+        };
+        reader.readAsText(file);
+    }
+
+    // Tag tree of an OFX file. Handles OFX 1.x SGML, where leaf elements have no
+    // closing tag, as well as OFX 2.x XML.
+    parseOfxTree(text) {
+        const start = text.search(/<OFX>/i);
+        if (start === -1) {
+            throw new Error('it has no <OFX> block');
+        }
+
+        const root = { name: 'ROOT', children: [] };
+        const stack = [root];
+        const decode = value => value
+            .replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&apos;/g, "'").replace(/&amp;/g, '&');
+        const tagPattern = /<(\/?)([A-Za-z0-9._]+)[^>]*?(\/?)>([^<]*)/g;
+        const body = text.slice(start);
+        let match;
+        while ((match = tagPattern.exec(body))) {
+            const [, closing, rawName, selfClosing, rawText] = match;
+            const name = rawName.toUpperCase();
+            const value = rawText.trim();
+            const parent = stack[stack.length - 1];
+            if (selfClosing) continue;
+            if (closing) {
+                // Closing tags of leaves don't match anything on the stack and are ignored
+                const index = stack.map(node => node.name).lastIndexOf(name);
+                if (index > 0) stack.length = index;
+            } else if (value) {
+                parent.children.push({ name, value: decode(value), children: [] });
+            } else {
+                const node = { name, children: [] };
+                parent.children.push(node);
+                stack.push(node);
+            }
+        }
+        return root;
+    }
+
+    ofxFindAll(node, name) {
+        return node.children.flatMap(child => [...(child.name === name ? [child] : []), ...this.ofxFindAll(child, name)]);
+    }
+
+    ofxFind(node, name) {
+        return node ? this.ofxFindAll(node, name)[0] || null : null;
+    }
+
+    ofxValue(node, name) {
+        const found = this.ofxFind(node, name);
+        return found && found.value !== undefined ? found.value : '';
+    }
+
+    // OFX dates are YYYYMMDD with an optional time and time zone, which a day-level
+    // import can ignore
+    parseOfxDate(value) {
+        const match = /^(\d{4})(\d{2})(\d{2})/.exec(value || '');
+        return match ? new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3])) : null;
+    }
+
+    // Statement amounts use "." decimals, but some banks write "-12,50"
+    parseStatementAmount(text) {
+        const value = String(text || '').trim();
+        const normalized = /^-?[\d.]*,\d{1,2}$/.test(value) && !/\.\d{1,2}$/.test(value)
+            ? value.replace(/\./g, '').replace(',', '.')
+            : value.replace(/,/g, '');
+        return normalized === '' ? NaN : Number(normalized);
+    }
+
+    parseOfx(text) {
+        const root = this.parseOfxTree(text);
+        const org = this.ofxValue(this.ofxFind(root, 'FI'), 'ORG');
+        const statements = [
+            ...this.ofxFindAll(root, 'STMTRS').map(node => ({ node, kind: null })),
+            ...this.ofxFindAll(root, 'CCSTMTRS').map(node => ({ node, kind: 'creditCard' })),
+            ...this.ofxFindAll(root, 'INVSTMTRS').map(node => ({ node, kind: 'investment' }))
+        ];
+        const incomeTypes = { DIV: 'Dividends', INTEREST: 'Interest', CGLONG: 'Capital gains', CGSHORT: 'Capital gains', MISC: 'Other investment income' };
+
+        const accounts = statements.map(({ node, kind }) => {
+            const accountNode = this.ofxFind(node, 'BANKACCTFROM') || this.ofxFind(node, 'CCACCTFROM') || this.ofxFind(node, 'INVACCTFROM');
+            const accountId = this.ofxValue(accountNode, 'ACCTID');
+            const accountKind = kind || (this.ofxValue(accountNode, 'ACCTTYPE').toUpperCase() === 'CREDITLINE' ? 'creditLine' : 'bank');
+            const tranList = this.ofxFind(node, 'BANKTRANLIST') || this.ofxFind(node, 'INVTRANLIST');
+
+            let balance = null;
+            let balanceDate = null;
+            let transactions;
+            if (accountKind === 'investment') {
+                // Market value of the positions plus uninvested cash; only income counts as cash flow
+                const positions = this.ofxFindAll(node, 'INVPOS');
+                if (positions.length > 0 || this.ofxFind(node, 'INVBAL')) {
+                    balance = positions.reduce((sum, position) => sum + (this.parseStatementAmount(this.ofxValue(position, 'MKTVAL')) || 0), 0) +
+                        (this.parseStatementAmount(this.ofxValue(this.ofxFind(node, 'INVBAL'), 'AVAILCASH')) || 0);
+                    balanceDate = this.parseOfxDate(this.ofxValue(node, 'DTASOF'));
+                }
+                transactions = this.ofxFindAll(node, 'INCOME').map(income => {
+                    const label = incomeTypes[this.ofxValue(income, 'INCOMETYPE').toUpperCase()] || incomeTypes.MISC;
+                    return {
+                        date: this.parseOfxDate(this.ofxValue(income, 'DTTRADE')),
+                        amount: this.parseStatementAmount(this.ofxValue(income, 'TOTAL')),
+                        payee: label,
+                        category: label,
+                        transfer: false
+                    };
+                });
+            } else {
+                const ledger = this.ofxFind(node, 'LEDGERBAL');
+                if (ledger) {
+                    balance = this.parseStatementAmount(this.ofxValue(ledger, 'BALAMT'));
+                    balanceDate = this.parseOfxDate(this.ofxValue(ledger, 'DTASOF'));
+                }
+                transactions = this.ofxFindAll(node, 'STMTTRN').map(transaction => ({
+                    date: this.parseOfxDate(this.ofxValue(transaction, 'DTPOSTED')),
+                    amount: this.parseStatementAmount(this.ofxValue(transaction, 'TRNAMT')),
+                    payee: this.ofxValue(transaction, 'NAME') || this.ofxValue(transaction, 'MEMO'),
+                    category: null,
+                    transfer: this.ofxValue(transaction, 'TRNTYPE').toUpperCase() === 'XFER'
+                }));
+            }
+
+            return {
+                name: [org, STATEMENT_ACCOUNT_KINDS[accountKind].label, accountId ? `••${accountId.slice(-4)}` : '']
+                    .filter(Boolean).join(' '),
+                kind: accountKind,
+                currency: this.normalizeCurrencyCode(this.ofxValue(node, 'CURDEF')) || this.getBaseCurrency(),
+                balance: balance === null || isNaN(balance) ? null : balance,
+                balanceNote: null,
+                balanceDate,
+                start: this.parseOfxDate(this.ofxValue(tranList, 'DTSTART')),
+                end: this.parseOfxDate(this.ofxValue(tranList, 'DTEND')),
+                transactions: transactions.filter(transaction => transaction.date && !isNaN(transaction.amount))
+            };
+        });
+        this.markStatementTransfers(accounts);
+        return accounts;
+    }
+
+    // Pairs each transaction with the closest-dated opposite amount in another account of
+    // the same currency (a card payment's bank debit and card credit) and flags both
+    markStatementTransfers(accounts) {
+        const maxGap = STATEMENT_TRANSFER_MATCH_DAYS * 24 * 60 * 60 * 1000;
+        accounts.forEach((account, index) => {
+            account.transactions.forEach(transaction => {
+                if (transaction.transfer || !transaction.amount) return;
+                let match = null;
+                accounts.slice(index + 1).forEach(other => {
+                    if (other.currency !== account.currency) return;
+                    other.transactions.forEach(candidate => {
+                        const gap = Math.abs(candidate.date - transaction.date);
+                        if (candidate.transfer || Math.abs(candidate.amount + transaction.amount) >= 0.005 || gap > maxGap) return;
+                        if (!match || gap < Math.abs(match.date - transaction.date)) match = candidate;
+                    });
+                });
+                if (match) {
+                    transaction.transfer = true;
+                    match.transfer = true;
+                }
+            });
+        });
+    }
+
+    // QIF has no closing balance, so bank, cash and card balances are the sum of the
+    // file's transactions (including its opening balance entry). Investment accounts
+    // only contribute their income records.
+    parseQif(text) {
+        const accounts = [];
+        const records = [];
+        let mode = null;
+        let account = null;
+        let listedAccount = null;
+        let record = {};
+
+        const startAccount = (name, kind) => {
+            account = accounts.find(existing => existing.name === name && existing.kind === kind);
+            if (!account) {
+                account = { name, kind, currency: this.getBaseCurrency(), balance: null, balanceNote: null, balanceDate: null, start: null, end: null, transactions: [], raw: [] };
+                accounts.push(account);
+            }
+        };
+
+        text.split(/\r?\n/).forEach(rawLine => {
+            const line = rawLine.trim();
+            if (!line) return;
+
+            if (line.startsWith('!')) {
+                const header = line.slice(1).trim().toLowerCase();
+                if (header === 'account') {
+                    mode = 'account';
+                } else if (header.startsWith('type:')) {
+                    const kind = QIF_ACCOUNT_TYPES[header.slice(5).trim()];
+                    if (kind) {
+                        // Transactions belong to the account listed just before them, if any
+                        startAccount(listedAccount ? listedAccount.name : STATEMENT_ACCOUNT_KINDS[kind].label,
+                            listedAccount ? listedAccount.kind : kind);
+                        mode = 'transactions';
+                    } else {
+                        mode = 'skip'; // Category, class and memorised-payee lists
+                    }
+                }
+                // !Option and !Clear lines only change how Quicken reads the file
+                record = {};
+                return;
+            }
+
+            const code = line[0];
+            const value = line.slice(1).trim();
+            if (code === '^') {
+                if (mode === 'account' && record.N) {
+                    listedAccount = { name: record.N, kind: QIF_ACCOUNT_TYPES[(record.T || '').toLowerCase()] || 'bank' };
+                } else if (mode === 'transactions') {
+                    account.raw.push(record);
+                    records.push(record);
+                }
+                record = {};
+            } else if (mode === 'transactions' && code === 'S') {
+                record.splits = [...(record.splits || []), { category: value, amount: '' }];
+            } else if (mode === 'transactions' && code === '$' && record.splits) {
+                record.splits[record.splits.length - 1].amount = value;
+            } else if (mode === 'account' || mode === 'transactions') {
+                record[code] = value;
+            }
+        });
+
+        // Dates are month-first unless any of them can only be read day-first
+        const dayFirst = records.some(entry => {
+            const parts = (entry.D || '').split(/[/.\-']/);
+            return Number(parts[0]) > 12;
+        });
+        const investmentIncome = [
+            [/^(reinv)?div/i, 'Dividends'],
+            [/^(intinc|reinvint)/i, 'Interest'],
+            [/^(cg(long|mid|short)|reinv(lg|md|sh))/i, 'Capital gains'],
+            [/^miscinc/i, 'Other investment income'],
+            [/^miscexp/i, 'Investment expenses']
+        ];
+
+        accounts.forEach(entry => {
+            entry.raw.forEach(raw => {
+                const date = this.parseQifDate(raw.D, dayFirst);
+                const amount = this.parseStatementAmount(raw.T || raw.U);
+                if (!date || isNaN(amount)) return;
+
+                if (entry.kind === 'investment') {
+                    const income = investmentIncome.find(([pattern]) => pattern.test(raw.N || ''));
+                    if (income) {
+                        const signed = income[1] === 'Investment expenses' ? -Math.abs(amount) : Math.abs(amount);
+                        entry.transactions.push({ date, amount: signed, payee: income[1], category: income[1], transfer: false });
+                    }
+                    return;
+                }
+
+                const parts = raw.splits && raw.splits.length
+                    ? raw.splits.map(split => ({ category: split.category, amount: this.parseStatementAmount(split.amount) }))
+                    : [{ category: raw.L || '', amount }];
+                parts.filter(part => !isNaN(part.amount)).forEach(part => {
+                    // "[Account]" categories are transfers; "Category/Class" drops the class
+                    const transfer = /^\[.*\]/.test(part.category);
+                    const category = part.category.split('/')[0].split(':').map(piece => piece.trim()).filter(Boolean).join(': ');
+                    entry.transactions.push({ date, amount: part.amount, payee: raw.P || '', category: transfer ? null : category || null, transfer });
+                });
+            });
+
+            if (entry.kind !== 'investment' && entry.transactions.length > 0) {
+                entry.balance = entry.transactions.reduce((sum, transaction) => sum + transaction.amount, 0);
+                entry.balanceNote = 'Sum of the transactions in the file';
+            }
+            delete entry.raw;
+        });
+
+        return accounts.filter(entry => entry.transactions.length > 0 || entry.balance !== null);
+    }
+
+    // QIF dates look like 12/31/2025, 12/31'25 or 31.12.25
+    parseQifDate(text, dayFirst) {
+        const parts = String(text || '').trim().split(/[/.\-']/).map(part => part.trim());
+        if (parts.length !== 3 || parts.some(part => !/^\d+$/.test(part))) return null;
+        const [first, second, rawYear] = parts.map(Number);
+        const year = parts[2].length <= 2 ? 2000 + rawYear - (rawYear >= 70 ? 100 : 0) : rawYear;
+        const [month, day] = dayFirst ? [second, first] : [first, second];
+        const date = new Date(year, month - 1, day);
+        return date.getMonth() === month - 1 && date.getDate() === day ? date : null;
+    }
+
+    // First and last day the transactions cover, and how many months that is
+    getStatementPeriod(accounts) {
+        const times = accounts.flatMap(account => [
+            account.start,
+            account.end,
+            ...account.transactions.map(transaction => transaction.date)
+        ]).filter(Boolean).map(date => date.getTime());
+        if (times.length === 0) return null;
+
+        const start = new Date(Math.min(...times));
+        const end = new Date(Math.max(...times));
+        const days = (end - start) / (1000 * 60 * 60 * 24);
+        return { start, end, months: Math.max(1, days / (365.25 / 12)) };
+    }
+
+    getDefaultStatementTarget(account) {
+        const kind = STATEMENT_ACCOUNT_KINDS[account.kind];
+        // An overdrawn bank account is a debt
+        if (kind.section === 'assets' && account.balance < 0) return 'liabilities|short-term';
+        return kind.section === 'assets' ? `assets|${kind.category}` : `liabilities|${kind.term}`;
+    }
+
+    // Income and expense lines: one per currency and category (or payee), averaged per month
+    summarizeStatementFlows(accounts, period) {
+        const groups = new Map();
+        accounts.forEach(account => {
+            const isLiability = STATEMENT_ACCOUNT_KINDS[account.kind].section === 'liabilities';
+            account.transactions.forEach(transaction => {
+                if (!transaction.amount) return;
+                const transfer = transaction.transfer || (isLiability && transaction.amount > 0);
+                const payee = (transaction.payee || '').replace(/\d{3,}/g, '').replace(/\s+/g, ' ').trim();
+                const name = transfer ? 'Transfers and card payments' : transaction.category || payee || 'Uncategorised';
+                const key = `${account.currency}|${transfer}|${name.toLowerCase()}`;
+                if (!groups.has(key)) {
+                    groups.set(key, { name, currency: account.currency, total: 0, count: 0, transfer });
+                }
+                const group = groups.get(key);
+                group.total += transaction.amount;
+                group.count++;
+            });
+        });
+
+        return [...groups.values()]
+            .filter(group => Math.abs(group.total) >= 0.005)
+            .map(group => {
+                const section = group.total > 0 ? 'incomes' : 'expenses';
+                return {
+                    ...group,
+                    section,
+                    monthly: Math.abs(group.total) / (period ? period.months : 1),
+                    category: this.guessStatementCategory(section, group.name),
+                    include: !group.transfer
+                };
+            })
+            .sort((a, b) => (a.section === b.section ? 0 : a.section === 'incomes' ? -1 : 1) || b.monthly - a.monthly);
+    }
+
+    // Matches a statement category against registry labels and examples ("Groceries"
+    // is an essential expense), falling back to "other"
+    guessStatementCategory(group, text) {
+        const normalize = value => String(value || '').toLowerCase().replace(/[^a-z0-9]/g, '');
+        const words = String(text || '').toLowerCase().split(/[^a-z0-9]+/).filter(word => word.length >= 4);
+        const entries = this.getCategoryEntries(group);
+        const match = entries.find(entry => [entry.label, entry.shortLabel, ...(entry.examples || [])]
+            .some(candidate => candidate && words.some(word => normalize(candidate).includes(word))));
+        return match ? match.value : (entries.find(entry => entry.value === 'other') || entries[0] || {}).value;
+    }
+
+    renderStatementImport() {
+        const draft = this.statementImportDraft;
+        const content = document.getElementById('statementImportContent');
+        if (!draft || !content) return;
+
+        const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+        const snapshots = [...this.data.snapshots].sort((a, b) => this.compareSnapshotsByDate(b, a));
+        const transactionCount = draft.accounts.reduce((sum, account) => sum + account.transactions.length, 0);
+        const period = draft.period
+            ? ` from ${this.formatDate(this.toDateInputValue(draft.period.start), false)} to ${this.formatDate(this.toDateInputValue(draft.period.end), false)} (about ${draft.period.months.toFixed(1)} months)`
+            : '';
+        const targetOptions = `
+            <optgroup label="Assets">
+                ${this.getCategoryEntries('assets').map(entry => `<option value="assets|${this.escapeHtml(entry.value)}">${this.escapeHtml(entry.label)}</option>`).join('')}
+            </optgroup>
+            <optgroup label="Liabilities">
+                ${this.getCategoryEntries('liabilities').map(entry => `<option value="liabilities|${this.escapeHtml(entry.value)}">${this.escapeHtml(entry.label)}</option>`).join('')}
+            </optgroup>
+        `;
+
+        const accountRows = draft.accounts.map((account, index) => `
+            <tr>
+                <td><input type="checkbox" data-statement-list="accounts" data-statement-index="${index}" data-statement-key="include" ${account.include ? 'checked' : ''} ${account.balance === null ? 'disabled' : ''}></td>
+                <td><input type="text" class="settings-input" data-statement-list="accounts" data-statement-index="${index}" data-statement-key="name" value="${this.escapeHtml(account.name)}"></td>
+                <td>${account.balance === null ? 'No balance in file' : this.escapeHtml(this.formatCurrency(account.balance, account.currency))}${account.balanceNote ? `<span class="base-amount">${this.escapeHtml(account.balanceNote)}</span>` : ''}</td>
+                <td><select class="settings-select" data-statement-list="accounts" data-statement-index="${index}" data-statement-key="as">${targetOptions.replace(`value="${this.escapeHtml(account.as)}"`, `value="${this.escapeHtml(account.as)}" selected`)}</select></td>
+            </tr>
+        `).join('');
+
+        const flowRows = draft.flows.map((flow, index) => `
+            <tr>
+                <td><input type="checkbox" data-statement-list="flows" data-statement-index="${index}" data-statement-key="include" ${flow.include ? 'checked' : ''}></td>
+                <td><input type="text" class="settings-input" data-statement-list="flows" data-statement-index="${index}" data-statement-key="name" value="${this.escapeHtml(flow.name)}"></td>
+                <td>${flow.section === 'incomes' ? 'Income' : 'Expense'}</td>
+                <td>${this.escapeHtml(this.formatCurrency(flow.monthly, flow.currency))}<span class="base-amount">${plural(flow.count, 'transaction')}, ${this.escapeHtml(this.formatCurrency(Math.abs(flow.total), flow.currency))} in total</span></td>
+                <td>
+                    <select class="settings-select" data-statement-list="flows" data-statement-index="${index}" data-statement-key="category">
+                        ${this.getCategoryEntries(flow.section).map(entry => `<option value="${this.escapeHtml(entry.value)}" ${entry.value === flow.category ? 'selected' : ''}>${this.escapeHtml(entry.label)}</option>`).join('')}
+                    </select>
+                </td>
+            </tr>
+        `).join('');
+
+        const selected = draft.accounts.filter(account => account.include).length + draft.flows.filter(flow => flow.include).length;
+        content.innerHTML = `
+            <div class="settings-section">
+                <p class="settings-help"><strong>${this.escapeHtml(draft.fileName)}</strong> (${draft.format}): ${plural(draft.accounts.length, 'account')}, ${plural(transactionCount, 'transaction')}${period}.</p>
+            </div>
+            <div class="settings-section">
+                <label>Import into</label>
+                <div class="fx-rate-row">
+                    <select class="settings-select" data-statement-setting="target" aria-label="Target snapshot">
+                        ${snapshots.map(snapshot => `<option value="${this.escapeHtml(snapshot.id)}" ${snapshot.id === draft.target ? 'selected' : ''}>${this.escapeHtml(snapshot.label)}</option>`).join('')}
+                        <option value="new" ${draft.target === 'new' ? 'selected' : ''}>New snapshot…</option>
+                    </select>
+                </div>
+                ${draft.target === 'new' ? `
+                    <div class="fx-rate-row">
+                        <input type="text" class="settings-input" data-statement-text="newLabel" value="${this.escapeHtml(draft.newLabel)}" placeholder="Snapshot name">
+                        <input type="date" class="settings-input" data-statement-text="newAsOfDate" value="${this.escapeHtml(draft.newAsOfDate)}" aria-label="As-of date">
+                    </div>
+                ` : ''}
+                <p class="settings-help">Items whose name already exists in the same section of the snapshot are updated instead of added again.</p>
+            </div>
+            <div class="settings-section">
+                <label>Account balances</label>
+                <div class="table-container">
+                    <table class="items-table compare-table">
+                        <thead><tr><th></th><th>Account</th><th>Balance</th><th>Add as</th></tr></thead>
+                        <tbody>${accountRows}</tbody>
+                    </table>
+                </div>
+            </div>
+            <div class="settings-section">
+                <label>Monthly income and expenses</label>
+                ${draft.flows.length ? `
+                    <p class="settings-help">Transactions are grouped by category, or by payee when the file has no categories, and averaged per month. Transfers and card payments are left out unless you tick them.</p>
+                    <div class="table-container">
+                        <table class="items-table compare-table">
+                            <thead><tr><th></th><th>Name</th><th>Type</th><th>Per Month</th><th>Category</th></tr></thead>
+                            <tbody>${flowRows}</tbody>
+                        </table>
+                    </div>
+                ` : '<p class="settings-help">The file has no transactions to summarise.</p>'}
+            </div>
+            <div class="settings-actions">
+                <button type="button" class="btn btn-primary" data-statement-action="import" ${selected === 0 ? 'disabled' : ''}>Import ${plural(selected, 'Item')}</button>
+                <button type="button" class="btn btn-secondary" data-close-modal>Cancel</button>
+            </div>
+        `;
+    }
+
+    importStatement() {
+        const draft = this.statementImportDraft;
+        if (!draft) return;
+
+        const accounts = draft.accounts.filter(account => account.include && account.balance !== null);
+        const flows = draft.flows.filter(flow => flow.include);
+        if (accounts.length === 0 && flows.length === 0) {
+            this.showMessage('Choose at least one account or income/expense line to import', 'error');
+            return;
+        }
+
+        let snapshot = this.data.snapshots.find(s => s.id === draft.target);
+        if (!snapshot) {
+            if (!draft.newLabel.trim()) {
+                this.showMessage('Enter a name for the new snapshot', 'error');
+                return;
+            }
+            if (!this.isValidAsOfDate(draft.newAsOfDate)) {
+                this.showMessage('Choose a valid date for the new snapshot', 'error');
+                return;
+            }
+        }
+
+        this.recordHistory(`Import statement "${draft.fileName}"`);
+        if (!snapshot) {
+            snapshot = this.buildSnapshot(draft.newLabel.trim(), draft.newAsOfDate);
+            this.data.snapshots.push(snapshot);
+        }
+
+        const counts = { added: 0, updated: 0 };
+        const upsert = (section, item) => {
+            const existing = snapshot.data[section].find(entry => entry.name.trim().toLowerCase() === item.name.toLowerCase());
+            if (existing) {
+                Object.assign(existing, item, { id: existing.id });
+                counts.updated++;
+            } else {
+                snapshot.data[section].push({ id: this.generateId(), ...item });
+                counts.added++;
+            }
+        };
+
+        accounts.forEach(account => {
+            const [section, value] = account.as.split('|');
+            const item = {
+                name: account.name.trim() || STATEMENT_ACCOUNT_KINDS[account.kind].label,
+                amount: Math.round(Math.abs(account.balance) * 100) / 100,
+                currency: account.currency
+            };
+            if (section === 'assets') {
+                item.category = value;
+                item.liquidity = STATEMENT_ACCOUNT_KINDS[account.kind].liquidity || 'high';
+            } else {
+                item.term = value;
+            }
+            upsert(section, item);
+        });
+        flows.forEach(flow => {
+            upsert(flow.section, {
+                name: flow.name.trim() || 'Uncategorised',
+                amount: Math.round(flow.monthly * 100) / 100,
+                currency: flow.currency,
+                category: flow.category,
+                frequency: 'monthly'
+            });
+        });
+
+        this.statementImportDraft = null;
+        this.currentSnapshotId = snapshot.id;
+        this.saveData();
+        this.closeModal('statementImportModal');
+        this.updateUI();
+
+        const plural = (count, word) => `${count} ${word}${count === 1 ? '' : 's'}`;
+        const parts = [counts.added && `${plural(counts.added, 'item')} added`, counts.updated && `${counts.updated} updated`].filter(Boolean);
+        this.showUndoableMessage(`Imported "${draft.fileName}" into "${snapshot.label}": ${parts.join(', ')}`);
+    }
+
+    bindStatementImportListeners() {
+        const content = document.getElementById('statementImportContent');
+        if (!content) return;
+
+        content.addEventListener('change', (e) => {
+            const draft = this.statementImportDraft;
+            if (!draft) return;
+            const { statementList, statementIndex, statementKey, statementSetting } = e.target.dataset;
+
+            if (statementList && statementKey !== 'name') {
+                draft[statementList][parseInt(statementIndex, 10)][statementKey] = e.target.type === 'checkbox' ? e.target.checked : e.target.value;
+            } else if (statementSetting) {
+                draft[statementSetting] = e.target.value;
+            } else {
+                return;
+            }
+            this.renderStatementImport();
+        });
+
+        // Text fields update the draft without re-rendering, so typing keeps focus
+        content.addEventListener('input', (e) => {
+            const draft = this.statementImportDraft;
+            if (!draft) return;
+            const { statementList, statementIndex, statementKey, statementText } = e.target.dataset;
+            if (statementText) {
+                draft[statementText] = e.target.value;
+            } else if (statementList && statementKey === 'name') {
+                draft[statementList][parseInt(statementIndex, 10)].name = e.target.value;
+            }
+        });
+
+        content.addEventListener('click', (e) => {
+            if (e.target.closest('[data-statement-action="import"]')) {
+                this.importStatement();
+            }
+        });
+    }
+
+    // Enhanced Table Features: Sorting, Filtering, Resizing
+
+    // Sort items by column
+    sortItems(items, column, direction, category) {
+        const sorted = [...items].sort((a, b) => {
+            let aVal, bVal;
+            
+            switch (column) {
+                case 'name':
+                    aVal = a.name.toLowerCase();
+                    bVal = b.name.toLowerCase();
+                    break;
+                case 'amount':
+                case 'monthly':
+                case 'gain':
+                    // Assets without a gain (not holdings) sort below any loss
+                    aVal = this.getComparableAmount(a, column) ?? -Infinity;
+                    bVal = this.getComparableAmount(b, column) ?? -Infinity;
+                    break;
+                case 'category':
+                    aVal = a.category ? a.category.toLowerCase() : '';
+                    bVal = b.category ? b.category.toLowerCase() : '';
+                    break;
+                case 'liquidity':
+                    aVal = a.liquidity ? a.liquidity.toLowerCase() : '';
+                    bVal = b.liquidity ? b.liquidity.toLowerCase() : '';
+                    break;
+                case 'term':
+                    aVal = a.term ? a.term.toLowerCase() : '';
+                    bVal = b.term ? b.term.toLowerCase() : '';
+                    break;
+                case 'apr':
+                    // Liabilities without an APR sort below 0%
+                    aVal = typeof a.apr === 'number' ? a.apr : -1;
+                    bVal = typeof b.apr === 'number' ? b.apr : -1;
+                    break;
+                default:
+                    return 0;
+            }
+            
+            if (aVal < bVal) return direction === 'asc' ? -1 : 1;
+            if (aVal > bVal) return direction === 'asc' ? 1 : -1;
+            return 0;
+        });
+        
+        return sorted;
+    }
+
+    // Sort and amount filters compare base-currency values so mixed currencies line up;
+    // the monthly column compares the normalised monthly equivalent. The gain column
+    // returns null for assets that have no unrealised gain.
+    getComparableAmount(item, column = 'amount') {
+        const snapshot = this.getCurrentSnapshot();
+        if (column === 'gain') {
+            const gain = this.getUnrealisedGain(item, snapshot);
+            return gain ? gain.baseAmount ?? gain.amount : null;
+        }
+        const value = column === 'monthly' ? this.getMonthlyAmount(item, snapshot) : this.getBaseAmount(item, snapshot);
+        return value === null ? item.amount : value;
+    }
+
+    // Columns filtered with numeric comparisons rather than text
+    isAmountColumn(column) {
+        return column === 'amount' || column === 'monthly' || column === 'gain';
+    }
+
+    // Filter items by search criteria
+    filterItems(items, filters, category) {
+        if (!filters) return items;
+
+        return items.filter(item => {
+            // Check text filters
+            for (const [column, filterValue] of Object.entries(filters)) {
+                if (!filterValue) continue; // Skip empty filters
+
+                // Handle select filters separately
+                if (column.endsWith('_select')) {
+                    const selectColumn = column.replace('_select', '');
+                    const selectedValues = filterValue;
+                    if (selectedValues.length > 0) { // Only filter if there are selected values
+                        const itemValue = item[selectColumn] || 'not specified';
+                        if (!selectedValues.includes(itemValue)) {
+                            return false;
+                        }
+                    }
+                    continue;
+                }
+
+                // Handle amount column with comparison operators
+                if (this.isAmountColumn(column) && filterValue.includes(':')) {
+                    const parts = filterValue.split(':');
+                    const operator = parts[0];
+                    const value1 = parseFloat(parts[1]);
+                    const value2 = parts[2] ? parseFloat(parts[2]) : null;
+
+                    const amount = this.getComparableAmount(item, column);
+                    if (amount === null) return false;
+
+                    if (!isNaN(value1)) {
+                        switch (operator) {
+                            case 'greater':
+                                if (!(amount > value1)) return false;
+                                break;
+                            case 'less':
+                                if (!(amount < value1)) return false;
+                                break;
+                            case 'greater_equal':
+                                if (!(amount >= value1)) return false;
+                                break;
+                            case 'less_equal':
+                                if (!(amount <= value1)) return false;
+                                break;
+                            case 'equal':
+                                if (amount !== value1) return false;
+                                break;
+                            case 'between':
+                                if (!(amount >= value1 && amount <= value2)) return false;
+                                break;
+                        }
+                    }
+                    continue; // Skip the text-based filtering for amount column
+                }
+
+                // Handle text filters
+                let itemValue = '';
+                switch (column) {
+                    case 'name':
+                        itemValue = item.name.toLowerCase();
+                        break;
+                    case 'amount':
+                        itemValue = this.formatCurrency(item.amount, this.getItemCurrency(item)).toLowerCase();
+                        break;
+                    case 'monthly':
+                        itemValue = this.formatCurrency(this.getComparableAmount(item, column)).toLowerCase();
+                        break;
+                    case 'apr':
+                        itemValue = this.describeLiabilityDetails(item).toLowerCase();
+                        break;
+                    case 'category':
+                    case 'liquidity':
+                    case 'term':
+                        itemValue = item[column] ? this.getCategoryLabel(this.getRegistryGroupForColumn(category, column), item[column]).toLowerCase() : '';
+                        break;
+                }
+
+                if (!itemValue.includes(filterValue.toLowerCase())) {
+                    return false;
+                }
+            }
+            return true;
+        });
+    }
+
+    // Handle column sorting - 3 state cycle: null -> asc -> desc -> null
+    handleColumnSort(category, column, tableId) {
+        const state = this.tableState[category];
+        
+        if (state.sortColumn === column) {
+            // Cycle through states if same column: asc -> desc -> none
+            if (state.sortDirection === 'asc') {
+                state.sortDirection = 'desc';
+            } else if (state.sortDirection === 'desc') {
+                state.sortDirection = 'none';
+                state.sortColumn = null; // Clear sorting
+            } else {
+                state.sortDirection = 'asc';
+                state.sortColumn = column;
+            }
+        } else {
+            // Set new column and default to ascending
+            state.sortColumn = column;
+            state.sortDirection = 'asc';
+        }
+        
+        // Update UI for sort indicators
+        this.updateSortIndicators(category, column, state.sortDirection);
+        
+        this.updateTable(category, tableId);
+    }
+
+    // Handle column filtering
+    handleColumnFilter(category, column, value, tableId) {
+        this.tableState[category].filters[column] = value;
+        this.updateTable(category, tableId);
+    }
+
+    // Update amount filter inputs based on operator
+    updateAmountFilterInputs(operator) {
+        const amount1Input = document.getElementById('filterAmount1');
+        const amount2Input = document.getElementById('filterAmount2');
+        const rangeSeparator = document.getElementById('rangeSeparator');
+
+        if (operator === 'between') {
+            amount2Input.style.display = 'inline-block';
+            rangeSeparator.style.display = 'inline';
+            amount2Input.required = true;
+        } else {
+            amount2Input.style.display = 'none';
+            rangeSeparator.style.display = 'none';
+            amount2Input.required = false;
+        }
+    }
+
+    // Handle column resizing
+    handleColumnResize(category, column, newWidth, tableId) {
+        this.tableState[category].columnWidths[column] = newWidth;
+        
+        // Apply the new width to the table
+        const table = document.getElementById(tableId);
+        if (table) {
+            const headers = table.querySelectorAll('th');
+            headers.forEach((th, index) => {
+                const columnKey = th.getAttribute('data-column');
+                if (columnKey && this.tableState[category].columnWidths[columnKey]) {
+                    th.style.width = this.tableState[category].columnWidths[columnKey];
+                }
+            });
+        }
+    }
+
+    // Update sort indicators in the table header
+    updateSortIndicators(category, activeColumn, direction) {
+        const tableId = category === 'incomes' ? 'incomeTable' : category + 'Table';
+        const table = document.getElementById(tableId);
+        if (!table) return;
+
+        const headers = table.querySelectorAll('th[data-column]');
+        headers.forEach(th => {
+            const column = th.getAttribute('data-column');
+            th.classList.remove('sort-asc', 'sort-desc', 'sort-none');
+
+            if (column === activeColumn && direction !== 'none') {
+                th.classList.add(direction === 'asc' ? 'sort-asc' : 'sort-desc');
+            } else if (column === activeColumn && direction === 'none') {
+                th.classList.add('sort-none');
+            }
+        });
+    }
+
+    // Apply column widths to table
+    applyColumnWidths(category, tableId) {
+        const table = document.getElementById(tableId);
+        if (!table) return;
+
+        const headers = table.querySelectorAll('th');
+        headers.forEach((th, index) => {
+            const columnKey = th.getAttribute('data-column');
+            if (columnKey && this.tableState[category].columnWidths[columnKey]) {
+                th.style.width = this.tableState[category].columnWidths[columnKey];
+            }
+        });
+    }
+
+    // New UI Update Methods for Enhanced Features
+    updateSnapshotList() {
+        const snapshotListContainer = document.getElementById('snapshotList');
+        const sortedSnapshots = this.getSortedSnapshots();
+        const filteredSnapshots = this.getFilteredSnapshots(sortedSnapshots);
+
+        snapshotListContainer.innerHTML = '';
+
+        if (filteredSnapshots.length === 0) {
+            const emptyMessage = document.createElement('div');
+            emptyMessage.className = 'empty-message';
+            emptyMessage.style.cssText = 'text-align: center; padding: 2rem; color: #bdc3c7; font-style: italic;';
+            if (this.searchTerm) {
+                emptyMessage.textContent = 'No snapshots found matching your search';
+            } else {
+                emptyMessage.textContent = 'No snapshots available';
+            }
+            snapshotListContainer.appendChild(emptyMessage);
+            return;
+        }
+
+        filteredSnapshots.forEach(snapshot => {
+            const snapshotItem = document.createElement('div');
+            snapshotItem.className = `snapshot-list-item ${snapshot.id === this.currentSnapshotId ? 'current' : ''}`;
+            snapshotItem.dataset.snapshotId = snapshot.id;
+            
+            snapshotItem.innerHTML = `
+                <div class="snapshot-item-header">
+                    <div class="snapshot-item-name">${this.escapeHtml(snapshot.label)}</div>
+                    ${snapshot.id === this.currentSnapshotId ? '<div class="snapshot-item-current-badge">Current</div>' : ''}
+                </div>
+                <div class="snapshot-item-date" title="Entered ${this.escapeHtml(this.formatDate(snapshot.createdAt))}">📅 ${this.formatDate(this.getSnapshotDate(snapshot), false)}</div>
+            `;
+
+            snapshotItem.addEventListener('click', () => {
+                this.switchSnapshot(snapshot.id);
+            });
+
+            snapshotListContainer.appendChild(snapshotItem);
+        });
+    }
+
+    updateSortControls() {
+        const dateBtn = document.getElementById('sortByDate');
+        const nameBtn = document.getElementById('sortByName');
+        const directionBtn = document.getElementById('toggleSortDirection');
+
+        dateBtn.classList.toggle('active', this.sortBy === 'date');
+        nameBtn.classList.toggle('active', this.sortBy === 'name');
+        
+        // Update direction button text and state
+        if (directionBtn) {
+            directionBtn.textContent = this.sortDirection === 'asc' ? '↑' : '↓';
+            directionBtn.title = this.sortDirection === 'asc' ? 'Ascending' : 'Descending';
+        }
+    }
+
+    updateSearchControls() {
+        const searchInput = document.getElementById('snapshotSearch');
+        const clearBtn = document.getElementById('clearSearchBtn');
+        
+        searchInput.value = this.searchTerm;
+        clearBtn.style.display = this.searchTerm ? 'inline-block' : 'none';
+    }
+
+    getSortedSnapshots() {
+        const snapshots = [...this.data.snapshots];
+        
+        return snapshots.sort((a, b) => {
+            let comparison = 0;
+            
+            if (this.sortBy === 'date') {
+                comparison = this.compareSnapshotsByDate(a, b);
+            } else if (this.sortBy === 'name') {
+                comparison = a.label.localeCompare(b.label);
+            }
+            
+            return this.sortDirection === 'asc' ? comparison : -comparison;
+        });
+    }
+
+    getFilteredSnapshots(sortedSnapshots) {
+        if (!this.searchTerm.trim()) {
+            return sortedSnapshots;
+        }
+
+        const searchLower = this.searchTerm.toLowerCase();
+        return sortedSnapshots.filter(snapshot => 
+            snapshot.label.toLowerCase().includes(searchLower) ||
+            this.formatDate(this.getSnapshotDate(snapshot), false).toLowerCase().includes(searchLower) ||
+            this.getSnapshotDate(snapshot).includes(searchLower)
+        );
+    }
+
+    changeSort(sortBy) {
+        this.sortBy = sortBy;
+        this.updateSnapshotList();
+        this.updateSortControls();
+    }
+
+    toggleSortDirection() {
+        this.sortDirection = this.sortDirection === 'asc' ? 'desc' : 'asc';
+        this.updateSnapshotList();
+        this.updateSortControls();
+    }
+
+    // Search functionality
+    handleSearch(event) {
+        this.searchTerm = event.target.value;
+        this.updateSnapshotList();
+        this.updateSearchControls();
+    }
+
+    clearSearch() {
+        this.searchTerm = '';
+        const searchInput = document.getElementById('snapshotSearch');
+        searchInput.value = '';
+        this.updateSnapshotList();
+        this.updateSearchControls();
+        searchInput.focus();
+    }
+
+    // Utility method to escape HTML
+    escapeHtml(text) {
+        const div = document.createElement('div');
+        div.textContent = text;
+        return div.innerHTML;
+    }
+
+    // Renaming functionality - simplified for inline rename in list
+    startRename() {
+        const currentSnapshot = this.getCurrentSnapshot();
+        if (!currentSnapshot) {
+            this.showMessage('No snapshot selected', 'error');
+            return;
+        }
+
+        const newName = prompt('Enter new name for this snapshot:', currentSnapshot.label);
+        if (newName && newName.trim()) {
+            this.renameSnapshot(newName);
+        }
+    }
+
+    // Legacy method for backward compatibility
+    updateSnapshotSelector() {
+        // This method is kept for backward compatibility but is now deprecated
+        // The new system uses updateSnapshotList()
+    }
+
+    // Home Page Modal Management
+    checkShowWelcomeScreen() {
+        // Modal is now triggered by help button, don't auto-show
+        this.hideWelcomeScreen();
+    }
+
+    // Show help modal when help button is clicked
+    showHelpModal() {
+        const modal = document.getElementById('homeModal');
+        if (modal) {
+            modal.classList.add('active');
+            // Mark as seen for first-time experience
+            localStorage.setItem('hasSeenWelcome', 'true');
+        }
+    }
+
+    showWelcomeScreen() {
+        const modal = document.getElementById('homeModal');
+        if (modal) {
+            modal.classList.add('active');
+            // Add event listener for Get Started button
+            const getStartedBtn = document.getElementById('getStartedBtn');
+            if (getStartedBtn) {
+                getStartedBtn.addEventListener('click', () => this.handleGetStarted());
+            }
+        }
+    }
+
+    hideWelcomeScreen() {
+        const modal = document.getElementById('homeModal');
+        if (modal) {
+            modal.classList.remove('active');
+            // Mark as seen for future visits
+            localStorage.setItem('hasSeenWelcome', 'true');
+        }
+    }
+
+    hideHelpModal() {
+        this.hideWelcomeScreen(); // Reusing the same method since it's the same modal // Reusing the same method since it's the same modal
+    }
+
+    handleGetStarted() {
+        this.hideWelcomeScreen();
+        this.showMessage('Welcome to Finance Tracker! Start by creating your first snapshot.', 'success');
+    }
+
+    updateSummary() {
+        const summary = this.calculateSummary(this.getAnalysisSnapshot());
+
+        const totalAssetsEl = document.getElementById('totalAssets');
+        totalAssetsEl.textContent = this.formatCurrency(summary.totalAssets);
+        totalAssetsEl.title = this.formatCurrency(summary.totalAssets);
+
+        const totalLiabilitiesEl = document.getElementById('totalLiabilities');
+        totalLiabilitiesEl.textContent = this.formatCurrency(summary.totalLiabilities);
+        totalLiabilitiesEl.title = this.formatCurrency(summary.totalLiabilities);
+
+        const netWorthEl = document.getElementById('netWorth');
+        netWorthEl.textContent = this.formatCurrency(summary.netWorth);
+        netWorthEl.title = this.formatCurrency(summary.netWorth);
+
+        const totalIncomeEl = document.getElementById('totalIncome');
+        totalIncomeEl.textContent = this.formatCurrency(summary.totalIncome);
+        totalIncomeEl.title = this.formatCurrency(summary.totalIncome);
+
+        const totalExpensesEl = document.getElementById('totalExpenses');
+        totalExpensesEl.textContent = this.formatCurrency(summary.totalExpenses);
+        totalExpensesEl.title = this.formatCurrency(summary.totalExpenses);
+
+        const savingsEl = document.getElementById('savings');
+        savingsEl.textContent = this.formatCurrency(summary.savings);
+        savingsEl.title = this.formatCurrency(summary.savings);
+
+        // Color coding - update class after title is set
+        netWorthEl.className = 'amount ' + (summary.netWorth >= 0 ? 'positive' : 'negative');
+        savingsEl.className = 'amount ' + (summary.savings >= 0 ? 'positive' : 'negative');
+
+        // In scenario mode each figure shows the snapshot's own value underneath
+        const baseline = this.scenario ? this.calculateSummary() : null;
+        document.querySelectorAll('[data-scenario-baseline]').forEach(element => {
+            element.textContent = baseline ? `Baseline: ${this.formatCurrency(baseline[element.dataset.scenarioBaseline])}` : '';
+            element.style.display = baseline ? 'block' : 'none';
+        });
+
+        this.updateFxStatus();
+    }
+
+    // Base currency badge and a warning when items cannot be converted
+    updateFxStatus() {
+        const label = document.getElementById('baseCurrencyLabel');
+        if (label) {
+            label.textContent = this.getBaseCurrency();
+        }
+
+        const warning = document.getElementById('fxWarning');
+        if (!warning) return;
+
+        const missing = this.getMissingFxCurrencies(this.getCurrentSnapshot());
+        if (missing.length > 0) {
+            warning.textContent = `⚠️ No exchange rate for ${missing.join(', ')} in this snapshot - those items are left out of totals, ratios and charts until you add one under FX Rates.`;
+            warning.style.display = 'block';
+        } else {
+            warning.style.display = 'none';
+        }
+    }
+
+    // Update snapshot notification visibility
+    updateSnapshotNotification() {
+        const notification = document.getElementById('snapshotNotification');
+        if (notification) {
+            // Show notification when there are no snapshots, hide when there are snapshots
+            notification.style.display = this.data.snapshots.length === 0 ? 'block' : 'none';
+        }
+    }
+
+    updateTable(category, tableId) {
+        const tableEl = document.getElementById(tableId);
+        if (!tableEl) {
+            return;
+        }
+        const table = tableEl.querySelector('tbody');
+        if (!table) {
+            return;
+        }
+        table.innerHTML = '';
+
+        const snapshot = this.getCurrentSnapshot();
+        if (!snapshot) return;
+
+        let items = [...snapshot.data[category]];
+
+        // Apply filtering
+        if (this.tableState[category]) {
+            items = this.filterItems(items, this.tableState[category].filters, category);
+
+            // Apply sorting
+            if (this.tableState[category].sortColumn) {
+                items = this.sortItems(
+                    items,
+                    this.tableState[category].sortColumn,
+                    this.tableState[category].sortDirection,
+                    category
+                );
+            }
+        }
+
+        const isEditMode = this.editModeStates[category];
+
+        items.forEach(item => {
+            const row = document.createElement('tr');
+            row.dataset.itemId = item.id;
+
+            if (isEditMode) {
+                // Edit mode - show input fields and delete button
+                if (category === 'assets') {
+                    // Priced holdings derive their amount, so it can't be typed over
+                    const pricedHolding = this.isHolding(item) && this.getHoldingPrice(snapshot, item.symbol) !== null;
+                    row.innerHTML = `
+                        <td>
+                            <input type="text" value="${this.escapeHtml(item.name)}" class="edit-input edit-mode-input" data-field="name">
+                        </td>
+                        <td>
+                            <div class="amount-currency-input">
+                                <input type="number" value="${item.amount}" step="0.01" min="0" class="edit-input edit-mode-input" data-field="amount" ${pricedHolding ? 'readonly title="Quantity × price - change the price under Prices"' : ''}>
+                                <select class="edit-input edit-mode-input currency-select" data-field="currency">
+                                    ${this.renderCurrencyOptions(this.getItemCurrency(item))}
+                                </select>
+                            </div>
+                        </td>
+                        <td>
+                            <select class="edit-input edit-mode-input" data-field="category">
+                                ${this.renderCategoryOptions('assets', item.category, 'Select Category')}
+                            </select>
+                        </td>
+                        <td>
+                            <select class="edit-input edit-mode-input" data-field="liquidity">
+                                ${this.renderCategoryOptions('liquidity', item.liquidity, 'Select Liquidity')}
+                            </select>
+                        </td>
+                        <td>
+                            <div class="liability-details-inputs">
+                                <input type="text" value="${this.escapeHtml(item.symbol || '')}" placeholder="Symbol" title="Ticker / symbol" class="edit-input edit-mode-input" data-field="symbol">
+                                <input type="number" value="${item.quantity ?? ''}" step="any" min="0" placeholder="Quantity" title="Units held" class="edit-input edit-mode-input" data-field="quantity">
+                                <input type="number" value="${item.costBasis ?? ''}" step="0.01" min="0" placeholder="Cost basis" title="Total cost, in the asset's currency" class="edit-input edit-mode-input" data-field="costBasis">
+                            </div>
+                        </td>
+                        <td class="edit-actions">
+                            <button class="btn btn-danger btn-small delete-row-btn" data-category="${category}" data-item-id="${item.id}" title="Delete this item">✕</button>
+                        </td>
+                    `;
+
+                    // Apply column widths for assets table in edit mode
+                    if (this.tableState[category]) {
+                        const cells = row.querySelectorAll('td');
+                        if (cells[0]) cells[0].style.width = this.tableState[category].columnWidths.name;
+                        if (cells[1]) cells[1].style.width = this.tableState[category].columnWidths.amount;
+                        if (cells[2]) cells[2].style.width = this.tableState[category].columnWidths.category;
+                        if (cells[3]) cells[3].style.width = this.tableState[category].columnWidths.liquidity;
+                        if (cells[4]) cells[4].style.width = this.tableState[category].columnWidths.gain;
+                        if (cells[5]) cells[5].style.width = '60px'; // Fixed width for delete button column
+                    }
+                } else {
+                    // Handle liabilities with term field
+                    if (category === 'liabilities') {
+                        row.innerHTML = `
+                            <td>
+                                <input type="text" value="${this.escapeHtml(item.name)}" class="edit-input edit-mode-input" data-field="name">
+                            </td>
+                            <td>
+                                <div class="amount-currency-input">
+                                    <input type="number" value="${item.amount}" step="0.01" min="0" class="edit-input edit-mode-input" data-field="amount">
+                                    <select class="edit-input edit-mode-input currency-select" data-field="currency">
+                                        ${this.renderCurrencyOptions(this.getItemCurrency(item))}
+                                    </select>
+                                </div>
+                            </td>
+                            <td>
+                                <select class="edit-input edit-mode-input" data-field="term">
+                                    ${this.renderCategoryOptions('liabilities', item.term, 'Select Term')}
+                                </select>
+                            </td>
+                            <td>
+                                <div class="liability-details-inputs">
+                                    <input type="number" value="${item.apr ?? ''}" step="0.01" min="0" placeholder="APR %" title="APR %" class="edit-input edit-mode-input" data-field="apr">
+                                    <input type="number" value="${item.minPayment ?? ''}" step="0.01" min="0" placeholder="Min. payment" title="Minimum monthly payment" class="edit-input edit-mode-input" data-field="minPayment">
+                                    <input type="number" value="${item.remainingMonths ?? ''}" step="1" min="0" placeholder="Months left" title="Remaining term in months" class="edit-input edit-mode-input" data-field="remainingMonths">
+                                    <input type="text" value="${this.escapeHtml(item.lender || '')}" placeholder="Lender" title="Lender" class="edit-input edit-mode-input" data-field="lender">
+                                </div>
+                            </td>
+                            <td class="edit-actions">
+                                <button class="btn btn-danger btn-small delete-row-btn" data-category="${category}" data-item-id="${item.id}" title="Delete this item">✕</button>
+                            </td>
+                        `;
+
+                        // Apply column widths for liabilities table in edit mode
+                        if (this.tableState[category]) {
+                            const cells = row.querySelectorAll('td');
+                            if (cells[0]) cells[0].style.width = this.tableState[category].columnWidths.name;
+                            if (cells[1]) cells[1].style.width = this.tableState[category].columnWidths.amount;
+                            if (cells[2]) cells[2].style.width = this.tableState[category].columnWidths.term;
+                            if (cells[3]) cells[3].style.width = this.tableState[category].columnWidths.apr;
+                            if (cells[4]) cells[4].style.width = '60px'; // Fixed width for delete button column
+                        }
+                    } else if (category === 'incomes') {
+                        // Handle incomes with category field
+                        row.innerHTML = `
+                            <td>
+                                <input type="text" value="${this.escapeHtml(item.name)}" class="edit-input edit-mode-input" data-field="name">
+                            </td>
+                            <td>
+                                <div class="amount-currency-input">
+                                    <input type="number" value="${item.amount}" step="0.01" min="0" class="edit-input edit-mode-input" data-field="amount">
+                                    <select class="edit-input edit-mode-input currency-select" data-field="currency">
+                                        ${this.renderCurrencyOptions(this.getItemCurrency(item))}
+                                    </select>
+                                </div>
+                            </td>
+                            <td>
+                                <select class="edit-input edit-mode-input" data-field="frequency">
+                                    ${this.renderFrequencyOptions(item.frequency)}
+                                </select>
+                            </td>
+                            <td>
+                                <select class="edit-input edit-mode-input" data-field="category">
+                                    ${this.renderCategoryOptions('incomes', item.category, 'Select Category')}
+                                </select>
+                            </td>
+                            <td class="edit-actions">
+                                <button class="btn btn-danger btn-small delete-row-btn" data-category="${category}" data-item-id="${item.id}" title="Delete this item">✕</button>
+                            </td>
+                        `;
+
+                        // Apply column widths for incomes table in edit mode
+                        if (this.tableState[category]) {
+                            const cells = row.querySelectorAll('td');
+                            if (cells[0]) cells[0].style.width = this.tableState[category].columnWidths.name;
+                            if (cells[1]) cells[1].style.width = this.tableState[category].columnWidths.amount;
+                            if (cells[2]) cells[2].style.width = this.tableState[category].columnWidths.monthly;
+                            if (cells[3]) cells[3].style.width = this.tableState[category].columnWidths.category;
+                            if (cells[4]) cells[4].style.width = '60px'; // Fixed width for delete button column
+                        }
+                    } else if (category === 'expenses') {
+                        // Expenses with category field
+                        row.innerHTML = `
+                            <td>
+                                <input type="text" value="${this.escapeHtml(item.name)}" class="edit-input edit-mode-input" data-field="name">
+                            </td>
+                            <td>
+                                <div class="amount-currency-input">
+                                    <input type="number" value="${item.amount}" step="0.01" min="0" class="edit-input edit-mode-input" data-field="amount">
+                                    <select class="edit-input edit-mode-input currency-select" data-field="currency">
+                                        ${this.renderCurrencyOptions(this.getItemCurrency(item))}
+                                    </select>
+                                </div>
+                            </td>
+                            <td>
+                                <select class="edit-input edit-mode-input" data-field="frequency">
+                                    ${this.renderFrequencyOptions(item.frequency)}
+                                </select>
+                            </td>
+                            <td>
+                                <select class="edit-input edit-mode-input" data-field="category">
+                                    ${this.renderCategoryOptions('expenses', item.category, 'Select Category')}
+                                </select>
+                            </td>
+                            <td class="edit-actions">
+                                <button class="btn btn-danger btn-small delete-row-btn" data-category="${category}" data-item-id="${item.id}" title="Delete this item">✕</button>
+                            </td>
+                        `;
+
+                        // Apply column widths for expenses table in edit mode
+                        if (this.tableState[category]) {
+                            const cells = row.querySelectorAll('td');
+                            if (cells[0]) cells[0].style.width = this.tableState[category].columnWidths.name;
+                            if (cells[1]) cells[1].style.width = this.tableState[category].columnWidths.amount;
+                            if (cells[2]) cells[2].style.width = this.tableState[category].columnWidths.monthly;
+                            if (cells[3]) cells[3].style.width = this.tableState[category].columnWidths.category;
+                            if (cells[4]) cells[4].style.width = '60px'; // Fixed width for delete button column
+                        }
+                    }
+                }
+                row.classList.add('edit-mode-active');
+            } else {
+                // Normal view mode - no edit/delete buttons visible
+                if (category === 'assets') {
+                    const categoryName = item.category ? this.getCategoryDisplayName(item.category) : 'Not specified';
+                    const liquidityName = item.liquidity ? this.getLiquidityDisplayName(item.liquidity) : 'Not specified';
+
+                    const holding = this.isHolding(item)
+                        ? `<span class="holding-label">${this.escapeHtml(this.describeHolding(item, snapshot))}</span>`
+                        : '';
+
+                    row.innerHTML = `
+                        <td>${this.escapeHtml(item.name)}</td>
+                        <td>${this.formatItemAmount(item, snapshot)}${holding}</td>
+                        <td>${this.escapeHtml(categoryName)}</td>
+                        <td class="liquidity-cell">${this.escapeHtml(liquidityName)}</td>
+                        <td>${this.formatUnrealisedGain(item, snapshot)}</td>
+                    `;
+
+                    // Apply column widths for assets table in view mode
+                    if (this.tableState[category]) {
+                        const cells = row.querySelectorAll('td');
+                        if (cells[0]) cells[0].style.width = this.tableState[category].columnWidths.name;
+                        if (cells[1]) cells[1].style.width = this.tableState[category].columnWidths.amount;
+                        if (cells[2]) cells[2].style.width = this.tableState[category].columnWidths.category;
+                        if (cells[3]) cells[3].style.width = this.tableState[category].columnWidths.liquidity;
+                        if (cells[4]) cells[4].style.width = this.tableState[category].columnWidths.gain;
+                    }
+                } else {
+                    if (category === 'liabilities') {
+                        const termName = item.term ? this.getLiabilityTermDisplayName(item.term) : 'Not specified';
+                        const loanDetails = this.describeLiabilityDetails(item) || 'Not specified';
+
+                        row.innerHTML = `
+                            <td>${this.escapeHtml(item.name)}</td>
+                            <td>${this.formatItemAmount(item, snapshot)}</td>
+                            <td>${this.escapeHtml(termName)}</td>
+                            <td class="liability-details-cell">${this.escapeHtml(loanDetails)}</td>
+                        `;
+
+                        // Apply column widths for liabilities table in view mode
+                        if (this.tableState[category]) {
+                            const cells = row.querySelectorAll('td');
+                            if (cells[0]) cells[0].style.width = this.tableState[category].columnWidths.name;
+                            if (cells[1]) cells[1].style.width = this.tableState[category].columnWidths.amount;
+                            if (cells[2]) cells[2].style.width = this.tableState[category].columnWidths.term;
+                            if (cells[3]) cells[3].style.width = this.tableState[category].columnWidths.apr;
+                        }
+                    } else if (category === 'incomes') {
+                        // Handle incomes with category field for display
+                        const categoryName = item.category ? this.getIncomeCategoryDisplayName(item.category) : 'Not specified';
+
+                        row.innerHTML = `
+                            <td>${this.escapeHtml(item.name)}</td>
+                            <td>${this.formatRecurringAmount(item, snapshot)}</td>
+                            <td>${this.formatMonthlyAmount(item, snapshot)}</td>
+                            <td>${this.escapeHtml(categoryName)}</td>
+                        `;
+
+                        // Apply column widths for incomes table in view mode
+                        if (this.tableState[category]) {
+                            const cells = row.querySelectorAll('td');
+                            if (cells[0]) cells[0].style.width = this.tableState[category].columnWidths.name;
+                            if (cells[1]) cells[1].style.width = this.tableState[category].columnWidths.amount;
+                            if (cells[2]) cells[2].style.width = this.tableState[category].columnWidths.monthly;
+                            if (cells[3]) cells[3].style.width = this.tableState[category].columnWidths.category;
+                        }
+                    } else if (category === 'expenses') {
+                        // Handle expenses with category field for display
+                        const categoryName = item.category ? this.getExpenseCategoryDisplayName(item.category) : 'Not specified';
+
+                        row.innerHTML = `
+                            <td>${this.escapeHtml(item.name)}</td>
+                            <td>${this.formatRecurringAmount(item, snapshot)}</td>
+                            <td>${this.formatMonthlyAmount(item, snapshot)}</td>
+                            <td>${this.escapeHtml(categoryName)}</td>
+                        `;
+
+                        // Apply column widths for expenses table in view mode
+                        if (this.tableState[category]) {
+                            const cells = row.querySelectorAll('td');
+                            if (cells[0]) cells[0].style.width = this.tableState[category].columnWidths.name;
+                            if (cells[1]) cells[1].style.width = this.tableState[category].columnWidths.amount;
+                            if (cells[2]) cells[2].style.width = this.tableState[category].columnWidths.monthly;
+                            if (cells[3]) cells[3].style.width = this.tableState[category].columnWidths.category;
+                        }
+                    }
+                }
+            }
+
+            table.appendChild(row);
+        });
+        
+        // Apply column widths to headers
+        this.applyColumnWidths(category, tableId);
+        
+        // Force a DOM reflow to ensure the order is respected
+        if (table.offsetParent !== null) {
+            table.style.display = 'none';
+            table.offsetHeight; // Trigger reflow
+            table.style.display = '';
+        }
+        
+
+    }
+
+    // New method to show empty tables during fresh start
+    updateEmptyTables() {
+        const tables = ['assetsTable', 'liabilitiesTable', 'incomeTable', 'expensesTable'];
+        tables.forEach(tableId => {
+            const tableEl = document.getElementById(tableId);
+            if (!tableEl) {
+                return;
+            }
+            const table = tableEl.querySelector('tbody');
+            if (!table) {
+                return;
+            }
+            table.innerHTML = '';
+        });
+    }
+
+    updateUI() {
+        // Update snapshot notification based on whether any snapshots exist
+        this.updateSnapshotNotification();
+
+        // Form selects follow the category registry, which undo/import can replace
+        this.populateCategorySelects();
+        this.populateCurrencySelects();
+
+        // Update all UI components
+        this.updateSnapshotList();
+        this.updateSortControls();
+        this.updateSearchControls();
+        this.updateSummary();
+        this.updateScenario();
+
+        // Update charts and financial ratios
+        this.createCharts();
+        this.updateBudgets();
+        this.updateAllocation();
+        this.updateTrends();
+        this.updateGoals();
+        this.updatePayoffPlanner();
+
+        // Update edit mode buttons
+        this.updateEditModeButtons();
+
+        this.updateTable('assets', 'assetsTable');
+        this.updateTable('liabilities', 'liabilitiesTable');
+        this.updateTable('incomes', 'incomeTable');
+        this.updateTable('expenses', 'expensesTable');
+
+        // Update main page state based on active snapshot
+        this.updateMainPageState();
+    }
+
+    // Update all edit mode buttons per their current states
+    updateEditModeButtons() {
+        document.querySelectorAll('.edit-mode-btn').forEach(button => {
+            const category = button.dataset.category;
+            this.updateEditModeButton(button, category);
+        });
+    }
+
+    // Enhanced Event Handlers for Table Features
+    bindTableEventListeners() {
+        // Sort event listeners for all tables
+        this.bindSortEventListeners();
+
+        // Generic table resize handlers for all tables
+        this.bindResizeHandlers();
+    }
+
+    bindSortEventListeners() {
+        const tables = ['assetsTable', 'liabilitiesTable', 'incomeTable', 'expensesTable'];
+        tables.forEach(tableId => {
+            const table = document.getElementById(tableId);
+            if (!table) return;
+            const filterIcons = table.querySelectorAll('.filter-icon');
+            filterIcons.forEach(icon => {
+                icon.addEventListener('click', (e) => {
+                    e.stopPropagation();
+                    const header = icon.closest('th');
+                    const column = header.getAttribute('data-column');
+                    const category = tableId.replace('Table', '').replace('income', 'incomes');
+                    this.showFilterDialog(tableId, category, column, header);
+                });
+            });
+        });
+    }
+
+    // Show filter and sort dialog
+    showFilterDialog(tableId, category, column, header) {
+        // Remove any existing filter dialogs
+        document.querySelectorAll('.filter-dialog').forEach(dialog => dialog.remove());
+
+        const dialog = document.createElement('div');
+        dialog.className = 'filter-dialog';
+        dialog.innerHTML = `
+            <div class="filter-dialog-content">
+                <h4>Sort & Filter: ${header.querySelector('span')?.textContent || column.charAt(0).toUpperCase() + column.slice(1)}</h4>
+
+                <div class="filter-section">
+                    <h5>Sort Order:</h5>
+                    <select class="sort-select" id="sortSelect">
+                        <option value="none">No Sort</option>
+                        <option value="asc">Ascending A-Z ↑</option>
+                        <option value="desc">Descending Z-A ↓</option>
+                    </select>
+                </div>
+
+                <div class="filter-section">
+                    <h5>Value Filter:</h5>
+                    ${this.isAmountColumn(column) ? `
+                       <div class="amount-filter-wrapper">
+                            <select class="filter-operator" id="filterOperator" style="margin-right: 0.5rem;">
+                                <option value="greater">Greater than ></option>
+                                <option value="less">Less than <</option>
+                                <option value="greater_equal">Greater or Equal ≥</option>
+                                <option value="less_equal">Less or Equal ≤</option>
+                                <option value="equal">Equals =</option>
+                                <option value="between">Range (between)</option>
+                            </select>
+                            <div class="amount-inputs" id="amountInputs">
+                                <input type="text" class="filter-amount" id="filterAmount1" placeholder="Enter amount..." />
+                                <span class="range-separator" id="rangeSeparator" style="display:none;">to</span>
+                                <input type="text" class="filter-amount" id="filterAmount2" placeholder="Enter amount..." style="display:none;" />
+                            </div>
+                        </div>
+                        <button class="btn btn-small" id="clearFilterBtn" style="margin-top: 0.5rem;">Clear Filter</button>
+                    ` : `
+                        <div class="autocomplete-wrapper">
+                            <input type="text" class="filter-input" id="filterInput" placeholder="Type to filter..." />
+                            <div class="suggestions-dropdown" id="suggestionsDropdown" style="display: none;"></div>
+                        </div>
+                        <button class="btn btn-small" id="clearFilterBtn" style="margin-top: 0.5rem;">Clear Filter</button>
+                    `}
+                </div>
+
+                ${this.getColumnSpecificFilters(category, column)}
+
+                <div class="filter-actions">
+                    <button class="btn btn-secondary btn-small" id="cancelBtn">Cancel</button>
+                    <button class="btn btn-primary btn-small" id="applyBtn">Apply</button>
+                </div>
+            </div>
+        `;
+
+        document.body.appendChild(dialog);
+
+        // Set current filter values
+        const currentSort = this.tableState[category].sortColumn === column ?
+            this.tableState[category].sortDirection : 'none';
+        const currentFilter = this.tableState[category].filters[column] || '';
+
+        document.getElementById('sortSelect').value = currentSort;
+
+        // Handle amount filters differently
+        if (this.isAmountColumn(column)) {
+            // Parse current filter value for amount filters
+            let operator = 'greater', value1 = '', value2 = '';
+            if (currentFilter && currentFilter.includes(':')) {
+                const parts = currentFilter.split(':');
+                operator = parts[0];
+                value1 = parts[1];
+                if (operator === 'between' && parts[2]) {
+                    value2 = parts[2];
+                }
+            }
+
+            const operatorSelect = document.getElementById('filterOperator');
+            const amount1Input = document.getElementById('filterAmount1');
+            const amount2Input = document.getElementById('filterAmount2');
+
+            operatorSelect.value = operator;
+            amount1Input.value = value1;
+            amount2Input.value = value2;
+
+            // Show/hide second input based on operator
+            this.updateAmountFilterInputs(operator);
+
+            // Add event listener for operator change
+            operatorSelect.addEventListener('change', (e) => {
+                this.updateAmountFilterInputs(e.target.value);
+            });
+        } else {
+            document.getElementById('filterInput').value = currentFilter;
+            // Initialize autocomplete functionality
+            this.initializeAutocomplete(dialog, tableId, category, column);
+        }
+
+        // Set up event listeners
+        document.getElementById('cancelBtn').addEventListener('click', () => {
+            dialog.remove();
+        });
+
+        document.getElementById('applyBtn').addEventListener('click', () => {
+            const sortValue = document.getElementById('sortSelect').value;
+            let filterValue = '';
+
+            // Handle sort
+            if (sortValue === 'none') {
+                if (this.tableState[category].sortColumn === column) {
+                    this.tableState[category].sortColumn = null;
+                    this.tableState[category].sortDirection = 'asc';
+                }
+            } else {
+                this.tableState[category].sortColumn = column;
+                this.tableState[category].sortDirection = sortValue;
+            }
+
+            // Handle filter - different logic for amount vs text filters
+            if (this.isAmountColumn(column)) {
+                const operator = document.getElementById('filterOperator').value;
+                const value1 = document.getElementById('filterAmount1').value.trim();
+                const value2 = document.getElementById('filterAmount2').value.trim();
+
+                if (value1) {
+                    filterValue = operator + ':' + value1;
+                    if (operator === 'between' && value2) {
+                        filterValue += ':' + value2;
+                    }
+                }
+            } else {
+                filterValue = document.getElementById('filterInput').value.trim();
+            }
+
+            this.tableState[category].filters[column] = filterValue;
+
+            // Handle select filters for categorical columns
+            if (this.getRegistryGroupForColumn(category, column)) {
+                const checkedOptions = Array.from(dialog.querySelectorAll('.select-option:checked'))
+                    .map(checkbox => checkbox.value);
+                this.tableState[category].filters[column + '_select'] = checkedOptions;
+            }
+
+            this.updateSortIndicators(category, column, sortValue);
+            this.updateTable(category, tableId);
+            dialog.remove();
+        });
+
+        document.getElementById('clearFilterBtn').addEventListener('click', () => {
+            if (this.isAmountColumn(column)) {
+                // Clear amount filters
+                document.getElementById('filterOperator').value = 'greater';
+                document.getElementById('filterAmount1').value = '';
+                document.getElementById('filterAmount2').value = '';
+                this.updateAmountFilterInputs('greater'); // Reset to default
+            } else {
+                document.getElementById('filterInput').value = '';
+            }
+            // Also clear any select filters
+            if (this.getRegistryGroupForColumn(category, column)) {
+                dialog.querySelectorAll('.select-option').forEach(checkbox => checkbox.checked = false);
+            }
+        });
+
+        // Position the dialog below the header like Excel - dynamically update on scroll
+        const updatePosition = () => {
+            const rect = header.getBoundingClientRect();
+            dialog.style.position = 'fixed';
+            dialog.style.left = rect.left + 'px';
+            dialog.style.top = (rect.bottom + 5) + 'px';
+            dialog.style.zIndex = '2000';
+        };
+
+        updatePosition(); // Initial position
+
+        // Update position when scrolling or resizing
+        const handleReposition = () => updatePosition();
+        window.addEventListener('scroll', handleReposition);
+        window.addEventListener('resize', handleReposition);
+
+        // Also listen for scroll events on the main content area
+        const mainContent = document.querySelector('.main-content');
+        if (mainContent) {
+            mainContent.addEventListener('scroll', handleReposition);
+        }
+
+        // Close when clicking outside
+        document.addEventListener('click', function closeDialog(e) {
+            if (!dialog.contains(e.target)) {
+                dialog.remove();
+                document.removeEventListener('click', closeDialog);
+            }
+        });
+    }
+
+    // Get specific filter options for categorical columns
+    getColumnSpecificFilters(category, column) {
+        const group = this.getRegistryGroupForColumn(category, column);
+        if (!group) return '';
+
+        const entries = this.getCategoryEntries(group);
+        const currentSelections = this.tableState[category].filters[column + '_select'] || [];
+        const headings = { category: 'Select Categories:', liquidity: 'Select Liquidity:', term: 'Select Terms:' };
+
+        return `
+            <div class="filter-section">
+                <h5>${headings[column]}</h5>
+                <div class="select-options">
+                    ${entries.map(entry =>
+                        `<label><input type="checkbox" class="select-option" value="${this.escapeHtml(entry.value)}"
+                            ${currentSelections.includes(entry.value) ? 'checked' : ''}>
+                            ${this.escapeHtml(entry.label)}</label><br>`
+                    ).join('')}
+                </div>
+            </div>
+        `;
+    }
+
+    bindResizeHandlers() {
+        const tables = ['assetsTable', 'liabilitiesTable', 'incomeTable', 'expensesTable'];
+        tables.forEach(tableId => {
+            const table = document.getElementById(tableId);
+            if (!table) return;
+
+            const resizeHandles = table.querySelectorAll('.resize-handle');
+            resizeHandles.forEach(handle => {
+                handle.addEventListener('mousedown', (e) => {
+                    this.startResize(e, tableId);
+                });
+            });
+        });
+    }
+
+    startResize(event, tableId) {
+        event.preventDefault();
+
+        const table = document.getElementById(tableId);
+        const header = event.target.closest('th');
+        const column = header.getAttribute('data-column');
+        const category = tableId.replace('Table', '').replace('income', 'incomes');
+
+        if (!column || !this.tableState[category]) return;
+
+        const startX = event.pageX;
+        const startWidth = header.offsetWidth;
+
+        const handleMouseMove = (e) => {
+            const diff = e.pageX - startX;
+            const newWidth = Math.max(50, startWidth + diff); // Minimum width of 50px
+            const newWidthPercent = (newWidth / table.offsetWidth) * 100;
+            
+            this.handleColumnResize(category, column, newWidthPercent + '%', tableId);
+        };
+
+        const handleMouseUp = () => {
+            document.removeEventListener('mousemove', handleMouseMove);
+            document.removeEventListener('mouseup', handleMouseUp);
+        };
+
+        document.addEventListener('mousemove', handleMouseMove);
+        document.addEventListener('mouseup', handleMouseUp);
+    }
+
+    // Mobile Sidebar Toggle Functionality
+    toggleSidebar() {
+        const sidebar = document.getElementById('sidebar');
+        const backdrop = document.getElementById('sidebarBackdrop');
+        const isOpen = sidebar.classList.contains('show');
+
+        if (isOpen) {
+            // Close sidebar
+            sidebar.classList.remove('show');
+            backdrop.classList.remove('active');
+        } else {
+            // Open sidebar
+            sidebar.classList.add('show');
+            backdrop.classList.add('active');
+        }
+    }
+
+    // Close sidebar when clicking backdrop
+    handleBackdropClick() {
+        const sidebar = document.getElementById('sidebar');
+        const backdrop = document.getElementById('sidebarBackdrop');
+
+        sidebar.classList.remove('show');
+        backdrop.classList.remove('active');
+    }
+
+    // Event Handlers
+    bindEventListeners() {
+        // Help button - show welcome guide
+        document.getElementById('helpBtn').addEventListener('click', () => this.showHelpModal());
+
+        // Close help modal button
+        const closeHelpModalBtn = document.getElementById('closeHelpModal');
+        if (closeHelpModalBtn) {
+            closeHelpModalBtn.addEventListener('click', () => this.hideHelpModal());
+        }
+
+        // Mobile sidebar toggle
+        const sidebarToggle = document.getElementById('sidebarToggle');
+        if (sidebarToggle) {
+            sidebarToggle.addEventListener('click', () => this.toggleSidebar());
+        }
+
+        // Sidebar backdrop click to close
+        const sidebarBackdrop = document.getElementById('sidebarBackdrop');
+        if (sidebarBackdrop) {
+            sidebarBackdrop.addEventListener('click', () => this.handleBackdropClick());
+        }
+
+        // Snapshot management
+        document.getElementById('createSnapshotBtn').addEventListener('click', () => this.createSnapshot());
+        document.getElementById('duplicateSnapshotBtn').addEventListener('click', () => this.duplicateSnapshot());
+        document.getElementById('deleteSnapshotBtn').addEventListener('click', () => this.deleteSnapshot());
+
+        // New event listeners for enhanced features
+        document.getElementById('renameSnapshotBtn').addEventListener('click', () => this.startRename());
+        document.getElementById('setSnapshotDateBtn').addEventListener('click', () => this.openSnapshotDateEditor());
+        document.getElementById('saveSnapshotDateBtn').addEventListener('click', () => {
+            this.setSnapshotDate(document.getElementById('snapshotAsOfDate').value);
+        });
+
+        // Sorting controls
+        document.getElementById('sortByDate').addEventListener('click', () => this.changeSort('date'));
+        document.getElementById('sortByName').addEventListener('click', () => this.changeSort('name'));
+        document.getElementById('toggleSortDirection').addEventListener('click', () => this.toggleSortDirection());
+
+        // Search controls
+        document.getElementById('snapshotSearch').addEventListener('input', (e) => this.handleSearch(e));
+        document.getElementById('clearSearchBtn').addEventListener('click', () => this.clearSearch());
+
+        // Forms
+        document.getElementById('assetsForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.addItem('assets',
+                document.getElementById('assetName').value,
+                document.getElementById('assetAmount').value,
+                document.getElementById('assetCategory').value,
+                document.getElementById('assetLiquidity').value,
+                null, // liabilityTerm parameter
+                null, // incomeCategory parameter
+                null, // expenseCategory parameter
+                {
+                    currency: document.getElementById('assetCurrency').value,
+                    symbol: document.getElementById('assetSymbol').value,
+                    quantity: document.getElementById('assetQuantity').value,
+                    costBasis: document.getElementById('assetCostBasis').value
+                }
+            );
+            e.target.reset();
+            this.updateAssetCategoryExamples(); // Reset examples display
+            this.updateAssetAmountRequirement();
+        });
+
+        document.getElementById('liabilitiesForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.addItem('liabilities',
+                document.getElementById('liabilityName').value,
+                document.getElementById('liabilityAmount').value,
+                null, // assetCategory parameter
+                null, // assetLiquidity parameter
+                document.getElementById('liabilityTerm').value, // liabilityTerm parameter
+                null, // incomeCategory parameter
+                null, // expenseCategory parameter
+                {
+                    currency: document.getElementById('liabilityCurrency').value,
+                    apr: document.getElementById('liabilityApr').value,
+                    minPayment: document.getElementById('liabilityMinPayment').value,
+                    remainingMonths: document.getElementById('liabilityRemainingMonths').value,
+                    lender: document.getElementById('liabilityLender').value
+                }
+            );
+            e.target.reset();
+            this.updateLiabilityTermExamples(); // Reset examples display to placeholder
+        });
+
+        document.getElementById('incomeForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.addItem('incomes',
+                document.getElementById('incomeName').value,
+                document.getElementById('incomeAmount').value,
+                null, // assetCategory parameter
+                null, // assetLiquidity parameter
+                null, // liabilityTerm parameter
+                document.getElementById('incomeCategory').value, // incomeCategory parameter
+                null, // expenseCategory parameter
+                {
+                    currency: document.getElementById('incomeCurrency').value,
+                    frequency: document.getElementById('incomeFrequency').value
+                }
+            );
+            e.target.reset();
+            this.updateIncomeCategoryExamples(); // Reset examples display
+        });
+
+        document.getElementById('expensesForm').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.addItem('expenses',
+                document.getElementById('expenseName').value,
+                document.getElementById('expenseAmount').value,
+                null, // assetCategory parameter
+                null, // assetLiquidity parameter
+                null, // liabilityTerm parameter
+                null, // incomeCategory parameter
+                document.getElementById('expenseCategory').value, // expenseCategory parameter
+                {
+                    currency: document.getElementById('expenseCurrency').value,
+                    frequency: document.getElementById('expenseFrequency').value
+                }
+            );
+            e.target.reset();
+            this.updateExpenseCategoryExamples(); // Reset examples display
+        });
+
+        // A priced holding needs no amount - it comes from quantity × price
+        ['assetSymbol', 'assetQuantity'].forEach(id => {
+            document.getElementById(id).addEventListener('input', () => this.updateAssetAmountRequirement());
+        });
+
+        // Asset category change handler
+        document.getElementById('assetCategory').addEventListener('change', () => {
+            this.updateAssetCategoryExamples();
+        });
+
+        // Income category change handler
+        document.getElementById('incomeCategory').addEventListener('change', () => {
+            this.updateIncomeCategoryExamples();
+        });
+
+        // Liability term change handler
+        document.getElementById('liabilityTerm').addEventListener('change', () => {
+            this.updateLiabilityTermExamples();
+        });
+
+        // Expense category change handler
+        document.getElementById('expenseCategory').addEventListener('change', () => {
+            this.updateExpenseCategoryExamples();
+        });
+
+        // Clear All with enhanced confirmation
+        const clearDataBtn = document.getElementById('clearDataBtn');
+        if (clearDataBtn) {
+            clearDataBtn.addEventListener('click', () => {
+                this.clearAllData();
+            });
+        }
+
+        // Export Records button
+        const exportBtn = document.getElementById('exportBtn');
+        if (exportBtn) {
+            exportBtn.addEventListener('click', () => {
+                this.openExportDialog();
+            });
+            document.getElementById('runExportBtn').addEventListener('click', () => this.runExport());
+        }
+
+        // Upload functionality
+        document.getElementById('uploadSnapshotBtn').addEventListener('click', () => this.handleUpload());
+        document.getElementById('uploadFile').addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (file) {
+                this.handleUploadedFile(file);
+            }
+            e.target.value = ''; // Reset file input
+        });
+
+        // Table actions (delegated event listeners)
+        document.addEventListener('click', (e) => {
+            if (e.target.classList.contains('edit-item')) {
+                const category = e.target.dataset.category;
+                this.startEdit(category, e.target.dataset.itemId);
+            } else if (e.target.classList.contains('delete-item')) {
+                const category = e.target.dataset.category;
+                this.deleteItem(category, e.target.dataset.itemId);
+            } else if (e.target.classList.contains('delete-row-btn')) {
+                const category = e.target.dataset.category;
+                this.deleteItem(category, e.target.dataset.itemId);
+            } else if (e.target.classList.contains('save-edit')) {
+                const category = e.target.dataset.category;
+                this.saveEdit(category, e.target.dataset.itemId);
+            } else if (e.target.classList.contains('cancel-edit')) {
+                const category = e.target.dataset.category;
+                this.cancelEdit(category);
+            }
+        });
+
+        // Bind section action event listeners for quick operations
+        this.bindSectionActionListeners();
+
+        // Bind enhanced table event listeners
+        this.bindTableEventListeners();
+
+        // Bind edit mode inline editing event listeners
+        this.bindEditModeEventListeners();
+
+        // Bind ratio info toggle functionality
+        this.bindRatioInfoToggles();
+
+        // Undo/redo keyboard shortcuts
+        document.addEventListener('keydown', (e) => this.handleHistoryShortcut(e));
+
+        // Shared modal close handling and the category manager
+        this.bindModalListeners();
+        this.bindCategoryManagerListeners();
+        this.bindFxRatesListeners();
+        this.bindPricesListeners();
+        this.bindRollForwardListeners();
+        this.bindDisplaySettingsListeners();
+        this.bindTrendsListeners();
+        this.bindBudgetListeners();
+        this.bindAllocationListeners();
+        this.bindGoalListeners();
+        this.bindPayoffPlannerListeners();
+        this.bindScenarioListeners();
+        this.bindCompareListeners();
+        this.bindAttributionListeners();
+        this.bindCsvImportListeners();
+        this.bindStatementImportListeners();
+        this.bindImportDialogListeners();
+    }
+
+    // Bind inline editing event listeners for edit mode
+    bindEditModeEventListeners() {
+        // Use event delegation for edit mode inputs to save changes automatically
+        document.addEventListener('input', (e) => {
+            if (e.target.classList.contains('edit-mode-input')) {
+                this.handleEditModeChange(e.target);
+            }
+        });
+
+        document.addEventListener('change', (e) => {
+            if (e.target.classList.contains('edit-mode-input') &&
+                (e.target.tagName === 'SELECT' || e.target.type === 'checkbox')) {
+                this.handleEditModeChange(e.target);
+            }
+        });
+    }
+
+    // Bind ratio info toggle functionality
+    bindRatioInfoToggles() {
+        document.addEventListener('click', (e) => {
+            if (e.target.classList.contains('ratio-info-btn') ||
+                e.target.closest('.ratio-info-btn')) {
+
+                const toggleBtn = e.target.classList.contains('ratio-info-btn') ?
+                    e.target : e.target.closest('.ratio-info-btn');
+
+                if (!toggleBtn) return;
+
+                // Find the details div - it's next to the button's parent container
+                const ratioItem = toggleBtn.closest('.ratio-item-expandable');
+                const ratioDetails = ratioItem.querySelector('.ratio-details');
+
+                if (ratioDetails) {
+                    const isVisible = ratioDetails.style.display !== 'none';
+                    ratioDetails.style.display = isVisible ? 'none' : 'block';
+                }
+            }
+        });
+    }
+
+    // Handle inline editing changes in edit mode - disabled for bulk editing
+    handleEditModeChange(input) {
+        // No auto-saving - users will save all changes when exiting edit mode
+        // This allows bulk editing
+    }
+
+    startEdit(category, itemId) {
+        if (!this.hasActiveSnapshot()) {
+            this.showMessage('Please create or select a snapshot first', 'error');
+            return;
+        }
+        this.editingItems.set(category, itemId);
+        this.updateUI();
+    }
+
+    saveEdit(category, itemId) {
+        // Look the row up by item id - the displayed order may be sorted or filtered
+        const tableId = category === 'incomes' ? 'incomeTable' : category + 'Table';
+        const table = document.getElementById(tableId);
+        const row = Array.from(table.querySelectorAll('tbody tr'))
+            .find(tr => tr.dataset.itemId === itemId);
+
+        if (!row) {
+            this.showMessage('Error: Could not find the row to edit', 'error');
+            this.editingItems.delete(category);
+            this.updateUI();
+            return;
+        }
+
+        const nameInput = row.querySelector('input[data-field="name"]');
+        const amountInput = row.querySelector('input[data-field="amount"]');
+
+        if (!nameInput || !amountInput) {
+            this.showMessage('Error: Could not find input fields', 'error');
+            this.editingItems.delete(category);
+            this.updateUI();
+            return;
+        }
+
+        let assetCategory = null;
+        let assetLiquidity = null;
+        if (category === 'assets') {
+            const categoryInput = row.querySelector('select[data-field="category"]');
+            const liquidityInput = row.querySelector('select[data-field="liquidity"]');
+            if (categoryInput) {
+                assetCategory = categoryInput.value;
+            }
+            if (liquidityInput) {
+                assetLiquidity = liquidityInput.value;
+            }
+        }
+
+        const currencyInput = row.querySelector('select[data-field="currency"]');
+        const frequencyInput = row.querySelector('select[data-field="frequency"]');
+        const details = {};
+        if (currencyInput) details.currency = currencyInput.value;
+        if (frequencyInput) details.frequency = frequencyInput.value;
+        [...LIABILITY_DETAIL_FIELDS, ...HOLDING_DETAIL_FIELDS].forEach(field => {
+            const input = row.querySelector(`input[data-field="${field}"]`);
+            if (input) details[field] = input.value;
+        });
+
+        this.updateItem(category, itemId, nameInput.value, amountInput.value, assetCategory, assetLiquidity, null, null, null, false, details);
+        this.editingItems.delete(category);
+    }
+
+    cancelEdit(category) {
+        this.editingItems.delete(category);
+        this.updateUI();
+    }
+
+    // Autocomplete functionality for filter inputs
+    initializeAutocomplete(dialog, tableId, category, column) {
+        const input = dialog.querySelector('#filterInput');
+        const suggestionsDropdown = dialog.querySelector('#suggestionsDropdown');
+
+        let selectedIndex = -1;
+        let suggestions = [];
+        let lastInputValue = '';
+
+        // Get unique values from the column for suggestions
+        const getColumnSuggestions = () => {
+            const snapshot = this.getCurrentSnapshot();
+            if (!snapshot) return [];
+
+            const items = snapshot.data[category] || [];
+            const uniqueValues = new Set();
+
+            items.forEach(item => {
+                let value = '';
+                switch (column) {
+                    case 'name':
+                        value = item.name || '';
+                        break;
+                    case 'amount':
+                        value = this.formatCurrency(item.amount, this.getItemCurrency(item));
+                        break;
+                    case 'apr':
+                        value = item.lender || '';
+                        break;
+                    case 'category':
+                    case 'liquidity':
+                    case 'term':
+                        value = item[column] ? this.getCategoryLabel(this.getRegistryGroupForColumn(category, column), item[column]) : '';
+                        break;
+                }
+                if (value.trim()) {
+                    uniqueValues.add(value);
+                }
+            });
+
+            return Array.from(uniqueValues).sort();
+        };
+
+        // Render suggestions dropdown
+        const renderSuggestions = (searchValue) => {
+            if (!searchValue.trim()) {
+                suggestionsDropdown.style.display = 'none';
+                return;
+            }
+
+            const allSuggestions = getColumnSuggestions();
+            suggestions = allSuggestions.filter(suggestion =>
+                suggestion.toLowerCase().includes(searchValue.toLowerCase())
+            );
+
+            if (suggestions.length === 0) {
+                suggestionsDropdown.style.display = 'none';
+                return;
+            }
+
+            selectedIndex = -1;
+
+            const highlightText = (text, search) => {
+                if (!search) return this.escapeHtml(text);
+                const regex = new RegExp(`(${this.escapeRegex(search)})`, 'gi');
+                return text.replace(regex, '<span class="highlight">$1</span>');
+            };
+
+            suggestionsDropdown.innerHTML = suggestions.map((suggestion, index) => `
+                <div class="suggestion-item ${index === selectedIndex ? 'highlighted' : ''}"
+                     data-index="${index}"
+                     data-value="${this.escapeHtml(suggestion)}">
+                    ${highlightText(suggestion, searchValue)}
+                </div>
+            `).join('');
+
+            suggestionsDropdown.style.display = 'block';
+        };
+
+        // Input event handler
+        const handleInput = (e) => {
+            const value = e.target.value;
+            lastInputValue = value;
+            renderSuggestions(value);
+        };
+
+        // Keyboard navigation
+        const handleKeydown = (e) => {
+            if (suggestionsDropdown.style.display === 'none') return;
+
+            switch (e.key) {
+                case 'ArrowDown':
+                    e.preventDefault();
+                    selectedIndex = Math.min(selectedIndex + 1, suggestions.length - 1);
+                    updateSelection();
+                    break;
+                case 'ArrowUp':
+                    e.preventDefault();
+                    selectedIndex = Math.max(selectedIndex - 1, -1);
+                    updateSelection();
+                    break;
+                case 'Enter':
+                    e.preventDefault();
+                    if (selectedIndex >= 0 && selectedIndex < suggestions.length) {
+                        selectSuggestion(suggestions[selectedIndex]);
+                    }
+                    break;
+                case 'Escape':
+                    suggestionsDropdown.style.display = 'none';
+                    selectedIndex = -1;
+                    break;
+            }
+        };
+
+        // Update visual selection
+        const updateSelection = () => {
+            const items = suggestionsDropdown.querySelectorAll('.suggestion-item');
+            items.forEach((item, index) => {
+                item.classList.toggle('highlighted', index === selectedIndex);
+            });
+
+            // Auto-scroll to selected item
+            if (selectedIndex >= 0) {
+                const selectedItem = items[selectedIndex];
+                selectedItem.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+            }
+        };
+
+        // Select a suggestion
+        const selectSuggestion = (value) => {
+            input.value = value;
+            suggestionsDropdown.style.display = 'none';
+            selectedIndex = -1;
+        };
+
+        // Click handler for suggestions
+        suggestionsDropdown.addEventListener('click', (e) => {
+            const item = e.target.closest('.suggestion-item');
+            if (item) {
+                const value = item.dataset.value;
+                selectSuggestion(value);
+            }
+        });
+
+        // Hide suggestions when clicking outside
+        const hideSuggestions = (e) => {
+            if (!input.contains(e.target) && !suggestionsDropdown.contains(e.target)) {
+                suggestionsDropdown.style.display = 'none';
+                selectedIndex = -1;
+            }
+        };
+
+        // Bind events
+        input.addEventListener('input', handleInput);
+        input.addEventListener('keydown', handleKeydown);
+        document.addEventListener('click', hideSuggestions);
+
+        // Clean up when dialog closes
+        const originalRemove = dialog.remove;
+        dialog.remove = () => {
+            document.removeEventListener('click', hideSuggestions);
+            originalRemove.call(dialog);
+        };
+    }
+
+    // Utility method to escape regex special characters
+    escapeRegex(string) {
+        return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    }
+
+    // Removed selection-related methods - now using individual row actions only
+
+    // Section action handlers for edit mode toggle
+    bindSectionActionListeners() {
+        // Edit mode toggle buttons
+        document.querySelectorAll('.edit-mode-btn').forEach(button => {
+            const category = button.dataset.category;
+            // Initialize button text based on current state
+            this.updateEditModeButton(button, category);
+
+            button.addEventListener('click', (e) => {
+                const category = e.currentTarget.dataset.category || e.target.dataset.category;
+                this.toggleEditMode(category);
+            });
+        });
+    }
+
+    // Update edit mode button text and styling
+    updateEditModeButton(button, category) {
+        const isActive = this.editModeStates[category];
+        const buttonText = isActive ? 'Edit Mode: ON' : 'Edit Mode: OFF';
+        const buttonClass = isActive ? 'btn-warning' : 'btn-secondary';
+
+        // Remove previous class and add new one
+        button.classList.remove('btn-warning', 'btn-secondary');
+        button.classList.add(buttonClass);
+
+        // Find the text content - it should be the text node after the icon
+        const childNodes = button.childNodes;
+        let textNode = null;
+
+        // Find the text node containing the edit mode text
+        for (let node of childNodes) {
+            if (node.nodeType === Node.TEXT_NODE && node.textContent.trim().includes('Edit Mode')) {
+                textNode = node;
+                break;
+            }
+        }
+
+        if (textNode) {
+            // Update existing text node - preserve the leading space from HTML
+            const leadingSpace = textNode.textContent.startsWith(' ') ? ' ' : '';
+            textNode.textContent = leadingSpace + buttonText;
+        } else {
+            // Fallback: create a text node after the icon
+            const existingIcon = button.querySelector('.btn-icon');
+            if (existingIcon) {
+                // Remove any existing text nodes first
+                for (let node of childNodes) {
+                    if (node.nodeType === Node.TEXT_NODE && node.textContent.trim().includes('Edit Mode')) {
+                        node.remove();
+                    }
+                }
+                existingIcon.after(document.createTextNode(' ' + buttonText));
+            }
+        }
+
+        button.setAttribute('title', isActive ? 'Exit Edit Mode' : 'Enter Edit Mode');
+    }
+
+    // Toggle edit mode for a category
+    toggleEditMode(category) {
+        if (!this.hasActiveSnapshot()) {
+            this.showMessage('Please create or select a snapshot first', 'error');
+            return;
+        }
+
+        // First, toggle the edit mode state to provide immediate visual feedback
+        this.editModeStates[category] = !this.editModeStates[category];
+
+        // If we just turned OFF edit mode, save all changes
+        if (!this.editModeStates[category]) {
+            // Record the whole bulk edit as one undo step, and only if something changed
+            const historyState = this.captureHistoryState();
+            this.historySuspended = true;
+            try {
+                const savedCount = this.saveBulkEditChanges(category);
+                this.historySuspended = false;
+                const changed = historyState.data !== JSON.stringify(this.data);
+                if (changed) {
+                    this.recordHistory(`Bulk edit ${this.formatCategoryName(category)}`, historyState);
+                }
+
+                if (savedCount > 0 && changed) {
+                    this.showUndoableMessage(`Edits saved! ${savedCount} item(s) updated.`);
+                } else if (savedCount > 0) {
+                    this.showMessage(`Edits saved! ${savedCount} item(s) updated.`, 'success');
+                } else {
+                    this.showMessage('Edit mode deactivated - no changes to save.', 'info');
+                }
+            } catch (error) {
+                console.error('Error saving bulk changes:', error);
+                this.showMessage('Error saving changes, but edit mode was deactivated.', 'error');
+            } finally {
+                this.historySuspended = false;
+            }
+        }
+
+        this.updateUI();
+    }
+
+    // Save all bulk changes when exiting edit mode
+    saveBulkEditChanges(category) {
+        const tableId = category === 'incomes' ? 'incomeTable' : category + 'Table';
+        const table = document.getElementById(tableId);
+        if (!table) return 0; // Return number of saved items
+
+        const rows = table.querySelectorAll('tbody tr');
+        let savedCount = 0;
+
+        rows.forEach(row => {
+            const itemId = row.dataset.itemId;
+            const nameInput = row.querySelector('input[data-field="name"]');
+            const amountInput = row.querySelector('input[data-field="amount"]');
+
+            if (!nameInput || !amountInput) return;
+
+            const name = nameInput.value.trim();
+            const amount = amountInput.value;
+
+            // Skip invalid entries
+            if (!name) return;
+
+            let assetCategory = null;
+            let assetLiquidity = null;
+            let liabilityTerm = null;
+            let incomeCategory = null;
+
+            // Handle assets specific fields
+            if (category === 'assets') {
+                const categorySelect = row.querySelector('select[data-field="category"]');
+                const liquiditySelect = row.querySelector('select[data-field="liquidity"]');
+
+                if (categorySelect) assetCategory = categorySelect.value;
+                if (liquiditySelect) assetLiquidity = liquiditySelect.value;
+            }
+
+            // Handle liabilities specific fields
+            if (category === 'liabilities') {
+                const termSelect = row.querySelector('select[data-field="term"]');
+                if (termSelect) liabilityTerm = termSelect.value;
+            }
+
+            // Handle incomes specific fields
+            if (category === 'incomes') {
+                const categorySelect = row.querySelector('select[data-field="category"]');
+                if (categorySelect) incomeCategory = categorySelect.value;
+            }
+
+            // Handle expenses specific fields
+            let expenseCategory = null;
+            if (category === 'expenses') {
+                const categorySelect = row.querySelector('select[data-field="category"]');
+                if (categorySelect) expenseCategory = categorySelect.value;
+            }
+
+            // Optional per-item fields shared by every section
+            const details = {};
+            const currencySelect = row.querySelector('select[data-field="currency"]');
+            if (currencySelect) details.currency = currencySelect.value;
+            const frequencySelect = row.querySelector('select[data-field="frequency"]');
+            if (frequencySelect) details.frequency = frequencySelect.value;
+            [...LIABILITY_DETAIL_FIELDS, ...HOLDING_DETAIL_FIELDS].forEach(field => {
+                const input = row.querySelector(`input[data-field="${field}"]`);
+                if (input) details[field] = input.value;
+            });
+
+            // Save this item silently (no individual success messages during bulk operations)
+            this.updateItem(category, itemId, name, amount, assetCategory, assetLiquidity, liabilityTerm, incomeCategory, expenseCategory, true, details);
+            savedCount++;
+        });
+
+        return savedCount;
+    }
+
+    // Format category name for display
+    formatCategoryName(category) {
+        const names = {
+            assets: 'Assets',
+            liabilities: 'Liabilities',
+            incomes: 'Income',
+            expenses: 'Expenses'
+        };
+        return names[category] || category;
+    }
+
+    // Financial Analysis - Pie Charts and Ratios
+    createCharts() {
+        // Prevent rapid successive chart creations which could cause infinite loops
+        if (this.chartCreationInProgress) {
+            console.log('Chart creation already in progress, skipping...');
+            return;
+        }
+
+        this.chartCreationInProgress = true;
+
+        try {
+            this.createAssetsChart();
+            this.createLiabilitiesChart();
+            this.createIncomeChart();
+            this.createExpensesChart();
+            this.createAttributionChart();
+            this.calculateFinancialRatios();
+        } catch (error) {
+            console.error('Error creating charts:', error);
+        } finally {
+            // Always reset the flag immediately, regardless of success/failure
+            this.chartCreationInProgress = false;
+        }
+    }
+
+    createAssetsChart() {
+        const snapshot = this.getAnalysisSnapshot();
+        if (!snapshot || snapshot.data.assets.length === 0) {
+            this.drawEmptyChart('assetsChart', 'Assets Breakdown');
+            return;
+        }
+
+        // Group assets by category, in registry order
+        const categoryData = this.groupByCategory(snapshot.data.assets, 'assets');
+
+        const labels = Object.keys(categoryData).map(key => this.getAssetCategoryChartLabel(key));
+        const data = Object.values(categoryData);
+        const colors = this.getAssetCategoryColors(Object.keys(categoryData));
+
+        this.drawPieChart('assetsChart', labels, data, colors, 'Assets Breakdown');
+    }
+
+    createLiabilitiesChart() {
+        const snapshot = this.getAnalysisSnapshot();
+        if (!snapshot || snapshot.data.liabilities.length === 0) {
+            this.drawEmptyChart('liabilitiesChart', 'Liabilities Breakdown');
+            return;
+        }
+
+        // Group liabilities by term, in registry order
+        const termData = this.groupByCategory(snapshot.data.liabilities, 'liabilities');
+
+        const labels = Object.keys(termData).map(key => this.getLiabilityTermChartLabel(key));
+        const data = Object.values(termData);
+
+        // Assign different colors for liability terms
+        const colors = this.getLiabilityTermColors(Object.keys(termData));
+
+        this.drawPieChart('liabilitiesChart', labels, data, colors, 'Liabilities Breakdown');
+    }
+
+    createIncomeChart() {
+        const snapshot = this.getAnalysisSnapshot();
+        if (!snapshot || snapshot.data.incomes.length === 0) {
+            this.drawEmptyChart('incomeChart', 'Income Breakdown');
+            return;
+        }
+
+        // Group income by category, in registry order
+        const categoryData = this.groupByCategory(snapshot.data.incomes, 'incomes');
+
+        const labels = Object.keys(categoryData).map(key => this.getIncomeCategoryChartLabel(key));
+        const data = Object.values(categoryData);
+        const colors = this.getIncomeCategoryColors(Object.keys(categoryData));
+
+        this.drawPieChart('incomeChart', labels, data, colors, 'Income Breakdown');
+    }
+
+    createExpensesChart() {
+        const snapshot = this.getAnalysisSnapshot();
+        if (!snapshot || snapshot.data.expenses.length === 0) {
+            this.drawEmptyChart('expensesChart', 'Expenses Breakdown');
+            return;
+        }
+
+        // Group expenses by category, in registry order
+        const categoryData = this.groupByCategory(snapshot.data.expenses, 'expenses');
+
+        const labels = Object.keys(categoryData).map(key => this.getExpenseCategoryChartLabel(key));
+        const data = Object.values(categoryData);
+        const colors = this.getExpenseCategoryColors(Object.keys(categoryData));
+
+        this.drawPieChart('expensesChart', labels, data, colors, 'Expenses Breakdown');
+    }
+
+    drawPieChart(canvasId, labels, data, colors, title) {
+        const ctx = document.getElementById(canvasId);
+        if (!ctx) {
+            console.log(`Canvas ${canvasId} not found`);
+            return;
+        }
+
+        // Destroy existing chart if it exists
+        if (this.charts && this.charts[canvasId]) {
+            try {
+                this.charts[canvasId].destroy();
+            } catch (e) {
+                console.log(`Error destroying chart ${canvasId}:`, e);
+            }
+        }
+
+        this.charts = this.charts || {};
+
+        const total = data.reduce((sum, value) => sum + value, 0);
+
+        // Chart.js callbacks run with the chart as `this`, so capture the shared formatters
+        const formatCurrency = value => this.formatCurrency(value);
+        const formatPercent = value => this.formatter.formatPercent(value, 1);
+
+        try {
+            const toOpaque = (hex) => {
+                if (typeof hex !== 'string') return hex;
+                return hex.length === 9 ? hex.slice(0, 7) + 'ff' : hex;
+            };
+
+            this.charts[canvasId] = new Chart(ctx, {
+                type: 'pie',
+                data: {
+                    labels: labels,
+                    datasets: [{
+                        data: data,
+                        backgroundColor: colors,
+                        borderColor: colors.map(toOpaque),
+                        borderWidth: 2,
+                    }]
+                },
+                options: {
+                    responsive: true,
+                    plugins: {
+                        legend: {
+                            position: 'bottom',
+                            labels: {
+                                padding: 10,
+                                font: {
+                                    size: 10
+                                },
+                                generateLabels: function(chart) {
+                                    const data = chart.data;
+                                    if (data.labels.length && data.datasets.length) {
+                                        return data.labels.map((label, i) => {
+                                            const value = data.datasets[0].data[i];
+                                            const percentage = formatPercent(total > 0 ? (value / total) * 100 : 0);
+
+                                            return {
+                                                text: `${label} (${percentage})`,
+                                                fillStyle: data.datasets[0].backgroundColor[i],
+                                                strokeStyle: data.datasets[0].backgroundColor[i],
+                                                lineWidth: 2,
+                                                hidden: false,
+                                                index: i
+                                            };
+                                        });
+                                    }
+                                    return [];
+                                }
+                            }
+                        },
+                        tooltip: {
+                            callbacks: {
+                                label: function(context) {
+                                    const value = context.parsed;
+                                    const percentage = formatPercent(total > 0 ? (value / total) * 100 : 0);
+                                    const formattedValue = formatCurrency(value);
+                                    return `${context.label}: ${formattedValue} (${percentage})`;
+                                }
+                            }
+                        }
+                    }
+                }
+            });
+        } catch (chartError) {
+            console.error(`Error creating chart ${canvasId}:`, chartError);
+            // Fallback: try to create a simple empty chart
+            try {
+                this.charts[canvasId] = new Chart(ctx, {
+                    type: 'pie',
+                    data: {
+                        labels: ['Error'],
+                        datasets: [{
+                            data: [1],
+                            backgroundColor: ['#dc3545']
+                        }]
+                    }
+                });
+            } catch (fallbackError) {
+                console.error(`Fallback chart failed for ${canvasId}:`, fallbackError);
+            }
+        }
+    }
 
-        // Update position when scrolling or resizing
-        const handleReposition = () => updatePosition();
-        window.addEventListener('scroll', handleReposition);
-        window.addEventListener('resize', handleReposition);
+    drawEmptyChart(canvasId, title) {
+        const ctx = document.getElementById(canvasId);
+        if (!ctx) return;
 
-        // Also listen for scroll events on the main content area
-        const mainContent = document.querySelector('.main-content');
-        if (mainContent) {
-            mainContent.addEventListener('scroll', handleReposition);
+        // Clear any existing chart
+        if (this.charts && this.charts[canvasId]) {
+            this.charts[canvasId].destroy();
         }
 
-        // Close when clicking outside
-        document.addEventListener('click', function closeDialog(e) {
-            if (!dialog.contains(e.target)) {
-                dialog.remove();
-                document.removeEventListener('click', closeDialog);
+        this.charts = this.charts || {};
+
+        this.charts[canvasId] = new Chart(ctx, {
+            type: 'pie',
+            data: {
+                labels: ['No Data'],
+                datasets: [{
+                    data: [1],
+                    backgroundColor: ['#e9ecef'],
+                    borderColor: ['#dee2e6'],
+                    borderWidth: 1,
+                }]
+            },
+            options: {
+                responsive: true,
+                plugins: {
+                    legend: {
+                        position: 'bottom',
+                        labels: {
+                            padding: 10,
+                            font: {
+                                size: 10
+                            }
+                        }
+                    }
+                }
             }
         });
     }
 
-    // Get specific filter options for categorical columns
-    getColumnSpecificFilters(category, column) {
-        if (category === 'assets' && column === 'category') {
-            const categories = ['cash', 'investments', 'retirement', 'property', 'vehicles', 'insurance', 'other'];
-            const currentSelections = this.tableState[category].filters[column + '_select'] || [];
-
-            return `
-                <div class="filter-section">
-                    <h5>Select Categories:</h5>
-                    <div class="select-options">
-                        ${categories.map(cat =>
-                            `<label><input type="checkbox" class="select-option" value="${cat}"
-                                ${currentSelections.includes(cat) ? 'checked' : ''}>
-                                ${this.getCategoryDisplayName(cat)}</label><br>`
-                        ).join('')}
-                    </div>
-                </div>
-            `;
-        }
-
-        if (category === 'assets' && column === 'liquidity') {
-            const liquidities = ['high', 'medium', 'low'];
-            const currentSelections = this.tableState[category].filters[column + '_select'] || [];
-
-            return `
-                <div class="filter-section">
-                    <h5>Select Liquidity:</h5>
-                    <div class="select-options">
-                        ${liquidities.map(liq =>
-                            `<label><input type="checkbox" class="select-option" value="${liq}"
-                                ${currentSelections.includes(liq) ? 'checked' : ''}>
-                                ${this.getLiquidityDisplayName(liq)}</label><br>`
-                        ).join('')}
-                    </div>
-                </div>
-            `;
+    // Chart label and color getters
+    // Items without a category are grouped under 'other'; groups without an
+    // 'other' entry (liability terms) fall back to a plain "Other" label.
+    getCategoryChartLabel(group, value) {
+        if (!this.getCategoryEntry(group, value) && value === 'other') {
+            return 'Other';
         }
-
-        return '';
+        return this.getCategoryShortLabel(group, value);
     }
 
-    bindResizeHandlers() {
-        const tables = ['assetsTable', 'liabilitiesTable', 'incomeTable', 'expensesTable'];
-        tables.forEach(tableId => {
-            const table = document.getElementById(tableId);
-            if (!table) return;
-
-            const resizeHandles = table.querySelectorAll('.resize-handle');
-            resizeHandles.forEach(handle => {
-                handle.addEventListener('mousedown', (e) => {
-                    this.startResize(e, tableId);
-                });
-            });
-        });
+    getCategoryChartColors(group, values) {
+        return values.map(value => this.getCategoryColor(group, value) + '80');
     }
 
-    startResize(event, tableId) {
-        event.preventDefault();
-
-        const table = document.getElementById(tableId);
-        const header = event.target.closest('th');
-        const column = header.getAttribute('data-column');
-        const category = tableId.replace('Table', '').replace('income', 'incomes');
-
-        if (!column || !this.tableState[category]) return;
+    // Group base-currency amounts (monthly equivalents for incomes and expenses)
+    // by a registry field, keyed in registry order
+    groupByCategory(items, group, snapshot = this.getCurrentSnapshot()) {
+        const { field } = CATEGORY_REGISTRY_FIELDS[group];
+        const totals = {};
+        items.forEach(item => {
+            const key = item[field] || 'other';
+            totals[key] = (totals[key] || 0) + (this.getMonthlyAmount(item, snapshot) || 0);
+        });
 
-        const startX = event.pageX;
-        const startWidth = header.offsetWidth;
+        const order = this.getCategoryEntries(group).map(entry => entry.value);
+        const rank = key => order.includes(key) ? order.indexOf(key) : order.length;
+        const grouped = {};
+        Object.keys(totals)
+            .sort((a, b) => rank(a) - rank(b))
+            .forEach(key => { grouped[key] = totals[key]; });
+        return grouped;
+    }
 
-        const handleMouseMove = (e) => {
-            const diff = e.pageX - startX;
-            const newWidth = Math.max(50, startWidth + diff); // Minimum width of 50px
-            const newWidthPercent = (newWidth / table.offsetWidth) * 100;
-            
-            this.handleColumnResize(category, column, newWidthPercent + '%', tableId);
-        };
+    getAssetCategoryChartLabel(category) {
+        return this.getCategoryChartLabel('assets', category);
+    }
 
-        const handleMouseUp = () => {
-            document.removeEventListener('mousemove', handleMouseMove);
-            document.removeEventListener('mouseup', handleMouseUp);
-        };
+    getAssetCategoryColors(categories) {
+        return this.getCategoryChartColors('assets', categories);
+    }
 
-        document.addEventListener('mousemove', handleMouseMove);
-        document.addEventListener('mouseup', handleMouseUp);
+    getLiabilityTermChartLabel(term) {
+        return this.getCategoryChartLabel('liabilities', term);
     }
 
-    // Mobile Sidebar Toggle Functionality
-    toggleSidebar() {
-        const sidebar = document.getElementById('sidebar');
-        const backdrop = document.getElementById('sidebarBackdrop');
-        const isOpen = sidebar.classList.contains('show');
+    getLiabilityTermColors(terms) {
+        return this.getCategoryChartColors('liabilities', terms);
+    }
 
-        if (isOpen) {
-            // Close sidebar
-            sidebar.classList.remove('show');
-            backdrop.classList.remove('active');
-        } else {
-            // Open sidebar
-            sidebar.classList.add('show');
-            backdrop.classList.add('active');
-        }
+    getIncomeCategoryChartLabel(category) {
+        return this.getCategoryChartLabel('incomes', category);
     }
 
-    // Close sidebar when clicking backdrop
-    handleBackdropClick() {
-        const sidebar = document.getElementById('sidebar');
-        const backdrop = document.getElementById('sidebarBackdrop');
+    getIncomeCategoryColors(categories) {
+        return this.getCategoryChartColors('incomes', categories);
+    }
 
-        sidebar.classList.remove('show');
-        backdrop.classList.remove('active');
+    getExpenseCategoryChartLabel(category) {
+        return this.getCategoryChartLabel('expenses', category);
     }
 
-    // Event Handlers
-    bindEventListeners() {
-        // Help button - show welcome guide
-        document.getElementById('helpBtn').addEventListener('click', () => this.showHelpModal());
+    getExpenseCategoryColors(categories) {
+        return this.getCategoryChartColors('expenses', categories);
+    }
 
-        // Close help modal button
-        const closeHelpModalBtn = document.getElementById('closeHelpModal');
-        if (closeHelpModalBtn) {
-            closeHelpModalBtn.addEventListener('click', () => this.hideHelpModal());
-        }
+    // Financial Ratios Calculations
+    calculateFinancialRatios() {
+        this.updateBasicLiquidityRatio();
+        this.updateSavingsRatio();
+        this.updateLiquidityToNetWorthRatio();
+        this.updateDebtToAssetRatio();
+        this.updateSolvencyRatio();
+        this.updateDebtServiceRatios();
+    }
 
-        // Mobile sidebar toggle
-        const sidebarToggle = document.getElementById('sidebarToggle');
-        if (sidebarToggle) {
-            sidebarToggle.addEventListener('click', () => this.toggleSidebar());
+    updateBasicLiquidityRatio() {
+        const snapshot = this.getAnalysisSnapshot();
+        if (!snapshot) {
+            this.updateRatioElement('basicLiquidityRatio', 0, ' months');
+            return;
         }
 
-        // Sidebar backdrop click to close
-        const sidebarBackdrop = document.getElementById('sidebarBackdrop');
-        if (sidebarBackdrop) {
-            sidebarBackdrop.addEventListener('click', () => this.handleBackdropClick());
-        }
+        // Calculate total cash equivalents (high liquidity cash assets)
+        const totalCashEquivalents = snapshot.data.assets
+            .filter(asset => asset.category === 'cash')
+            .reduce((sum, asset) => sum + (this.getBaseAmount(asset, snapshot) || 0), 0);
 
-        // Snapshot management
-        document.getElementById('createSnapshotBtn').addEventListener('click', () => this.createSnapshot());
-        document.getElementById('duplicateSnapshotBtn').addEventListener('click', () => this.duplicateSnapshot());
-        document.getElementById('deleteSnapshotBtn').addEventListener('click', () => this.deleteSnapshot());
+        // Calculate total monthly expenses
+        const totalMonthlyExpenses = this.sumMonthlyAmounts(snapshot.data.expenses, snapshot);
 
-        // New event listeners for enhanced features
-        document.getElementById('renameSnapshotBtn').addEventListener('click', () => this.startRename());
+        // Calculate ratio: months of expenses covered by cash
+        const basicLiquidityRatio = totalMonthlyExpenses > 0 ?
+            totalCashEquivalents / totalMonthlyExpenses : 0;
 
-        // Sorting controls
-        document.getElementById('sortByDate').addEventListener('click', () => this.changeSort('date'));
-        document.getElementById('sortByName').addEventListener('click', () => this.changeSort('name'));
-        document.getElementById('toggleSortDirection').addEventListener('click', () => this.toggleSortDirection());
+        this.updateRatioElement('basicLiquidityRatio', basicLiquidityRatio, ' months');
+    }
 
-        // Search controls
-        document.getElementById('snapshotSearch').addEventListener('input', (e) => this.handleSearch(e));
-        document.getElementById('clearSearchBtn').addEventListener('click', () => this.clearSearch());
+    updateSavingsRatio() {
+        const snapshot = this.getAnalysisSnapshot();
+        if (!snapshot) {
+            this.updateRatioElement('savingsRatio', 0, '%');
+            return;
+        }
+        // Calculate total monthly income
+        const totalMonthlyIncome = this.sumMonthlyAmounts(snapshot.data.incomes, snapshot);
 
-        // Forms
-        document.getElementById('assetsForm').addEventListener('submit', (e) => {
-            e.preventDefault();
-            this.addItem('assets',
-                document.getElementById('assetName').value,
-                document.getElementById('assetAmount').value,
-                document.getElementById('assetCategory').value,
-                document.getElementById('assetLiquidity').value
-            );
-            e.target.reset();
-            this.updateAssetCategoryExamples(); // Reset examples display
-        });
+        // Calculate total monthly expenses
+        const totalMonthlyExpenses = this.sumMonthlyAmounts(snapshot.data.expenses, snapshot);
 
-        document.getElementById('liabilitiesForm').addEventListener('submit', (e) => {
-            e.preventDefault();
-            this.addItem('liabilities',
-                document.getElementById('liabilityName').value,
-                document.getElementById('liabilityAmount').value,
-                null, // assetCategory parameter
-                null, // assetLiquidity parameter
-                document.getElementById('liabilityTerm').value // liabilityTerm parameter
-            );
-            e.target.reset();
-            this.updateLiabilityTermExamples(); // Reset examples display to placeholder
-        });
+        // Calculate monthly savings (income minus expenses)
+        const monthlySavings = totalMonthlyIncome - totalMonthlyExpenses;
 
-        document.getElementById('incomeForm').addEventListener('submit', (e) => {
-            e.preventDefault();
-            this.addItem('incomes',
-                document.getElementById('incomeName').value,
-                document.getElementById('incomeAmount').value,
-                null, // assetCategory parameter
-                null, // assetLiquidity parameter
-                null, // liabilityTerm parameter
-                document.getElementById('incomeCategory').value // incomeCategory parameter
-            );
-            e.target.reset();
-            this.updateIncomeCategoryExamples(); // Reset examples display
-        });
+        // Calculate savings ratio: (Monthly Savings ÷ Monthly Income) × 100%
+        const savingsRatio = totalMonthlyIncome > 0 ?
+            (monthlySavings / totalMonthlyIncome) * 100 : 0;
 
-        document.getElementById('expensesForm').addEventListener('submit', (e) => {
-            e.preventDefault();
-            this.addItem('expenses',
-                document.getElementById('expenseName').value,
-                document.getElementById('expenseAmount').value,
-                null, // assetCategory parameter
-                null, // assetLiquidity parameter
-                null, // liabilityTerm parameter
-                null, // incomeCategory parameter
-                document.getElementById('expenseCategory').value // expenseCategory parameter
-            );
-            e.target.reset();
-            this.updateExpenseCategoryExamples(); // Reset examples display
-        });
+        // Update the ratio element with the calculated value
+        this.updateRatioElement('savingsRatio', savingsRatio, '%');
+    }
 
-        // Asset category change handler
-        document.getElementById('assetCategory').addEventListener('change', () => {
-            this.updateAssetCategoryExamples();
-        });
+    updateLiquidityToNetWorthRatio() {
+        const snapshot = this.getAnalysisSnapshot();
+        if (!snapshot) {
+            this.updateRatioElement('liquidityToNetWorthRatio', 0, '%');
+            return;
+        }
 
-        // Income category change handler
-        document.getElementById('incomeCategory').addEventListener('change', () => {
-            this.updateIncomeCategoryExamples();
-        });
+        // Calculate total liquid assets (assets with High liquidity)
+        const totalLiquidAssets = snapshot.data.assets
+            .filter(asset => asset.liquidity === 'high')
+            .reduce((sum, asset) => sum + (this.getBaseAmount(asset, snapshot) || 0), 0);
 
-        // Liability term change handler
-        document.getElementById('liabilityTerm').addEventListener('change', () => {
-            this.updateLiabilityTermExamples();
-        });
+        // Calculate net worth (total assets minus total liabilities)
+        const totalAssets = this.sumBaseAmounts(snapshot.data.assets, snapshot);
+        const totalLiabilities = this.sumBaseAmounts(snapshot.data.liabilities, snapshot);
+        const netWorth = totalAssets - totalLiabilities;
 
-        // Expense category change handler
-        document.getElementById('expenseCategory').addEventListener('change', () => {
-            this.updateExpenseCategoryExamples();
-        });
+        // Calculate ratio: (Liquid Assets ÷ Net Worth) × 100%
+        const liquidityToNetWorthRatio = netWorth > 0 ?
+            (totalLiquidAssets / netWorth) * 100 : 0;
 
-        // Clear All with enhanced confirmation
-        const clearDataBtn = document.getElementById('clearDataBtn');
-        if (clearDataBtn) {
-            clearDataBtn.addEventListener('click', () => {
-                this.clearAllData();
-            });
-        }
+        this.updateRatioElement('liquidityToNetWorthRatio', liquidityToNetWorthRatio, '%');
+    }
 
-        // Export Records button
-        const exportBtn = document.getElementById('exportBtn');
-        if (exportBtn) {
-            exportBtn.addEventListener('click', () => {
-                this.exportData();
-            });
+    updateDebtToAssetRatio() {
+        const snapshot = this.getAnalysisSnapshot();
+        if (!snapshot) {
+            this.updateRatioElement('debtToAssetRatio', 0, '%');
+            return;
         }
 
-        // Upload functionality
-        document.getElementById('uploadSnapshotBtn').addEventListener('click', () => this.handleUpload());
-        document.getElementById('uploadFile').addEventListener('change', (e) => {
-            const file = e.target.files[0];
-            if (file) {
-                if (confirm('This will replace all current data. Continue?')) {
-                    this.importData(file);
-                }
-            }
-            e.target.value = ''; // Reset file input
-        });
+        // Calculate total assets and total liabilities
+        const totalAssets = this.sumBaseAmounts(snapshot.data.assets, snapshot);
+        const totalLiabilities = this.sumBaseAmounts(snapshot.data.liabilities, snapshot);
 
-        // Table actions (delegated event listeners)
-        document.addEventListener('click', (e) => {
-            if (e.target.classList.contains('edit-item')) {
-                const category = e.target.dataset.category;
-                const index = parseInt(e.target.dataset.index);
-                this.startEdit(category, index);
-            } else if (e.target.classList.contains('delete-item')) {
-                const category = e.target.dataset.category;
-                const index = parseInt(e.target.dataset.index);
-                this.deleteItem(category, index);
-            } else if (e.target.classList.contains('delete-row-btn')) {
-                const category = e.target.dataset.category;
-                const index = parseInt(e.target.dataset.index);
-                this.deleteItem(category, index);
-            } else if (e.target.classList.contains('save-edit')) {
-                const category = e.target.dataset.category;
-                const index = parseInt(e.target.dataset.index);
-                this.saveEdit(category, index);
-            } else if (e.target.classList.contains('cancel-edit')) {
-                const category = e.target.dataset.category;
-                this.cancelEdit(category);
-            }
-        });
+        // Calculate Debt to Asset Ratio: (Total Debt ÷ Total Assets) × 100%
+        const debtToAssetRatio = totalAssets > 0 ? (totalLiabilities / totalAssets) * 100 : 0;
 
-        // Bind section action event listeners for quick operations
-        this.bindSectionActionListeners();
+        this.updateRatioElement('debtToAssetRatio', debtToAssetRatio, '%');
+    }
 
-        // Bind enhanced table event listeners
-        this.bindTableEventListeners();
+    updateSolvencyRatio() {
+        const snapshot = this.getAnalysisSnapshot();
+        if (!snapshot) {
+            this.updateRatioElement('solvencyRatio', 0, '%');
+            return;
+        }
 
-        // Bind edit mode inline editing event listeners
-        this.bindEditModeEventListeners();
+        // Calculate total assets and total liabilities
+        const totalAssets = this.sumBaseAmounts(snapshot.data.assets, snapshot);
+        const totalLiabilities = this.sumBaseAmounts(snapshot.data.liabilities, snapshot);
 
-        // Bind ratio info toggle functionality
-        this.bindRatioInfoToggles();
+        // Calculate Net Worth (Total Assets - Total Liabilities)
+        const netWorth = totalAssets - totalLiabilities;
+
+        // Calculate Solvency Ratio: (Net Worth ÷ Total Assets) × 100%
+        const solvencyRatio = totalAssets > 0 ? (netWorth / totalAssets) * 100 : 0;
+
+        this.updateRatioElement('solvencyRatio', solvencyRatio, '%');
     }
 
-    // Bind inline editing event listeners for edit mode
-    bindEditModeEventListeners() {
-        // Use event delegation for edit mode inputs to save changes automatically
-        document.addEventListener('input', (e) => {
-            if (e.target.classList.contains('edit-mode-input')) {
-                this.handleEditModeChange(e.target);
-            }
-        });
+    // Debt service coverage, debt-to-income and monthly interest from the liability details
+    updateDebtServiceRatios() {
+        const snapshot = this.getAnalysisSnapshot();
+        const debtService = this.calculateDebtService(snapshot);
 
-        document.addEventListener('change', (e) => {
-            if (e.target.classList.contains('edit-mode-input') &&
-                (e.target.tagName === 'SELECT' || e.target.type === 'checkbox')) {
-                this.handleEditModeChange(e.target);
+        this.updateRatioElement('debtServiceCoverageRatio', debtService.coverage, 'x');
+        this.updateRatioElement('debtToIncomeRatio', debtService.debtToIncome, '%');
+
+        const interestElement = document.getElementById('monthlyInterestCost');
+        if (interestElement) {
+            interestElement.textContent = this.formatCurrency(debtService.monthlyInterest);
+        }
+
+        // Say which liabilities are left out so a low figure isn't mistaken for a complete one
+        const noteElement = document.getElementById('debtServiceNote');
+        if (noteElement) {
+            const notes = [];
+            if (debtService.missingPayments.length > 0) {
+                notes.push(`No payment details for ${debtService.missingPayments.join(', ')} — add a minimum payment or remaining term to include them in debt service.`);
             }
-        });
+            if (debtService.missingRates.length > 0) {
+                notes.push(`No APR recorded for ${debtService.missingRates.join(', ')}; excluded from interest cost.`);
+            }
+            noteElement.textContent = notes.join(' ');
+            noteElement.style.display = notes.length > 0 ? 'block' : 'none';
+        }
     }
 
-    // Bind ratio info toggle functionality
-    bindRatioInfoToggles() {
-        document.addEventListener('click', (e) => {
-            if (e.target.classList.contains('ratio-info-btn') ||
-                e.target.closest('.ratio-info-btn')) {
+    // Every ratio for one snapshot as plain numbers, for views that span several
+    // snapshots; the update*Ratio methods above write the current snapshot to the page
+    calculateRatios(snapshot, summary = this.calculateSummary(snapshot)) {
+        const sumAssetsWhere = predicate => snapshot.data.assets
+            .filter(predicate)
+            .reduce((sum, asset) => sum + (this.getBaseAmount(asset, snapshot) || 0), 0);
+        const cashEquivalents = sumAssetsWhere(asset => asset.category === 'cash');
+        const liquidAssets = sumAssetsWhere(asset => asset.liquidity === 'high');
+        const debtService = this.calculateDebtService(snapshot, summary);
 
-                const toggleBtn = e.target.classList.contains('ratio-info-btn') ?
-                    e.target : e.target.closest('.ratio-info-btn');
+        return {
+            basicLiquidity: summary.totalExpenses > 0 ? cashEquivalents / summary.totalExpenses : 0,
+            savings: summary.totalIncome > 0 ? (summary.savings / summary.totalIncome) * 100 : 0,
+            liquidityToNetWorth: summary.netWorth > 0 ? (liquidAssets / summary.netWorth) * 100 : 0,
+            debtToAsset: summary.totalAssets > 0 ? (summary.totalLiabilities / summary.totalAssets) * 100 : 0,
+            solvency: summary.totalAssets > 0 ? (summary.netWorth / summary.totalAssets) * 100 : 0,
+            debtServiceCoverage: debtService.coverage,
+            debtToIncome: debtService.debtToIncome
+        };
+    }
 
-                if (!toggleBtn) return;
+    updateRatioDisplay(summary) {
+        // Debt-to-Asset Ratio
+        const debtToAssetRatio = summary.totalAssets > 0 ? (summary.totalLiabilities / summary.totalAssets) * 100 : 0;
+        this.updateRatioElement('debtToAssetRatio', debtToAssetRatio, '%');
 
-                // Find the details div - it's next to the button's parent container
-                const ratioItem = toggleBtn.closest('.ratio-item-expandable');
-                const ratioDetails = ratioItem.querySelector('.ratio-details');
+        // Net Worth Ratio
+        const netWorthRatio = summary.totalAssets > 0 ? (summary.netWorth / summary.totalAssets) * 100 : 0;
+        this.updateRatioElement('netWorthRatio', netWorthRatio, '%');
 
-                if (ratioDetails) {
-                    const isVisible = ratioDetails.style.display !== 'none';
-                    ratioDetails.style.display = isVisible ? 'none' : 'block';
-                }
-            }
-        });
+        // Savings Rate
+        const savingsRate = summary.totalIncome > 0 ? (summary.savings / summary.totalIncome) * 100 : 0;
+        this.updateRatioElement('savingsRate', savingsRate, '%');
+
+        // Liquidity Ratio (Cash vs Total Assets)
+        const liquidityRatio = this.calculateLiquidityRatio();
+        this.updateRatioElement('liquidityRatio', liquidityRatio, '%');
+
+        // Expense Ratio
+        const expenseRatio = summary.totalIncome > 0 ? (summary.totalExpenses / summary.totalIncome) * 100 : 0;
+        this.updateRatioElement('expenseRatio', expenseRatio, '%');
+
+        // Liability Coverage
+        const liabilityCoverage = this.calculateLiabilityCoverage(summary);
+        this.updateRatioElement('liabilityCoverage', liabilityCoverage, 'x');
     }
 
-    // Handle inline editing changes in edit mode - disabled for bulk editing
-    handleEditModeChange(input) {
-        // No auto-saving - users will save all changes when exiting edit mode
-        // This allows bulk editing
+    updateRatioElement(elementId, value, unit) {
+        const element = document.getElementById(elementId);
+        if (!element) return;
+
+        const formattedValue = this.formatRatioValue(value, unit);
+        element.textContent = formattedValue;
+
+        // Add color coding based on health
+        element.classList.remove('positive', 'negative', 'warning');
+
+        let healthClass = '';
+        if (elementId === 'debtToAssetRatio') {
+            healthClass = value < 20 ? 'positive' : value <= 50 ? 'warning' : 'negative'; // Green: Below 20%, Yellow: 20%-50%, Red: Above 50%
+        } else if (elementId === 'netWorthRatio') {
+            healthClass = value > 20 ? 'positive' : value > 0 ? 'warning' : 'negative'; // Higher is better
+        } else if (elementId === 'savingsRate') {
+            healthClass = value > 20 ? 'positive' : value > 10 ? 'warning' : 'negative'; // Higher is better
+        } else if (elementId === 'savingsRatio') {
+            healthClass = value >= 20 ? 'positive' : value >= 10 ? 'warning' : 'negative'; // Green: 20%+, Yellow: 10%-20%, Red: Below 10%
+        } else if (elementId === 'solvencyRatio') {
+            healthClass = value > 20 ? 'positive' : value >= 10 ? 'warning' : 'negative'; // Green: Above 20%, Yellow: 10%-20%, Red: Below 10%
+        } else if (elementId === 'liquidityRatio') {
+            healthClass = value > 30 ? 'positive' : value > 10 ? 'warning' : 'negative'; // Higher is better
+        } else if (elementId === 'basicLiquidityRatio') {
+            healthClass = value < 3 ? 'negative' : value <= 6 ? 'positive' : 'warning'; // Red: <3, Green: 3-6, Yellow: >6
+            // Removed call to updateLiquidityStatus since liquidityStatus element doesn't exist
+            // this.updateLiquidityStatus(value);
+        } else if (elementId === 'expenseRatio') {
+            healthClass = value < 80 ? 'positive' : value < 100 ? 'warning' : 'negative'; // Lower is better
+        } else if (elementId === 'liabilityCoverage' || elementId === 'debtServiceCoverageRatio') {
+            healthClass = value > 2 ? 'positive' : value > 1 ? 'warning' : 'negative'; // Higher is better
+        } else if (elementId === 'debtToIncomeRatio') {
+            healthClass = value <= 36 ? 'positive' : value <= 43 ? 'warning' : 'negative'; // Green: up to 36%, Yellow: 36%-43%, Red: above 43%
+        } else if (elementId === 'liquidityToNetWorthRatio') {
+            healthClass = value >= 20 ? 'positive' : value >= 10 ? 'warning' : 'negative'; // Green: 20%+, Yellow: 10%-20%, Red: Below 10%
+        }
+
+        if (healthClass) {
+            element.classList.add(healthClass);
+        }
     }
 
-    startEdit(category, index) {
-        if (!this.hasActiveSnapshot()) {
-            this.showMessage('Please create or select a snapshot first', 'error');
-            return;
+    formatRatioValue(value, unit) {
+        const u = typeof unit === 'string' ? unit.trim() : unit;
+        const num = typeof value === 'number' ? value : parseFloat(value);
+        if (u === 'x') {
+            return `${num === Infinity ? '∞' : this.formatter.formatNumber(num, 1)}${u}`;
+        } else if (u === '%') {
+            return this.formatter.formatPercent(num, 1);
+        } else if (u === 'months') {
+            return `${this.formatter.formatNumber(num, 1)} ${u}`;
         }
-        this.editingItems.set(category, index);
-        this.updateUI();
+        return `${value}${unit}`;
     }
 
-    saveEdit(category, index) {
-        // Fixed: More reliable way to find the correct row and inputs
-        const tableId = category === 'incomes' ? 'incomeTable' : category + 'Table';
-        const table = document.getElementById(tableId);
-        const rows = table.querySelectorAll('tbody tr');
-        const row = rows[index];
+    // Update liquidity status text based on ratio value
+    updateLiquidityStatus(ratio) {
+        const statusElement = document.getElementById('liquidityStatus');
+        if (!statusElement) return;
 
-        if (!row) {
-            this.showMessage('Error: Could not find the row to edit', 'error');
-            this.editingItems.delete(category);
-            this.updateUI();
-            return;
+        let statusText = '';
+        let statusClass = '';
+
+        if (ratio > 6) {
+            statusText = 'Cash-heavy - consider investing excess emergency funds.';
+            statusClass = 'warning';
+        } else if (ratio >= 3) {
+            statusText = 'Good coverage - you\'re well prepared!';
+            statusClass = 'positive';
+        } else {
+            statusText = 'Insufficient coverage - vulnerable to financial shocks.';
+            statusClass = 'negative';
         }
 
-        const nameInput = row.querySelector('input[data-field="name"]');
-        const amountInput = row.querySelector('input[data-field="amount"]');
+        statusElement.textContent = statusText;
+        statusElement.className = `ratio-status ${statusClass}`;
+    }
 
-        if (!nameInput || !amountInput) {
-            this.showMessage('Error: Could not find input fields', 'error');
-            this.editingItems.delete(category);
-            this.updateUI();
-            return;
-        }
 
-        let assetCategory = null;
-        let assetLiquidity = null;
-        if (category === 'assets') {
-            const categoryInput = row.querySelector('select[data-field="category"]');
-            const liquidityInput = row.querySelector('select[data-field="liquidity"]');
-            if (categoryInput) {
-                assetCategory = categoryInput.value;
-            }
-            if (liquidityInput) {
-                assetLiquidity = liquidityInput.value;
-            }
-        }
 
-        this.updateItem(category, index, nameInput.value, amountInput.value, assetCategory, assetLiquidity);
-        this.editingItems.delete(category);
+    calculateLiquidityRatio() {
+        const snapshot = this.getAnalysisSnapshot();
+        if (!snapshot) return 0;
+
+        const cashAssets = snapshot.data.assets.filter(asset =>
+            asset.category === 'cash' && asset.liquidity === 'high'
+        ).reduce((sum, asset) => sum + (this.getBaseAmount(asset, snapshot) || 0), 0);
+
+        const totalAssets = this.sumBaseAmounts(snapshot.data.assets, snapshot);
+
+        return totalAssets > 0 ? (cashAssets / totalAssets) * 100 : 0;
+    }
+
+    // Monthly income divided by monthly debt payments taken from the liability details
+    calculateLiabilityCoverage(summary) {
+        return this.calculateDebtService(this.getAnalysisSnapshot(), summary).coverage;
+    }
+
+    // Trends
+    // Net worth, cash flow and ratios across snapshots in as-of date order. Snapshots can
+    // be left out of the view (e.g. projections); the choice lasts for the session.
+    getTrendSnapshots() {
+        return [...this.data.snapshots]
+            .filter(snapshot => !this.trendsExcluded.has(snapshot.id))
+            .sort((a, b) => this.compareSnapshotsByDate(a, b));
     }
 
-    cancelEdit(category) {
-        this.editingItems.delete(category);
-        this.updateUI();
+    calculateTrendPoints(snapshots = this.getTrendSnapshots()) {
+        return snapshots.map(snapshot => {
+            const summary = this.calculateSummary(snapshot);
+            return { snapshot, summary, ratios: this.calculateRatios(snapshot, summary) };
+        });
     }
 
-    // Autocomplete functionality for filter inputs
-    initializeAutocomplete(dialog, tableId, category, column) {
-        const input = dialog.querySelector('#filterInput');
-        const suggestionsDropdown = dialog.querySelector('#suggestionsDropdown');
+    updateTrends() {
+        const section = document.querySelector('.trends-section');
+        if (!section) return;
 
-        let selectedIndex = -1;
-        let suggestions = [];
-        let lastInputValue = '';
+        this.renderTrendsControls();
 
-        // Get unique values from the column for suggestions
-        const getColumnSuggestions = () => {
-            const snapshot = this.getCurrentSnapshot();
-            if (!snapshot) return [];
+        const points = this.calculateTrendPoints();
+        const note = document.getElementById('trendsNote');
+        if (note) {
+            note.textContent = points.length < 2
+                ? 'Include at least two snapshots to see how your finances change over time.'
+                : '';
+            note.style.display = points.length < 2 ? 'block' : 'none';
+        }
 
-            const items = snapshot.data[category] || [];
-            const uniqueValues = new Set();
+        const labels = points.map(point => this.getTrendPointLabel(point.snapshot));
+        const ratio = TREND_RATIOS.find(entry => entry.key === this.trendsRatio) || TREND_RATIOS[0];
+        // Unbounded ratios (no debt payments) leave a gap instead of an off-scale point
+        const ratioValue = value => Number.isFinite(value) ? value : null;
+
+        this.drawLineChart('netWorthTrendChart', labels, [
+            { label: 'Net Worth', data: points.map(p => p.summary.netWorth), color: '#007bff' },
+            { label: 'Total Assets', data: points.map(p => p.summary.totalAssets), color: '#28a745' },
+            { label: 'Total Liabilities', data: points.map(p => p.summary.totalLiabilities), color: '#dc3545' }
+        ], 'currency');
+        this.drawLineChart('cashFlowTrendChart', labels, [
+            { label: 'Monthly Income', data: points.map(p => p.summary.totalIncome), color: '#20c997' },
+            { label: 'Monthly Expenses', data: points.map(p => p.summary.totalExpenses), color: '#fd7e14' },
+            { label: 'Monthly Savings', data: points.map(p => p.summary.savings), color: '#6610f2' }
+        ], 'currency');
+        this.drawLineChart('ratioTrendChart', labels, [
+            { label: ratio.label, data: points.map(p => ratioValue(p.ratios[ratio.key])), color: '#17a2b8' }
+        ], ratio.unit);
+
+        this.renderTrendsTable(points, ratio);
+    }
+
+    getTrendPointLabel(snapshot) {
+        return `${this.formatDate(this.getSnapshotDate(snapshot), false)} · ${snapshot.label}`;
+    }
+
+    renderTrendsControls() {
+        const picker = document.getElementById('trendsSnapshotPicker');
+        if (picker) {
+            const snapshots = [...this.data.snapshots].sort((a, b) => this.compareSnapshotsByDate(a, b));
+            picker.innerHTML = snapshots.length === 0
+                ? '<span class="trends-empty">No snapshots yet</span>'
+                : snapshots.map(snapshot => `
+                    <label class="trends-snapshot-option" title="${this.escapeHtml(this.formatDate(this.getSnapshotDate(snapshot), false))}">
+                        <input type="checkbox" value="${this.escapeHtml(snapshot.id)}" ${this.trendsExcluded.has(snapshot.id) ? '' : 'checked'}>
+                        <span>${this.escapeHtml(snapshot.label)}</span>
+                    </label>
+                `).join('');
+        }
 
-            items.forEach(item => {
-                let value = '';
-                switch (column) {
-                    case 'name':
-                        value = item.name || '';
-                        break;
-                    case 'amount':
-                        value = this.formatCurrency(item.amount);
-                        break;
-                    case 'category':
-                        if (category === 'assets') {
-                            value = item.category ? this.getCategoryDisplayName(item.category) : '';
-                        } else if (category === 'incomes') {
-                            value = item.category ? this.getIncomeCategoryDisplayName(item.category) : '';
-                        }
-                        break;
-                    case 'liquidity':
-                        value = item.liquidity ? this.getLiquidityDisplayName(item.liquidity) : '';
-                        break;
-                }
-                if (value.trim()) {
-                    uniqueValues.add(value);
-                }
-            });
+        const select = document.getElementById('trendsRatioSelect');
+        if (select && select.options.length === 0) {
+            select.innerHTML = TREND_RATIOS.map(ratio =>
+                `<option value="${ratio.key}">${this.escapeHtml(ratio.label)}</option>`
+            ).join('');
+        }
+        if (select) select.value = this.trendsRatio;
+    }
 
-            return Array.from(uniqueValues).sort();
-        };
+    // Value plus the change from the previous included snapshot, coloured by whether
+    // the move is good for that measure
+    renderTrendsTable(points, ratio) {
+        const table = document.getElementById('trendsTable');
+        if (!table) return;
 
-        // Render suggestions dropdown
-        const renderSuggestions = (searchValue) => {
-            if (!searchValue.trim()) {
-                suggestionsDropdown.style.display = 'none';
-                return;
-            }
+        const columns = [
+            { label: 'Net Worth', value: p => p.summary.netWorth, format: 'currency', higherIsBetter: true },
+            { label: 'Total Assets', value: p => p.summary.totalAssets, format: 'currency', higherIsBetter: true },
+            { label: 'Total Liabilities', value: p => p.summary.totalLiabilities, format: 'currency', higherIsBetter: false },
+            { label: 'Monthly Savings', value: p => p.summary.savings, format: 'currency', higherIsBetter: true },
+            { label: ratio.label, value: p => p.ratios[ratio.key], format: ratio.unit, higherIsBetter: ratio.higherIsBetter }
+        ];
 
-            const allSuggestions = getColumnSuggestions();
-            suggestions = allSuggestions.filter(suggestion =>
-                suggestion.toLowerCase().includes(searchValue.toLowerCase())
-            );
+        table.querySelector('thead').innerHTML = `
+            <tr>
+                <th>Snapshot</th>
+                ${columns.map(column => `<th>${this.escapeHtml(column.label)}</th>`).join('')}
+            </tr>
+        `;
 
-            if (suggestions.length === 0) {
-                suggestionsDropdown.style.display = 'none';
-                return;
-            }
+        const tbody = table.querySelector('tbody');
+        if (points.length === 0) {
+            tbody.innerHTML = `<tr><td colspan="${columns.length + 1}" class="trends-empty">No snapshots selected</td></tr>`;
+            return;
+        }
 
-            selectedIndex = -1;
+        // Newest first, like the sidebar
+        tbody.innerHTML = points.map((point, index) => {
+            const previous = index > 0 ? points[index - 1] : null;
+            const cells = columns.map(column => {
+                const value = column.value(point);
+                const delta = previous ? this.describeTrendDelta(value, column.value(previous), column) : '';
+                return `<td><div>${this.formatTrendValue(value, column.format)}</div>${delta}</td>`;
+            }).join('');
+            return `
+                <tr>
+                    <td>
+                        <div>${this.escapeHtml(point.snapshot.label)}</div>
+                        <div class="trend-date">${this.formatDate(this.getSnapshotDate(point.snapshot), false)}</div>
+                    </td>
+                    ${cells}
+                </tr>
+            `;
+        }).reverse().join('');
+    }
 
-            const highlightText = (text, search) => {
-                if (!search) return this.escapeHtml(text);
-                const regex = new RegExp(`(${this.escapeRegex(search)})`, 'gi');
-                return text.replace(regex, '<span class="highlight">$1</span>');
-            };
+    formatTrendValue(value, format) {
+        if (format === 'currency') return this.formatCurrency(value);
+        if (!Number.isFinite(value)) return '—';
+        return this.formatRatioValue(value, format);
+    }
 
-            suggestionsDropdown.innerHTML = suggestions.map((suggestion, index) => `
-                <div class="suggestion-item ${index === selectedIndex ? 'highlighted' : ''}"
-                     data-index="${index}"
-                     data-value="${this.escapeHtml(suggestion)}">
-                    ${highlightText(suggestion, searchValue)}
-                </div>
-            `).join('');
+    describeTrendDelta(value, previousValue, column) {
+        if (!Number.isFinite(value) || !Number.isFinite(previousValue)) return '';
 
-            suggestionsDropdown.style.display = 'block';
-        };
+        const delta = value - previousValue;
+        const sign = delta > 0 ? '+' : '';
+        let text;
+        if (column.format === 'currency') {
+            text = `${sign}${this.formatCurrency(delta)}`;
+            if (previousValue !== 0) {
+                text += ` (${sign}${this.formatter.formatPercent((delta / Math.abs(previousValue)) * 100, 1)})`;
+            }
+        } else if (column.format === '%') {
+            text = `${sign}${this.formatter.formatNumber(delta, 1)} pts`;
+        } else {
+            text = `${sign}${this.formatRatioValue(delta, column.format)}`;
+        }
 
-        // Input event handler
-        const handleInput = (e) => {
-            const value = e.target.value;
-            lastInputValue = value;
-            renderSuggestions(value);
-        };
+        const improved = column.higherIsBetter ? delta > 0 : delta < 0;
+        const status = delta === 0 ? '' : improved ? 'positive' : 'negative';
+        return `<div class="trend-delta ${status}">${text}</div>`;
+    }
 
-        // Keyboard navigation
-        const handleKeydown = (e) => {
-            if (suggestionsDropdown.style.display === 'none') return;
+    drawLineChart(canvasId, labels, series, unit, pointRadius = 3) {
+        const ctx = document.getElementById(canvasId);
+        if (!ctx) return;
 
-            switch (e.key) {
-                case 'ArrowDown':
-                    e.preventDefault();
-                    selectedIndex = Math.min(selectedIndex + 1, suggestions.length - 1);
-                    updateSelection();
-                    break;
-                case 'ArrowUp':
-                    e.preventDefault();
-                    selectedIndex = Math.max(selectedIndex - 1, -1);
-                    updateSelection();
-                    break;
-                case 'Enter':
-                    e.preventDefault();
-                    if (selectedIndex >= 0 && selectedIndex < suggestions.length) {
-                        selectSuggestion(suggestions[selectedIndex]);
-                    }
-                    break;
-                case 'Escape':
-                    suggestionsDropdown.style.display = 'none';
-                    selectedIndex = -1;
-                    break;
+        this.charts = this.charts || {};
+        if (this.charts[canvasId]) {
+            try {
+                this.charts[canvasId].destroy();
+            } catch (e) {
+                console.log(`Error destroying chart ${canvasId}:`, e);
             }
-        };
+        }
 
-        // Update visual selection
-        const updateSelection = () => {
-            const items = suggestionsDropdown.querySelectorAll('.suggestion-item');
-            items.forEach((item, index) => {
-                item.classList.toggle('highlighted', index === selectedIndex);
+        // Chart.js callbacks run with the chart as `this`, so capture the shared formatters
+        const formatValue = value => unit === 'currency'
+            ? this.formatCurrency(value)
+            : this.formatRatioValue(value, unit);
+
+        try {
+            this.charts[canvasId] = new Chart(ctx, {
+                type: 'line',
+                data: {
+                    labels: labels,
+                    datasets: series.map(entry => ({
+                        label: entry.label,
+                        data: entry.data,
+                        borderColor: entry.color,
+                        backgroundColor: entry.color,
+                        borderWidth: 2,
+                        pointRadius,
+                        tension: 0.2,
+                        spanGaps: false
+                    }))
+                },
+                options: {
+                    responsive: true,
+                    interaction: { mode: 'index', intersect: false },
+                    scales: {
+                        x: { ticks: { font: { size: 10 } } },
+                        y: { ticks: { font: { size: 10 }, callback: value => formatValue(value) } }
+                    },
+                    plugins: {
+                        legend: {
+                            position: 'bottom',
+                            labels: { padding: 10, font: { size: 10 } }
+                        },
+                        tooltip: {
+                            callbacks: {
+                                label: function(context) {
+                                    return context.parsed.y === null
+                                        ? `${context.dataset.label}: —`
+                                        : `${context.dataset.label}: ${formatValue(context.parsed.y)}`;
+                                }
+                            }
+                        }
+                    }
+                }
             });
+        } catch (chartError) {
+            console.error(`Error creating chart ${canvasId}:`, chartError);
+        }
+    }
 
-            // Auto-scroll to selected item
-            if (selectedIndex >= 0) {
-                const selectedItem = items[selectedIndex];
-                selectedItem.scrollIntoView({ block: 'nearest', behavior: 'smooth' });
+    bindTrendsListeners() {
+        const picker = document.getElementById('trendsSnapshotPicker');
+        if (!picker) return;
+
+        picker.addEventListener('change', (e) => {
+            if (e.target.type !== 'checkbox') return;
+            if (e.target.checked) {
+                this.trendsExcluded.delete(e.target.value);
+            } else {
+                this.trendsExcluded.add(e.target.value);
             }
-        };
+            this.updateTrends();
+        });
 
-        // Select a suggestion
-        const selectSuggestion = (value) => {
-            input.value = value;
-            suggestionsDropdown.style.display = 'none';
-            selectedIndex = -1;
-        };
+        document.getElementById('trendsRatioSelect').addEventListener('change', (e) => {
+            this.trendsRatio = e.target.value;
+            this.updateTrends();
+        });
 
-        // Click handler for suggestions
-        suggestionsDropdown.addEventListener('click', (e) => {
-            const item = e.target.closest('.suggestion-item');
-            if (item) {
-                const value = item.dataset.value;
-                selectSuggestion(value);
-            }
+        document.getElementById('trendsSelectAllBtn').addEventListener('click', () => {
+            this.trendsExcluded.clear();
+            this.updateTrends();
         });
+    }
 
-        // Hide suggestions when clicking outside
-        const hideSuggestions = (e) => {
-            if (!input.contains(e.target) && !suggestionsDropdown.contains(e.target)) {
-                suggestionsDropdown.style.display = 'none';
-                selectedIndex = -1;
-            }
-        };
+    // Budgets
+    // Each snapshot stores monthly budgets in base currency per expense category and,
+    // optionally, per named expense ({ categories: { essential: 2000 }, items: { Rent: 1500 } }).
+    // Actuals are the monthly equivalents of the snapshot's expenses; new snapshots start
+    // with the latest budgets.
+    getSnapshotBudgets(snapshot) {
+        const budgets = snapshot.budgets || {};
+        const clean = values => Object.fromEntries(Object.entries(values && typeof values === 'object' ? values : {})
+            .filter(([, amount]) => typeof amount === 'number' && amount >= 0));
+        return { categories: clean(budgets.categories), items: clean(budgets.items) };
+    }
+
+    getBudgetStatus(budget, actual) {
+        if (budget === null) return 'none';
+        if (actual > budget) return 'over';
+        return actual >= budget * BUDGET_WARNING_THRESHOLD && actual > 0 ? 'near' : 'under';
+    }
+
+    // Category lines (budgeted or with spending), then named-expense lines, plus totals
+    calculateBudgetComparison(snapshot) {
+        const budgets = this.getSnapshotBudgets(snapshot);
+        const expenses = snapshot.data.expenses;
+        const line = (kind, key, label, budget, actual, note = '') => ({
+            kind, key, label, budget, actual, note,
+            variance: budget === null ? null : budget - actual,
+            status: this.getBudgetStatus(budget, actual)
+        });
 
-        // Bind events
-        input.addEventListener('input', handleInput);
-        input.addEventListener('keydown', handleKeydown);
-        document.addEventListener('click', hideSuggestions);
+        const lines = this.getCategoryEntries('expenses').map(entry => {
+            const actual = this.sumMonthlyAmounts(expenses.filter(item => item.category === entry.value), snapshot);
+            const budget = entry.value in budgets.categories ? budgets.categories[entry.value] : null;
+            return line('category', entry.value, entry.label, budget, actual);
+        }).filter(entry => entry.budget !== null || entry.actual > 0);
+
+        Object.entries(budgets.items).forEach(([name, budget]) => {
+            const items = expenses.filter(item => item.name.trim().toLowerCase() === name.trim().toLowerCase());
+            const categories = [...new Set(items.map(item => this.getCategoryLabel('expenses', item.category)))];
+            lines.push(line('item', name, name, budget, this.sumMonthlyAmounts(items, snapshot),
+                items.length ? categories.join(', ') : 'Not in this snapshot'));
+        });
 
-        // Clean up when dialog closes
-        const originalRemove = dialog.remove;
-        dialog.remove = () => {
-            document.removeEventListener('click', hideSuggestions);
-            originalRemove.call(dialog);
+        const categoryLines = lines.filter(entry => entry.kind === 'category');
+        const totalBudget = categoryLines.reduce((sum, entry) => sum + (entry.budget || 0), 0);
+        const budgetedActual = categoryLines.filter(entry => entry.budget !== null).reduce((sum, entry) => sum + entry.actual, 0);
+        return {
+            lines,
+            totalBudget,
+            unbudgeted: categoryLines.filter(entry => entry.budget === null).reduce((sum, entry) => sum + entry.actual, 0),
+            budgetedActual,
+            hasBudgets: lines.some(entry => entry.budget !== null)
         };
     }
 
-    // Utility method to escape regex special characters
-    escapeRegex(string) {
-        return string.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
-    }
+    updateBudgets() {
+        const table = document.getElementById('budgetTable');
+        if (!table) return;
 
-    // Removed selection-related methods - now using individual row actions only
+        const snapshot = this.getCurrentSnapshot();
+        const comparison = snapshot ? this.calculateBudgetComparison(this.getAnalysisSnapshot()) : null;
+        const note = document.getElementById('budgetNote');
+        const message = !snapshot ? 'Select a snapshot to compare its expenses with your budgets.'
+            : !comparison.hasBudgets ? 'No budgets set for this snapshot yet. Use "Edit Budgets" to add monthly amounts per category or per expense.'
+            : comparison.unbudgeted > 0 ? `${this.formatCurrency(comparison.unbudgeted)} a month is spent in categories without a budget.`
+            : '';
+        note.textContent = message;
+        note.style.display = message ? 'block' : 'none';
+
+        table.querySelector('thead').innerHTML = `
+            <tr><th>Budget</th><th>Budgeted</th><th>Actual</th><th>Variance</th><th>Status</th></tr>
+        `;
+        const tbody = table.querySelector('tbody');
+        if (!comparison || comparison.lines.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="5" class="trends-empty">No expenses or budgets in this snapshot</td></tr>';
+            this.drawEmptyChart('budgetVarianceChart', 'Budget Variance');
+            return;
+        }
 
-    // Section action handlers for edit mode toggle
-    bindSectionActionListeners() {
-        // Edit mode toggle buttons
-        document.querySelectorAll('.edit-mode-btn').forEach(button => {
-            const category = button.dataset.category;
-            // Initialize button text based on current state
-            this.updateEditModeButton(button, category);
+        const variance = value => value === null
+            ? '—'
+            : `<span class="trend-delta ${value < 0 ? 'negative' : 'positive'}">${value > 0 ? '+' : ''}${this.formatCurrency(value)}</span>`;
+        const rows = comparison.lines.map(entry => `
+            <tr>
+                <td>${entry.kind === 'item' ? '↳ ' : ''}${this.escapeHtml(entry.label)}${entry.note ? `<span class="base-amount">${this.escapeHtml(entry.note)}</span>` : ''}</td>
+                <td>${entry.budget === null ? '—' : this.formatCurrency(entry.budget)}</td>
+                <td>${this.formatCurrency(entry.actual)}</td>
+                <td>${variance(entry.variance)}</td>
+                <td><span class="compare-status budget-${entry.status}">${BUDGET_STATUSES[entry.status]}</span></td>
+            </tr>
+        `).join('');
+        const totalStatus = this.getBudgetStatus(comparison.totalBudget, comparison.budgetedActual);
+        tbody.innerHTML = rows + (comparison.totalBudget > 0 ? `
+            <tr class="budget-total-row">
+                <td><strong>Budgeted categories</strong></td>
+                <td><strong>${this.formatCurrency(comparison.totalBudget)}</strong></td>
+                <td><strong>${this.formatCurrency(comparison.budgetedActual)}</strong></td>
+                <td>${variance(comparison.totalBudget - comparison.budgetedActual)}</td>
+                <td><span class="compare-status budget-${totalStatus}">${BUDGET_STATUSES[totalStatus]}</span></td>
+            </tr>
+        ` : '');
+
+        this.drawBudgetVarianceChart('budgetVarianceChart', comparison.lines.filter(entry => entry.budget !== null));
+    }
+
+    // Bars above zero are money left in the budget, below zero overspending
+    drawBudgetVarianceChart(canvasId, lines) {
+        const ctx = document.getElementById(canvasId);
+        if (!ctx) return;
+        if (lines.length === 0) {
+            this.drawEmptyChart(canvasId, 'Budget Variance');
+            return;
+        }
 
-            button.addEventListener('click', (e) => {
-                const category = e.currentTarget.dataset.category || e.target.dataset.category;
-                this.toggleEditMode(category);
+        this.charts = this.charts || {};
+        if (this.charts[canvasId]) {
+            try {
+                this.charts[canvasId].destroy();
+            } catch (e) {
+                console.log(`Error destroying chart ${canvasId}:`, e);
+            }
+        }
+
+        const statusColors = { under: '#28a745', near: '#ffc107', over: '#dc3545' };
+        const colors = lines.map(entry => statusColors[entry.status]);
+        // Chart.js callbacks run with the chart as `this`, so capture the shared formatters
+        const formatCurrency = value => this.formatCurrency(value);
+
+        try {
+            this.charts[canvasId] = new Chart(ctx, {
+                type: 'bar',
+                data: {
+                    labels: lines.map(entry => entry.label),
+                    datasets: [{
+                        label: 'Variance',
+                        data: lines.map(entry => entry.variance),
+                        backgroundColor: colors.map(color => color + '80'),
+                        borderColor: colors,
+                        borderWidth: 1
+                    }]
+                },
+                options: {
+                    responsive: true,
+                    scales: {
+                        x: { ticks: { font: { size: 10 } } },
+                        y: { ticks: { font: { size: 10 }, callback: value => formatCurrency(value) } }
+                    },
+                    plugins: {
+                        legend: { display: false },
+                        tooltip: {
+                            callbacks: {
+                                label: function(context) {
+                                    const entry = lines[context.dataIndex];
+                                    return `${formatCurrency(entry.actual)} of ${formatCurrency(entry.budget)} (${entry.variance >= 0 ? 'under' : 'over'} by ${formatCurrency(Math.abs(entry.variance))})`;
+                                }
+                            }
+                        }
+                    }
+                }
             });
-        });
+        } catch (chartError) {
+            console.error(`Error creating chart ${canvasId}:`, chartError);
+        }
     }
 
-    // Update edit mode button text and styling
-    updateEditModeButton(button, category) {
-        const isActive = this.editModeStates[category];
-        const buttonText = isActive ? 'Edit Mode: ON' : 'Edit Mode: OFF';
-        const buttonClass = isActive ? 'btn-warning' : 'btn-secondary';
+    openBudgetEditor() {
+        const snapshot = this.getCurrentSnapshot();
+        if (!snapshot) {
+            this.showMessage('No snapshot selected', 'error');
+            return;
+        }
 
-        // Remove previous class and add new one
-        button.classList.remove('btn-warning', 'btn-secondary');
-        button.classList.add(buttonClass);
+        const budgets = this.getSnapshotBudgets(snapshot);
+        this.budgetDraft = {
+            categories: { ...budgets.categories },
+            items: Object.entries(budgets.items).map(([name, amount]) => ({ name, amount }))
+        };
+        document.getElementById('budgetSnapshotLabel').textContent = snapshot.label;
+        document.getElementById('budgetExpenseNames').innerHTML = [...new Set(snapshot.data.expenses.map(item => item.name))]
+            .map(name => `<option value="${this.escapeHtml(name)}">`).join('');
+        this.renderBudgetEditor();
+        this.openModal('budgetModal');
+    }
 
-        // Find the text content - it should be the text node after the icon
-        const childNodes = button.childNodes;
-        let textNode = null;
+    renderBudgetEditor() {
+        const draft = this.budgetDraft;
+        const snapshot = this.getCurrentSnapshot();
+        if (!draft || !snapshot) return;
 
-        // Find the text node containing the edit mode text
-        for (let node of childNodes) {
-            if (node.nodeType === Node.TEXT_NODE && node.textContent.trim().includes('Edit Mode')) {
-                textNode = node;
-                break;
+        document.getElementById('budgetCategoryList').innerHTML = this.getCategoryEntries('expenses').map(entry => {
+            const actual = this.sumMonthlyAmounts(snapshot.data.expenses.filter(item => item.category === entry.value), snapshot);
+            return `
+                <div class="fx-rate-row">
+                    <span class="fx-rate-label budget-label">${this.escapeHtml(entry.label)}<span class="base-amount">Actual ${this.formatCurrency(actual)}</span></span>
+                    <input type="number" class="settings-input fx-rate-input" min="0" step="0.01" placeholder="No budget"
+                        value="${draft.categories[entry.value] ?? ''}" data-budget-category="${this.escapeHtml(entry.value)}">
+                </div>
+            `;
+        }).join('');
+
+        document.getElementById('budgetItemList').innerHTML = draft.items.length === 0
+            ? '<p class="settings-help">No budgets for individual expenses.</p>'
+            : draft.items.map((item, index) => `
+                <div class="fx-rate-row">
+                    <input type="text" class="settings-input" list="budgetExpenseNames" placeholder="Expense name"
+                        value="${this.escapeHtml(item.name)}" data-budget-item="${index}" data-budget-field="name">
+                    <input type="number" class="settings-input fx-rate-input" min="0" step="0.01" placeholder="Monthly budget"
+                        value="${item.amount ?? ''}" data-budget-item="${index}" data-budget-field="amount">
+                    <button type="button" class="btn btn-secondary btn-small" data-budget-remove="${index}" title="Remove">✕</button>
+                </div>
+            `).join('');
+    }
+
+    saveBudgets() {
+        const draft = this.budgetDraft;
+        const snapshot = this.getCurrentSnapshot();
+        if (!draft || !snapshot) return;
+
+        const parse = value => value === '' || value === null || value === undefined ? null : parseFloat(value);
+        const categories = {};
+        for (const [category, value] of Object.entries(draft.categories)) {
+            const amount = parse(value);
+            if (amount === null) continue;
+            if (isNaN(amount) || amount < 0) {
+                this.showMessage(`Budget for ${this.getCategoryLabel('expenses', category)} must be 0 or more`, 'error');
+                return;
             }
+            categories[category] = amount;
         }
-
-        if (textNode) {
-            // Update existing text node - preserve the leading space from HTML
-            const leadingSpace = textNode.textContent.startsWith(' ') ? ' ' : '';
-            textNode.textContent = leadingSpace + buttonText;
-        } else {
-            // Fallback: create a text node after the icon
-            const existingIcon = button.querySelector('.btn-icon');
-            if (existingIcon) {
-                // Remove any existing text nodes first
-                for (let node of childNodes) {
-                    if (node.nodeType === Node.TEXT_NODE && node.textContent.trim().includes('Edit Mode')) {
-                        node.remove();
-                    }
-                }
-                existingIcon.after(document.createTextNode(' ' + buttonText));
+        const items = {};
+        for (const item of draft.items) {
+            const name = (item.name || '').trim();
+            const amount = parse(item.amount);
+            if (!name && amount === null) continue;
+            if (!name || amount === null || isNaN(amount) || amount < 0) {
+                this.showMessage('Each expense budget needs a name and an amount of 0 or more', 'error');
+                return;
             }
+            items[name] = amount;
         }
 
-        button.setAttribute('title', isActive ? 'Exit Edit Mode' : 'Enter Edit Mode');
+        this.recordHistory(`Edit budgets of "${snapshot.label}"`);
+        snapshot.budgets = { categories, items };
+        this.budgetDraft = null;
+        this.saveData();
+        this.closeModal('budgetModal');
+        this.updateBudgets();
+        this.showUndoableMessage('Budgets saved');
     }
 
-    // Toggle edit mode for a category
-    toggleEditMode(category) {
-        if (!this.hasActiveSnapshot()) {
-            this.showMessage('Please create or select a snapshot first', 'error');
-            return;
-        }
+    bindBudgetListeners() {
+        const modal = document.getElementById('budgetModal');
+        if (!modal) return;
 
-        // First, toggle the edit mode state to provide immediate visual feedback
-        this.editModeStates[category] = !this.editModeStates[category];
+        document.getElementById('editBudgetsBtn').addEventListener('click', () => this.openBudgetEditor());
+        document.getElementById('saveBudgetsBtn').addEventListener('click', () => this.saveBudgets());
+        document.getElementById('addBudgetItemBtn').addEventListener('click', () => {
+            if (!this.budgetDraft) return;
+            this.budgetDraft.items.push({ name: '', amount: null });
+            this.renderBudgetEditor();
+        });
 
-        // If we just turned OFF edit mode, save all changes
-        if (!this.editModeStates[category]) {
-            try {
-                const savedCount = this.saveBulkEditChanges(category);
-                if (savedCount > 0) {
-                    this.showMessage(`Edits saved! ${savedCount} item(s) updated.`, 'success');
-                } else {
-                    this.showMessage('Edit mode deactivated - no changes to save.', 'info');
-                }
-            } catch (error) {
-                console.error('Error saving bulk changes:', error);
-                this.showMessage('Error saving changes, but edit mode was deactivated.', 'error');
+        // Inputs update the draft without re-rendering, so typing keeps focus
+        modal.addEventListener('input', (e) => {
+            const draft = this.budgetDraft;
+            if (!draft) return;
+            const { budgetCategory, budgetItem, budgetField } = e.target.dataset;
+            if (budgetCategory) {
+                draft.categories[budgetCategory] = e.target.value;
+            } else if (budgetItem !== undefined) {
+                draft.items[parseInt(budgetItem, 10)][budgetField] = e.target.value;
             }
-        }
+        });
+        modal.addEventListener('click', (e) => {
+            const remove = e.target.closest('[data-budget-remove]');
+            if (remove && this.budgetDraft) {
+                this.budgetDraft.items.splice(parseInt(remove.dataset.budgetRemove, 10), 1);
+                this.renderBudgetEditor();
+            }
+        });
+    }
 
-        this.updateUI();
+    // Income Allocation Rule
+    // Expense categories and the monthly surplus are mapped onto needs / wants / savings
+    // and compared, as a share of monthly income, with the rule's targets. The rule is
+    // stored in data.settings.allocationRule ({ targets, mapping }); 50/30/20 by default.
+    getAllocationRule() {
+        const stored = (this.data.settings && this.data.settings.allocationRule) || {};
+        const targets = { ...ALLOCATION_RULE_PRESETS['50/30/20'], ...(stored.targets || {}) };
+        const storedMapping = stored.mapping || {};
+        const mapping = {};
+        [...this.getCategoryEntries('expenses').map(entry => entry.value), 'savings'].forEach(source => {
+            mapping[source] = source in storedMapping ? storedMapping[source] : (DEFAULT_ALLOCATION_MAPPING[source] || 'wants');
+        });
+        return { targets, mapping, name: this.getAllocationRuleName(targets) };
     }
 
-    // Save all bulk changes when exiting edit mode
-    saveBulkEditChanges(category) {
-        const tableId = category === 'incomes' ? 'incomeTable' : category + 'Table';
-        const table = document.getElementById(tableId);
-        if (!table) return 0; // Return number of saved items
+    getAllocationRuleName(targets) {
+        return Object.keys(ALLOCATION_BUCKETS).map(bucket => this.formatter.formatNumber(targets[bucket], 0)).join('/');
+    }
 
-        const rows = table.querySelectorAll('tbody tr');
-        let savedCount = 0;
+    // Preset whose targets match, or 'custom'
+    getAllocationPreset(targets) {
+        return Object.keys(ALLOCATION_RULE_PRESETS).find(name =>
+            Object.keys(ALLOCATION_BUCKETS).every(bucket => ALLOCATION_RULE_PRESETS[name][bucket] === targets[bucket])) || 'custom';
+    }
 
-        rows.forEach((row, index) => {
-            const nameInput = row.querySelector('input[data-field="name"]');
-            const amountInput = row.querySelector('input[data-field="amount"]');
+    calculateAllocation(snapshot, summary = this.calculateSummary(snapshot)) {
+        const rule = this.getAllocationRule();
+        const income = summary.totalIncome;
+        const buckets = Object.fromEntries(Object.entries(ALLOCATION_BUCKETS).map(([id, bucket]) =>
+            [id, { id, label: bucket.label, limit: bucket.limit, target: rule.targets[id], amount: 0, sources: [] }]));
 
-            if (!nameInput || !amountInput) return;
+        let mappedExpenses = 0;
+        this.getCategoryEntries('expenses').forEach(entry => {
+            const bucket = buckets[rule.mapping[entry.value]];
+            if (!bucket) return;
+            const amount = this.sumMonthlyAmounts(snapshot.data.expenses.filter(item => item.category === entry.value), snapshot);
+            bucket.amount += amount;
+            bucket.sources.push(entry.label);
+            mappedExpenses += amount;
+        });
+        const savingsBucket = buckets[rule.mapping.savings];
+        if (savingsBucket) {
+            savingsBucket.amount += summary.savings;
+            savingsBucket.sources.push('Monthly surplus');
+        }
 
-            const name = nameInput.value.trim();
-            const amount = amountInput.value;
+        Object.values(buckets).forEach(bucket => {
+            bucket.percent = income > 0 ? (bucket.amount / income) * 100 : null;
+            bucket.difference = bucket.percent === null ? null : bucket.percent - bucket.target;
+            bucket.status = bucket.percent === null ? 'none'
+                : (bucket.limit === 'max' ? bucket.percent <= bucket.target : bucket.percent >= bucket.target) ? 'ok' : 'off';
+        });
 
-            // Skip invalid entries
-            if (!name) return;
+        return {
+            rule,
+            income,
+            buckets: Object.values(buckets),
+            notCounted: summary.totalExpenses - mappedExpenses,
+            savingsCounted: Boolean(savingsBucket)
+        };
+    }
 
-            let assetCategory = null;
-            let assetLiquidity = null;
-            let liabilityTerm = null;
-            let incomeCategory = null;
+    updateAllocation() {
+        const list = document.getElementById('allocationBuckets');
+        if (!list) return;
 
-            // Handle assets specific fields
-            if (category === 'assets') {
-                const categorySelect = row.querySelector('select[data-field="category"]');
-                const liquiditySelect = row.querySelector('select[data-field="liquidity"]');
+        const snapshot = this.getCurrentSnapshot();
+        const note = document.getElementById('allocationNote');
+        document.getElementById('allocationRuleName').textContent = this.getAllocationRule().name;
+        if (!snapshot) {
+            note.textContent = 'Select a snapshot to compare its spending with your allocation rule.';
+            note.style.display = 'block';
+            list.innerHTML = '';
+            return;
+        }
 
-                if (categorySelect) assetCategory = categorySelect.value;
-                if (liquiditySelect) assetLiquidity = liquiditySelect.value;
-            }
+        const allocation = this.calculateAllocation(this.getAnalysisSnapshot());
+        const notes = [];
+        if (allocation.income <= 0) {
+            notes.push('Add income to this snapshot to see each bucket as a share of income.');
+        }
+        if (allocation.notCounted > 0.005) {
+            notes.push(`${this.formatCurrency(allocation.notCounted)} a month of expenses is in categories not assigned to a bucket.`);
+        }
+        note.textContent = notes.join(' ');
+        note.style.display = notes.length ? 'block' : 'none';
 
-            // Handle liabilities specific fields
-            if (category === 'liabilities') {
-                const termSelect = row.querySelector('select[data-field="term"]');
-                if (termSelect) liabilityTerm = termSelect.value;
-            }
+        list.innerHTML = allocation.buckets.map(bucket => this.renderAllocationCard(bucket)).join('');
+    }
 
-            // Handle incomes specific fields
-            if (category === 'incomes') {
-                const categorySelect = row.querySelector('select[data-field="category"]');
-                if (categorySelect) incomeCategory = categorySelect.value;
-            }
+    renderAllocationCard(bucket) {
+        const ceiling = bucket.limit === 'max';
+        const percent = bucket.percent === null ? '—' : this.formatter.formatPercent(bucket.percent, 1);
+        const status = bucket.status === 'none' ? ''
+            : `<span class="compare-status allocation-${bucket.status}">${bucket.status === 'ok' ? 'On target' : (ceiling ? 'Above target' : 'Below target')}</span>`;
+        const difference = bucket.difference === null || bucket.status === 'ok' ? ''
+            : `<div class="trend-delta negative">${this.formatter.formatNumber(Math.abs(bucket.difference), 1)} percentage points ${ceiling ? 'over' : 'under'} the target</div>`;
 
-            // Handle expenses specific fields
-            let expenseCategory = null;
-            if (category === 'expenses') {
-                const categorySelect = row.querySelector('select[data-field="category"]');
-                if (categorySelect) expenseCategory = categorySelect.value;
-            }
+        return `
+            <div class="goal-card allocation-card">
+                <div class="goal-card-header">
+                    <h3>${this.escapeHtml(bucket.label)}</h3>
+                    ${status}
+                </div>
+                <div class="trend-date">${bucket.sources.length ? this.escapeHtml(bucket.sources.join(', ')) : 'Nothing assigned to this bucket'}</div>
+                <div class="goal-figures">
+                    <span>${this.formatCurrency(bucket.amount)} a month</span>
+                    <strong>${percent}</strong>
+                </div>
+                <div class="progress-bar">
+                    <div class="progress-fill" style="width: ${Math.max(0, Math.min(bucket.percent || 0, 100))}%"></div>
+                    <div class="allocation-target" style="left: ${Math.min(bucket.target, 100)}%" title="Target"></div>
+                </div>
+                <div class="goal-details">
+                    <div>Target: ${ceiling ? 'at most' : 'at least'} ${this.formatter.formatPercent(bucket.target, 0)} of income</div>
+                    ${difference}
+                </div>
+            </div>
+        `;
+    }
 
-            // Save this item silently (no individual success messages during bulk operations)
-            this.updateItem(category, index, name, amount, assetCategory, assetLiquidity, liabilityTerm, incomeCategory, expenseCategory, true);
-            savedCount++;
+    openAllocationEditor() {
+        const rule = this.getAllocationRule();
+        document.getElementById('allocationPreset').value = this.getAllocationPreset(rule.targets);
+        document.querySelectorAll('[data-allocation-target]').forEach(input => {
+            input.value = rule.targets[input.dataset.allocationTarget];
         });
 
-        return savedCount;
+        const options = selected => [...Object.entries(ALLOCATION_BUCKETS).map(([id, bucket]) => [id, bucket.label]), ['', 'Not counted']]
+            .map(([value, label]) => `<option value="${value}"${value === selected ? ' selected' : ''}>${label}</option>`).join('');
+        const sources = [...this.getCategoryEntries('expenses').map(entry => [entry.value, entry.label]), ['savings', 'Monthly surplus (income − expenses)']];
+        document.getElementById('allocationMappingList').innerHTML = sources.map(([value, label]) => `
+            <div class="fx-rate-row">
+                <span class="fx-rate-label budget-label">${this.escapeHtml(label)}</span>
+                <select class="settings-select" data-allocation-source="${this.escapeHtml(value)}">${options(rule.mapping[value])}</select>
+            </div>
+        `).join('');
+
+        this.updateAllocationTotal();
+        this.openModal('allocationModal');
     }
 
-    // Format category name for display
-    formatCategoryName(category) {
-        const names = {
-            assets: 'Assets',
-            liabilities: 'Liabilities',
-            incomes: 'Income',
-            expenses: 'Expenses'
-        };
-        return names[category] || category;
+    readAllocationTargets() {
+        const targets = {};
+        document.querySelectorAll('[data-allocation-target]').forEach(input => {
+            targets[input.dataset.allocationTarget] = parseFloat(input.value);
+        });
+        return targets;
     }
 
-    // Financial Analysis - Pie Charts and Ratios
-    createCharts() {
-        // Prevent rapid successive chart creations which could cause infinite loops
-        if (this.chartCreationInProgress) {
-            console.log('Chart creation already in progress, skipping...');
+    updateAllocationTotal() {
+        const total = Object.values(this.readAllocationTargets()).reduce((sum, value) => sum + (value || 0), 0);
+        const hint = document.getElementById('allocationTotal');
+        hint.textContent = `Total: ${this.formatter.formatPercent(total, 0)}${Math.abs(total - 100) > 0.001 ? ' (targets must add up to 100%)' : ''}`;
+    }
+
+    saveAllocationRule() {
+        const targets = this.readAllocationTargets();
+        if (Object.values(targets).some(value => isNaN(value) || value < 0 || value > 100)) {
+            this.showMessage('Each target must be between 0 and 100%', 'error');
+            return;
+        }
+        if (Math.abs(Object.values(targets).reduce((sum, value) => sum + value, 0) - 100) > 0.001) {
+            this.showMessage('Targets must add up to 100%', 'error');
             return;
         }
+        const mapping = {};
+        document.querySelectorAll('[data-allocation-source]').forEach(select => {
+            mapping[select.dataset.allocationSource] = select.value;
+        });
 
-        this.chartCreationInProgress = true;
+        this.recordHistory('Edit allocation rule');
+        this.data.settings = { ...(this.data.settings || {}), allocationRule: { targets, mapping } };
+        this.saveData();
+        this.closeModal('allocationModal');
+        this.updateAllocation();
+        this.showUndoableMessage(`Allocation rule set to ${this.getAllocationRuleName(targets)}`);
+    }
+
+    bindAllocationListeners() {
+        const editBtn = document.getElementById('editAllocationBtn');
+        if (!editBtn) return;
+
+        editBtn.addEventListener('click', () => this.openAllocationEditor());
+        document.getElementById('saveAllocationBtn').addEventListener('click', () => this.saveAllocationRule());
+        document.getElementById('allocationPreset').addEventListener('change', (e) => {
+            const preset = ALLOCATION_RULE_PRESETS[e.target.value];
+            if (!preset) return;
+            document.querySelectorAll('[data-allocation-target]').forEach(input => {
+                input.value = preset[input.dataset.allocationTarget];
+            });
+            this.updateAllocationTotal();
+        });
+        document.getElementById('allocationTargets').addEventListener('input', () => {
+            document.getElementById('allocationPreset').value = this.getAllocationPreset(this.readAllocationTargets());
+            this.updateAllocationTotal();
+        });
+    }
 
-        try {
-            this.createAssetsChart();
-            this.createLiabilitiesChart();
-            this.createIncomeChart();
-            this.createExpensesChart();
-            this.calculateFinancialRatios();
-        } catch (error) {
-            console.error('Error creating charts:', error);
-        } finally {
-            // Always reset the flag immediately, regardless of success/failure
-            this.chartCreationInProgress = false;
+    // Financial Goals
+    // A goal follows one asset or liability item (by id, so it carries across roll-forwards)
+    // or a whole category. Asset goals count up to the target, which may be a number of
+    // months of expenses; liability goals count down to it, so 0 means paid off.
+    getGoals() {
+        return Array.isArray(this.data.goals) ? this.data.goals : [];
+    }
+
+    // Why a goal from a file can't be tracked, or null; such goals are left out on import
+    getGoalProblem(goal) {
+        if (!goal || typeof goal !== 'object' || Array.isArray(goal)) return 'Goal is not an object';
+        if (typeof goal.name !== 'string' || !goal.name.trim()) return 'Missing name';
+        const { link } = goal;
+        if (!link || typeof link !== 'object') return 'Missing the "link" to an item or category';
+        if (!['assets', 'liabilities'].includes(link.section)) {
+            return `Unknown link section ${JSON.stringify(link.section ?? null)}; expected "assets" or "liabilities"`;
+        }
+        if (!['item', 'category'].includes(link.by)) return `Unknown link type ${JSON.stringify(link.by ?? null)}; expected "item" or "category"`;
+        if (typeof link.value !== 'string' || !link.value) return 'Missing the linked item id or category';
+        const targetTypes = link.section === 'liabilities' ? ['amount'] : ['amount', 'expenseMonths'];
+        if (!targetTypes.includes(goal.targetType)) return `Unknown target type ${JSON.stringify(goal.targetType ?? null)}`;
+        if (typeof goal.target !== 'number' || !Number.isFinite(goal.target) || goal.target < 0) {
+            return `Target ${JSON.stringify(goal.target ?? null)} is not a number of 0 or more`;
         }
+        return null;
+    }
+
+    // Name of a linked item: stored with the goal, or (for older goals) taken from the
+    // most recent snapshot that has the id
+    getGoalItemName(goal) {
+        const { section, value, name } = goal.link;
+        if (name) return name;
+        const item = [...this.data.snapshots].sort((a, b) => this.compareSnapshotsByDate(b, a))
+            .map(snapshot => this.findItem(snapshot, section, value))
+            .find(Boolean);
+        return item ? item.name : null;
+    }
+
+    // Linked item in a snapshot, matched by id and then by name like matchItem, since
+    // hand-entered and imported items get new ids each period
+    findGoalItem(goal, snapshot) {
+        const { section, value } = goal.link;
+        const byId = this.findItem(snapshot, section, value);
+        if (byId) return byId;
+        const name = this.getGoalItemName(goal);
+        return name ? this.matchItem(snapshot, section, { id: value, name }) : null;
+    }
+
+    // Base-currency total of the goal's items in a snapshot, or null if none are in it
+    getGoalAmount(goal, snapshot) {
+        const { section, by, value } = goal.link;
+        const items = by === 'item'
+            ? [this.findGoalItem(goal, snapshot)].filter(Boolean)
+            : snapshot.data[section].filter(item => item[CATEGORY_REGISTRY_FIELDS[section].field] === value);
+        return items.length ? this.sumBaseAmounts(items, snapshot) : null;
+    }
+
+    describeGoalLink(goal) {
+        const { section, by, value } = goal.link;
+        if (by === 'category') {
+            return `${this.getCategoryLabel(section, value)} (${section === 'assets' ? 'asset category' : 'liability term'})`;
+        }
+        return this.getGoalItemName(goal) || 'a removed item';
     }
 
-    createAssetsChart() {
-        const snapshot = this.getCurrentSnapshot();
-        if (!snapshot || snapshot.data.assets.length === 0) {
-            this.drawEmptyChart('assetsChart', 'Assets Breakdown');
-            return;
+    calculateGoalProgress(goal, snapshot) {
+        const summary = this.calculateSummary(snapshot);
+        const paying = goal.link.section === 'liabilities';
+        const current = this.getGoalAmount(goal, snapshot);
+        const amount = current || 0;
+        const target = goal.targetType === 'expenseMonths' ? goal.target * summary.totalExpenses : goal.target;
+
+        // A missing liability has been paid off; a missing asset says nothing about progress
+        if (current === null && !paying) {
+            return {
+                current, target, progress: null, remaining: null, monthsLeft: null, required: null,
+                savings: summary.savings, trendPerMonth: null, projectedDate: null, trendAvailable: false
+            };
         }
 
-        // Group assets by category
-        const categoryData = {};
-        snapshot.data.assets.forEach(item => {
-            const category = item.category || 'other';
-            categoryData[category] = (categoryData[category] || 0) + item.amount;
-        });
+        // Snapshots up to this one that hold the goal's items, oldest first
+        const history = this.data.snapshots
+            .filter(entry => this.compareSnapshotsByDate(entry, snapshot) <= 0)
+            .sort((a, b) => this.compareSnapshotsByDate(a, b))
+            .map(entry => ({ snapshot: entry, amount: this.getGoalAmount(goal, entry) }))
+            .filter(point => point.amount !== null);
+
+        let progress;
+        let remaining;
+        if (paying) {
+            const start = history.length ? Math.max(history[0].amount, amount) : amount;
+            remaining = Math.max(0, amount - target);
+            progress = start > target ? (start - amount) / (start - target) : remaining === 0 ? 1 : 0;
+        } else {
+            remaining = Math.max(0, target - amount);
+            progress = target > 0 ? amount / target : 1;
+        }
 
-        const labels = Object.keys(categoryData).map(key => this.getAssetCategoryChartLabel(key));
-        const data = Object.values(categoryData);
-        const colors = this.getAssetCategoryColors(Object.keys(categoryData));
+        const monthsLeft = this.isValidAsOfDate(goal.targetDate)
+            ? Math.max(0, (this.formatter.parseDate(goal.targetDate) - this.getSnapshotTime(snapshot)) / 86400000 / (365.25 / 12))
+            : null;
+        let required = null;
+        if (remaining > 0 && monthsLeft !== null) {
+            required = monthsLeft >= 1 ? remaining / monthsLeft : remaining;
+        }
 
-        this.drawPieChart('assetsChart', labels, data, colors, 'Assets Breakdown');
+        // Least-squares slope per month across the history gives the projection
+        let trendPerMonth = null;
+        let projectedDate = null;
+        let trendAvailable = false;
+        if (history.length >= 2) {
+            const points = history.map(point => ({ x: this.getMonthsBetween(history[0].snapshot, point.snapshot), y: point.amount }));
+            const meanX = points.reduce((sum, p) => sum + p.x, 0) / points.length;
+            const meanY = points.reduce((sum, p) => sum + p.y, 0) / points.length;
+            const spread = points.reduce((sum, p) => sum + (p.x - meanX) ** 2, 0);
+            if (spread > 0) {
+                trendAvailable = true;
+                trendPerMonth = points.reduce((sum, p) => sum + (p.x - meanX) * (p.y - meanY), 0) / spread;
+                const towardTarget = paying ? -trendPerMonth : trendPerMonth;
+                if (remaining > 0 && towardTarget > 0) {
+                    const start = this.formatter.parseDate(this.getSnapshotDate(snapshot));
+                    projectedDate = this.toDateInputValue(new Date(start.getFullYear(), start.getMonth() + Math.ceil(remaining / towardTarget), start.getDate()));
+                }
+            }
+        }
+
+        return {
+            current,
+            target,
+            progress: Math.min(1, Math.max(0, progress)),
+            remaining,
+            monthsLeft,
+            required,
+            savings: summary.savings,
+            trendPerMonth,
+            projectedDate,
+            trendAvailable
+        };
     }
 
-    createLiabilitiesChart() {
+    updateGoals() {
+        const list = document.getElementById('goalsList');
+        if (!list) return;
+
         const snapshot = this.getCurrentSnapshot();
-        if (!snapshot || snapshot.data.liabilities.length === 0) {
-            this.drawEmptyChart('liabilitiesChart', 'Liabilities Breakdown');
+        const goals = this.getGoals();
+        if (goals.length === 0 || !snapshot) {
+            list.innerHTML = `<p class="trends-empty">${goals.length === 0
+                ? 'No goals yet. Add one to track an emergency fund, a down payment or paying off a loan.'
+                : 'Select a snapshot to see progress on your goals.'}</p>`;
             return;
         }
 
-        // Group liabilities by term
-        const termData = {};
-        snapshot.data.liabilities.forEach(item => {
-            const term = item.term || 'other';
-            termData[term] = (termData[term] || 0) + item.amount;
-        });
+        list.innerHTML = goals.map(goal => this.renderGoalCard(goal, snapshot)).join('');
+    }
 
-        const labels = Object.keys(termData).map(key => this.getLiabilityTermChartLabel(key));
-        const data = Object.values(termData);
+    renderGoalCard(goal, snapshot) {
+        const result = this.calculateGoalProgress(goal, snapshot);
+        const paying = goal.link.section === 'liabilities';
+        const percent = result.progress === null ? null : Math.round(result.progress * 100);
+        const targetText = goal.targetType === 'expenseMonths'
+            ? `${this.formatCurrency(result.target)} (${this.formatter.formatNumber(goal.target, 1)} months of expenses)`
+            : this.formatCurrency(result.target);
 
-        // Assign different colors for liability terms
-        const colors = this.getLiabilityTermColors(Object.keys(termData));
+        const details = [];
+        if (result.current === null) {
+            details.push(`<div class="trend-date">Not in this snapshot${paying ? ', so counted as paid off' : ''}</div>`);
+        }
+        if (result.progress === null) {
+            // A missing asset has nothing to measure in this snapshot
+        } else if (result.remaining === 0) {
+            details.push(`<div class="trend-delta positive">${paying ? 'Paid down to the target' : 'Target reached'} 🎉</div>`);
+        } else {
+            if (result.monthsLeft !== null) {
+                details.push(`<div>Target date: ${this.formatter.formatMonth(goal.targetDate)} (${this.formatPayoffDuration(Math.round(result.monthsLeft))} left)</div>`);
+                const onTrack = result.savings >= result.required;
+                details.push(`
+                    <div>Needed per month: ${this.formatCurrency(result.required)} · monthly surplus ${this.formatCurrency(result.savings)}</div>
+                    <div class="trend-delta ${onTrack ? 'positive' : 'negative'}">${onTrack ? 'Surplus covers it' : `Short by ${this.formatCurrency(result.required - result.savings)} a month`}</div>
+                `);
+            }
+            if (!result.trendAvailable) {
+                details.push('<div class="trend-date">A projected date needs this goal in at least two snapshots with different dates.</div>');
+            } else if (result.projectedDate) {
+                details.push(`<div>Projected: ${this.formatter.formatMonth(result.projectedDate)} at the current trend (${this.formatCurrency(Math.abs(result.trendPerMonth))} a month)</div>`);
+            } else {
+                details.push(`<div class="trend-delta negative">Not moving toward the target across your snapshots</div>`);
+            }
+        }
 
-        this.drawPieChart('liabilitiesChart', labels, data, colors, 'Liabilities Breakdown');
+        return `
+            <div class="goal-card">
+                <div class="goal-card-header">
+                    <h3>${this.escapeHtml(goal.name)}</h3>
+                    <div>
+                        <button type="button" class="btn btn-secondary btn-small" data-goal-edit="${this.escapeHtml(goal.id)}" title="Edit goal">✏️</button>
+                        <button type="button" class="btn btn-secondary btn-small" data-goal-delete="${this.escapeHtml(goal.id)}" title="Delete goal">🗑️</button>
+                    </div>
+                </div>
+                <div class="trend-date">${paying ? 'Paying down' : 'Saving in'} ${this.escapeHtml(this.describeGoalLink(goal))}</div>
+                <div class="goal-figures">
+                    <span>${result.current === null && !paying ? '—' : this.formatCurrency(result.current || 0)} ${paying ? 'left, target' : 'of'} ${targetText}</span>
+                    <strong>${percent === null ? '—' : `${percent}%`}</strong>
+                </div>
+                ${percent === null ? '' : `<div class="progress-bar"><div class="progress-fill" style="width: ${percent}%"></div></div>`}
+                <div class="goal-details">${details.join('')}</div>
+            </div>
+        `;
     }
 
-    createIncomeChart() {
+    openGoalEditor(goalId = null) {
         const snapshot = this.getCurrentSnapshot();
-        if (!snapshot || snapshot.data.incomes.length === 0) {
-            this.drawEmptyChart('incomeChart', 'Income Breakdown');
+        if (!snapshot) {
+            this.showMessage('Create a snapshot before adding goals', 'error');
+            return;
+        }
+
+        const goal = this.getGoals().find(entry => entry.id === goalId) || null;
+        this.editingGoalId = goal ? goal.id : null;
+
+        const option = (value, label) => `<option value="${this.escapeHtml(value)}">${this.escapeHtml(label)}</option>`;
+        const itemOptions = section => snapshot.data[section].map(item => option(`${section}|item|${item.id}`, item.name)).join('');
+        const categoryOptions = section => this.getCategoryEntries(section).map(entry => option(`${section}|category|${entry.value}`, entry.label)).join('');
+        let linkOptions = `
+            <optgroup label="Asset categories">${categoryOptions('assets')}</optgroup>
+            <optgroup label="Assets">${itemOptions('assets')}</optgroup>
+            <optgroup label="Liability terms">${categoryOptions('liabilities')}</optgroup>
+            <optgroup label="Liabilities">${itemOptions('liabilities')}</optgroup>
+        `;
+        const linkValue = goal ? `${goal.link.section}|${goal.link.by}|${goal.link.value}` : 'assets|category|cash';
+        // Keep the link of an item that isn't in this snapshot selectable
+        if (goal && !linkOptions.includes(`value="${this.escapeHtml(linkValue)}"`)) {
+            linkOptions = option(linkValue, this.describeGoalLink(goal)) + linkOptions;
+        }
+
+        const select = document.getElementById('goalLink');
+        select.innerHTML = linkOptions;
+        select.value = linkValue;
+        document.getElementById('goalModalTitle').textContent = goal ? 'Edit Goal' : 'Add Goal';
+        document.getElementById('goalName').value = goal ? goal.name : '';
+        document.getElementById('goalTargetType').value = goal ? goal.targetType : 'amount';
+        document.getElementById('goalTarget').value = goal ? goal.target : '';
+        document.getElementById('goalTargetDate').value = goal ? goal.targetDate || '' : '';
+        this.updateGoalTargetTypeOptions();
+        this.openModal('goalModal');
+        document.getElementById('goalName').focus();
+    }
+
+    // Months of expenses only make sense for something being saved up
+    updateGoalTargetTypeOptions() {
+        const paying = document.getElementById('goalLink').value.startsWith('liabilities|');
+        const typeSelect = document.getElementById('goalTargetType');
+        typeSelect.querySelector('option[value="expenseMonths"]').disabled = paying;
+        if (paying) typeSelect.value = 'amount';
+        document.getElementById('goalTargetHelp').textContent = paying
+            ? 'The balance to pay down to; 0 means paid off.'
+            : 'The balance to save up to, or a number of months of this snapshot\'s expenses.';
+    }
+
+    saveGoal() {
+        const name = document.getElementById('goalName').value.trim();
+        const [section, by, ...rest] = document.getElementById('goalLink').value.split('|');
+        const targetType = document.getElementById('goalTargetType').value;
+        const target = parseFloat(document.getElementById('goalTarget').value);
+        const targetDate = document.getElementById('goalTargetDate').value;
+
+        if (!name) {
+            this.showMessage('Please enter a name for the goal', 'error');
+            return;
+        }
+        if (isNaN(target) || target < 0 || (targetType === 'expenseMonths' && target === 0)) {
+            this.showMessage('Please enter a target of 0 or more', 'error');
+            return;
+        }
+        if (targetDate && !this.isValidAsOfDate(targetDate)) {
+            this.showMessage('Please choose a valid target date', 'error');
             return;
         }
 
-        // Group income by category
-        const categoryData = {};
-        snapshot.data.incomes.forEach(item => {
-            const category = item.category || 'other';
-            categoryData[category] = (categoryData[category] || 0) + item.amount;
-        });
+        const existing = this.getGoals().find(goal => goal.id === this.editingGoalId);
+        const link = { section, by, value: rest.join('|') };
+        if (by === 'item') {
+            // The name lets later snapshots find the item when its id differs
+            const item = this.findItem(this.getCurrentSnapshot(), section, link.value);
+            const name = item ? item.name : existing && existing.link.value === link.value ? this.getGoalItemName(existing) : null;
+            if (name) link.name = name;
+        }
+        const goal = {
+            id: existing ? existing.id : this.generateId(),
+            name,
+            link,
+            targetType: section === 'liabilities' ? 'amount' : targetType,
+            target,
+            targetDate: targetDate || '',
+            createdAt: existing ? existing.createdAt : new Date().toISOString()
+        };
+
+        this.recordHistory(existing ? `Edit goal "${name}"` : `Add goal "${name}"`);
+        this.data.goals = existing
+            ? this.getGoals().map(entry => entry.id === goal.id ? goal : entry)
+            : [...this.getGoals(), goal];
+        this.editingGoalId = null;
+        this.saveData();
+        this.closeModal('goalModal');
+        this.updateGoals();
+        this.showUndoableMessage(existing ? 'Goal updated' : 'Goal added');
+    }
 
-        const labels = Object.keys(categoryData).map(key => this.getIncomeCategoryChartLabel(key));
-        const data = Object.values(categoryData);
-        const colors = this.getIncomeCategoryColors(Object.keys(categoryData));
+    deleteGoal(goalId) {
+        const goal = this.getGoals().find(entry => entry.id === goalId);
+        if (!goal || !confirm(`Delete the goal "${goal.name}"?`)) return;
 
-        this.drawPieChart('incomeChart', labels, data, colors, 'Income Breakdown');
+        this.recordHistory(`Delete goal "${goal.name}"`);
+        this.data.goals = this.getGoals().filter(entry => entry.id !== goalId);
+        this.saveData();
+        this.updateGoals();
+        this.showUndoableMessage('Goal deleted');
     }
 
-    createExpensesChart() {
-        const snapshot = this.getCurrentSnapshot();
-        if (!snapshot || snapshot.data.expenses.length === 0) {
-            this.drawEmptyChart('expensesChart', 'Expenses Breakdown');
-            return;
-        }
+    bindGoalListeners() {
+        const list = document.getElementById('goalsList');
+        if (!list) return;
 
-        // Group expenses by category
-        const categoryData = {};
-        snapshot.data.expenses.forEach(item => {
-            const category = item.category || 'other';
-            categoryData[category] = (categoryData[category] || 0) + item.amount;
-        });
+        document.getElementById('addGoalBtn').addEventListener('click', () => this.openGoalEditor());
+        document.getElementById('saveGoalBtn').addEventListener('click', () => this.saveGoal());
+        document.getElementById('goalLink').addEventListener('change', () => this.updateGoalTargetTypeOptions());
 
-        const labels = Object.keys(categoryData).map(key => this.getExpenseCategoryChartLabel(key));
-        const data = Object.values(categoryData);
-        const colors = this.getExpenseCategoryColors(Object.keys(categoryData));
+        list.addEventListener('click', (e) => {
+            const edit = e.target.closest('[data-goal-edit]');
+            const remove = e.target.closest('[data-goal-delete]');
+            if (edit) {
+                this.openGoalEditor(edit.dataset.goalEdit);
+            } else if (remove) {
+                this.deleteGoal(remove.dataset.goalDelete);
+            }
+        });
+    }
 
-        this.drawPieChart('expensesChart', labels, data, colors, 'Expenses Breakdown');
+    // Debt Payoff Planner
+    // Simulates the current snapshot's liabilities month by month in base currency:
+    // interest accrues, every debt gets its minimum payment, and the extra payment plus
+    // minimums freed by paid-off debts go to the first open debt in the strategy's order.
+    getPayoffDebts(snapshot) {
+        const notes = [];
+        const debts = [];
+        snapshot.data.liabilities.forEach(item => {
+            const balance = this.getBaseAmount(item, snapshot);
+            if (balance === null) {
+                notes.push(`${item.name} is left out: no ${this.getItemCurrency(item)} exchange rate in this snapshot.`);
+                return;
+            }
+            if (balance <= 0) return;
+
+            const payment = this.getLiabilityMonthlyPayment(item, snapshot);
+            if (typeof item.apr !== 'number') notes.push(`${item.name} has no APR; it is treated as interest-free.`);
+            if (payment === null) notes.push(`${item.name} has no minimum payment or term; only extra payments reduce it.`);
+            // Interest on the opening balance; a payment at or below it never clears the debt alone
+            const interest = balance * (item.apr || 0) / 100 / 12;
+            if (payment > 0 && payment <= interest) {
+                notes.push(`${item.name}'s minimum payment (${this.formatCurrency(payment)}) does not cover its monthly interest (${this.formatCurrency(interest)}), so minimums alone never pay it off.`);
+            }
+            debts.push({
+                id: item.id,
+                name: item.name,
+                balance,
+                apr: typeof item.apr === 'number' ? item.apr : null,
+                monthlyRate: (item.apr || 0) / 100 / 12,
+                payment: payment || 0
+            });
+        });
+        return { debts, notes };
     }
 
-    drawPieChart(canvasId, labels, data, colors, title) {
-        const ctx = document.getElementById(canvasId);
-        if (!ctx) {
-            console.log(`Canvas ${canvasId} not found`);
-            return;
+    getPayoffOrder(strategy, debts) {
+        if (strategy === 'minimum') return [];
+        if (strategy === 'avalanche') {
+            return [...debts].sort((a, b) => (b.apr || 0) - (a.apr || 0) || a.balance - b.balance).map(debt => debt.id);
         }
-
-        // Destroy existing chart if it exists
-        if (this.charts && this.charts[canvasId]) {
-            try {
-                this.charts[canvasId].destroy();
-            } catch (e) {
-                console.log(`Error destroying chart ${canvasId}:`, e);
-            }
+        if (strategy === 'snowball') {
+            return [...debts].sort((a, b) => a.balance - b.balance || (b.apr || 0) - (a.apr || 0)).map(debt => debt.id);
         }
-
-        this.charts = this.charts || {};
-
-        const total = data.reduce((sum, value) => sum + value, 0);
-
-        try {
-            const toOpaque = (hex) => {
-                if (typeof hex !== 'string') return hex;
-                return hex.length === 9 ? hex.slice(0, 7) + 'ff' : hex;
+        // Custom: the user's order, then any debts not placed yet in table order
+        const ids = debts.map(debt => debt.id);
+        const ordered = this.payoffCustomOrder.filter(id => ids.includes(id));
+        return [...ordered, ...ids.filter(id => !ordered.includes(id))];
+    }
+
+    // { months (null if not paid off within DEBT_PAYOFF_MAX_MONTHS), totalInterest,
+    //   payoffMonths: { id: month|null }, totals: [remaining debt after each month] }
+    simulateDebtPayoff(debts, order, extra) {
+        const balances = new Map(debts.map(debt => [debt.id, debt.balance]));
+        const payoffMonths = Object.fromEntries(debts.map(debt => [debt.id, null]));
+        const budget = debts.reduce((sum, debt) => sum + debt.payment, 0) + extra;
+        const remaining = () => [...balances.values()].reduce((sum, balance) => sum + balance, 0);
+        const totals = [remaining()];
+        let totalInterest = 0;
+        let month = 0;
+
+        while (remaining() > 0 && month < DEBT_PAYOFF_MAX_MONTHS) {
+            month++;
+            let available = budget;
+            const pay = (id, amount) => {
+                const paid = Math.min(amount, balances.get(id), available);
+                balances.set(id, balances.get(id) - paid);
+                available -= paid;
             };
 
-            this.charts[canvasId] = new Chart(ctx, {
-                type: 'pie',
-                data: {
-                    labels: labels,
-                    datasets: [{
-                        data: data,
-                        backgroundColor: colors,
-                        borderColor: colors.map(toOpaque),
-                        borderWidth: 2,
-                    }]
-                },
-                options: {
-                    responsive: true,
-                    plugins: {
-                        legend: {
-                            position: 'bottom',
-                            labels: {
-                                padding: 10,
-                                font: {
-                                    size: 10
-                                },
-                                generateLabels: function(chart) {
-                                    const data = chart.data;
-                                    if (data.labels.length && data.datasets.length) {
-                                        return data.labels.map((label, i) => {
-                                            const value = data.datasets[0].data[i];
-                                            const percentage = total > 0 ? ((value / total) * 100).toFixed(1) : 0;
+            debts.forEach(debt => {
+                const interest = balances.get(debt.id) * debt.monthlyRate;
+                balances.set(debt.id, balances.get(debt.id) + interest);
+                totalInterest += interest;
+            });
+            debts.forEach(debt => pay(debt.id, debt.payment));
+            order.forEach(id => pay(id, available));
 
-                                            return {
-                                                text: `${label} (${percentage}%)`,
-                                                fillStyle: data.datasets[0].backgroundColor[i],
-                                                strokeStyle: data.datasets[0].backgroundColor[i],
-                                                lineWidth: 2,
-                                                hidden: false,
-                                                index: i
-                                            };
-                                        });
-                                    }
-                                    return [];
-                                }
-                            }
-                        },
-                        tooltip: {
-                            callbacks: {
-                                label: function(context) {
-                                    const value = context.parsed;
-                                    const percentage = total > 0 ? ((value / total) * 100).toFixed(1) : 0;
-                                    const formattedValue = '$' + value.toLocaleString();
-                                    return `${context.label}: ${formattedValue} (${percentage}%)`;
-                                }
-                            }
-                        }
-                    }
-                }
+            debts.forEach(debt => {
+                // Sub-cent leftovers count as paid off
+                if (balances.get(debt.id) < 0.005) balances.set(debt.id, 0);
+                if (balances.get(debt.id) === 0 && payoffMonths[debt.id] === null) payoffMonths[debt.id] = month;
             });
-        } catch (chartError) {
-            console.error(`Error creating chart ${canvasId}:`, chartError);
-            // Fallback: try to create a simple empty chart
-            try {
-                this.charts[canvasId] = new Chart(ctx, {
-                    type: 'pie',
-                    data: {
-                        labels: ['Error'],
-                        datasets: [{
-                            data: [1],
-                            backgroundColor: ['#dc3545']
-                        }]
-                    }
-                });
-            } catch (fallbackError) {
-                console.error(`Fallback chart failed for ${canvasId}:`, fallbackError);
-            }
+            totals.push(remaining());
         }
+
+        return { months: remaining() > 0 ? null : month, totalInterest, payoffMonths, totals };
     }
 
-    drawEmptyChart(canvasId, title) {
-        const ctx = document.getElementById(canvasId);
-        if (!ctx) return;
+    getPayoffDate(snapshot, months) {
+        const start = this.formatter.parseDate(this.getSnapshotDate(snapshot));
+        return this.toDateInputValue(new Date(start.getFullYear(), start.getMonth() + months, 1));
+    }
 
-        // Clear any existing chart
-        if (this.charts && this.charts[canvasId]) {
-            this.charts[canvasId].destroy();
+    // "3 yr 4 mo"
+    formatPayoffDuration(months) {
+        const years = Math.floor(months / 12);
+        const rest = months % 12;
+        return [years ? `${years} yr` : '', rest || !years ? `${rest} mo` : ''].filter(Boolean).join(' ');
+    }
+
+    updatePayoffPlanner() {
+        const section = document.querySelector('.payoff-section');
+        if (!section) return;
+
+        const snapshot = this.getAnalysisSnapshot();
+        const { debts, notes } = snapshot ? this.getPayoffDebts(snapshot) : { debts: [], notes: [] };
+        const surplus = snapshot ? this.calculateSummary(snapshot).savings : 0;
+        const extra = this.payoffExtra === null ? Math.max(0, surplus) : this.payoffExtra;
+
+        const extraInput = document.getElementById('payoffExtraPayment');
+        if (extraInput && document.activeElement !== extraInput) {
+            extraInput.value = Math.round(extra * 100) / 100;
         }
+        document.getElementById('payoffExtraHint').textContent = surplus > 0
+            ? `Monthly surplus in this snapshot: ${this.formatCurrency(surplus)}`
+            : 'This snapshot has no monthly surplus; enter an amount to try one.';
 
-        this.charts = this.charts || {};
+        const note = document.getElementById('payoffNote');
+        const messages = debts.length === 0 ? ['Add liabilities to this snapshot to plan paying them off.'] : notes;
+        note.textContent = messages.join(' ');
+        note.style.display = messages.length ? 'block' : 'none';
 
-        this.charts[canvasId] = new Chart(ctx, {
-            type: 'pie',
-            data: {
-                labels: ['No Data'],
-                datasets: [{
-                    data: [1],
-                    backgroundColor: ['#e9ecef'],
-                    borderColor: ['#dee2e6'],
-                    borderWidth: 1,
-                }]
-            },
-            options: {
-                responsive: true,
-                plugins: {
-                    legend: {
-                        position: 'bottom',
-                        labels: {
-                            padding: 10,
-                            font: {
-                                size: 10
-                            }
-                        }
-                    }
-                }
-            }
-        });
+        const results = DEBT_PAYOFF_STRATEGIES.map(strategy => ({
+            ...strategy,
+            result: this.simulateDebtPayoff(debts, this.getPayoffOrder(strategy.key, debts), strategy.key === 'minimum' ? 0 : extra)
+        }));
+
+        this.renderPayoffStrategyTable(snapshot, debts, results);
+        this.renderPayoffDebtTable(snapshot, debts, results);
+        this.drawPayoffChart(snapshot, debts, results);
     }
 
-    // Chart label and color getters
-    getAssetCategoryChartLabel(category) {
-        const labels = {
-            'cash': 'Cash Equivalents',
-            'investments': 'Investments',
-            'retirement': 'Retirement',
-            'property': 'Property',
-            'vehicles': 'Vehicles',
-            'insurance': 'Insurance',
-            'other': 'Other Assets'
-        };
-        return labels[category] || category;
+    renderPayoffStrategyTable(snapshot, debts, results) {
+        const table = document.getElementById('payoffStrategyTable');
+        table.querySelector('thead').innerHTML = `
+            <tr><th>Strategy</th><th>Debt-Free By</th><th>Time</th><th>Total Interest</th><th>Interest Saved</th></tr>
+        `;
+        const tbody = table.querySelector('tbody');
+        if (debts.length === 0) {
+            tbody.innerHTML = '<tr><td colspan="5" class="trends-empty">No debts to pay off</td></tr>';
+            return;
+        }
+
+        // Interest over a plan that never finishes is just the 50-year cutoff, not a real total
+        const baseline = results[0].result;
+        tbody.innerHTML = results.map(({ label, result }, index) => {
+            const saved = baseline.totalInterest - result.totalInterest;
+            return `
+                <tr>
+                    <td>${this.escapeHtml(label)}</td>
+                    <td>${result.months === null ? 'Not within 50 years' : this.formatter.formatMonth(this.getPayoffDate(snapshot, result.months))}</td>
+                    <td>${result.months === null ? '—' : this.formatPayoffDuration(result.months)}</td>
+                    <td>${result.months === null ? '—' : this.formatCurrency(result.totalInterest)}</td>
+                    <td>${index === 0 || baseline.months === null || result.months === null ? '—' : `<span class="trend-delta ${saved > 0.005 ? 'positive' : ''}">${this.formatCurrency(saved)}</span>`}</td>
+                </tr>
+            `;
+        }).join('');
     }
 
-    getAssetCategoryColors(categories) {
-        const colors = {
-            'cash': '#28a745',
-            'investments': '#ffc107',
-            'retirement': '#17a2b8',
-            'property': '#6f42c1',
-            'vehicles': '#fd7e14',
-            'insurance': '#dc3545',
-            'other': '#6c757d'
-        };
+    // One row per debt in custom order, with its payoff date under each strategy
+    renderPayoffDebtTable(snapshot, debts, results) {
+        const table = document.getElementById('payoffDebtTable');
+        table.querySelector('thead').innerHTML = `
+            <tr>
+                <th>Custom Order</th><th>Debt</th><th>Balance</th><th>APR</th><th>Minimum</th>
+                ${results.map(({ key, label }) => `<th>${key === 'minimum' ? 'Minimums Only' : this.escapeHtml(label.split(' (')[0])}</th>`).join('')}
+            </tr>
+        `;
+        const tbody = table.querySelector('tbody');
+        if (debts.length === 0) {
+            tbody.innerHTML = `<tr><td colspan="${5 + results.length}" class="trends-empty">No debts to pay off</td></tr>`;
+            return;
+        }
 
-        return categories.map(cat => colors[cat] ? colors[cat] + '80' : '#6c757d80');
+        const order = this.getPayoffOrder('custom', debts);
+        tbody.innerHTML = order.map((id, position) => {
+            const debt = debts.find(entry => entry.id === id);
+            const payoffCells = results.map(({ result }) => {
+                const month = result.payoffMonths[id];
+                return `<td>${month === null ? '—' : `<div>${this.formatter.formatMonth(this.getPayoffDate(snapshot, month))}</div><div class="trend-date">${this.formatPayoffDuration(month)}</div>`}</td>`;
+            }).join('');
+            return `
+                <tr>
+                    <td>
+                        <button type="button" class="btn btn-secondary btn-small" data-payoff-move="-1" data-payoff-id="${this.escapeHtml(id)}" ${position === 0 ? 'disabled' : ''} title="Pay earlier">↑</button>
+                        <button type="button" class="btn btn-secondary btn-small" data-payoff-move="1" data-payoff-id="${this.escapeHtml(id)}" ${position === order.length - 1 ? 'disabled' : ''} title="Pay later">↓</button>
+                    </td>
+                    <td>${this.escapeHtml(debt.name)}</td>
+                    <td>${this.formatCurrency(debt.balance)}</td>
+                    <td>${debt.apr === null ? '—' : this.formatter.formatPercent(debt.apr, 2)}</td>
+                    <td>${this.formatCurrency(debt.payment)}</td>
+                    ${payoffCells}
+                </tr>
+            `;
+        }).join('');
     }
 
-    getLiabilityTermChartLabel(term) {
-        const labels = {
-            'short-term': 'Short-Term',
-            'medium-term': 'Medium-Term',
-            'long-term': 'Long-Term',
-            'other': 'Other'
-        };
-        return labels[term] || term;
+    drawPayoffChart(snapshot, debts, results) {
+        const longest = Math.max(0, ...results.map(({ result }) => result.totals.length - 1));
+        // Long plans are plotted at most ~120 points apart so the chart stays readable
+        const step = Math.max(1, Math.ceil(longest / 120));
+        const months = [];
+        for (let month = 0; month <= longest; month += step) months.push(month);
+        if (months[months.length - 1] !== longest) months.push(longest);
+
+        const labels = snapshot && debts.length ? months.map(month => this.formatter.formatMonth(this.getPayoffDate(snapshot, month))) : [];
+        this.drawLineChart('payoffBalanceChart', labels, results.map(({ label, color, result }) => ({
+            label,
+            color,
+            data: months.map(month => result.totals[Math.min(month, result.totals.length - 1)])
+        })), 'currency', 0);
     }
 
-    getLiabilityTermColors(terms) {
-        const colors = {
-            'short-term': '#fd7e14',
-            'medium-term': '#ffc107',
-            'long-term': '#dc3545',
-            'other': '#6c757d'
-        };
+    movePayoffDebt(id, direction) {
+        const snapshot = this.getAnalysisSnapshot();
+        if (!snapshot) return;
+        const order = this.getPayoffOrder('custom', this.getPayoffDebts(snapshot).debts);
+        const index = order.indexOf(id);
+        const target = index + direction;
+        if (index === -1 || target < 0 || target >= order.length) return;
+        [order[index], order[target]] = [order[target], order[index]];
+        this.payoffCustomOrder = order;
+        this.updatePayoffPlanner();
+    }
+
+    bindPayoffPlannerListeners() {
+        const extraInput = document.getElementById('payoffExtraPayment');
+        if (!extraInput) return;
+
+        extraInput.addEventListener('change', () => {
+            const value = parseFloat(extraInput.value);
+            this.payoffExtra = isNaN(value) ? null : Math.max(0, value);
+            this.updatePayoffPlanner();
+        });
+
+        document.getElementById('payoffUseSurplusBtn').addEventListener('click', () => {
+            this.payoffExtra = null;
+            this.updatePayoffPlanner();
+        });
 
-        return terms.map(term => colors[term] ? colors[term] + '80' : '#6c757d80');
+        document.getElementById('payoffDebtTable').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-payoff-move]');
+            if (button) {
+                this.movePayoffDebt(button.dataset.payoffId, parseInt(button.dataset.payoffMove, 10));
+            }
+        });
     }
 
-    getIncomeCategoryChartLabel(category) {
-        const labels = {
-            'employment': 'Employment',
-            'business': 'Business',
-            'passive': 'Passive',
-            'other': 'Other'
-        };
-        return labels[category] || category;
+    // What-if Scenarios
+    // Overrides (income change, market shock, dropped expenses, a new loan) are applied to
+    // a copy of the current snapshot. Summary, ratios, breakdown charts, budgets, allocation
+    // and the payoff planner read that copy; the tables and the stored snapshot never change.
+    getScenarios() {
+        return Array.isArray(this.data.scenarios) ? this.data.scenarios : [];
     }
 
-    getIncomeCategoryColors(categories) {
-        const colors = {
-            'employment': '#28a745',
-            'business': '#007bff',
-            'passive': '#17a2b8',
-            'other': '#6c757d'
+    // Stored overrides over the defaults; fields of the wrong type (hand-edited or
+    // imported files) fall back to the default
+    createScenarioOverrides(overrides = {}) {
+        const defaults = JSON.parse(JSON.stringify(DEFAULT_SCENARIO_OVERRIDES));
+        const source = overrides && typeof overrides === 'object' ? overrides : {};
+        const loan = source.newLoan && typeof source.newLoan === 'object' ? source.newLoan : {};
+        const number = (value, fallback) => typeof value === 'number' && Number.isFinite(value) ? value : fallback;
+        const text = (value, fallback) => typeof value === 'string' ? value : fallback;
+        const texts = (value, fallback) => Array.isArray(value) ? value.filter(entry => typeof entry === 'string') : fallback;
+
+        return {
+            incomeChange: number(source.incomeChange, defaults.incomeChange),
+            incomeCategory: text(source.incomeCategory, defaults.incomeCategory),
+            marketShock: number(source.marketShock, defaults.marketShock),
+            shockCategories: texts(source.shockCategories, defaults.shockCategories),
+            droppedExpenses: texts(source.droppedExpenses, defaults.droppedExpenses),
+            newLoan: {
+                name: text(loan.name, defaults.newLoan.name),
+                amount: Math.max(0, number(loan.amount, defaults.newLoan.amount)),
+                apr: number(loan.apr, defaults.newLoan.apr),
+                minPayment: number(loan.minPayment, defaults.newLoan.minPayment),
+                remainingMonths: number(loan.remainingMonths, defaults.newLoan.remainingMonths),
+                term: text(loan.term, defaults.newLoan.term),
+                proceedsCategory: text(loan.proceedsCategory, defaults.newLoan.proceedsCategory)
+            }
         };
+    }
 
-        return categories.map(cat => colors[cat] ? colors[cat] + '80' : '#6c757d80');
+    // Why a scenario from a file can't be used, or null; such scenarios are left out on import
+    getScenarioProblem(scenario) {
+        if (!scenario || typeof scenario !== 'object' || Array.isArray(scenario)) return 'Scenario is not an object';
+        if (typeof scenario.name !== 'string' || !scenario.name.trim()) return 'Missing name';
+        if (!scenario.overrides || typeof scenario.overrides !== 'object' || Array.isArray(scenario.overrides)) {
+            return 'Missing the "overrides" object';
+        }
+        return null;
     }
 
-    getExpenseCategoryChartLabel(category) {
-        const labels = {
-            'essential': 'Essential/Fixed',
-            'variable': 'Variable/Living',
-            'discretionary': 'Discretionary',
-            'other': 'Other'
-        };
-        return labels[category] || category;
+    // Snapshot the analysis views show: the current one, or its scenario copy
+    getAnalysisSnapshot() {
+        const snapshot = this.getCurrentSnapshot();
+        return snapshot && this.scenario ? this.applyScenario(snapshot, this.scenario.overrides) : snapshot;
     }
 
-    getExpenseCategoryColors(categories) {
-        const colors = {
-            'essential': '#dc3545',
-            'variable': '#fd7e14',
-            'discretionary': '#ffc107',
-            'other': '#6c757d'
-        };
+    applyScenario(snapshot, overrides) {
+        const scenario = JSON.parse(JSON.stringify(snapshot));
+        const data = scenario.data;
+        const scale = percent => 1 + (percent || 0) / 100;
 
-        return categories.map(cat => colors[cat] ? colors[cat] + '80' : '#6c757d80');
+        data.incomes.forEach(item => {
+            if (!overrides.incomeCategory || item.category === overrides.incomeCategory) {
+                item.amount *= scale(overrides.incomeChange);
+            }
+        });
+        data.assets.forEach(item => {
+            if (overrides.shockCategories.includes(item.category)) {
+                item.amount *= scale(overrides.marketShock);
+            }
+        });
+        const dropped = new Set(overrides.droppedExpenses.map(name => name.trim().toLowerCase()));
+        data.expenses = data.expenses.filter(item => !dropped.has(item.name.trim().toLowerCase()));
+
+        // The loan's payment becomes an expense; what it paid for can be added as an asset
+        const loan = overrides.newLoan;
+        if (loan.amount > 0) {
+            const name = loan.name.trim() || 'New loan';
+            const currency = this.getBaseCurrency();
+            data.liabilities.push({
+                id: 'scenario-loan', name, amount: loan.amount, currency, term: loan.term,
+                ...Object.fromEntries(['apr', 'minPayment', 'remainingMonths']
+                    .filter(field => typeof loan[field] === 'number').map(field => [field, loan[field]]))
+            });
+            const payment = this.getLiabilityMonthlyPayment(data.liabilities[data.liabilities.length - 1], scenario);
+            if (payment > 0) {
+                data.expenses.push({ id: 'scenario-loan-payment', name: `${name} payment`, amount: payment, currency, frequency: 'monthly', category: 'essential' });
+            }
+            if (loan.proceedsCategory) {
+                data.assets.push({
+                    id: 'scenario-loan-proceeds', name, amount: loan.amount, currency,
+                    category: loan.proceedsCategory, liquidity: loan.proceedsCategory === 'cash' ? 'high' : 'low'
+                });
+            }
+        }
+        return scenario;
     }
 
-    // Financial Ratios Calculations
-    calculateFinancialRatios() {
-        this.updateBasicLiquidityRatio();
-        this.updateSavingsRatio();
-        this.updateLiquidityToNetWorthRatio();
-        this.updateDebtToAssetRatio();
-        this.updateSolvencyRatio();
+    // One line per active override, for the scenario panel and saved-scenario list
+    describeScenario(overrides) {
+        const parts = [];
+        const percent = value => `${value > 0 ? '+' : ''}${this.formatter.formatNumber(value, 1)}%`;
+        if (overrides.incomeChange) {
+            const target = overrides.incomeCategory ? this.getCategoryLabel('incomes', overrides.incomeCategory) : 'all income';
+            parts.push(`${target} ${percent(overrides.incomeChange)}`);
+        }
+        if (overrides.marketShock && overrides.shockCategories.length) {
+            parts.push(`${overrides.shockCategories.map(value => this.getCategoryLabel('assets', value)).join(', ')} ${percent(overrides.marketShock)}`);
+        }
+        if (overrides.droppedExpenses.length) {
+            parts.push(`without ${overrides.droppedExpenses.join(', ')}`);
+        }
+        if (overrides.newLoan.amount > 0) {
+            parts.push(`new loan of ${this.formatCurrency(overrides.newLoan.amount)}`);
+        }
+        return parts.join(' · ');
     }
 
-    updateBasicLiquidityRatio() {
-        const snapshot = this.getCurrentSnapshot();
-        if (!snapshot) {
-            this.updateRatioElement('basicLiquidityRatio', 0, ' months');
+    startScenario(scenarioId = null) {
+        if (!this.getCurrentSnapshot()) {
+            this.showMessage('Select a snapshot to try a scenario on', 'error');
             return;
         }
 
-        // Calculate total cash equivalents (high liquidity cash assets)
-        const totalCashEquivalents = snapshot.data.assets
-            .filter(asset => asset.category === 'cash')
-            .reduce((sum, asset) => sum + asset.amount, 0);
-
-        // Calculate total monthly expenses
-        const totalMonthlyExpenses = snapshot.data.expenses
-            .reduce((sum, expense) => sum + expense.amount, 0);
-
-        // Calculate ratio: months of expenses covered by cash
-        const basicLiquidityRatio = totalMonthlyExpenses > 0 ?
-            totalCashEquivalents / totalMonthlyExpenses : 0;
+        const saved = this.getScenarios().find(entry => entry.id === scenarioId);
+        this.scenario = saved
+            ? { id: saved.id, name: saved.name, overrides: this.createScenarioOverrides(saved.overrides) }
+            : { id: null, name: '', overrides: this.createScenarioOverrides() };
+        this.updateUI();
+    }
 
-        this.updateRatioElement('basicLiquidityRatio', basicLiquidityRatio, ' months');
+    exitScenario() {
+        this.scenario = null;
+        this.updateUI();
     }
 
-    updateSavingsRatio() {
-        const snapshot = this.getCurrentSnapshot();
-        if (!snapshot) {
-            this.updateRatioElement('savingsRatio', 0, '%');
-            return;
+    updateScenario() {
+        const section = document.getElementById('scenarioSection');
+        if (!section) return;
+
+        // A saved scenario removed by undo or import carries on unsaved
+        if (this.scenario && this.scenario.id && !this.getScenarios().some(entry => entry.id === this.scenario.id)) {
+            this.scenario.id = null;
         }
-        // Calculate total monthly income
-        const totalMonthlyIncome = snapshot.data.incomes
-            .reduce((sum, income) => sum + this.validateNumber(income.amount), 0);
+        const active = Boolean(this.scenario && this.getCurrentSnapshot());
+        section.style.display = active ? 'block' : 'none';
+        document.getElementById('scenarioBtn').classList.toggle('active', active);
+        document.getElementById('scenarioBadge').textContent = active ? `What-if: ${this.scenario.name || 'unsaved scenario'}` : '';
+        if (!active) return;
 
-        // Calculate total monthly expenses
-        const totalMonthlyExpenses = snapshot.data.expenses
-            .reduce((sum, expense) => sum + this.validateNumber(expense.amount), 0);
+        document.getElementById('scenarioSelect').innerHTML = [
+            `<option value="">${this.scenario.id ? 'New scenario' : 'Unsaved scenario'}</option>`,
+            ...this.getScenarios().map(entry => `<option value="${this.escapeHtml(entry.id)}">${this.escapeHtml(entry.name)}</option>`)
+        ].join('');
+        document.getElementById('scenarioSelect').value = this.scenario.id || '';
+        document.getElementById('deleteScenarioBtn').disabled = !this.scenario.id;
 
-        // Calculate monthly savings (income minus expenses)
-        const monthlySavings = totalMonthlyIncome - totalMonthlyExpenses;
+        this.renderScenarioControls();
+        this.renderScenarioComparison();
+    }
+
+    renderScenarioControls() {
+        const snapshot = this.getCurrentSnapshot();
+        const { overrides } = this.scenario;
+        const loan = overrides.newLoan;
+        const options = (entries, selected) => entries.map(([value, label]) =>
+            `<option value="${this.escapeHtml(value)}"${value === selected ? ' selected' : ''}>${this.escapeHtml(label)}</option>`).join('');
+        const entries = group => this.getCategoryEntries(group).map(entry => [entry.value, entry.label]);
+        const numberValue = value => typeof value === 'number' ? value : '';
+        const expenseNames = [...new Set([...snapshot.data.expenses.map(item => item.name), ...overrides.droppedExpenses])];
+        const isDropped = name => overrides.droppedExpenses.some(entry => entry.trim().toLowerCase() === name.trim().toLowerCase());
+
+        document.getElementById('scenarioControls').innerHTML = `
+            <div class="goal-card">
+                <h3>Income</h3>
+                <div class="fx-rate-row">
+                    <span class="fx-rate-label budget-label">Change (%)</span>
+                    <input type="number" class="settings-input fx-rate-input" step="1" value="${overrides.incomeChange}" data-scenario-field="incomeChange">
+                </div>
+                <div class="fx-rate-row">
+                    <span class="fx-rate-label budget-label">Applies to</span>
+                    <select class="settings-select" data-scenario-field="incomeCategory">${options([['', 'All income'], ...entries('incomes')], overrides.incomeCategory)}</select>
+                </div>
+            </div>
+            <div class="goal-card">
+                <h3>Market shock</h3>
+                <div class="fx-rate-row">
+                    <span class="fx-rate-label budget-label">Change (%)</span>
+                    <input type="number" class="settings-input fx-rate-input" step="1" value="${overrides.marketShock}" data-scenario-field="marketShock">
+                </div>
+                <div class="goal-details">
+                    ${entries('assets').map(([value, label]) => `
+                        <label class="csv-option"><input type="checkbox" data-scenario-shock="${this.escapeHtml(value)}"${overrides.shockCategories.includes(value) ? ' checked' : ''}> ${this.escapeHtml(label)}</label>
+                    `).join('')}
+                </div>
+            </div>
+            <div class="goal-card">
+                <h3>Drop expenses</h3>
+                <div class="goal-details">
+                    ${expenseNames.length === 0 ? '<span class="trends-empty">No expenses in this snapshot</span>' : expenseNames.map(name => `
+                        <label class="csv-option"><input type="checkbox" data-scenario-drop="${this.escapeHtml(name)}"${isDropped(name) ? ' checked' : ''}> ${this.escapeHtml(name)}</label>
+                    `).join('')}
+                </div>
+            </div>
+            <div class="goal-card">
+                <h3>New loan</h3>
+                <div class="fx-rate-row">
+                    <span class="fx-rate-label budget-label">Name</span>
+                    <input type="text" class="settings-input" value="${this.escapeHtml(loan.name)}" data-scenario-loan="name">
+                </div>
+                <div class="fx-rate-row">
+                    <span class="fx-rate-label budget-label">Amount (${this.escapeHtml(this.getBaseCurrency())})</span>
+                    <input type="number" class="settings-input fx-rate-input" min="0" step="0.01" value="${numberValue(loan.amount)}" data-scenario-loan="amount">
+                </div>
+                <div class="fx-rate-row">
+                    <span class="fx-rate-label budget-label">APR (%)</span>
+                    <input type="number" class="settings-input fx-rate-input" min="0" step="0.01" value="${numberValue(loan.apr)}" data-scenario-loan="apr">
+                </div>
+                <div class="fx-rate-row">
+                    <span class="fx-rate-label budget-label">Monthly payment</span>
+                    <input type="number" class="settings-input fx-rate-input" min="0" step="0.01" placeholder="From term" value="${numberValue(loan.minPayment)}" data-scenario-loan="minPayment">
+                </div>
+                <div class="fx-rate-row">
+                    <span class="fx-rate-label budget-label">Term (months)</span>
+                    <input type="number" class="settings-input fx-rate-input" min="1" step="1" value="${numberValue(loan.remainingMonths)}" data-scenario-loan="remainingMonths">
+                </div>
+                <div class="fx-rate-row">
+                    <span class="fx-rate-label budget-label">Liability term</span>
+                    <select class="settings-select" data-scenario-loan="term">${options(entries('liabilities'), loan.term)}</select>
+                </div>
+                <div class="fx-rate-row">
+                    <span class="fx-rate-label budget-label">Pays for</span>
+                    <select class="settings-select" data-scenario-loan="proceedsCategory">${options([['', 'Nothing added to assets'], ...entries('assets')], loan.proceedsCategory)}</select>
+                </div>
+                <p class="settings-help">The monthly payment is added to expenses.</p>
+            </div>
+        `;
+    }
 
-        // Calculate savings ratio: (Monthly Savings ÷ Monthly Income) × 100%
-        const savingsRatio = totalMonthlyIncome > 0 ?
-            (monthlySavings / totalMonthlyIncome) * 100 : 0;
+    renderScenarioComparison() {
+        const baseline = this.getCurrentSnapshot();
+        const comparison = this.compareSnapshotValues(baseline, this.getAnalysisSnapshot());
+        const description = this.describeScenario(this.scenario.overrides);
+        document.getElementById('scenarioSummary').textContent = description
+            ? `Applied to "${baseline.label}": ${description}.`
+            : `No changes yet: adjust the overrides below to see their effect on "${baseline.label}".`;
+        document.getElementById('scenarioComparison').innerHTML =
+            this.renderComparisonTable('Totals', 'Baseline', 'Scenario', comparison.totals) +
+            this.renderComparisonTable('Ratios', 'Baseline', 'Scenario', comparison.ratios);
+    }
 
-        // Update the ratio element with the calculated value
-        this.updateRatioElement('savingsRatio', savingsRatio, '%');
+    // Recompute the views that read the scenario without re-rendering its inputs
+    refreshScenarioViews() {
+        this.updateSummary();
+        this.createCharts();
+        this.updateBudgets();
+        this.updateAllocation();
+        this.updatePayoffPlanner();
+        document.getElementById('scenarioBadge').textContent = `What-if: ${this.scenario.name || 'unsaved scenario'}`;
+        this.renderScenarioComparison();
     }
 
-    updateLiquidityToNetWorthRatio() {
-        const snapshot = this.getCurrentSnapshot();
-        if (!snapshot) {
-            this.updateRatioElement('liquidityToNetWorthRatio', 0, '%');
+    saveScenario() {
+        if (!this.scenario) return;
+
+        const name = prompt('Name this scenario (a new name saves a copy):', this.scenario.name || '');
+        if (name === null) return;
+        if (!name.trim()) {
+            this.showMessage('Scenario name cannot be empty', 'error');
             return;
         }
+        const existing = this.getScenarios().find(entry => entry.id === this.scenario.id && entry.name === name.trim());
 
-        // Calculate total liquid assets (assets with High liquidity)
-        const totalLiquidAssets = snapshot.data.assets
-            .filter(asset => asset.liquidity === 'high')
-            .reduce((sum, asset) => sum + asset.amount, 0);
+        const scenario = {
+            id: existing ? existing.id : this.generateId(),
+            name: name.trim(),
+            overrides: JSON.parse(JSON.stringify(this.scenario.overrides)),
+            createdAt: existing ? existing.createdAt : new Date().toISOString()
+        };
+        this.recordHistory(existing ? `Update scenario "${scenario.name}"` : `Save scenario "${scenario.name}"`);
+        this.data.scenarios = existing
+            ? this.getScenarios().map(entry => entry.id === scenario.id ? scenario : entry)
+            : [...this.getScenarios(), scenario];
+        this.scenario = { ...this.scenario, id: scenario.id, name: scenario.name };
+        this.saveData();
+        this.updateScenario();
+        this.showUndoableMessage(existing ? 'Scenario updated' : 'Scenario saved');
+    }
 
-        // Calculate net worth (total assets minus total liabilities)
-        const totalAssets = snapshot.data.assets.reduce((sum, asset) => sum + asset.amount, 0);
-        const totalLiabilities = snapshot.data.liabilities.reduce((sum, liability) => sum + liability.amount, 0);
-        const netWorth = totalAssets - totalLiabilities;
+    deleteScenario() {
+        const scenario = this.scenario && this.getScenarios().find(entry => entry.id === this.scenario.id);
+        if (!scenario || !confirm(`Delete the scenario "${scenario.name}"? The overrides stay applied until you exit what-if mode.`)) return;
 
-        // Calculate ratio: (Liquid Assets ÷ Net Worth) × 100%
-        const liquidityToNetWorthRatio = netWorth > 0 ?
-            (totalLiquidAssets / netWorth) * 100 : 0;
+        this.recordHistory(`Delete scenario "${scenario.name}"`);
+        this.data.scenarios = this.getScenarios().filter(entry => entry.id !== scenario.id);
+        this.scenario = { ...this.scenario, id: null, name: '' };
+        this.saveData();
+        this.updateScenario();
+        this.showUndoableMessage('Scenario deleted');
+    }
 
-        this.updateRatioElement('liquidityToNetWorthRatio', liquidityToNetWorthRatio, '%');
+    bindScenarioListeners() {
+        const section = document.getElementById('scenarioSection');
+        if (!section) return;
+
+        document.getElementById('scenarioBtn').addEventListener('click', () => {
+            if (this.scenario) {
+                this.exitScenario();
+                return;
+            }
+            this.startScenario();
+            if (this.scenario) {
+                section.scrollIntoView({ behavior: 'smooth', block: 'start' });
+            }
+        });
+        document.getElementById('exitScenarioBtn').addEventListener('click', () => this.exitScenario());
+        document.getElementById('saveScenarioBtn').addEventListener('click', () => this.saveScenario());
+        document.getElementById('deleteScenarioBtn').addEventListener('click', () => this.deleteScenario());
+        document.getElementById('scenarioSelect').addEventListener('change', (e) => this.startScenario(e.target.value || null));
+
+        const number = value => value === '' ? null : parseFloat(value);
+        const update = (e) => {
+            if (!this.scenario) return;
+            const { overrides } = this.scenario;
+            const { scenarioField, scenarioShock, scenarioDrop, scenarioLoan } = e.target.dataset;
+            if (scenarioField === 'incomeCategory') {
+                overrides.incomeCategory = e.target.value;
+            } else if (scenarioField) {
+                overrides[scenarioField] = number(e.target.value) || 0;
+            } else if (scenarioShock) {
+                overrides.shockCategories = overrides.shockCategories.filter(value => value !== scenarioShock)
+                    .concat(e.target.checked ? [scenarioShock] : []);
+            } else if (scenarioDrop) {
+                overrides.droppedExpenses = overrides.droppedExpenses
+                    .filter(name => name.trim().toLowerCase() !== scenarioDrop.trim().toLowerCase())
+                    .concat(e.target.checked ? [scenarioDrop] : []);
+            } else if (scenarioLoan) {
+                const textFields = ['name', 'term', 'proceedsCategory'];
+                const value = textFields.includes(scenarioLoan) ? e.target.value : number(e.target.value);
+                overrides.newLoan[scenarioLoan] = scenarioLoan === 'amount' ? Math.max(0, value || 0) : (Number.isNaN(value) ? null : value);
+            } else {
+                return;
+            }
+            this.refreshScenarioViews();
+        };
+        // Typing updates on input; selects and checkboxes on change
+        const isChoice = target => target.matches('select, input[type="checkbox"]');
+        document.getElementById('scenarioControls').addEventListener('input', (e) => {
+            if (!isChoice(e.target)) update(e);
+        });
+        document.getElementById('scenarioControls').addEventListener('change', (e) => {
+            if (isChoice(e.target)) update(e);
+        });
     }
 
-    updateDebtToAssetRatio() {
-        const snapshot = this.getCurrentSnapshot();
-        if (!snapshot) {
-            this.updateRatioElement('debtToAssetRatio', 0, '%');
+    // Snapshot Comparison
+    // Two snapshots side by side: totals, ratios, category breakdowns and item-level
+    // changes. Items are matched by id, then by name, so roll-forwards and copies line up.
+    openCompare() {
+        if (this.data.snapshots.length < 2) {
+            this.showMessage('Create at least two snapshots to compare them', 'info');
             return;
         }
 
-        // Calculate total assets and total liabilities
-        const totalAssets = snapshot.data.assets.reduce((sum, asset) => sum + asset.amount, 0);
-        const totalLiabilities = snapshot.data.liabilities.reduce((sum, liability) => sum + liability.amount, 0);
-
-        // Calculate Debt to Asset Ratio: (Total Debt ÷ Total Assets) × 100%
-        const debtToAssetRatio = totalAssets > 0 ? (totalLiabilities / totalAssets) * 100 : 0;
-
-        this.updateRatioElement('debtToAssetRatio', debtToAssetRatio, '%');
-    }
-
-    updateSolvencyRatio() {
-        const snapshot = this.getCurrentSnapshot();
-        if (!snapshot) {
-            this.updateRatioElement('solvencyRatio', 0, '%');
+        // Default to the current snapshot against the one dated just before it
+        const ordered = [...this.data.snapshots].sort((a, b) => this.compareSnapshotsByDate(a, b));
+        const current = this.getCurrentSnapshot() || ordered[ordered.length - 1];
+        const index = ordered.indexOf(current);
+        const before = index > 0 ? ordered[index - 1] : ordered[1];
+        this.compareSelection = index > 0
+            ? { beforeId: before.id, afterId: current.id }
+            : { beforeId: current.id, afterId: before.id };
+
+        this.renderCompare();
+        this.openModal('compareModal');
+    }
+
+    renderCompare() {
+        const ordered = [...this.data.snapshots].sort((a, b) => this.compareSnapshotsByDate(a, b));
+        const options = ordered.map(snapshot =>
+            `<option value="${this.escapeHtml(snapshot.id)}">${this.escapeHtml(snapshot.label)} (${this.formatDate(this.getSnapshotDate(snapshot), false)})</option>`
+        ).join('');
+        const beforeSelect = document.getElementById('compareBefore');
+        const afterSelect = document.getElementById('compareAfter');
+        beforeSelect.innerHTML = options;
+        afterSelect.innerHTML = options;
+        beforeSelect.value = this.compareSelection.beforeId;
+        afterSelect.value = this.compareSelection.afterId;
+
+        const content = document.getElementById('compareContent');
+        const comparison = this.buildComparison();
+        if (!comparison) {
+            content.innerHTML = '<p class="settings-help">Choose two snapshots to compare.</p>';
             return;
         }
 
-        // Calculate total assets and total liabilities
-        const totalAssets = snapshot.data.assets.reduce((sum, asset) => sum + asset.amount, 0);
-        const totalLiabilities = snapshot.data.liabilities.reduce((sum, liability) => sum + liability.amount, 0);
+        const valueTable = (title, rows) => this.renderComparisonTable(title, comparison.before.label, comparison.after.label, rows);
+
+        const statusLabels = { added: 'Added', removed: 'Removed', changed: 'Changed', unchanged: 'Unchanged' };
+        const itemRows = comparison.items.map(row => `
+            <tr>
+                <td>${this.escapeHtml(row.name)}<span class="base-amount">${this.escapeHtml(this.formatCategoryName(row.category))}</span></td>
+                <td>${row.status === 'added' ? '—' : this.formatTrendValue(row.before, 'currency')}</td>
+                <td>${row.status === 'removed' ? '—' : this.formatTrendValue(row.after, 'currency')}</td>
+                <td>${this.describeTrendDelta(row.after || 0, row.before || 0, row) || '—'}</td>
+                <td><span class="compare-status ${row.status}">${statusLabels[row.status]}</span></td>
+            </tr>
+        `).join('');
+        const counts = comparison.items.reduce((totals, row) => {
+            totals[row.status]++;
+            return totals;
+        }, { added: 0, removed: 0, changed: 0, unchanged: 0 });
+
+        content.innerHTML = `
+            <p class="settings-help">All amounts in ${this.escapeHtml(this.getBaseCurrency())}; incomes and expenses as monthly equivalents. Changes are coloured by whether they help your finances.</p>
+            ${valueTable('Totals', comparison.totals)}
+            ${valueTable('Ratios', comparison.ratios)}
+            ${comparison.categories.map(group => valueTable(group.label, group.rows)).join('')}
+            <div class="settings-section">
+                <label>Items</label>
+                <p class="settings-help">${counts.changed} changed, ${counts.unchanged} unchanged, ${counts.added} added, ${counts.removed} removed.</p>
+                <table class="items-table compare-table">
+                    <thead>
+                        <tr><th>Item</th><th>${this.escapeHtml(comparison.before.label)}</th><th>${this.escapeHtml(comparison.after.label)}</th><th>Change</th><th>Status</th></tr>
+                    </thead>
+                    <tbody>${itemRows || '<tr><td colspan="5" class="trends-empty">No items in either snapshot</td></tr>'}</tbody>
+                </table>
+            </div>
+        `;
+    }
 
-        // Calculate Net Worth (Total Assets - Total Liabilities)
-        const netWorth = totalAssets - totalLiabilities;
+    renderComparisonTable(title, beforeLabel, afterLabel, rows) {
+        return `
+            <div class="settings-section">
+                <label>${this.escapeHtml(title)}</label>
+                <table class="items-table compare-table">
+                    <thead>
+                        <tr><th></th><th>${this.escapeHtml(beforeLabel)}</th><th>${this.escapeHtml(afterLabel)}</th><th>Change</th></tr>
+                    </thead>
+                    <tbody>
+                        ${rows.map(row => `
+                            <tr>
+                                <td>${this.escapeHtml(row.label)}</td>
+                                <td>${this.formatTrendValue(row.before, row.format)}</td>
+                                <td>${this.formatTrendValue(row.after, row.format)}</td>
+                                <td>${this.describeTrendDelta(row.after, row.before, row) || '—'}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
 
-        // Calculate Solvency Ratio: (Net Worth ÷ Total Assets) × 100%
-        const solvencyRatio = totalAssets > 0 ? (netWorth / totalAssets) * 100 : 0;
+    // Rows share the shape used by the trends table: { label, before, after, format, higherIsBetter }
+    buildComparison(selection = this.compareSelection) {
+        const before = selection && this.data.snapshots.find(s => s.id === selection.beforeId);
+        const after = selection && this.data.snapshots.find(s => s.id === selection.afterId);
+        if (!before || !after) return null;
+
+        return { before, after, ...this.compareSnapshotValues(before, after), items: this.compareItems(before, after) };
+    }
+
+    // Totals, ratios and category breakdowns of two snapshots (also used for what-if scenarios)
+    compareSnapshotValues(before, after) {
+        const beforeSummary = this.calculateSummary(before);
+        const afterSummary = this.calculateSummary(after);
+        const totals = [
+            { key: 'totalAssets', label: 'Total Assets', higherIsBetter: true },
+            { key: 'totalLiabilities', label: 'Total Liabilities', higherIsBetter: false },
+            { key: 'netWorth', label: 'Net Worth', higherIsBetter: true },
+            { key: 'totalIncome', label: 'Monthly Income', higherIsBetter: true },
+            { key: 'totalExpenses', label: 'Monthly Expenses', higherIsBetter: false },
+            { key: 'savings', label: 'Monthly Savings', higherIsBetter: true }
+        ].map(total => ({
+            label: total.label,
+            before: beforeSummary[total.key],
+            after: afterSummary[total.key],
+            format: 'currency',
+            higherIsBetter: total.higherIsBetter
+        }));
+
+        const beforeRatios = this.calculateRatios(before, beforeSummary);
+        const afterRatios = this.calculateRatios(after, afterSummary);
+        const ratios = TREND_RATIOS.map(ratio => ({
+            label: ratio.label,
+            before: beforeRatios[ratio.key],
+            after: afterRatios[ratio.key],
+            format: ratio.unit,
+            higherIsBetter: ratio.higherIsBetter
+        }));
+
+        const groupTitles = {
+            assets: 'Assets by Category',
+            liabilities: 'Liabilities by Term',
+            incomes: 'Income by Category',
+            expenses: 'Expenses by Category'
+        };
+        const categories = Object.entries(groupTitles).map(([group, label]) => {
+            const beforeTotals = this.groupByCategory(before.data[group], group, before);
+            const afterTotals = this.groupByCategory(after.data[group], group, after);
+            const order = this.getCategoryEntries(group).map(entry => entry.value);
+            const rank = key => order.includes(key) ? order.indexOf(key) : order.length;
+            const keys = [...new Set([...Object.keys(beforeTotals), ...Object.keys(afterTotals)])]
+                .sort((a, b) => rank(a) - rank(b));
+            return {
+                group,
+                label,
+                rows: keys.map(key => ({
+                    label: this.getCategoryChartLabel(group, key),
+                    before: beforeTotals[key] || 0,
+                    after: afterTotals[key] || 0,
+                    format: 'currency',
+                    higherIsBetter: group === 'assets' || group === 'incomes'
+                }))
+            };
+        }).filter(group => group.rows.length > 0);
+
+        return { totals, ratios, categories };
+    }
+
+    // Base-currency (monthly for incomes/expenses) amounts per item; null when the
+    // snapshot has no FX rate for the item's currency
+    compareItems(before, after) {
+        const rows = [];
+        ['assets', 'liabilities', 'incomes', 'expenses'].forEach(category => {
+            const higherIsBetter = category === 'assets' || category === 'incomes';
+            const matched = new Set();
+
+            after.data[category].forEach(item => {
+                let previous = this.matchItem(before, category, item);
+                if (previous && matched.has(previous)) previous = null;
+                if (previous) matched.add(previous);
+
+                const afterAmount = this.getMonthlyAmount(item, after);
+                const beforeAmount = previous ? this.getMonthlyAmount(previous, before) : null;
+                rows.push({
+                    category,
+                    name: item.name,
+                    before: beforeAmount,
+                    after: afterAmount,
+                    status: !previous ? 'added' : beforeAmount === afterAmount ? 'unchanged' : 'changed',
+                    format: 'currency',
+                    higherIsBetter
+                });
+            });
 
-        this.updateRatioElement('solvencyRatio', solvencyRatio, '%');
+            before.data[category]
+                .filter(item => !matched.has(item))
+                .forEach(item => rows.push({
+                    category,
+                    name: item.name,
+                    before: this.getMonthlyAmount(item, before),
+                    after: null,
+                    status: 'removed',
+                    format: 'currency',
+                    higherIsBetter
+                }));
+        });
+        return rows;
     }
 
-    updateRatioDisplay(summary) {
-        // Debt-to-Asset Ratio
-        const debtToAssetRatio = summary.totalAssets > 0 ? (summary.totalLiabilities / summary.totalAssets) * 100 : 0;
-        this.updateRatioElement('debtToAssetRatio', debtToAssetRatio, '%');
+    exportComparisonCsv() {
+        const comparison = this.buildComparison();
+        if (!comparison) return;
 
-        // Net Worth Ratio
-        const netWorthRatio = summary.totalAssets > 0 ? (summary.netWorth / summary.totalAssets) * 100 : 0;
-        this.updateRatioElement('netWorthRatio', netWorthRatio, '%');
+        const rows = [['Section', 'Line', 'Status', comparison.before.label, comparison.after.label, 'Change']];
+        // Unformatted numbers to two decimals so spreadsheets can total them; blank when unknown or unbounded
+        const number = value => Number.isFinite(value) ? Math.round(value * 100) / 100 : '';
+        const change = (after, before) => Number.isFinite(after) && Number.isFinite(before) ? number(after - before) : '';
+        const addRows = (section, lines) => lines.forEach(line => {
+            rows.push([section, line.label, '', number(line.before), number(line.after), change(line.after, line.before)]);
+        });
 
-        // Savings Rate
-        const savingsRate = summary.totalIncome > 0 ? (summary.savings / summary.totalIncome) * 100 : 0;
-        this.updateRatioElement('savingsRate', savingsRate, '%');
+        addRows('Totals', comparison.totals);
+        addRows('Ratios', comparison.ratios);
+        comparison.categories.forEach(group => addRows(group.label, group.rows));
+        comparison.items.forEach(item => {
+            rows.push([
+                `${this.formatCategoryName(item.category)} items`,
+                item.name,
+                item.status,
+                number(item.before),
+                number(item.after),
+                change(item.after ?? 0, item.before ?? 0)
+            ]);
+        });
 
-        // Liquidity Ratio (Cash vs Total Assets)
-        const liquidityRatio = this.calculateLiquidityRatio();
-        this.updateRatioElement('liquidityRatio', liquidityRatio, '%');
+        const slug = label => label.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'snapshot';
+        this.downloadFile(
+            this.toCsv(rows),
+            `myfinsnap.com-compare-${slug(comparison.before.label)}-vs-${slug(comparison.after.label)}.csv`,
+            'text/csv'
+        );
+        this.showMessage('Comparison exported as CSV', 'success');
+    }
 
-        // Expense Ratio
-        const expenseRatio = summary.totalIncome > 0 ? (summary.totalExpenses / summary.totalIncome) * 100 : 0;
-        this.updateRatioElement('expenseRatio', expenseRatio, '%');
+    bindCompareListeners() {
+        const openBtn = document.getElementById('compareSnapshotsBtn');
+        if (!openBtn) return;
 
-        // Liability Coverage
-        const liabilityCoverage = this.calculateLiabilityCoverage(summary);
-        this.updateRatioElement('liabilityCoverage', liabilityCoverage, 'x');
-    }
+        openBtn.addEventListener('click', () => this.openCompare());
 
-    updateRatioElement(elementId, value, unit) {
-        const element = document.getElementById(elementId);
-        if (!element) return;
+        document.getElementById('compareBefore').addEventListener('change', (e) => {
+            this.compareSelection.beforeId = e.target.value;
+            this.renderCompare();
+        });
+        document.getElementById('compareAfter').addEventListener('change', (e) => {
+            this.compareSelection.afterId = e.target.value;
+            this.renderCompare();
+        });
+        document.getElementById('compareSwapBtn').addEventListener('click', () => {
+            const { beforeId, afterId } = this.compareSelection;
+            this.compareSelection = { beforeId: afterId, afterId: beforeId };
+            this.renderCompare();
+        });
+        document.getElementById('exportCompareBtn').addEventListener('click', () => this.exportComparisonCsv());
+    }
+
+    // Net Worth Attribution
+    // Splits the net worth change between two snapshots item by item, so the parts add
+    // up exactly to the difference in calculateSummary().netWorth:
+    // - exchange-rate moves, price moves on holdings and changes to revalued asset
+    //   categories count as market/revaluation
+    // - changes to matched liabilities count as debt paydown (or new borrowing)
+    // - other matched asset changes, including units bought or sold, count as net savings
+    // - items only in one snapshot count as new or removed
+    calculateNetWorthAttribution(before, after) {
+        const parts = { savings: 0, debtPaydown: 0, revaluation: 0, added: 0, removed: 0 };
+
+        ['assets', 'liabilities'].forEach(category => {
+            const sign = category === 'assets' ? 1 : -1;
+            const matched = new Set();
+
+            after.data[category].forEach(item => {
+                let previous = this.matchItem(before, category, item);
+                if (previous && matched.has(previous)) previous = null;
+                if (!previous) {
+                    parts.added += sign * (this.getBaseAmount(item, after) || 0);
+                    return;
+                }
+                matched.add(previous);
+
+                const change = this.splitItemChange(previous, before, item, after);
+                parts.revaluation += sign * change.revaluation;
+                if (category === 'liabilities') {
+                    parts.debtPaydown -= change.flow;
+                } else if (REVALUED_ASSET_CATEGORIES.includes(item.category) && !this.isHolding(item)) {
+                    parts.revaluation += change.flow;
+                } else {
+                    parts.savings += change.flow;
+                }
+            });
 
-        const formattedValue = this.formatRatioValue(value, unit);
-        element.textContent = formattedValue;
+            before.data[category]
+                .filter(item => !matched.has(item))
+                .forEach(item => {
+                    parts.removed -= sign * (this.getBaseAmount(item, before) || 0);
+                });
+        });
 
-        // Add color coding based on health
-        element.classList.remove('positive', 'negative', 'warning');
+        const beforeSummary = this.calculateSummary(before);
+        const afterSummary = this.calculateSummary(after);
+        const months = this.getMonthsBetween(before, after);
 
-        let healthClass = '';
-        if (elementId === 'debtToAssetRatio') {
-            healthClass = value < 20 ? 'positive' : value <= 50 ? 'warning' : 'negative'; // Green: Below 20%, Yellow: 20%-50%, Red: Above 50%
-        } else if (elementId === 'netWorthRatio') {
-            healthClass = value > 20 ? 'positive' : value > 0 ? 'warning' : 'negative'; // Higher is better
-        } else if (elementId === 'savingsRate') {
-            healthClass = value > 20 ? 'positive' : value > 10 ? 'warning' : 'negative'; // Higher is better
-        } else if (elementId === 'savingsRatio') {
-            healthClass = value >= 20 ? 'positive' : value >= 10 ? 'warning' : 'negative'; // Green: 20%+, Yellow: 10%-20%, Red: Below 10%
-        } else if (elementId === 'solvencyRatio') {
-            healthClass = value > 20 ? 'positive' : value >= 10 ? 'warning' : 'negative'; // Green: Above 20%, Yellow: 10%-20%, Red: Below 10%
-        } else if (elementId === 'liquidityRatio') {
-            healthClass = value > 30 ? 'positive' : value > 10 ? 'warning' : 'negative'; // Higher is better
-        } else if (elementId === 'basicLiquidityRatio') {
-            healthClass = value < 3 ? 'negative' : value <= 6 ? 'positive' : 'warning'; // Red: <3, Green: 3-6, Yellow: >6
-            // Removed call to updateLiquidityStatus since liquidityStatus element doesn't exist
-            // this.updateLiquidityStatus(value);
-        } else if (elementId === 'expenseRatio') {
-            healthClass = value < 80 ? 'positive' : value < 100 ? 'warning' : 'negative'; // Lower is better
-        } else if (elementId === 'liabilityCoverage') {
-            healthClass = value > 2 ? 'positive' : value > 1 ? 'warning' : 'negative'; // Higher is better
-        } else if (elementId === 'liquidityToNetWorthRatio') {
-            healthClass = value >= 20 ? 'positive' : value >= 10 ? 'warning' : 'negative'; // Green: 20%+, Yellow: 10%-20%, Red: Below 10%
+        return {
+            start: beforeSummary.netWorth,
+            end: afterSummary.netWorth,
+            parts: NET_WORTH_ATTRIBUTION_PARTS.map(part => ({ ...part, amount: parts[part.key] })),
+            months,
+            // What the recorded monthly savings would add over the period, for reference
+            expectedSavings: months * (beforeSummary.savings + afterSummary.savings) / 2
+        };
+    }
+
+    // Base-currency change of one matched item, split into the part from exchange rates
+    // and holding prices (revaluation) and the part from the balance or units (flow)
+    splitItemChange(previous, before, item, after) {
+        const rateBefore = this.getFxRate(before, this.getItemCurrency(previous));
+        const rateAfter = this.getFxRate(after, this.getItemCurrency(item));
+        if (rateBefore === null || rateAfter === null) {
+            // Totals leave out unconvertible items, so only the convertible side counts
+            return { revaluation: 0, flow: (this.getBaseAmount(item, after) || 0) - (this.getBaseAmount(previous, before) || 0) };
         }
 
-        if (healthClass) {
-            element.classList.add(healthClass);
+        let revaluation = previous.amount * (rateAfter - rateBefore);
+        let flow = (item.amount - previous.amount) * rateAfter;
+
+        const sameHolding = this.isHolding(previous) && this.isHolding(item) &&
+            previous.symbol === item.symbol && previous.quantity > 0 && item.quantity > 0;
+        if (sameHolding) {
+            const priceBefore = previous.amount / previous.quantity;
+            const priceAfter = item.amount / item.quantity;
+            revaluation += previous.quantity * (priceAfter - priceBefore) * rateAfter;
+            flow = (item.quantity - previous.quantity) * priceAfter * rateAfter;
         }
+        return { revaluation, flow };
     }
 
-    formatRatioValue(value, unit) {
-        const u = typeof unit === 'string' ? unit.trim() : unit;
-        const num = typeof value === 'number' ? value : parseFloat(value);
-        if (u === 'x') {
-            return `${num === Infinity ? '∞' : num.toFixed(1)}${u}`;
-        } else if (u === '%') {
-            return `${num.toFixed(1)}${u}`;
-        } else if (u === 'months') {
-            return `${num.toFixed(1)} ${u}`;
-        }
-        return `${value}${unit}`;
+    getMonthsBetween(before, after) {
+        const days = (this.getSnapshotTime(after) - this.getSnapshotTime(before)) / 86400000;
+        return Math.max(0, days / (365.25 / 12));
     }
 
-    // Update liquidity status text based on ratio value
-    updateLiquidityStatus(ratio) {
-        const statusElement = document.getElementById('liquidityStatus');
-        if (!statusElement) return;
+    // The earlier snapshot the current one is explained against: the user's pick,
+    // otherwise the one dated just before it
+    getAttributionBase(current = this.getCurrentSnapshot()) {
+        if (!current) return null;
+        const chosen = this.data.snapshots.find(s => s.id === this.attributionBaseId && s.id !== current.id);
+        if (chosen) return chosen;
 
-        let statusText = '';
-        let statusClass = '';
+        const ordered = [...this.data.snapshots].sort((a, b) => this.compareSnapshotsByDate(a, b));
+        const index = ordered.indexOf(current);
+        return index > 0 ? ordered[index - 1] : null;
+    }
 
-        if (ratio > 6) {
-            statusText = 'Cash-heavy - consider investing excess emergency funds.';
-            statusClass = 'warning';
-        } else if (ratio >= 3) {
-            statusText = 'Good coverage - you\'re well prepared!';
-            statusClass = 'positive';
-        } else {
-            statusText = 'Insufficient coverage - vulnerable to financial shocks.';
-            statusClass = 'negative';
+    createAttributionChart() {
+        const current = this.getCurrentSnapshot();
+        const base = this.getAttributionBase(current);
+        this.renderAttributionBaseSelect(current, base);
+
+        const list = document.getElementById('netWorthAttributionList');
+        if (!current || !base) {
+            this.drawEmptyChart('netWorthWaterfallChart', 'Net Worth Change');
+            if (list) {
+                list.innerHTML = `<li class="trends-empty">${current ? 'No earlier snapshot to explain the change against; pick one above.' : 'No snapshot selected'}</li>`;
+            }
+            return;
         }
 
-        statusElement.textContent = statusText;
-        statusElement.className = `ratio-status ${statusClass}`;
+        const attribution = this.calculateNetWorthAttribution(base, current);
+        this.drawWaterfallChart('netWorthWaterfallChart', attribution, base, current);
+
+        if (list) {
+            const change = attribution.end - attribution.start;
+            const sign = value => value > 0 ? '+' : '';
+            list.innerHTML = attribution.parts
+                .filter(part => Math.abs(part.amount) >= 0.005)
+                .map(part => `
+                    <li>
+                        <span>${this.escapeHtml(part.label)}</span>
+                        <span class="gain-value ${part.amount >= 0 ? 'positive' : 'negative'}">${sign(part.amount)}${this.formatCurrency(part.amount)}</span>
+                    </li>
+                `).join('') + `
+                    <li class="attribution-total">
+                        <span>Net worth change</span>
+                        <span class="gain-value ${change >= 0 ? 'positive' : 'negative'}">${sign(change)}${this.formatCurrency(change)}</span>
+                    </li>
+                    <li class="trends-empty">Recorded monthly savings over ${this.formatter.formatNumber(attribution.months, 1)} months: ${this.formatCurrency(attribution.expectedSavings)}</li>
+                `;
+        }
     }
 
+    renderAttributionBaseSelect(current, base) {
+        const select = document.getElementById('attributionBaseSelect');
+        if (!select) return;
 
+        const others = [...this.data.snapshots]
+            .filter(snapshot => !current || snapshot.id !== current.id)
+            .sort((a, b) => this.compareSnapshotsByDate(b, a));
+        select.innerHTML = others.length === 0
+            ? '<option value="">No other snapshot</option>'
+            : (base ? '' : '<option value="">Compare with…</option>') + others.map(snapshot =>
+                `<option value="${this.escapeHtml(snapshot.id)}">vs ${this.escapeHtml(snapshot.label)}</option>`
+            ).join('');
+        select.disabled = others.length === 0;
+        select.value = base ? base.id : '';
+    }
 
-    calculateLiquidityRatio() {
-        const snapshot = this.getCurrentSnapshot();
-        if (!snapshot) return 0;
+    // Floating bars: each step spans from the running total before it to the one after
+    drawWaterfallChart(canvasId, attribution, base, current) {
+        const ctx = document.getElementById(canvasId);
+        if (!ctx) return;
 
-        const cashAssets = snapshot.data.assets.filter(asset =>
-            asset.category === 'cash' && asset.liquidity === 'high'
-        ).reduce((sum, asset) => sum + asset.amount, 0);
+        this.charts = this.charts || {};
+        if (this.charts[canvasId]) {
+            try {
+                this.charts[canvasId].destroy();
+            } catch (e) {
+                console.log(`Error destroying chart ${canvasId}:`, e);
+            }
+        }
 
-        const totalAssets = snapshot.data.assets.reduce((sum, asset) => sum + asset.amount, 0);
+        const labels = [base.label];
+        const ranges = [[0, attribution.start]];
+        const amounts = [attribution.start];
+        const colors = ['#007bff'];
+        let running = attribution.start;
+        attribution.parts.forEach(part => {
+            labels.push(part.shortLabel);
+            ranges.push([running, running + part.amount]);
+            amounts.push(part.amount);
+            colors.push(part.amount >= 0 ? '#28a745' : '#dc3545');
+            running += part.amount;
+        });
+        labels.push(current.label);
+        ranges.push([0, attribution.end]);
+        amounts.push(attribution.end);
+        colors.push('#007bff');
 
-        return totalAssets > 0 ? (cashAssets / totalAssets) * 100 : 0;
-    }
+        // Chart.js callbacks run with the chart as `this`, so capture the shared formatters
+        const formatCurrency = value => this.formatCurrency(value);
+        const lastIndex = labels.length - 1;
 
-    calculateLiabilityCoverage(summary) {
-        // Simplified calculation: income divided by annual debt payments
-        // This is a basic estimate - actual calculation would be more complex
-        if (summary.totalLiabilities === 0 || summary.totalIncome === 0) return Infinity;
+        try {
+            this.charts[canvasId] = new Chart(ctx, {
+                type: 'bar',
+                data: {
+                    labels: labels,
+                    datasets: [{
+                        data: ranges,
+                        backgroundColor: colors.map(color => color + '80'),
+                        borderColor: colors,
+                        borderWidth: 1,
+                        borderSkipped: false
+                    }]
+                },
+                options: {
+                    responsive: true,
+                    scales: {
+                        x: { ticks: { font: { size: 10 } } },
+                        y: { ticks: { font: { size: 10 }, callback: value => formatCurrency(value) } }
+                    },
+                    plugins: {
+                        legend: { display: false },
+                        tooltip: {
+                            callbacks: {
+                                label: function(context) {
+                                    const amount = amounts[context.dataIndex];
+                                    if (context.dataIndex === 0 || context.dataIndex === lastIndex) {
+                                        return `Net worth: ${formatCurrency(amount)}`;
+                                    }
+                                    return `${amount > 0 ? '+' : ''}${formatCurrency(amount)}`;
+                                }
+                            }
+                        }
+                    }
+                }
+            });
+        } catch (chartError) {
+            console.error(`Error creating chart ${canvasId}:`, chartError);
+        }
+    }
 
-        // Estimate monthly debt payments (rough approximation based on common standards)
-        // This would typically require more detailed debt information
-        const estimatedMonthlyDebt = summary.totalLiabilities * 0.02; // Rough estimate
+    bindAttributionListeners() {
+        const select = document.getElementById('attributionBaseSelect');
+        if (!select) return;
 
-        return estimatedMonthlyDebt > 0 ? (summary.totalIncome / estimatedMonthlyDebt) : Infinity;
+        select.addEventListener('change', (e) => {
+            this.attributionBaseId = e.target.value || null;
+            this.createAttributionChart();
+        });
     }
 
     // Message System
-    showMessage(text, type = 'info') {
+    // Optional action renders a button in the toast, e.g. { label: 'Undo', onClick: () => this.undo() };
+    // an isAvailable() check hides it whenever the history stacks change and it returns false
+    showMessage(text, type = 'info', action = null) {
         const container = document.getElementById('messageContainer');
         if (!container) {
             console.warn('Message container not found');
@@ -3276,6 +10106,21 @@ class FinanceTracker {
         message.className = `message ${type}`;
         message.textContent = text;
 
+        if (action) {
+            const actionBtn = document.createElement('button');
+            actionBtn.type = 'button';
+            actionBtn.className = 'message-action';
+            actionBtn.textContent = action.label;
+            actionBtn.addEventListener('click', () => {
+                message.remove();
+                action.onClick();
+            });
+            message.appendChild(actionBtn);
+            if (action.isAvailable) {
+                this.historyActions.push({ button: actionBtn, isAvailable: action.isAvailable });
+            }
+        }
+
         container.appendChild(message);
 
         setTimeout(() => {
@@ -3295,59 +10140,104 @@ class FinanceTracker {
         const summary = this.calculateSummary();
         const data = snapshot.data;
 
+        // Group under the user's registry labels so custom categories read naturally
+        const labelFor = (group, value) => this.getCategoryLabel(group, value) || 'Uncategorized';
+
+        // Amounts are reported in base currency, with the original kept alongside
+        const amountsFor = item => ({
+            amount: this.getBaseAmount(item, snapshot),
+            currency: this.getItemCurrency(item),
+            originalAmount: item.amount
+        });
+
+        // Incomes and expenses report the monthly equivalent, with the original frequency
+        const monthlyAmountsFor = item => ({
+            amount: this.getMonthlyAmount(item, snapshot),
+            currency: this.getItemCurrency(item),
+            originalAmount: item.amount,
+            frequency: item.frequency || 'monthly'
+        });
+
         // Format assets by category
         const assetsByCategory = {};
         data.assets.forEach(asset => {
-            if (!assetsByCategory[asset.category]) {
-                assetsByCategory[asset.category] = [];
+            const key = labelFor('assets', asset.category);
+            if (!assetsByCategory[key]) {
+                assetsByCategory[key] = [];
             }
-            assetsByCategory[asset.category].push({
+            const entry = {
                 name: asset.name,
-                amount: asset.amount,
-                liquidity: asset.liquidity
-            });
+                ...amountsFor(asset),
+                liquidity: labelFor('liquidity', asset.liquidity)
+            };
+            if (this.isHolding(asset)) {
+                const gain = this.getUnrealisedGain(asset, snapshot);
+                entry.holding = {
+                    symbol: asset.symbol,
+                    quantity: asset.quantity,
+                    unitPrice: this.getHoldingPrice(snapshot, asset.symbol),
+                    costBasis: asset.costBasis ?? null,
+                    unrealisedGain: gain ? gain.baseAmount : null,
+                    unrealisedGainPercent: gain ? gain.percent : null
+                };
+            }
+            assetsByCategory[key].push(entry);
         });
 
+        // Unrealised gain/loss across holdings with a cost basis, in base currency
+        const unrealisedGain = data.assets.reduce((sum, asset) => {
+            const gain = this.getUnrealisedGain(asset, snapshot);
+            return gain && gain.baseAmount !== null ? sum + gain.baseAmount : sum;
+        }, 0);
+        const hasCostBasis = data.assets.some(asset => this.getUnrealisedGain(asset, snapshot));
+
         // Format liabilities by term
         const liabilitiesByTerm = {};
         data.liabilities.forEach(liability => {
-            if (!liabilitiesByTerm[liability.term]) {
-                liabilitiesByTerm[liability.term] = [];
+            const key = labelFor('liabilities', liability.term);
+            if (!liabilitiesByTerm[key]) {
+                liabilitiesByTerm[key] = [];
             }
-            liabilitiesByTerm[liability.term].push({
+            liabilitiesByTerm[key].push({
                 name: liability.name,
-                amount: liability.amount
+                ...amountsFor(liability),
+                apr: liability.apr ?? null,
+                minPayment: liability.minPayment ?? null,
+                remainingMonths: liability.remainingMonths ?? null,
+                lender: liability.lender || null
             });
         });
 
         // Format incomes by category
         const incomesByCategory = {};
         data.incomes.forEach(income => {
-            if (!incomesByCategory[income.category]) {
-                incomesByCategory[income.category] = [];
+            const key = labelFor('incomes', income.category);
+            if (!incomesByCategory[key]) {
+                incomesByCategory[key] = [];
             }
-            incomesByCategory[income.category].push({
+            incomesByCategory[key].push({
                 name: income.name,
-                amount: income.amount
+                ...monthlyAmountsFor(income)
             });
         });
 
         // Format expenses by category
         const expensesByCategory = {};
         data.expenses.forEach(expense => {
-            if (!expensesByCategory[expense.category]) {
-                expensesByCategory[expense.category] = [];
+            const key = labelFor('expenses', expense.category);
+            if (!expensesByCategory[key]) {
+                expensesByCategory[key] = [];
             }
-            expensesByCategory[expense.category].push({
+            expensesByCategory[key].push({
                 name: expense.name,
-                amount: expense.amount
+                ...monthlyAmountsFor(expense)
             });
         });
 
         // Calculate financial ratios
         const cashEquivalents = data.assets
             .filter(a => a.category === 'cash' && a.liquidity === 'high')
-            .reduce((sum, a) => sum + a.amount, 0);
+            .reduce((sum, a) => sum + (this.getBaseAmount(a, snapshot) || 0), 0);
         const totalExpenses = summary.totalExpenses || 1;
         const basicLiquidityRatio = totalExpenses > 0 ? (cashEquivalents / totalExpenses).toFixed(2) : 'N/A';
         
@@ -3363,9 +10253,14 @@ class FinanceTracker {
             ? ((summary.savings / summary.totalIncome) * 100).toFixed(2) 
             : '0.00';
 
+        const debtService = this.calculateDebtService(snapshot, summary);
+        const allocation = this.calculateAllocation(snapshot, summary);
+
         return {
             snapshotName: snapshot.label,
-            snapshotDate: this.formatDate(snapshot.createdAt),
+            snapshotDate: this.formatDate(this.getSnapshotDate(snapshot), false),
+            baseCurrency: this.getBaseCurrency(),
+            missingFxRates: this.getMissingFxCurrencies(snapshot),
             summary: {
                 totalAssets: summary.totalAssets,
                 totalLiabilities: summary.totalLiabilities,
@@ -3376,7 +10271,8 @@ class FinanceTracker {
             },
             assets: {
                 byCategory: assetsByCategory,
-                total: summary.totalAssets
+                total: summary.totalAssets,
+                unrealisedGain: hasCostBasis ? unrealisedGain : null
             },
             liabilities: {
                 byTerm: liabilitiesByTerm,
@@ -3394,7 +10290,28 @@ class FinanceTracker {
                 basicLiquidity: basicLiquidityRatio,
                 debtToAsset: debtToAssetRatio,
                 solvency: solvencyRatio,
-                savings: savingsRatio
+                savings: savingsRatio,
+                debtServiceCoverage: Number.isFinite(debtService.coverage) ? debtService.coverage.toFixed(2) : 'N/A',
+                debtToIncome: Number.isFinite(debtService.debtToIncome) ? debtService.debtToIncome.toFixed(2) : 'N/A'
+            },
+            debtService: {
+                monthlyPayments: debtService.monthlyPayments,
+                monthlyInterest: debtService.monthlyInterest,
+                liabilitiesWithoutPaymentDetails: debtService.missingPayments,
+                liabilitiesWithoutApr: debtService.missingRates
+            },
+            allocation: {
+                rule: allocation.rule.name,
+                buckets: allocation.buckets.map(bucket => ({
+                    label: bucket.label,
+                    targetPercent: bucket.target,
+                    targetIsCeiling: bucket.limit === 'max',
+                    monthlyAmount: bucket.amount,
+                    actualPercent: bucket.percent,
+                    onTarget: bucket.status === 'none' ? null : bucket.status === 'ok',
+                    includes: bucket.sources
+                })),
+                expensesNotCounted: allocation.notCounted
             }
         };
     }
@@ -3404,27 +10321,84 @@ class FinanceTracker {
             return 'No snapshot data available. Please create or select a snapshot first.';
         }
 
-        let context = `User's Financial Snapshot: "${snapshotData.snapshotName}" (created: ${snapshotData.snapshotDate})\n\n`;
-        
+        const base = snapshotData.baseCurrency;
+        // Base-currency amount, plus the original when the item is held in another currency
+        const itemAmount = item => {
+            if (item.amount === null) {
+                return `${this.formatCurrencyForAI(item.originalAmount, item.currency)} (no FX rate, excluded from totals)`;
+            }
+            const original = item.currency !== base ? ` (${this.formatCurrencyForAI(item.originalAmount, item.currency)})` : '';
+            return `${this.formatCurrencyForAI(item.amount, base)}${original}`;
+        };
+        // Monthly equivalent, plus the original amount when it isn't a monthly base-currency figure
+        const monthlyAmount = item => {
+            const frequency = ITEM_FREQUENCIES[item.frequency] || ITEM_FREQUENCIES.monthly;
+            const original = `${frequency.label.toLowerCase()}: ${this.formatCurrencyForAI(item.originalAmount, item.currency)}`;
+            if (item.amount === null) {
+                return `${original} (no FX rate, excluded from totals)`;
+            }
+            const isPlainMonthly = item.frequency === 'monthly' && item.currency === base;
+            return `${this.formatCurrencyForAI(item.amount, base)}/month${isPlainMonthly ? '' : ` (${original})`}`;
+        };
+
+        let context = `User's Financial Snapshot: "${snapshotData.snapshotName}" (as of: ${snapshotData.snapshotDate})\n`;
+        context += `All totals and ratios are in ${base}.\n`;
+        if (snapshotData.missingFxRates.length > 0) {
+            context += `Note: no exchange rate recorded for ${snapshotData.missingFxRates.join(', ')}; those items are excluded from totals.\n`;
+        }
+        context += `\n`;
+
         context += `FINANCIAL SUMMARY:\n`;
-        context += `- Total Assets: $${this.formatCurrencyForAI(snapshotData.summary.totalAssets)}\n`;
-        context += `- Total Liabilities: $${this.formatCurrencyForAI(snapshotData.summary.totalLiabilities)}\n`;
-        context += `- Net Worth: $${this.formatCurrencyForAI(snapshotData.summary.netWorth)}\n`;
-        context += `- Monthly Income: $${this.formatCurrencyForAI(snapshotData.summary.totalIncome)}\n`;
-        context += `- Monthly Expenses: $${this.formatCurrencyForAI(snapshotData.summary.totalExpenses)}\n`;
-        context += `- Monthly Savings: $${this.formatCurrencyForAI(snapshotData.summary.savings)}\n\n`;
+        context += `- Total Assets: ${this.formatCurrencyForAI(snapshotData.summary.totalAssets, base)}\n`;
+        context += `- Total Liabilities: ${this.formatCurrencyForAI(snapshotData.summary.totalLiabilities, base)}\n`;
+        context += `- Net Worth: ${this.formatCurrencyForAI(snapshotData.summary.netWorth, base)}\n`;
+        context += `- Monthly Income: ${this.formatCurrencyForAI(snapshotData.summary.totalIncome, base)}\n`;
+        context += `- Monthly Expenses: ${this.formatCurrencyForAI(snapshotData.summary.totalExpenses, base)}\n`;
+        context += `- Monthly Savings: ${this.formatCurrencyForAI(snapshotData.summary.savings, base)}\n\n`;
 
         context += `FINANCIAL RATIOS:\n`;
-        context += `- Basic Liquidity Ratio: ${snapshotData.ratios.basicLiquidity} months (emergency fund coverage)\n`;
-        context += `- Debt to Asset Ratio: ${snapshotData.ratios.debtToAsset}%\n`;
-        context += `- Solvency Ratio: ${snapshotData.ratios.solvency}%\n`;
-        context += `- Savings Ratio: ${snapshotData.ratios.savings}%\n\n`;
+        context += `- Basic Liquidity Ratio: ${this.formatter.formatNumber(snapshotData.ratios.basicLiquidity, 2)} months (emergency fund coverage)\n`;
+        context += `- Debt to Asset Ratio: ${this.formatter.formatPercent(snapshotData.ratios.debtToAsset, 2)}\n`;
+        context += `- Solvency Ratio: ${this.formatter.formatPercent(snapshotData.ratios.solvency, 2)}\n`;
+        context += `- Savings Ratio: ${this.formatter.formatPercent(snapshotData.ratios.savings, 2)}\n`;
+        const { debtServiceCoverage, debtToIncome } = snapshotData.ratios;
+        context += `- Debt Service Coverage: ${debtServiceCoverage === 'N/A' ? 'N/A (no debt payments)' : `${this.formatter.formatNumber(debtServiceCoverage, 2)}x`}\n`;
+        context += `- Debt-to-Income: ${debtToIncome === 'N/A' ? 'N/A (no income)' : this.formatter.formatPercent(debtToIncome, 2)}\n`;
+        context += `- Monthly Debt Payments: ${this.formatCurrencyForAI(snapshotData.debtService.monthlyPayments, base)}\n`;
+        context += `- Monthly Interest Cost: ${this.formatCurrencyForAI(snapshotData.debtService.monthlyInterest, base)}\n`;
+        if (snapshotData.debtService.liabilitiesWithoutPaymentDetails.length > 0) {
+            context += `  (no payment details for: ${snapshotData.debtService.liabilitiesWithoutPaymentDetails.join(', ')})\n`;
+        }
+        context += `\n`;
+
+        context += `INCOME ALLOCATION (${snapshotData.allocation.rule} rule, needs/wants/savings as a share of monthly income):\n`;
+        snapshotData.allocation.buckets.forEach(bucket => {
+            const actual = bucket.actualPercent === null ? 'N/A (no income)' : this.formatter.formatPercent(bucket.actualPercent, 1);
+            const status = bucket.onTarget === null ? '' : bucket.onTarget ? ', on target' : ', off target';
+            context += `- ${bucket.label}: ${actual} (target ${bucket.targetIsCeiling ? 'at most' : 'at least'} ${this.formatter.formatPercent(bucket.targetPercent, 0)}${status}); ${this.formatCurrencyForAI(bucket.monthlyAmount, base)}/month from ${bucket.includes.join(', ') || 'nothing'}\n`;
+        });
+        if (snapshotData.allocation.expensesNotCounted > 0.005) {
+            context += `  (${this.formatCurrencyForAI(snapshotData.allocation.expensesNotCounted, base)}/month of expenses not assigned to a bucket)\n`;
+        }
+        context += `\n`;
 
         context += `ASSETS BREAKDOWN:\n`;
+        if (snapshotData.assets.unrealisedGain !== null) {
+            context += `Unrealised gain/loss on holdings: ${this.formatCurrencyForAI(snapshotData.assets.unrealisedGain, base)}\n`;
+        }
         Object.keys(snapshotData.assets.byCategory).forEach(category => {
             context += `\n${category.toUpperCase()}:\n`;
             snapshotData.assets.byCategory[category].forEach(asset => {
-                context += `  - ${asset.name}: $${this.formatCurrencyForAI(asset.amount)} (Liquidity: ${asset.liquidity})\n`;
+                let holding = '';
+                if (asset.holding) {
+                    const { symbol, quantity, unitPrice, unrealisedGain, unrealisedGainPercent } = asset.holding;
+                    holding = `; ${quantity} × ${symbol} @ ${unitPrice === null ? 'no price' : this.formatCurrencyForAI(unitPrice, asset.currency)}`;
+                    if (unrealisedGain !== null) {
+                        const percent = unrealisedGainPercent === null ? '' : ` (${this.formatter.formatPercent(unrealisedGainPercent)})`;
+                        holding += `; unrealised gain/loss ${this.formatCurrencyForAI(unrealisedGain, base)}${percent}`;
+                    }
+                }
+                context += `  - ${asset.name}: ${itemAmount(asset)} (Liquidity: ${asset.liquidity}${holding})\n`;
             });
         });
 
@@ -3432,7 +10406,13 @@ class FinanceTracker {
         Object.keys(snapshotData.liabilities.byTerm).forEach(term => {
             context += `\n${term.toUpperCase()}:\n`;
             snapshotData.liabilities.byTerm[term].forEach(liability => {
-                context += `  - ${liability.name}: $${this.formatCurrencyForAI(liability.amount)}\n`;
+                const loanDetails = [
+                    liability.apr !== null ? `APR ${this.formatter.formatNumber(liability.apr, 2)}%` : null,
+                    liability.minPayment !== null ? `min. payment ${this.formatCurrencyForAI(liability.minPayment, liability.currency)}/month` : null,
+                    liability.remainingMonths !== null ? `${liability.remainingMonths} months remaining` : null,
+                    liability.lender ? `lender: ${liability.lender}` : null
+                ].filter(Boolean);
+                context += `  - ${liability.name}: ${itemAmount(liability)}${loanDetails.length > 0 ? ` (${loanDetails.join(', ')})` : ''}\n`;
             });
         });
 
@@ -3440,7 +10420,7 @@ class FinanceTracker {
         Object.keys(snapshotData.incomes.byCategory).forEach(category => {
             context += `\n${category.toUpperCase()}:\n`;
             snapshotData.incomes.byCategory[category].forEach(income => {
-                context += `  - ${income.name}: $${this.formatCurrencyForAI(income.amount)}/month\n`;
+                context += `  - ${income.name}: ${monthlyAmount(income)}\n`;
             });
         });
 
@@ -3448,16 +10428,17 @@ class FinanceTracker {
         Object.keys(snapshotData.expenses.byCategory).forEach(category => {
             context += `\n${category.toUpperCase()}:\n`;
             snapshotData.expenses.byCategory[category].forEach(expense => {
-                context += `  - ${expense.name}: $${this.formatCurrencyForAI(expense.amount)}/month\n`;
+                context += `  - ${expense.name}: ${monthlyAmount(expense)}\n`;
             });
         });
 
         return context;
     }
 
-    formatCurrencyForAI(amount) {
-        // Format currency for AI context (simple number format without $ and commas)
-        return parseFloat(amount).toFixed(2);
+    formatCurrencyForAI(amount, currency = this.getBaseCurrency()) {
+        // Same locale and decimals as the UI, but always with the ISO code so the
+        // assistant never has to guess what "$" means
+        return this.formatter.formatCurrency(amount, currency, true);
     }
 
     getProviderConfig() {
@@ -3552,7 +10533,7 @@ Remember to analyze the actual numbers provided and give personalized, data-driv
 
         let analysis = `Based on your "${snapshotData.snapshotName}" snapshot:\n\n`;
         
-        analysis += `💰 NET WORTH: $${snapshotData.summary.netWorth.toFixed(2)}\n`;
+        analysis += `💰 NET WORTH: ${this.formatCurrency(snapshotData.summary.netWorth)}\n`;
         if (snapshotData.summary.netWorth < 0) {
             analysis += `   Your liabilities exceed your assets. Focus on paying down debt.\n\n`;
         } else {
@@ -3560,9 +10541,9 @@ Remember to analyze the actual numbers provided and give personalized, data-driv
         }
 
         analysis += `📊 MONTHLY FLOW:\n`;
-        analysis += `   Income: $${snapshotData.summary.totalIncome.toFixed(2)}\n`;
-        analysis += `   Expenses: $${snapshotData.summary.totalExpenses.toFixed(2)}\n`;
-        analysis += `   Savings: $${snapshotData.summary.savings.toFixed(2)} (${snapshotData.ratios.savings}%)\n\n`;
+        analysis += `   Income: ${this.formatCurrency(snapshotData.summary.totalIncome)}\n`;
+        analysis += `   Expenses: ${this.formatCurrency(snapshotData.summary.totalExpenses)}\n`;
+        analysis += `   Savings: ${this.formatCurrency(snapshotData.summary.savings)} (${this.formatter.formatPercent(snapshotData.ratios.savings, 2)})\n\n`;
 
         return analysis;
     }